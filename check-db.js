@@ -47,7 +47,7 @@ async function quickCheck() {
       process.exit(0);
     } else {
       console.log(`⚠️  Database partially ready. Found ${tableCount}/4 tables.`);
-      console.log('Run: npm run setup-db or ./setup-database.sh');
+      console.log('Run: npm run migrate or ./setup-database.sh');
       process.exit(1);
     }
     
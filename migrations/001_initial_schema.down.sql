@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS fuel_records;
+DROP TABLE IF EXISTS oil_changes;
+DROP TABLE IF EXISTS vehicles;
+DROP TABLE IF EXISTS users;
@@ -1,16 +1,14 @@
--- Vehicle Maintenance Tracking Database Schema
--- PostgreSQL Database Setup
+-- Initial schema: users, vehicles, oil changes and fuel records
+-- IF NOT EXISTS lets databases created from the old database_schema.sql adopt migrations
 
--- Create users table
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create vehicles table
-CREATE TABLE vehicles (
+CREATE TABLE IF NOT EXISTS vehicles (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL,
     name VARCHAR(100) NOT NULL,
@@ -19,8 +17,7 @@ CREATE TABLE vehicles (
     CONSTRAINT fk_vehicles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
--- Create oil_changes table
-CREATE TABLE oil_changes (
+CREATE TABLE IF NOT EXISTS oil_changes (
     id SERIAL PRIMARY KEY,
     vehicle_id INTEGER NOT NULL,
     change_date DATE NOT NULL,
@@ -30,8 +27,7 @@ CREATE TABLE oil_changes (
     CONSTRAINT fk_oil_changes_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE
 );
 
--- Create fuel_records table
-CREATE TABLE fuel_records (
+CREATE TABLE IF NOT EXISTS fuel_records (
     id SERIAL PRIMARY KEY,
     vehicle_id INTEGER NOT NULL,
     fill_date DATE NOT NULL,
@@ -41,8 +37,7 @@ CREATE TABLE fuel_records (
     CONSTRAINT fk_fuel_records_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE
 );
 
--- Create indexes for better performance
-CREATE INDEX idx_vehicles_user_id ON vehicles(user_id);
-CREATE INDEX idx_oil_changes_vehicle_id ON oil_changes(vehicle_id);
-CREATE INDEX idx_fuel_records_vehicle_id ON fuel_records(vehicle_id);
-CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_vehicles_user_id ON vehicles(user_id);
+CREATE INDEX IF NOT EXISTS idx_oil_changes_vehicle_id ON oil_changes(vehicle_id);
+CREATE INDEX IF NOT EXISTS idx_fuel_records_vehicle_id ON fuel_records(vehicle_id);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
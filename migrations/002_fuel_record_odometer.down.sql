@@ -0,0 +1,2 @@
+ALTER TABLE fuel_records DROP COLUMN IF EXISTS is_full_tank;
+ALTER TABLE fuel_records DROP COLUMN IF EXISTS odometer;
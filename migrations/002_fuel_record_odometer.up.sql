@@ -0,0 +1,3 @@
+-- Odometer and full-tank flag on fuel records (fuel economy)
+ALTER TABLE fuel_records ADD COLUMN IF NOT EXISTS odometer INTEGER;
+ALTER TABLE fuel_records ADD COLUMN IF NOT EXISTS is_full_tank BOOLEAN NOT NULL DEFAULT TRUE;
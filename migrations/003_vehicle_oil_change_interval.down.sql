@@ -0,0 +1,2 @@
+ALTER TABLE vehicles DROP COLUMN IF EXISTS oil_change_interval_months;
+ALTER TABLE vehicles DROP COLUMN IF EXISTS oil_change_interval_km;
@@ -0,0 +1,3 @@
+-- Per-vehicle oil change interval (next-due prediction)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS oil_change_interval_km INTEGER NOT NULL DEFAULT 3000;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS oil_change_interval_months INTEGER NOT NULL DEFAULT 3;
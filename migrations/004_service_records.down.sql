@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS service_records;
+DROP TABLE IF EXISTS service_types;
@@ -0,0 +1,41 @@
+-- Service type catalog and service records
+
+CREATE TABLE IF NOT EXISTS service_types (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS service_records (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    service_type_id INTEGER NOT NULL,
+    service_date DATE NOT NULL,
+    mileage INTEGER,
+    parts_cost NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    labor_cost NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    workshop_name VARCHAR(150),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_service_records_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_service_records_type FOREIGN KEY (service_type_id) REFERENCES service_types(id)
+);
+
+-- Seed the service type catalog (oil changes keep their own table)
+INSERT INTO service_types (code, name) VALUES
+    ('chain_adjustment', 'Chain adjustment'),
+    ('chain_replacement', 'Chain and sprocket replacement'),
+    ('brake_pads', 'Brake pads'),
+    ('brake_fluid', 'Brake fluid'),
+    ('spark_plug', 'Spark plug'),
+    ('air_filter', 'Air filter'),
+    ('coolant', 'Coolant'),
+    ('cvt_belt', 'CVT belt'),
+    ('tires', 'Tires'),
+    ('battery', 'Battery'),
+    ('general_service', 'General service'),
+    ('other', 'Other')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_service_records_vehicle_id ON service_records(vehicle_id);
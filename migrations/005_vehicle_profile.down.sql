@@ -0,0 +1,12 @@
+ALTER TABLE vehicles
+    DROP COLUMN IF EXISTS initial_odometer,
+    DROP COLUMN IF EXISTS purchase_price,
+    DROP COLUMN IF EXISTS purchase_date,
+    DROP COLUMN IF EXISTS color,
+    DROP COLUMN IF EXISTS fuel_type,
+    DROP COLUMN IF EXISTS engine_number,
+    DROP COLUMN IF EXISTS vin,
+    DROP COLUMN IF EXISTS engine_cc,
+    DROP COLUMN IF EXISTS year,
+    DROP COLUMN IF EXISTS model,
+    DROP COLUMN IF EXISTS make;
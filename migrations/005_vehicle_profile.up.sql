@@ -0,0 +1,12 @@
+-- Vehicle profile metadata
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS make VARCHAR(50);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS model VARCHAR(50);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS year INTEGER;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS engine_cc INTEGER;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS vin VARCHAR(50);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS engine_number VARCHAR(50);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS fuel_type VARCHAR(20);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS color VARCHAR(30);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS purchase_date DATE;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS purchase_price NUMERIC(14, 2);
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS initial_odometer INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,32 @@
+-- Unified mileage timeline
+-- source is one of: manual, oil_change, fuel_record, service_record
+CREATE TABLE IF NOT EXISTS odometer_readings (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    reading_date DATE NOT NULL,
+    mileage INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    source_id INTEGER,
+    is_flagged BOOLEAN NOT NULL DEFAULT FALSE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_odometer_readings_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT uq_odometer_readings_source UNIQUE (source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_odometer_readings_vehicle_date ON odometer_readings(vehicle_id, reading_date);
+
+-- Backfill the timeline from records that already carry a mileage
+INSERT INTO odometer_readings (vehicle_id, reading_date, mileage, source, source_id, created_at)
+SELECT vehicle_id, change_date, mileage, 'oil_change', id, created_at FROM oil_changes
+ON CONFLICT (source, source_id) DO NOTHING;
+
+INSERT INTO odometer_readings (vehicle_id, reading_date, mileage, source, source_id, created_at)
+SELECT vehicle_id, fill_date, odometer, 'fuel_record', id, created_at FROM fuel_records
+WHERE odometer IS NOT NULL
+ON CONFLICT (source, source_id) DO NOTHING;
+
+INSERT INTO odometer_readings (vehicle_id, reading_date, mileage, source, source_id, created_at)
+SELECT vehicle_id, service_date, mileage, 'service_record', id, created_at FROM service_records
+WHERE mileage IS NOT NULL
+ON CONFLICT (source, source_id) DO NOTHING;
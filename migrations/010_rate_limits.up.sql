@@ -0,0 +1,9 @@
+-- Rate limit and failed login counters shared by every instance (RATE_LIMIT_STORE=postgres).
+-- Unlogged: the counters are short lived and not worth writing to the WAL.
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS vehicle_invitations;
+DROP TABLE IF EXISTS vehicle_members;
@@ -0,0 +1,36 @@
+-- Shared vehicles: every user with access to a vehicle is a member with a role.
+-- vehicles.user_id stays the user who created the vehicle.
+CREATE TABLE IF NOT EXISTS vehicle_members (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'rider', 'mechanic')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_vehicle_members_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_vehicle_members_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT uq_vehicle_members_vehicle_user UNIQUE (vehicle_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_members_user_id ON vehicle_members(user_id);
+
+-- Existing vehicles are owned by the user who created them
+INSERT INTO vehicle_members (vehicle_id, user_id, role, created_at)
+SELECT id, user_id, 'owner', created_at FROM vehicles
+ON CONFLICT (vehicle_id, user_id) DO NOTHING;
+
+-- Invitations sent by email, accepted with a hashed, expiring token
+CREATE TABLE IF NOT EXISTS vehicle_invitations (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'rider', 'mechanic')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_vehicle_invitations_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_vehicle_invitations_invited_by FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_invitations_vehicle_id ON vehicle_invitations(vehicle_id);
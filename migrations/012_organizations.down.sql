@@ -0,0 +1,13 @@
+DROP VIEW IF EXISTS vehicle_access;
+
+-- Organization vehicles have no user to fall back to
+DELETE FROM vehicles WHERE organization_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_vehicles_organization_id;
+ALTER TABLE vehicles DROP CONSTRAINT IF EXISTS chk_vehicles_owner;
+ALTER TABLE vehicles ALTER COLUMN user_id SET NOT NULL;
+ALTER TABLE vehicles DROP CONSTRAINT IF EXISTS fk_vehicles_organization;
+ALTER TABLE vehicles DROP COLUMN IF EXISTS organization_id;
+
+DROP TABLE IF EXISTS organization_members;
+DROP TABLE IF EXISTS organizations;
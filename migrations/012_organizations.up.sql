@@ -0,0 +1,43 @@
+-- Organizations (fleets) with members. Admins manage the organization, managers its
+-- vehicles and drivers, drivers only see the vehicles they are assigned to.
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'manager', 'driver')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_organization_members_organization FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    CONSTRAINT fk_organization_members_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT uq_organization_members_organization_user UNIQUE (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+
+-- A vehicle belongs either to a user or to an organization
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS organization_id INTEGER;
+ALTER TABLE vehicles ADD CONSTRAINT fk_vehicles_organization FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE vehicles ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE vehicles ADD CONSTRAINT chk_vehicles_owner CHECK ((user_id IS NULL) <> (organization_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_organization_id ON vehicles(organization_id);
+
+-- Effective role of every user on every vehicle they can access: their membership of the
+-- vehicle (drivers are assigned as riders), or owner for admins and managers of its
+-- organization. The highest role wins when both apply.
+CREATE OR REPLACE VIEW vehicle_access AS
+SELECT DISTINCT ON (vehicle_id, user_id) vehicle_id, user_id, role
+FROM (
+    SELECT vehicle_id, user_id, role FROM vehicle_members
+    UNION ALL
+    SELECT v.id, om.user_id, 'owner'
+    FROM vehicles v
+    JOIN organization_members om ON om.organization_id = v.organization_id
+    WHERE om.role IN ('admin', 'manager')
+) access
+ORDER BY vehicle_id, user_id, role = 'owner' DESC;
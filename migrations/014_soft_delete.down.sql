@@ -0,0 +1,33 @@
+-- Keep the entries under the closest older action
+UPDATE audit_log SET action = CASE action WHEN 'restore' THEN 'update' ELSE 'delete' END
+WHERE action IN ('restore', 'purge');
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete'));
+
+CREATE OR REPLACE VIEW vehicle_access AS
+SELECT DISTINCT ON (vehicle_id, user_id) vehicle_id, user_id, role
+FROM (
+    SELECT vehicle_id, user_id, role FROM vehicle_members
+    UNION ALL
+    SELECT v.id, om.user_id, 'owner'
+    FROM vehicles v
+    JOIN organization_members om ON om.organization_id = v.organization_id
+    WHERE om.role IN ('admin', 'manager')
+) access
+ORDER BY vehicle_id, user_id, role = 'owner' DESC;
+
+DROP VIEW IF EXISTS vehicle_roles;
+
+-- Without a trash, deleted rows are gone for good
+DELETE FROM fuel_records WHERE deleted_at IS NOT NULL;
+DELETE FROM oil_changes WHERE deleted_at IS NOT NULL;
+DELETE FROM vehicles WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_fuel_records_deleted_at;
+DROP INDEX IF EXISTS idx_oil_changes_deleted_at;
+DROP INDEX IF EXISTS idx_vehicles_deleted_at;
+
+ALTER TABLE fuel_records DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE oil_changes DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE vehicles DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,35 @@
+-- Deleted vehicles, oil changes and fuel records go to the trash first: they keep their
+-- rows with deleted_at set until they are restored or purged (see purge-trash.js).
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE oil_changes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE fuel_records ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Only the trash is looked up by deleted_at
+CREATE INDEX IF NOT EXISTS idx_vehicles_deleted_at ON vehicles(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_oil_changes_deleted_at ON oil_changes(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_fuel_records_deleted_at ON fuel_records(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Role of every user on every vehicle, including the vehicles in the trash
+CREATE OR REPLACE VIEW vehicle_roles AS
+SELECT DISTINCT ON (vehicle_id, user_id) vehicle_id, user_id, role
+FROM (
+    SELECT vehicle_id, user_id, role FROM vehicle_members
+    UNION ALL
+    SELECT v.id, om.user_id, 'owner'
+    FROM vehicles v
+    JOIN organization_members om ON om.organization_id = v.organization_id
+    WHERE om.role IN ('admin', 'manager')
+) access
+ORDER BY vehicle_id, user_id, role = 'owner' DESC;
+
+-- Vehicles in the trash are not accessible until they are restored
+CREATE OR REPLACE VIEW vehicle_access AS
+SELECT vr.vehicle_id, vr.user_id, vr.role
+FROM vehicle_roles vr
+JOIN vehicles v ON v.id = vr.vehicle_id
+WHERE v.deleted_at IS NULL;
+
+-- Moving to and out of the trash are audited as their own actions
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
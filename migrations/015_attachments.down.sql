@@ -0,0 +1,2 @@
+-- Stored files are not removed; only their rows
+DROP TABLE IF EXISTS attachments;
@@ -0,0 +1,25 @@
+-- Receipts, invoices and photos attached to an oil change or a fuel record.
+-- The files live in the configured storage (local disk or S3); a row holds their keys.
+-- Attachments go with their record, and with its vehicle (vehicle_id only speeds up access checks).
+CREATE TABLE IF NOT EXISTS attachments (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    oil_change_id INTEGER,
+    fuel_record_id INTEGER,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key VARCHAR(255) UNIQUE NOT NULL,
+    thumbnail_key VARCHAR(255),
+    uploaded_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_attachments_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachments_oil_change FOREIGN KEY (oil_change_id) REFERENCES oil_changes(id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachments_fuel_record FOREIGN KEY (fuel_record_id) REFERENCES fuel_records(id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachments_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_attachments_one_record CHECK ((oil_change_id IS NULL) <> (fuel_record_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_vehicle_id ON attachments(vehicle_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_oil_change_id ON attachments(oil_change_id) WHERE oil_change_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_attachments_fuel_record_id ON attachments(fuel_record_id) WHERE fuel_record_id IS NOT NULL;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_oil_changes_vehicle_mileage;
+DROP INDEX IF EXISTS idx_oil_changes_vehicle_change_date;
+DROP INDEX IF EXISTS idx_fuel_records_vehicle_fill_date;
@@ -0,0 +1,8 @@
+-- Record lists page by a cursor on (date, id) within a vehicle; these indexes
+-- serve the default order in both directions without sorting the whole history
+CREATE INDEX IF NOT EXISTS idx_fuel_records_vehicle_fill_date
+    ON fuel_records(vehicle_id, fill_date, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_oil_changes_vehicle_change_date
+    ON oil_changes(vehicle_id, change_date, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_oil_changes_vehicle_mileage
+    ON oil_changes(vehicle_id, mileage, id) WHERE deleted_at IS NULL;
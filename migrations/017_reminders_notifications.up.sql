@@ -0,0 +1,47 @@
+-- Custom reminders of a vehicle (e.g. "Renew the insurance", "Replace the chain"), due on a
+-- date, at a mileage or whichever comes first. Completed reminders are no longer checked.
+CREATE TABLE IF NOT EXISTS reminders (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    title VARCHAR(150) NOT NULL,
+    notes TEXT,
+    due_date DATE,
+    due_mileage INTEGER,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_reminders_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_reminders_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_reminders_due CHECK (due_date IS NOT NULL OR due_mileage IS NOT NULL),
+    CONSTRAINT chk_reminders_due_mileage CHECK (due_mileage >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_vehicle_id ON reminders(vehicle_id);
+
+-- In-app notifications written by the reminder job, one per member of the vehicle.
+-- due_key identifies the due item and its state (e.g. an oil change turning overdue),
+-- so running the job again never notifies a user twice about the same thing.
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    vehicle_id INTEGER NOT NULL,
+    reminder_id INTEGER,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('oil_change', 'reminder')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('due_soon', 'overdue')),
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    due_date DATE,
+    due_mileage INTEGER,
+    due_key VARCHAR(100) NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    snoozed_until TIMESTAMP WITH TIME ZONE,
+    dismissed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_notifications_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_notifications_reminder FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+    CONSTRAINT uq_notifications_user_due_key UNIQUE (user_id, due_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC) WHERE dismissed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_vehicle_id ON notifications(vehicle_id);
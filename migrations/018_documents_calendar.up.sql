@@ -0,0 +1,26 @@
+-- Papers of a vehicle that expire: insurance, registration, inspection, road tax, ...
+CREATE TABLE IF NOT EXISTS vehicle_documents (
+    id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('insurance', 'registration', 'inspection', 'road_tax', 'other')),
+    title VARCHAR(150),
+    document_number VARCHAR(100),
+    expires_on DATE NOT NULL,
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_vehicle_documents_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_vehicle_documents_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_documents_vehicle_id ON vehicle_documents(vehicle_id, expires_on);
+
+-- Secret token of the calendar feed of a user (/api/calendar/<token>.ics), stored hashed.
+-- One per user: regenerating replaces it, which stops the old URL from working.
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+    user_id INTEGER PRIMARY KEY,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT fk_calendar_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Trash Purge Script
+ * Permanently deletes the vehicles, fuel records and oil changes that have been
+ * in the trash for longer than the retention period (TRASH_RETENTION_DAYS, default 30).
+ * Meant to be run daily, e.g. from cron.
+ *
+ * Usage:
+ *   node purge-trash.js [--days <n>]        Purge items deleted more than n days ago
+ */
+
+require('dotenv').config();
+const { pool } = require('./src/config/db');
+const { purgeTrash, TRASH_RETENTION_DAYS } = require('./src/services/trashService');
+
+// Read the optional "--days <n>" option from the command line
+const parseRetentionDays = (args) => {
+  if (args.length === 0) {
+    return TRASH_RETENTION_DAYS;
+  }
+  if (args.length !== 2 || args[0] !== '--days') {
+    throw new Error(`Unknown argument: ${args[0]}`);
+  }
+  const days = parseInt(args[1]);
+  if (isNaN(days) || days < 0) {
+    throw new Error('--days must be a non-negative number');
+  }
+  return days;
+};
+
+async function run() {
+  try {
+    const retentionDays = parseRetentionDays(process.argv.slice(2));
+    console.log(`🗑️  Purging items deleted more than ${retentionDays} day(s) ago...`);
+
+    const purged = await purgeTrash({ retentionDays });
+    console.log(`✅ Purged ${purged.vehicles} vehicle(s), ${purged.fuel_records} fuel record(s), ${purged.oil_changes} oil change(s) and ${purged.attachments} attachment(s).`);
+
+  } catch (error) {
+    console.error('\n❌ Purge failed:');
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the purge
+run();
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Reminder Script
+ * Checks the oil changes and custom reminders of every vehicle and notifies the
+ * members of each vehicle about what is due soon or overdue. Meant to be run daily,
+ * e.g. from cron (or use GET /api/jobs/reminders with the CRON_SECRET).
+ *
+ * Usage:
+ *   node send-reminders.js
+ */
+
+require('dotenv').config();
+const { pool } = require('./src/config/db');
+const { runReminderJob } = require('./src/services/reminderService');
+
+async function run() {
+  try {
+    console.log('🔔 Checking due maintenance...');
+
+    const summary = await runReminderJob();
+    console.log(`✅ Checked ${summary.vehicles} vehicle(s): ${summary.due_items} item(s) due, ${summary.notifications} notification(s) created, ${summary.cleared} cleared.`);
+
+  } catch (error) {
+    console.error('\n❌ Reminders failed:');
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the reminder job
+run();
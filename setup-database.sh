@@ -68,15 +68,15 @@ create_database() {
 # Function to run schema setup
 setup_schema() {
     echo ""
-    echo "3. Setting up database schema..."
+    echo "3. Applying database migrations..."
     
-    if [ ! -f database_schema.sql ]; then
-        echo " database_schema.sql file not found!"
+    if [ ! -d migrations ]; then
+        echo " migrations directory not found!"
         exit 1
     fi
     
-    psql -h "${DB_HOST:-localhost}" -p "${DB_PORT:-5432}" -U "$DB_USER" -d "$DB_NAME" -f database_schema.sql
-    echo " Database schema created successfully"
+    node migrate-db.js up
+    echo " Database schema is up to date"
 }
 
 # Function to test the setup
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { logger } = require('./logger');
 require('dotenv').config();
 
 // Create PostgreSQL connection pool
@@ -29,33 +30,104 @@ const pool = new Pool({ ...poolConfig, ...connectionPoolConfig });
 
 // Test database connection
 pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
+  logger.debug('Connected to PostgreSQL database');
 });
 
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
+  logger.error('Unexpected error on idle client', { error: err });
   process.exit(-1);
 });
 
+// Queries taking at least this long are logged as warnings (DB_SLOW_QUERY_MS, default 500)
+const slowQueryMs = () => {
+  const threshold = parseInt(process.env.DB_SLOW_QUERY_MS);
+  return Number.isNaN(threshold) ? 500 : threshold;
+};
+
+// SQL text on a single line, shortened; parameters are never logged
+const compactSql = (text) => {
+  const sql = text.replace(/\s+/g, ' ').trim();
+  return sql.length > 1000 ? `${sql.slice(0, 1000)}...` : sql;
+};
+
+// Run a query through a pool client or transaction client, logging its duration.
+// Every query is logged at debug level, slow ones as warnings and failures as errors.
+const tracedQuery = async (client, text, params) => {
+  const start = Date.now();
+
+  try {
+    const res = await client.query(text, params);
+    const durationMs = Date.now() - start;
+    const thresholdMs = slowQueryMs();
+    if (durationMs >= thresholdMs) {
+      logger.warn('Slow query', { sql: compactSql(text), durationMs, rows: res.rowCount, thresholdMs });
+    } else if (logger.isLevelEnabled('debug')) {
+      logger.debug('Query executed', { sql: compactSql(text), durationMs, rows: res.rowCount });
+    }
+    return res;
+  } catch (error) {
+    logger.error('Query failed', { sql: compactSql(text), durationMs: Date.now() - start, error });
+    throw error;
+  }
+};
+
 // Helper function to execute queries
 const query = async (text, params) => {
-  const start = Date.now();
   const client = await pool.connect();
   
   try {
-    const res = await client.query(text, params);
-    const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
-    return res;
+    return await tracedQuery(client, text, params);
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to run several queries in a single transaction
+// The callback receives a client whose query() runs (and is logged) inside the transaction
+const transaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback({ query: (text, params) => tracedQuery(client, text, params) });
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('Database query error:', error);
+    await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
   }
 };
 
+// Helper function to read a large result in batches through a server-side cursor
+// onBatch(rows) is awaited before the next batch is fetched; returning false stops early
+const streamQuery = async (text, params, onBatch, { batchSize = 500 } = {}) => {
+  const start = Date.now();
+  let rowCount = 0;
+
+  await transaction(async (client) => {
+    await client.query(`DECLARE stream_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+    for (;;) {
+      const result = await client.query(`FETCH ${batchSize} FROM stream_cursor`);
+      rowCount += result.rows.length;
+
+      if (result.rows.length > 0 && (await onBatch(result.rows)) === false) {
+        break;
+      }
+      if (result.rows.length < batchSize) {
+        break;
+      }
+    }
+  });
+
+  logger.debug('Streamed query executed', { sql: compactSql(text), durationMs: Date.now() - start, rows: rowCount });
+};
+
 module.exports = {
   pool,
-  query
+  query,
+  transaction,
+  streamQuery
 };
@@ -0,0 +1,102 @@
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+
+// Structured logger: one JSON object per line with time, level, msg, the fields of the
+// current request (requestId, userId) and the fields passed by the caller.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Values of these fields never reach the logs (password, password_hash, refresh_token, ...)
+const SENSITIVE_FIELD = /pass(word)?|token|secret|authorization|cookie|api_?key/i;
+const REDACTED = '[REDACTED]';
+
+// Request scoped fields, available to every log written while handling the request
+const requestContext = new AsyncLocalStorage();
+
+const defaultLevel = () => process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+// Warnings and errors go to stderr, so platforms like Vercel flag them
+const defaultWrite = (line, level) => {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+let output = { level: defaultLevel(), write: defaultWrite };
+
+// Plain object of an error, keeping the PostgreSQL details (code, detail, constraint)
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.detail ? { detail: error.detail } : {}),
+  ...(error.constraint ? { constraint: error.constraint } : {}),
+  stack: error.stack
+});
+
+// Copy of a logged value with sensitive fields and bearer tokens redacted
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (typeof value === 'string') {
+    return value.replace(/Bearer\s+\S+/gi, `Bearer ${REDACTED}`);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_FIELD.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)
+  ]));
+};
+
+const isLevelEnabled = (level) => LEVELS[level] >= (LEVELS[output.level] ?? LEVELS.info);
+
+const log = (level, msg, fields = {}) => {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...requestContext.getStore(),
+    ...fields
+  });
+  output.write(JSON.stringify(entry), level);
+};
+
+const logger = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields),
+  isLevelEnabled
+};
+
+// Run fn with request scoped fields ({ requestId }); the object can be extended later (userId)
+const runWithRequestContext = (fields, fn) => requestContext.run(fields, fn);
+
+const getRequestContext = () => requestContext.getStore();
+
+// Change the level or destination (used by tests to capture logs); omitted options are reset
+const setLogOutput = ({ level = defaultLevel(), write = defaultWrite } = {}) => {
+  output = { level, write };
+};
+
+module.exports = {
+  logger,
+  runWithRequestContext,
+  getRequestContext,
+  setLogOutput
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+// Every migration is a pair of files in /migrations: NNN_name.up.sql and NNN_name.down.sql.
+// Applied migrations are tracked in schema_migrations together with a checksum of
+// their up file, so a migration that was edited after it ran is detected.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+// Key of the advisory lock held while migrating (any constant works, it only has to be shared)
+const MIGRATION_LOCK_ID = 72616341;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+class MigrationError extends Error {}
+
+// File name prefix of a migration, e.g. "004_service_records"
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Checksums ignore line ending differences (Windows checkouts)
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// Read the migration files, sorted by version
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  fs.readdirSync(directory).forEach((file) => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText);
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new MigrationError(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+    }
+
+    const sql = fs.readFileSync(path.join(directory, file), 'utf8');
+    migration[direction] = sql;
+    if (direction === 'up') {
+      migration.checksum = checksum(sql);
+    }
+    migrations.set(version, migration);
+  });
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  sorted.forEach((migration) => {
+    if (migration.up === null) {
+      throw new MigrationError(`Migration ${migrationLabel(migration)} has no .up.sql file`);
+    }
+  });
+  return sorted;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  // A database that has never been migrated has no tracking table yet
+  const tableResult = await client.query("SELECT to_regclass('schema_migrations') AS name");
+  if (!tableResult.rows[0].name) {
+    return [];
+  }
+
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+// Compare the applied migrations with the files on disk
+const buildStatus = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const filesByVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  const rows = migrations.map((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      applied_at: row ? row.applied_at : null
+    };
+  });
+
+  // Applied in the database, but the file is gone
+  applied
+    .filter((row) => !filesByVersion.has(row.version))
+    .forEach((row) => rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at }));
+
+  return rows.sort((a, b) => a.version - b.version);
+};
+
+// Refuse to migrate when history and files disagree
+const assertConsistent = (status) => {
+  const problems = status.filter((row) => row.state === 'modified' || row.state === 'missing');
+  if (problems.length > 0) {
+    const details = problems
+      .map((row) => `  ${migrationLabel(row)}: ${row.state === 'modified' ? 'file changed after it was applied (checksum mismatch)' : 'applied but the file is missing'}`)
+      .join('\n');
+    throw new MigrationError(`Migration history does not match the migration files:\n${details}\n` +
+      'Never edit a migration that has been applied; add a new migration instead.');
+  }
+
+  // A pending migration older than an applied one was added out of order
+  const lastApplied = status.filter((row) => row.state === 'applied').pop();
+  const outOfOrder = status.filter((row) => row.state === 'pending' && lastApplied && row.version < lastApplied.version);
+  if (outOfOrder.length > 0) {
+    throw new MigrationError(`Pending migrations are older than the last applied migration (${lastApplied.version}): ` +
+      outOfOrder.map((row) => `${migrationLabel(row)}`).join(', '));
+  }
+};
+
+// Run a callback while holding the migration lock, so concurrent deploys migrate one at a time
+const withMigrationLock = async (client, callback, log) => {
+  const lockResult = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID]);
+  if (!lockResult.rows[0].locked) {
+    log('Another process is running migrations, waiting for it to finish...');
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  }
+
+  try {
+    return await callback();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+};
+
+// Run one migration file and record it, in a single transaction
+const runMigration = async (client, migration, direction, log) => {
+  const start = Date.now();
+  await client.query('BEGIN');
+
+  try {
+    await client.query(direction === 'up' ? migration.up : migration.down);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - start]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migrationLabel(migration)} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+
+  log(`${direction === 'up' ? 'Applied' : 'Reverted'} ${migrationLabel(migration)} (${Date.now() - start} ms)`);
+};
+
+// Apply pending migrations (up to and including `to`, when given)
+const migrateUp = async (client, { to = null, directory, log = console.log } = {}) => {
+  const migrations = loadMigrations(directory);
+
+  return withMigrationLock(client, async () => {
+    await ensureMigrationsTable(client);
+    const status = buildStatus(migrations, await getAppliedMigrations(client));
+    assertConsistent(status);
+
+    const pendingVersions = new Set(status.filter((row) => row.state === 'pending').map((row) => row.version));
+    const pending = migrations.filter((migration) =>
+      pendingVersions.has(migration.version) && (to === null || migration.version <= to));
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up', log);
+    }
+    return pending.map((migration) => migration.version);
+  }, log);
+};
+
+// Revert the last `steps` applied migrations (or every migration above `to`)
+const migrateDown = async (client, { steps = 1, to = null, directory, log = console.log } = {}) => {
+  const migrations = loadMigrations(directory);
+
+  return withMigrationLock(client, async () => {
+    await ensureMigrationsTable(client);
+    const status = buildStatus(migrations, await getAppliedMigrations(client));
+    assertConsistent(status);
+
+    const applied = status.filter((row) => row.state === 'applied').reverse();
+    const toRevert = to !== null ? applied.filter((row) => row.version > to) : applied.slice(0, steps);
+
+    const filesByVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    for (const row of toRevert) {
+      const migration = filesByVersion.get(row.version);
+      if (migration.down === null) {
+        throw new MigrationError(`Migration ${migrationLabel(migration)} has no .down.sql file and cannot be reverted`);
+      }
+      await runMigration(client, migration, 'down', log);
+    }
+    return toRevert.map((row) => row.version);
+  }, log);
+};
+
+// State of every migration: applied, pending, modified (checksum mismatch) or missing
+const migrationStatus = async (client, { directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  return buildStatus(migrations, await getAppliedMigrations(client));
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  migrationLabel,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
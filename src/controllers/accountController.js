@@ -0,0 +1,471 @@
+const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { sendMail } = require('../services/mail');
+const { emailChangeConfirmationEmail, emailChangedNotice } = require('../services/mail/templates');
+const { buildAccountExport } = require('../services/accountExportService');
+const { hashToken, generateSecureToken, revokeOtherSessions } = require('../services/tokenService');
+const { detachVehicleAttachments, removeStoredFiles } = require('../services/attachmentService');
+const { createCalendarToken, getCalendarToken, revokeCalendarToken } = require('../services/calendarService');
+
+const EMAIL_CHANGE_EXPIRES_MINUTES = parseInt(process.env.EMAIL_CHANGE_EXPIRES_MINUTES) || 60;
+
+// Helper function to check the password of a user
+const verifyPassword = async (userId, password) => {
+  const result = await query(
+    'SELECT password_hash FROM users WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+  return bcrypt.compare(password, result.rows[0].password_hash);
+};
+
+// Get the profile of the authenticated user
+const getProfile = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.email, u.created_at,
+              (SELECT COUNT(*) FROM vehicle_access va WHERE va.user_id = u.id)::int AS vehicle_count,
+              (SELECT ecr.new_email FROM email_change_requests ecr
+               WHERE ecr.user_id = u.id AND ecr.used_at IS NULL AND ecr.expires_at > CURRENT_TIMESTAMP
+               ORDER BY ecr.created_at DESC LIMIT 1) AS pending_email
+       FROM users u WHERE u.id = $1`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Get profile error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching profile'
+    });
+  }
+};
+
+// Change the password (current password required)
+const changePassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { current_password, new_password } = req.body;
+    const userId = req.user.id;
+
+    const isPasswordValid = await verifyPassword(userId, current_password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(new_password, saltRounds);
+
+    // Keep the current session, log out everywhere else
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [passwordHash, userId]
+      );
+      await revokeOtherSessions(userId, req.user.sessionId, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Password changed successfully, other sessions have been logged out'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Change password error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while changing password'
+    });
+  }
+};
+
+// Request an email change; the new address has to be confirmed first
+const requestEmailChange = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { new_email, current_password } = req.body;
+    const userId = req.user.id;
+
+    const isPasswordValid = await verifyPassword(userId, current_password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const emailTaken = await query(
+      'SELECT id FROM users WHERE email = $1',
+      [new_email]
+    );
+
+    if (emailTaken.rows.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User with this email already exists'
+      });
+    }
+
+    const confirmToken = generateSecureToken(32);
+    const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRES_MINUTES * 60 * 1000);
+
+    // Only the latest request stays valid
+    await transaction(async (client) => {
+      await client.query(
+        'DELETE FROM email_change_requests WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+      await client.query(
+        'INSERT INTO email_change_requests (user_id, new_email, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+        [userId, new_email, hashToken(confirmToken), expiresAt]
+      );
+    });
+
+    const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+    const confirmUrl = `${appUrl}/confirm-email?token=${encodeURIComponent(confirmToken)}`;
+
+    await sendMail({
+      to: new_email,
+      ...emailChangeConfirmationEmail({ confirmUrl, expiresMinutes: EMAIL_CHANGE_EXPIRES_MINUTES })
+    });
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        message: 'A confirmation link has been sent to the new email address',
+        pending_email: new_email
+      }
+    });
+
+  } catch (error) {
+    logger.error('Request email change error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while changing email'
+    });
+  }
+};
+
+// Confirm an email change with the token from the confirmation email
+const confirmEmailChange = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const change = await transaction(async (client) => {
+      // Lock the request so it can only be used once
+      const result = await client.query(
+        `SELECT ecr.id, ecr.user_id, ecr.new_email, u.email AS old_email
+         FROM email_change_requests ecr
+         JOIN users u ON ecr.user_id = u.id
+         WHERE ecr.token_hash = $1 AND ecr.used_at IS NULL AND ecr.expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE OF ecr`,
+        [hashToken(req.body.token)]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'invalid' };
+      }
+
+      const request = result.rows[0];
+
+      const emailTaken = await client.query(
+        'SELECT id FROM users WHERE email = $1',
+        [request.new_email]
+      );
+      if (emailTaken.rows.length > 0) {
+        return { status: 'taken' };
+      }
+
+      await client.query(
+        'UPDATE users SET email = $1 WHERE id = $2',
+        [request.new_email, request.user_id]
+      );
+      await client.query(
+        'UPDATE email_change_requests SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [request.id]
+      );
+
+      return { status: 'ok', ...request };
+    });
+
+    if (change.status !== 'ok') {
+      return res.status(400).json({
+        status: 'error',
+        message: change.status === 'taken'
+          ? 'User with this email already exists'
+          : 'Invalid or expired email confirmation token'
+      });
+    }
+
+    // Let the old address know, in case the change was not made by its owner
+    await sendMail({
+      to: change.old_email,
+      ...emailChangedNotice({ newEmail: change.new_email })
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Email address changed successfully',
+        email: change.new_email
+      }
+    });
+
+  } catch (error) {
+    logger.error('Confirm email change error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while confirming email change'
+    });
+  }
+};
+
+// Export every record stored for the authenticated user
+const exportAccountData = async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user.id);
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${req.user.id}.json"`);
+    res.json({
+      status: 'success',
+      data
+    });
+
+  } catch (error) {
+    logger.error('Export account data error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while exporting account data'
+    });
+  }
+};
+
+// Get the calendar feed settings of the authenticated user
+const getCalendarSettings = async (req, res) => {
+  try {
+    const calendarToken = await getCalendarToken(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: calendarToken !== null,
+        created_at: calendarToken ? calendarToken.created_at : null,
+        last_used_at: calendarToken ? calendarToken.last_used_at : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get calendar settings error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching calendar settings'
+    });
+  }
+};
+
+// Create a new calendar feed URL; the previous URL stops working
+const regenerateCalendarToken = async (req, res) => {
+  try {
+    const { token, created_at } = await createCalendarToken(req.user.id);
+
+    // The feed is served by the API itself, so the URL points at this host
+    const feedUrl = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        message: 'Calendar URL created, any previous URL has been revoked',
+        url: feedUrl,
+        webcal_url: feedUrl.replace(/^https?:/, 'webcal:'),
+        created_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate calendar token error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating calendar URL'
+    });
+  }
+};
+
+// Revoke the calendar feed URL
+const revokeCalendar = async (req, res) => {
+  try {
+    const revoked = await revokeCalendarToken(req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar URL not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Calendar URL revoked successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Revoke calendar token error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while revoking calendar URL'
+    });
+  }
+};
+
+// Delete the account; the response carries a final export of all data
+const deleteAccount = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+
+    const isPasswordValid = await verifyPassword(userId, req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Export and delete in one transaction so the export matches what was removed;
+    // vehicles, records, readings, memberships and tokens are removed by ON DELETE CASCADE
+    const { data, attachments } = await transaction(async (client) => {
+      const accountExport = await buildAccountExport(userId, client);
+      // Shared vehicles with another owner are handed over to them instead of being deleted
+      await client.query(
+        `UPDATE vehicles v SET user_id = (
+           SELECT vm.user_id FROM vehicle_members vm
+           WHERE vm.vehicle_id = v.id AND vm.role = 'owner' AND vm.user_id <> $1
+           ORDER BY vm.created_at ASC, vm.id ASC LIMIT 1
+         )
+         WHERE v.user_id = $1 AND EXISTS (
+           SELECT 1 FROM vehicle_members vm
+           WHERE vm.vehicle_id = v.id AND vm.role = 'owner' AND vm.user_id <> $1
+         )`,
+        [userId]
+      );
+      // Organizations they are the only admin of get a new one: the longest-standing
+      // manager, or else member. Organizations without other members are deleted.
+      await client.query(
+        `UPDATE organization_members SET role = 'admin'
+         WHERE id IN (
+           SELECT DISTINCT ON (om.organization_id) om.id
+           FROM organization_members om
+           JOIN organization_members own
+             ON own.organization_id = om.organization_id AND own.user_id = $1 AND own.role = 'admin'
+           WHERE om.user_id <> $1 AND NOT EXISTS (
+             SELECT 1 FROM organization_members a
+             WHERE a.organization_id = om.organization_id AND a.role = 'admin' AND a.user_id <> $1
+           )
+           ORDER BY om.organization_id, om.role = 'manager' DESC, om.created_at ASC, om.id ASC
+         )`,
+        [userId]
+      );
+      const organizations = await client.query(
+        `SELECT o.id FROM organizations o
+         WHERE EXISTS (SELECT 1 FROM organization_members om WHERE om.organization_id = o.id AND om.user_id = $1)
+           AND NOT EXISTS (SELECT 1 FROM organization_members om WHERE om.organization_id = o.id AND om.user_id <> $1)`,
+        [userId]
+      );
+      const organizationIds = organizations.rows.map((organization) => organization.id);
+      // Files of the vehicles that go with the account are removed after the commit
+      const vehicles = await client.query(
+        'SELECT id FROM vehicles WHERE user_id = $1 OR organization_id = ANY($2::int[])',
+        [userId, organizationIds]
+      );
+      const detached = await detachVehicleAttachments(vehicles.rows.map((vehicle) => vehicle.id), client);
+      await client.query('DELETE FROM organizations WHERE id = ANY($1::int[])', [organizationIds]);
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+      return { data: accountExport, attachments: detached };
+    });
+
+    await removeStoredFiles(attachments);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Account deleted successfully',
+        export: data
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete account error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting account'
+    });
+  }
+};
+
+module.exports = {
+  getProfile,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  exportAccountData,
+  getCalendarSettings,
+  regenerateCalendarToken,
+  revokeCalendar,
+  deleteAccount
+};
@@ -0,0 +1,58 @@
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { findAuditEntries } = require('../services/auditService');
+
+// Query the audit log of the whole site, newest first
+const getAuditLog = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { totalItems, entries } = await findAuditEntries({
+      actorId: req.query.actor_id ?? null,
+      vehicleId: req.query.vehicle_id ?? null,
+      organizationId: req.query.organization_id ?? null,
+      entityType: req.query.entity_type || null,
+      entityId: req.query.entity_id ?? null,
+      action: req.query.action || null,
+      requestId: req.query.request_id || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        limit
+      },
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Get audit log error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching audit log'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLog
+};
@@ -0,0 +1,312 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, permissionDeniedResponse } = require('../services/permissionService');
+const { auditActor, recordAudit } = require('../services/auditService');
+const { getStorage } = require('../services/storage');
+const {
+  ATTACHMENT_PARENTS,
+  storeUpload,
+  removeStoredFiles,
+  toAttachmentResponse
+} = require('../services/attachmentService');
+
+// Most attachments a single record can have
+const MAX_ATTACHMENTS_PER_RECORD = 20;
+
+// Helper function to load a record that is not in the trash, with the role of the user on its vehicle
+const findParentRecord = async (parentType, recordId, userId) => {
+  const { table } = ATTACHMENT_PARENTS[parentType];
+  const result = await query(
+    `SELECT r.id, r.vehicle_id, va.role FROM ${table} r
+     JOIN vehicle_access va ON r.vehicle_id = va.vehicle_id AND va.user_id = $2
+     WHERE r.id = $1 AND r.deleted_at IS NULL`,
+    [recordId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to load an attachment with the role of the user on its vehicle.
+// Attachments of a record in the trash are hidden like the record.
+const findAttachment = async (attachmentId, userId) => {
+  const result = await query(
+    `SELECT a.*, va.role FROM attachments a
+     JOIN vehicle_access va ON a.vehicle_id = va.vehicle_id AND va.user_id = $2
+     LEFT JOIN oil_changes oc ON a.oil_change_id = oc.id
+     LEFT JOIN fuel_records fr ON a.fuel_record_id = fr.id
+     WHERE a.id = $1 AND oc.deleted_at IS NULL AND fr.deleted_at IS NULL`,
+    [attachmentId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const attachmentNotFoundResponse = {
+  status: 'error',
+  message: 'Attachment not found or you do not have permission to access it'
+};
+
+// Upload a file to an oil change or a fuel record
+const uploadAttachment = async (req, res, parentType) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const parent = ATTACHMENT_PARENTS[parentType];
+    const record = await findParentRecord(parentType, req.params.id, req.user.id);
+
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: `${parent.label} not found or you do not have permission to access it`
+      });
+    }
+
+    // Attachments are changed by whoever may change the record
+    if (!can(record.role, parent.permission)) {
+      return res.status(403).json(permissionDeniedResponse(record.role, parent.permission));
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM attachments WHERE ${parent.column} = $1`,
+      [record.id]
+    );
+    if (parseInt(countResult.rows[0].count) >= MAX_ATTACHMENTS_PER_RECORD) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A record can have at most ${MAX_ATTACHMENTS_PER_RECORD} attachments`
+      });
+    }
+
+    const stored = await storeUpload({ vehicleId: record.vehicle_id, file: req.file });
+    if (stored.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: stored.error
+      });
+    }
+
+    let attachment;
+    try {
+      attachment = await transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO attachments
+             (vehicle_id, ${parent.column}, file_name, content_type, size_bytes, storage_key, thumbnail_key, uploaded_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            record.vehicle_id, record.id, stored.file_name, stored.content_type,
+            stored.size_bytes, stored.storage_key, stored.thumbnail_key, req.user.id
+          ]
+        );
+        await recordAudit(auditActor(req), {
+          action: 'create',
+          entityType: 'attachment',
+          entityId: result.rows[0].id,
+          vehicleId: record.vehicle_id,
+          after: result.rows[0]
+        }, client);
+        return result.rows[0];
+      });
+    } catch (error) {
+      // Nothing points to the stored files without their row
+      await removeStoredFiles([stored]);
+      throw error;
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: toAttachmentResponse(attachment)
+    });
+
+  } catch (error) {
+    logger.error('Upload attachment error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while uploading attachment'
+    });
+  }
+};
+
+// List the attachments of an oil change or a fuel record, oldest first
+const getAttachments = async (req, res, parentType) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const parent = ATTACHMENT_PARENTS[parentType];
+    // Every member of the vehicle can see the record and its attachments
+    const record = await findParentRecord(parentType, req.params.id, req.user.id);
+
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: `${parent.label} not found or you do not have permission to access it`
+      });
+    }
+
+    const result = await query(
+      `SELECT * FROM attachments WHERE ${parent.column} = $1 ORDER BY created_at ASC, id ASC`,
+      [record.id]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows.map(toAttachmentResponse)
+    });
+
+  } catch (error) {
+    logger.error('Get attachments error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching attachments'
+    });
+  }
+};
+
+const uploadOilChangeAttachment = (req, res) => uploadAttachment(req, res, 'oil_change');
+const getOilChangeAttachments = (req, res) => getAttachments(req, res, 'oil_change');
+const uploadFuelRecordAttachment = (req, res) => uploadAttachment(req, res, 'fuel_record');
+const getFuelRecordAttachments = (req, res) => getAttachments(req, res, 'fuel_record');
+
+// Send the stored file of an attachment, or its thumbnail
+const sendAttachmentFile = async (req, res, { thumbnail }) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const attachment = await findAttachment(req.params.id, req.user.id);
+  const key = attachment && (thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+  if (!key) {
+    return res.status(404).json(attachmentNotFoundResponse);
+  }
+
+  const body = await getStorage().get(key);
+  if (!body) {
+    logger.warn('Stored file of an attachment is missing', { attachmentId: attachment.id, key });
+    return res.status(404).json({
+      status: 'error',
+      message: 'The file of this attachment is missing'
+    });
+  }
+
+  res.set({
+    'Content-Type': thumbnail ? 'image/jpeg' : attachment.content_type,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (thumbnail) {
+    res.set('Content-Disposition', 'inline');
+  } else {
+    res.attachment(attachment.file_name);
+  }
+  res.send(body);
+};
+
+// Download the file of an attachment
+const downloadAttachment = async (req, res) => {
+  try {
+    await sendAttachmentFile(req, res, { thumbnail: false });
+  } catch (error) {
+    logger.error('Download attachment error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while downloading attachment'
+    });
+  }
+};
+
+// Get the thumbnail of an image attachment
+const getAttachmentThumbnail = async (req, res) => {
+  try {
+    await sendAttachmentFile(req, res, { thumbnail: true });
+  } catch (error) {
+    logger.error('Get attachment thumbnail error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching thumbnail'
+    });
+  }
+};
+
+// Delete an attachment and its stored files
+const deleteAttachment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findAttachment(req.params.id, req.user.id);
+    if (!found) {
+      return res.status(404).json(attachmentNotFoundResponse);
+    }
+
+    const { role, ...before } = found;
+    const { permission } = ATTACHMENT_PARENTS[before.oil_change_id !== null ? 'oil_change' : 'fuel_record'];
+    if (!can(role, permission)) {
+      return res.status(403).json(permissionDeniedResponse(role, permission));
+    }
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM attachments WHERE id = $1', [before.id]);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'attachment',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
+
+    await removeStoredFiles([before]);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Attachment deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete attachment error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting attachment'
+    });
+  }
+};
+
+module.exports = {
+  uploadOilChangeAttachment,
+  getOilChangeAttachments,
+  uploadFuelRecordAttachment,
+  getFuelRecordAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+};
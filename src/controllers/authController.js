@@ -1,7 +1,31 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
-const { query } = require('../config/db');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail } = require('../services/mail/templates');
+const {
+  hashToken,
+  generateSecureToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  findFamilyByToken
+} = require('../services/tokenService');
+const {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../services/loginThrottleService');
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Request metadata stored with a refresh token
+const sessionMeta = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null
+});
 
 // Register a new user
 const register = async (req, res) => {
@@ -43,12 +67,8 @@ const register = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate access and refresh tokens
+    const { tokens } = await issueTokens(user, sessionMeta(req));
 
     res.status(201).json({
       status: 'success',
@@ -58,12 +78,12 @@ const register = async (req, res) => {
           email: user.email,
           created_at: user.created_at
         },
-        token
+        ...tokens
       }
     });
 
   } catch (error) {
-    console.error('Register error:', error);
+    logger.error('Register error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error during registration'
@@ -85,6 +105,17 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip };
+
+    // Reject locked accounts and IPs before spending time on bcrypt
+    const retryAfter = await getLoginLockout(attempt);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: `Too many failed login attempts, please try again in ${retryAfter} seconds`
+      });
+    }
 
     // Find user by email
     const result = await query(
@@ -93,6 +124,7 @@ const login = async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
@@ -105,18 +137,17 @@ const login = async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await clearLoginFailures(attempt);
+
+    // Generate access and refresh tokens
+    const { tokens } = await issueTokens(user, sessionMeta(req));
 
     res.json({
       status: 'success',
@@ -126,12 +157,12 @@ const login = async (req, res) => {
           email: user.email,
           created_at: user.created_at
         },
-        token
+        ...tokens
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error during login'
@@ -139,7 +170,269 @@ const login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new token pair
+const refresh = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refresh_token, sessionMeta(req));
+
+    if (result.status === 'reused') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token has already been used, the session has been revoked'
+      });
+    }
+
+    if (result.status !== 'ok') {
+      return res.status(401).json({
+        status: 'error',
+        message: result.status === 'expired' ? 'Refresh token expired' : 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        user: result.user,
+        ...result.tokens
+      }
+    });
+
+  } catch (error) {
+    logger.error('Refresh token error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during token refresh'
+    });
+  }
+};
+
+// Logout: revoke the session the refresh token belongs to
+const logout = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findFamilyByToken(req.body.refresh_token);
+    if (session) {
+      await revokeFamily(session.family_id);
+    }
+
+    // Same response for unknown tokens, logging out is idempotent
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Logged out successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Logout error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// Logout from all devices: revoke every session of the authenticated user
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllForUser(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Logged out from all sessions successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Logout all error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// Create a password reset link for the user and mail it; only the latest link stays valid
+const sendPasswordReset = async (user) => {
+  const resetToken = generateSecureToken(32);
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+  await transaction(async (client) => {
+    await client.query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await client.query(
+      'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [user.id, hashToken(resetToken), expiresAt]
+    );
+  });
+
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  const resetUrl = `${appUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ resetUrl, expiresMinutes: PASSWORD_RESET_EXPIRES_MINUTES })
+  });
+};
+
+// How long sending a reset link took lately (halved weight for every older send)
+let passwordResetMs = 0;
+
+const recordPasswordResetTime = (durationMs) => {
+  passwordResetMs = passwordResetMs === 0 ? durationMs : Math.round((passwordResetMs + durationMs) / 2);
+};
+
+// Request a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const result = await query(
+      'SELECT id, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    // The link is created and mailed before answering (serverless functions stop
+    // once they respond); unknown emails wait about as long, so the response
+    // time does not tell whether the account exists
+    const start = Date.now();
+    if (result.rows.length > 0) {
+      try {
+        await sendPasswordReset(result.rows[0]);
+      } catch (error) {
+        logger.error('Send password reset error', { error });
+      }
+      recordPasswordResetTime(Date.now() - start);
+    } else {
+      await new Promise((resolve) => setTimeout(resolve, passwordResetMs));
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    res.json({
+      status: 'success',
+      data: {
+        message: 'If an account with that email exists, a password reset link has been sent'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while requesting password reset'
+    });
+  }
+};
+
+// Reset the password with a token from the reset email
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    const reset = await transaction(async (client) => {
+      // Lock the token so it can only be used once
+      const result = await client.query(
+        `SELECT id, user_id FROM password_reset_tokens
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      const { id, user_id: userId } = result.rows[0];
+
+      await client.query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [passwordHash, userId]
+      );
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id]
+      );
+
+      // Existing sessions may belong to whoever knew the old password
+      await revokeAllForUser(userId, client);
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired password reset token'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Password has been reset successfully, please log in with your new password'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while resetting password'
+    });
+  }
+};
+
 module.exports = {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
 };
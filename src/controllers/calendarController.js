@@ -0,0 +1,33 @@
+const { logger } = require('../config/logger');
+const { buildCalendar, findCalendarUser } = require('../services/calendarService');
+
+// Get the iCalendar feed of the user the secret token belongs to.
+// Calendar apps cannot send an access token, so the token in the URL is the only credential.
+const getCalendarFeed = async (req, res) => {
+  try {
+    const userId = await findCalendarUser(req.params.token);
+    if (!userId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar not found, the link may have been revoked'
+      });
+    }
+
+    const calendar = await buildCalendar(userId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="vehicle-maintenance.ics"');
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Get calendar feed error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while building calendar'
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed
+};
@@ -0,0 +1,50 @@
+const { validationResult } = require('express-validator');
+const { getDashboard } = require('../services/dashboardService');
+const { checkOrganizationPermission } = require('../services/permissionService');
+const { logger } = require('../config/logger');
+
+// Get the dashboard (one card per vehicle) for the authenticated user
+const getDashboardSummary = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organizationId = req.query.organization_id ? parseInt(req.query.organization_id) : null;
+
+    if (organizationId) {
+      // Members of the organization see the vehicles they have access to
+      const access = await checkOrganizationPermission(organizationId, req.user.id, 'organization:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Organization not found or you do not have permission to access it'
+        });
+      }
+    }
+
+    const dashboard = await getDashboard(req.user.id, new Date(), { organizationId });
+
+    res.json({
+      status: 'success',
+      data: dashboard
+    });
+
+  } catch (error) {
+    logger.error('Get dashboard error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while building dashboard'
+    });
+  }
+};
+
+module.exports = {
+  getDashboardSummary
+};
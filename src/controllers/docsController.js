@@ -0,0 +1,59 @@
+const { buildOpenApiSpec } = require('../docs/openapi');
+const { logger } = require('../config/logger');
+
+// Swagger UI is loaded from a CDN, so no static assets have to be served (e.g. on Vercel)
+const SWAGGER_UI_VERSION = '5.17.14';
+const SWAGGER_UI_URL = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+// The document only depends on the code, so it is built once
+let spec = null;
+
+// Get the OpenAPI document
+const getOpenApiSpec = (req, res) => {
+  try {
+    if (!spec) {
+      // Loaded here because the route list includes the docs routes themselves
+      const { apiRoutes } = require('../routes');
+      spec = buildOpenApiSpec(apiRoutes);
+    }
+
+    res.json(spec);
+
+  } catch (error) {
+    logger.error('OpenAPI document error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while building the API documentation'
+    });
+  }
+};
+
+// Interactive API documentation (Swagger UI)
+const getDocsPage = (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Vehicle Maintenance Tracking API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: 'openapi.json',
+      dom_id: '#swagger-ui',
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  getOpenApiSpec,
+  getDocsPage
+};
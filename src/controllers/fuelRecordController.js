@@ -1,14 +1,13 @@
 const { validationResult } = require('express-validator');
-const { query } = require('../config/db');
-
-// Helper function to verify vehicle ownership
-const verifyVehicleOwnership = async (vehicleId, userId) => {
-  const result = await query(
-    'SELECT id FROM vehicles WHERE id = $1 AND user_id = $2',
-    [vehicleId, userId]
-  );
-  return result.rows.length > 0;
-};
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { streamCsv } = require('../services/csvExportService');
+const { importCsv, CsvImportError } = require('../services/csvImportService');
+const { findMileageConflict, syncReading, removeReading, mileageConflictResponse } = require('../services/odometerService');
+const { calculateFuelEconomy, DEFAULT_ROLLING_WINDOW } = require('../services/fuelEconomyService');
+const { auditActor, recordAudit } = require('../services/auditService');
+const { findRecords, listOptionsFromQuery } = require('../services/recordListService');
 
 // Create fuel record
 const createFuelRecord = async (req, res) => {
@@ -24,30 +23,64 @@ const createFuelRecord = async (req, res) => {
     }
 
     const { vehicleId } = req.params;
-    const { fill_date, price_per_liter, liters_filled } = req.body;
+    const { fill_date, price_per_liter, liters_filled, odometer, is_full_tank, allow_rollback } = req.body;
     const userId = req.user.id;
 
-    // Verify vehicle ownership
-    const vehicleExists = await verifyVehicleOwnership(vehicleId, userId);
-    if (!vehicleExists) {
+    // Owners and riders can log fuel
+    const access = await checkVehiclePermission(vehicleId, userId, 'fuel:write');
+    if (!access.role) {
       return res.status(404).json({
         status: 'error',
         message: 'Vehicle not found or you do not have permission to access it'
       });
     }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'fuel:write'));
+    }
 
-    const result = await query(
-      'INSERT INTO fuel_records (vehicle_id, fill_date, price_per_liter, liters_filled) VALUES ($1, $2, $3, $4) RETURNING *',
-      [vehicleId, fill_date, price_per_liter, liters_filled]
-    );
+    // Reject an odometer value that goes backwards unless explicitly allowed
+    const conflict = odometer !== undefined && odometer !== null
+      ? await findMileageConflict({ vehicleId, date: fill_date, mileage: odometer })
+      : null;
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Save the fuel record and its odometer reading together
+    const fuelRecord = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO fuel_records (vehicle_id, fill_date, price_per_liter, liters_filled, odometer, is_full_tank)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [vehicleId, fill_date, price_per_liter, liters_filled, odometer ?? null, is_full_tank ?? true]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'fuel_record',
+        sourceId: result.rows[0].id,
+        date: fill_date,
+        mileage: odometer,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'fuel_record',
+        entityId: result.rows[0].id,
+        vehicleId,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
 
     res.status(201).json({
       status: 'success',
-      data: result.rows[0]
+      data: fuelRecord
     });
 
   } catch (error) {
-    console.error('Create fuel record error:', error);
+    logger.error('Create fuel record error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while creating fuel record'
@@ -55,51 +88,45 @@ const createFuelRecord = async (req, res) => {
   }
 };
 
-// Get fuel records for a vehicle with pagination
+// Get fuel records for a vehicle with filters, sorting and pagination
 const getFuelRecords = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { vehicleId } = req.params;
     const userId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
 
-    // Verify vehicle ownership
-    const vehicleExists = await verifyVehicleOwnership(vehicleId, userId);
-    if (!vehicleExists) {
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
       return res.status(404).json({
         status: 'error',
         message: 'Vehicle not found or you do not have permission to access it'
       });
     }
 
-    // Get total count for pagination
-    const countResult = await query(
-      'SELECT COUNT(*) FROM fuel_records WHERE vehicle_id = $1',
-      [vehicleId]
-    );
-    const totalItems = parseInt(countResult.rows[0].count);
-    const totalPages = Math.ceil(totalItems / limit);
-
-    // Get fuel records with pagination
-    const result = await query(
-      'SELECT * FROM fuel_records WHERE vehicle_id = $1 ORDER BY fill_date DESC, created_at DESC LIMIT $2 OFFSET $3',
-      [vehicleId, limit, offset]
-    );
+    // Filtered and sorted, one page or the page after a cursor
+    const { records, pagination } = await findRecords('fuel_records', {
+      vehicleId,
+      ...listOptionsFromQuery(req.query)
+    });
 
     res.json({
       status: 'success',
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems,
-        limit
-      },
-      data: result.rows
+      pagination,
+      data: records
     });
 
   } catch (error) {
-    console.error('Get fuel records error:', error);
+    logger.error('Get fuel records error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while fetching fuel records'
@@ -121,14 +148,14 @@ const updateFuelRecord = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { fill_date, price_per_liter, liters_filled } = req.body;
+    const { fill_date, price_per_liter, liters_filled, odometer, is_full_tank, allow_rollback } = req.body;
     const userId = req.user.id;
 
-    // First verify that the fuel record exists and the user owns the vehicle
+    // First verify that the fuel record exists and the user is a member of its vehicle
     const checkResult = await query(
-      `SELECT fr.id FROM fuel_records fr 
-       JOIN vehicles v ON fr.vehicle_id = v.id 
-       WHERE fr.id = $1 AND v.user_id = $2`,
+      `SELECT fr.*, va.role FROM fuel_records fr
+       JOIN vehicle_access va ON fr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE fr.id = $1 AND fr.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -139,19 +166,63 @@ const updateFuelRecord = async (req, res) => {
       });
     }
 
-    // Update the fuel record
-    const result = await query(
-      'UPDATE fuel_records SET fill_date = $1, price_per_liter = $2, liters_filled = $3 WHERE id = $4 RETURNING *',
-      [fill_date, price_per_liter, liters_filled, id]
-    );
+    // Owners and riders can change fuel records
+    if (!can(checkResult.rows[0].role, 'fuel:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'fuel:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+    const vehicleId = before.vehicle_id;
+
+    // Fields left out keep their value; an odometer sent as null is cleared
+    const newOdometer = odometer !== undefined ? odometer : before.odometer;
+    const newIsFullTank = is_full_tank !== undefined ? is_full_tank : before.is_full_tank;
+
+    // Reject an odometer value that goes backwards unless explicitly allowed
+    const conflict = newOdometer !== null
+      ? await findMileageConflict({ vehicleId, date: fill_date, mileage: newOdometer, source: 'fuel_record', sourceId: id })
+      : null;
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Update the fuel record and its odometer reading
+    const fuelRecord = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE fuel_records
+         SET fill_date = $1, price_per_liter = $2, liters_filled = $3, odometer = $4, is_full_tank = $5
+         WHERE id = $6 RETURNING *`,
+        [fill_date, price_per_liter, liters_filled, newOdometer, newIsFullTank, id]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'fuel_record',
+        sourceId: result.rows[0].id,
+        date: fill_date,
+        mileage: newOdometer,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'fuel_record',
+        entityId: before.id,
+        vehicleId,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
 
     res.json({
       status: 'success',
-      data: result.rows[0]
+      data: fuelRecord
     });
 
   } catch (error) {
-    console.error('Update fuel record error:', error);
+    logger.error('Update fuel record error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while updating fuel record'
@@ -162,14 +233,24 @@ const updateFuelRecord = async (req, res) => {
 // Delete fuel record
 const deleteFuelRecord = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
 
-    // First verify that the fuel record exists and the user owns the vehicle
+    // First verify that the fuel record exists and the user is a member of its vehicle
     const checkResult = await query(
-      `SELECT fr.id FROM fuel_records fr 
-       JOIN vehicles v ON fr.vehicle_id = v.id 
-       WHERE fr.id = $1 AND v.user_id = $2`,
+      `SELECT fr.*, va.role FROM fuel_records fr
+       JOIN vehicle_access va ON fr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE fr.id = $1 AND fr.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -180,21 +261,38 @@ const deleteFuelRecord = async (req, res) => {
       });
     }
 
-    // Delete the fuel record
-    await query(
-      'DELETE FROM fuel_records WHERE id = $1',
-      [id]
-    );
+    // Owners and riders can change fuel records
+    if (!can(checkResult.rows[0].role, 'fuel:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'fuel:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    // Move the fuel record to the trash; its odometer reading comes back when it is restored
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE fuel_records SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id]
+      );
+      await removeReading({ source: 'fuel_record', sourceId: id }, client);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'fuel_record',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
 
     res.json({
       status: 'success',
       data: {
-        message: 'Fuel record deleted successfully'
+        message: 'Fuel record moved to the trash'
       }
     });
 
   } catch (error) {
-    console.error('Delete fuel record error:', error);
+    logger.error('Delete fuel record error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while deleting fuel record'
@@ -202,9 +300,278 @@ const deleteFuelRecord = async (req, res) => {
   }
 };
 
+// Restore a fuel record from the trash
+const restoreFuelRecord = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Records of a vehicle in the trash come back with their vehicle
+    const checkResult = await query(
+      `SELECT fr.*, va.role FROM fuel_records fr
+       JOIN vehicle_access va ON fr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE fr.id = $1 AND fr.deleted_at IS NOT NULL`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fuel record not found in the trash or you do not have permission to restore it'
+      });
+    }
+
+    // Owners and riders can change fuel records
+    if (!can(checkResult.rows[0].role, 'fuel:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'fuel:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    // Newer readings may have been added in the meantime; the reading is then restored flagged
+    const conflict = before.odometer !== null
+      ? await findMileageConflict({ vehicleId: before.vehicle_id, date: before.fill_date, mileage: before.odometer })
+      : null;
+
+    const fuelRecord = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE fuel_records SET deleted_at = NULL WHERE id = $1 RETURNING *',
+        [id]
+      );
+
+      await syncReading({
+        vehicleId: before.vehicle_id,
+        source: 'fuel_record',
+        sourceId: before.id,
+        date: before.fill_date,
+        mileage: before.odometer,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'restore',
+        entityType: 'fuel_record',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: fuelRecord
+    });
+
+  } catch (error) {
+    logger.error('Restore fuel record error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while restoring fuel record'
+    });
+  }
+};
+
+// Get fuel economy (km/L, L/100km, cost per km) for a vehicle
+const getFuelEconomy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    const window = parseInt(req.query.window) || DEFAULT_ROLLING_WINDOW;
+
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    const result = await query(
+      `SELECT * FROM fuel_records WHERE vehicle_id = $1 AND deleted_at IS NULL
+       ORDER BY fill_date ASC, odometer ASC NULLS LAST, id ASC`,
+      [vehicleId]
+    );
+
+    const economy = calculateFuelEconomy(result.rows, { window });
+
+    res.json({
+      status: 'success',
+      data: {
+        vehicle_id: parseInt(vehicleId),
+        ...economy
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get fuel economy error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while calculating fuel economy'
+    });
+  }
+};
+
+// Columns of the CSV export, in the same shape as the records returned by getFuelRecords
+const EXPORT_COLUMNS = ['id', 'vehicle_id', 'fill_date', 'price_per_liter', 'liters_filled', 'odometer', 'is_full_tank', 'created_at'];
+
+// Export fuel records as CSV, for one vehicle or (without vehicleId) for all vehicles of the user
+const exportFuelRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    const { from, to } = req.query;
+
+    if (vehicleId) {
+      // Any member of the vehicle can see it
+      const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Vehicle not found or you do not have permission to access it'
+        });
+      }
+    }
+
+    // The all-vehicles export also names the vehicle of every row
+    const columns = vehicleId ? EXPORT_COLUMNS : [...EXPORT_COLUMNS, 'vehicle_name'];
+
+    await streamCsv(res, {
+      filename: vehicleId ? `fuel-records-vehicle-${vehicleId}.csv` : 'fuel-records.csv',
+      columns,
+      sql: `SELECT fr.id, fr.vehicle_id, to_char(fr.fill_date, 'YYYY-MM-DD') AS fill_date,
+              fr.price_per_liter, fr.liters_filled, fr.odometer, fr.is_full_tank, fr.created_at,
+              v.name AS vehicle_name
+       FROM fuel_records fr
+       JOIN vehicles v ON fr.vehicle_id = v.id
+       WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+         AND fr.deleted_at IS NULL
+         AND ($2::integer IS NULL OR fr.vehicle_id = $2)
+         AND ($3::date IS NULL OR fr.fill_date >= $3)
+         AND ($4::date IS NULL OR fr.fill_date <= $4)
+       ORDER BY v.name ASC, fr.vehicle_id ASC, fr.fill_date ASC, fr.id ASC`,
+      params: [userId, vehicleId || null, from || null, to || null]
+    });
+
+  } catch (error) {
+    logger.error('Export fuel records error', { error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error while exporting fuel records'
+      });
+    }
+  }
+};
+
+// Import fuel records for a vehicle from a CSV file (dry_run only validates)
+const importFuelRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    // Options can be sent as multipart fields or in the query string
+    const dryRun = req.body.dry_run ?? req.query.dry_run ?? false;
+    const mapping = req.body.mapping ?? req.query.mapping;
+
+    // Owners and riders can log fuel
+    const access = await checkVehiclePermission(vehicleId, userId, 'fuel:write');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'fuel:write'));
+    }
+
+    const report = await importCsv({
+      type: 'fuel_records',
+      vehicleId,
+      csv: req.csv,
+      mapping: mapping ? JSON.parse(mapping) : {},
+      dryRun,
+      actor: auditActor(req)
+    });
+
+    if (!dryRun && !report.committed) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Import failed, no records were imported',
+        data: report
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof CsvImportError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Import fuel records error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while importing fuel records'
+    });
+  }
+};
+
 module.exports = {
   createFuelRecord,
   getFuelRecords,
   updateFuelRecord,
-  deleteFuelRecord
+  deleteFuelRecord,
+  restoreFuelRecord,
+  getFuelEconomy,
+  exportFuelRecords,
+  importFuelRecords
 };
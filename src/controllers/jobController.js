@@ -0,0 +1,26 @@
+const { logger } = require('../config/logger');
+const { runReminderJob } = require('../services/reminderService');
+
+// Check every vehicle for due maintenance and write the notifications
+const runReminders = async (req, res) => {
+  try {
+    const summary = await runReminderJob();
+    logger.info('Reminder job completed', summary);
+
+    res.json({
+      status: 'success',
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Reminder job error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while running reminders'
+    });
+  }
+};
+
+module.exports = {
+  runReminders
+};
@@ -0,0 +1,164 @@
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { findNotifications, updateNotification } = require('../services/notificationService');
+
+// Snoozed notifications come back after this many hours unless told otherwise
+const DEFAULT_SNOOZE_HOURS = 24;
+
+// Get the notifications of the authenticated user, newest first
+const getNotifications = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { totalItems, notifications } = await findNotifications(req.user.id, {
+      filter: req.query.filter || 'active',
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        limit
+      },
+      data: notifications
+    });
+
+  } catch (error) {
+    logger.error('Get notifications error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching notifications'
+    });
+  }
+};
+
+// Mark a notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await updateNotification(req.params.id, req.user.id, { read: true });
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: notification
+    });
+
+  } catch (error) {
+    logger.error('Mark notification read error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating notification'
+    });
+  }
+};
+
+// Hide a notification for some hours; it shows up again afterwards
+const snoozeNotification = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hours = req.body.hours || DEFAULT_SNOOZE_HOURS;
+    const snoozedUntil = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const notification = await updateNotification(req.params.id, req.user.id, { snoozedUntil });
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: notification
+    });
+
+  } catch (error) {
+    logger.error('Snooze notification error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating notification'
+    });
+  }
+};
+
+// Dismiss a notification for good; the reminder job does not bring it back
+const dismissNotification = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await updateNotification(req.params.id, req.user.id, { dismissed: true });
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: notification
+    });
+
+  } catch (error) {
+    logger.error('Dismiss notification error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating notification'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  snoozeNotification,
+  dismissNotification
+};
@@ -0,0 +1,226 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const {
+  findMileageConflict,
+  getCurrentMileage,
+  mileageConflictResponse
+} = require('../services/odometerService');
+const { auditActor, recordAudit } = require('../services/auditService');
+
+// Get the odometer timeline for a vehicle with pagination
+const getOdometerReadings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    // Get total count for pagination
+    const countResult = await query(
+      'SELECT COUNT(*) FROM odometer_readings WHERE vehicle_id = $1',
+      [vehicleId]
+    );
+    const totalItems = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    // Get readings with the distance driven since the previous reading
+    const result = await query(
+      `SELECT *, mileage - LAG(mileage) OVER (ORDER BY reading_date ASC, mileage ASC, id ASC) AS distance_since_previous
+       FROM odometer_readings
+       WHERE vehicle_id = $1
+       ORDER BY reading_date DESC, mileage DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [vehicleId, limit, offset]
+    );
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        limit
+      },
+      current_mileage: await getCurrentMileage(vehicleId),
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get odometer readings error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching odometer readings'
+    });
+  }
+};
+
+// Create a manual odometer reading
+const createOdometerReading = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const { reading_date, mileage, notes, allow_rollback } = req.body;
+    const userId = req.user.id;
+
+    // Every member can record odometer readings
+    const access = await checkVehiclePermission(vehicleId, userId, 'odometer:write');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'odometer:write'));
+    }
+
+    // Reject mileage that goes backwards unless explicitly allowed
+    const conflict = await findMileageConflict({ vehicleId, date: reading_date, mileage });
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    const reading = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO odometer_readings (vehicle_id, reading_date, mileage, source, is_flagged, notes)
+         VALUES ($1, $2, $3, 'manual', $4, $5) RETURNING *`,
+        [vehicleId, reading_date, mileage, !!conflict, notes || null]
+      );
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'odometer_reading',
+        entityId: result.rows[0].id,
+        vehicleId,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: reading
+    });
+
+  } catch (error) {
+    logger.error('Create odometer reading error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating odometer reading'
+    });
+  }
+};
+
+// Delete a manual odometer reading
+const deleteOdometerReading = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // First verify that the reading exists and the user is a member of its vehicle
+    const checkResult = await query(
+      `SELECT r.*, va.role FROM odometer_readings r
+       JOIN vehicle_access va ON r.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE r.id = $1`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Odometer reading not found or you do not have permission to delete it'
+      });
+    }
+
+    // Every member can delete manual readings
+    if (!can(checkResult.rows[0].role, 'odometer:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'odometer:write'));
+    }
+
+    // Readings taken from records follow their record
+    if (checkResult.rows[0].source !== 'manual') {
+      return res.status(400).json({
+        status: 'error',
+        message: `This reading belongs to a ${checkResult.rows[0].source.replace('_', ' ')}, update or delete that record instead`
+      });
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    await transaction(async (client) => {
+      await client.query(
+        'DELETE FROM odometer_readings WHERE id = $1',
+        [id]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'odometer_reading',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Odometer reading deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete odometer reading error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting odometer reading'
+    });
+  }
+};
+
+module.exports = {
+  getOdometerReadings,
+  createOdometerReading,
+  deleteOdometerReading
+};
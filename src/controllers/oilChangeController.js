@@ -1,14 +1,13 @@
 const { validationResult } = require('express-validator');
-const { query } = require('../config/db');
-
-// Helper function to verify vehicle ownership
-const verifyVehicleOwnership = async (vehicleId, userId) => {
-  const result = await query(
-    'SELECT id FROM vehicles WHERE id = $1 AND user_id = $2',
-    [vehicleId, userId]
-  );
-  return result.rows.length > 0;
-};
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { streamCsv } = require('../services/csvExportService');
+const { importCsv, CsvImportError } = require('../services/csvImportService');
+const { findMileageConflict, syncReading, removeReading, mileageConflictResponse } = require('../services/odometerService');
+const { getOilChangeDue } = require('../services/oilChangeDueService');
+const { auditActor, recordAudit } = require('../services/auditService');
+const { findRecords, listOptionsFromQuery } = require('../services/recordListService');
 
 // Create oil change record
 const createOilChange = async (req, res) => {
@@ -24,30 +23,61 @@ const createOilChange = async (req, res) => {
     }
 
     const { vehicleId } = req.params;
-    const { change_date, mileage, notes } = req.body;
+    const { change_date, mileage, notes, allow_rollback } = req.body;
     const userId = req.user.id;
 
-    // Verify vehicle ownership
-    const vehicleExists = await verifyVehicleOwnership(vehicleId, userId);
-    if (!vehicleExists) {
+    // Owners and mechanics can log oil changes
+    const access = await checkVehiclePermission(vehicleId, userId, 'oil:write');
+    if (!access.role) {
       return res.status(404).json({
         status: 'error',
         message: 'Vehicle not found or you do not have permission to access it'
       });
     }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'oil:write'));
+    }
 
-    const result = await query(
-      'INSERT INTO oil_changes (vehicle_id, change_date, mileage, notes) VALUES ($1, $2, $3, $4) RETURNING *',
-      [vehicleId, change_date, mileage, notes || null]
-    );
+    // Reject mileage that goes backwards unless explicitly allowed
+    const conflict = await findMileageConflict({ vehicleId, date: change_date, mileage });
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Save the oil change and its odometer reading together
+    const oilChange = await transaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO oil_changes (vehicle_id, change_date, mileage, notes) VALUES ($1, $2, $3, $4) RETURNING *',
+        [vehicleId, change_date, mileage, notes || null]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'oil_change',
+        sourceId: result.rows[0].id,
+        date: change_date,
+        mileage,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'oil_change',
+        entityId: result.rows[0].id,
+        vehicleId,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
 
     res.status(201).json({
       status: 'success',
-      data: result.rows[0]
+      data: oilChange
     });
 
   } catch (error) {
-    console.error('Create oil change error:', error);
+    logger.error('Create oil change error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while creating oil change record'
@@ -55,51 +85,45 @@ const createOilChange = async (req, res) => {
   }
 };
 
-// Get oil changes for a vehicle with pagination
+// Get oil changes for a vehicle with filters, sorting and pagination
 const getOilChanges = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { vehicleId } = req.params;
     const userId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
 
-    // Verify vehicle ownership
-    const vehicleExists = await verifyVehicleOwnership(vehicleId, userId);
-    if (!vehicleExists) {
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
       return res.status(404).json({
         status: 'error',
         message: 'Vehicle not found or you do not have permission to access it'
       });
     }
 
-    // Get total count for pagination
-    const countResult = await query(
-      'SELECT COUNT(*) FROM oil_changes WHERE vehicle_id = $1',
-      [vehicleId]
-    );
-    const totalItems = parseInt(countResult.rows[0].count);
-    const totalPages = Math.ceil(totalItems / limit);
-
-    // Get oil changes with pagination
-    const result = await query(
-      'SELECT * FROM oil_changes WHERE vehicle_id = $1 ORDER BY change_date DESC, created_at DESC LIMIT $2 OFFSET $3',
-      [vehicleId, limit, offset]
-    );
+    // Filtered and sorted, one page or the page after a cursor
+    const { records, pagination } = await findRecords('oil_changes', {
+      vehicleId,
+      ...listOptionsFromQuery(req.query)
+    });
 
     res.json({
       status: 'success',
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems,
-        limit
-      },
-      data: result.rows
+      pagination,
+      data: records
     });
 
   } catch (error) {
-    console.error('Get oil changes error:', error);
+    logger.error('Get oil changes error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while fetching oil change records'
@@ -121,14 +145,14 @@ const updateOilChange = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { change_date, mileage, notes } = req.body;
+    const { change_date, mileage, notes, allow_rollback } = req.body;
     const userId = req.user.id;
 
-    // First verify that the oil change exists and the user owns the vehicle
+    // First verify that the oil change exists and the user is a member of its vehicle
     const checkResult = await query(
-      `SELECT oc.id FROM oil_changes oc 
-       JOIN vehicles v ON oc.vehicle_id = v.id 
-       WHERE oc.id = $1 AND v.user_id = $2`,
+      `SELECT oc.*, va.role FROM oil_changes oc
+       JOIN vehicle_access va ON oc.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE oc.id = $1 AND oc.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -139,19 +163,61 @@ const updateOilChange = async (req, res) => {
       });
     }
 
-    // Update the oil change record
-    const result = await query(
-      'UPDATE oil_changes SET change_date = $1, mileage = $2, notes = $3 WHERE id = $4 RETURNING *',
-      [change_date, mileage, notes || null, id]
-    );
+    // Owners and mechanics can change oil changes
+    if (!can(checkResult.rows[0].role, 'oil:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'oil:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+    const vehicleId = before.vehicle_id;
+
+    // Reject mileage that goes backwards unless explicitly allowed
+    const conflict = await findMileageConflict({
+      vehicleId,
+      date: change_date,
+      mileage,
+      source: 'oil_change',
+      sourceId: id
+    });
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Update the oil change record and its odometer reading
+    const oilChange = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE oil_changes SET change_date = $1, mileage = $2, notes = $3 WHERE id = $4 RETURNING *',
+        [change_date, mileage, notes || null, id]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'oil_change',
+        sourceId: result.rows[0].id,
+        date: change_date,
+        mileage,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'oil_change',
+        entityId: before.id,
+        vehicleId,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
 
     res.json({
       status: 'success',
-      data: result.rows[0]
+      data: oilChange
     });
 
   } catch (error) {
-    console.error('Update oil change error:', error);
+    logger.error('Update oil change error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while updating oil change record'
@@ -162,14 +228,24 @@ const updateOilChange = async (req, res) => {
 // Delete oil change record
 const deleteOilChange = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
 
-    // First verify that the oil change exists and the user owns the vehicle
+    // First verify that the oil change exists and the user is a member of its vehicle
     const checkResult = await query(
-      `SELECT oc.id FROM oil_changes oc 
-       JOIN vehicles v ON oc.vehicle_id = v.id 
-       WHERE oc.id = $1 AND v.user_id = $2`,
+      `SELECT oc.*, va.role FROM oil_changes oc
+       JOIN vehicle_access va ON oc.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE oc.id = $1 AND oc.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -180,21 +256,38 @@ const deleteOilChange = async (req, res) => {
       });
     }
 
-    // Delete the oil change record
-    await query(
-      'DELETE FROM oil_changes WHERE id = $1',
-      [id]
-    );
+    // Owners and mechanics can change oil changes
+    if (!can(checkResult.rows[0].role, 'oil:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'oil:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    // Move the oil change to the trash; its odometer reading comes back when it is restored
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE oil_changes SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id]
+      );
+      await removeReading({ source: 'oil_change', sourceId: id }, client);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'oil_change',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
 
     res.json({
       status: 'success',
       data: {
-        message: 'Oil change record deleted successfully'
+        message: 'Oil change record moved to the trash'
       }
     });
 
   } catch (error) {
-    console.error('Delete oil change error:', error);
+    logger.error('Delete oil change error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while deleting oil change record'
@@ -202,9 +295,274 @@ const deleteOilChange = async (req, res) => {
   }
 };
 
+// Restore an oil change record from the trash
+const restoreOilChange = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Records of a vehicle in the trash come back with their vehicle
+    const checkResult = await query(
+      `SELECT oc.*, va.role FROM oil_changes oc
+       JOIN vehicle_access va ON oc.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE oc.id = $1 AND oc.deleted_at IS NOT NULL`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Oil change record not found in the trash or you do not have permission to restore it'
+      });
+    }
+
+    // Owners and mechanics can change oil changes
+    if (!can(checkResult.rows[0].role, 'oil:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'oil:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    // Newer readings may have been added in the meantime; the reading is then restored flagged
+    const conflict = await findMileageConflict({ vehicleId: before.vehicle_id, date: before.change_date, mileage: before.mileage });
+
+    const oilChange = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE oil_changes SET deleted_at = NULL WHERE id = $1 RETURNING *',
+        [id]
+      );
+
+      await syncReading({
+        vehicleId: before.vehicle_id,
+        source: 'oil_change',
+        sourceId: before.id,
+        date: before.change_date,
+        mileage: before.mileage,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'restore',
+        entityType: 'oil_change',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: oilChange
+    });
+
+  } catch (error) {
+    logger.error('Restore oil change error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while restoring oil change record'
+    });
+  }
+};
+
+// Get the predicted next oil change for a vehicle
+const getNextOilChangeDue = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+
+    // Verify vehicle membership and load the oil change interval
+    const vehicleResult = await query(
+      `SELECT v.id, v.oil_change_interval_km, v.oil_change_interval_months FROM vehicles v
+       JOIN vehicle_access va ON va.vehicle_id = v.id AND va.user_id = $2
+       WHERE v.id = $1`,
+      [vehicleId, userId]
+    );
+
+    if (vehicleResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    const prediction = await getOilChangeDue(vehicleResult.rows[0]);
+
+    res.json({
+      status: 'success',
+      data: {
+        vehicle_id: parseInt(vehicleId),
+        ...prediction
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get next oil change due error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while predicting next oil change'
+    });
+  }
+};
+
+// Columns of the CSV export, in the same shape as the records returned by getOilChanges
+const EXPORT_COLUMNS = ['id', 'vehicle_id', 'change_date', 'mileage', 'notes', 'created_at'];
+
+// Export oil change records as CSV, for one vehicle or (without vehicleId) for all vehicles of the user
+const exportOilChanges = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    const { from, to } = req.query;
+
+    if (vehicleId) {
+      // Any member of the vehicle can see it
+      const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Vehicle not found or you do not have permission to access it'
+        });
+      }
+    }
+
+    // The all-vehicles export also names the vehicle of every row
+    const columns = vehicleId ? EXPORT_COLUMNS : [...EXPORT_COLUMNS, 'vehicle_name'];
+
+    await streamCsv(res, {
+      filename: vehicleId ? `oil-changes-vehicle-${vehicleId}.csv` : 'oil-changes.csv',
+      columns,
+      sql: `SELECT oc.id, oc.vehicle_id, to_char(oc.change_date, 'YYYY-MM-DD') AS change_date, oc.mileage, oc.notes, oc.created_at,
+              v.name AS vehicle_name
+       FROM oil_changes oc
+       JOIN vehicles v ON oc.vehicle_id = v.id
+       WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+         AND oc.deleted_at IS NULL
+         AND ($2::integer IS NULL OR oc.vehicle_id = $2)
+         AND ($3::date IS NULL OR oc.change_date >= $3)
+         AND ($4::date IS NULL OR oc.change_date <= $4)
+       ORDER BY v.name ASC, oc.vehicle_id ASC, oc.change_date ASC, oc.id ASC`,
+      params: [userId, vehicleId || null, from || null, to || null]
+    });
+
+  } catch (error) {
+    logger.error('Export oil changes error', { error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error while exporting oil changes'
+      });
+    }
+  }
+};
+
+// Import oil change records for a vehicle from a CSV file (dry_run only validates)
+const importOilChanges = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    // Options can be sent as multipart fields or in the query string
+    const dryRun = req.body.dry_run ?? req.query.dry_run ?? false;
+    const mapping = req.body.mapping ?? req.query.mapping;
+
+    // Owners and mechanics can log oil changes
+    const access = await checkVehiclePermission(vehicleId, userId, 'oil:write');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'oil:write'));
+    }
+
+    const report = await importCsv({
+      type: 'oil_changes',
+      vehicleId,
+      csv: req.csv,
+      mapping: mapping ? JSON.parse(mapping) : {},
+      dryRun,
+      actor: auditActor(req)
+    });
+
+    if (!dryRun && !report.committed) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Import failed, no records were imported',
+        data: report
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof CsvImportError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Import oil changes error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while importing oil changes'
+    });
+  }
+};
+
 module.exports = {
   createOilChange,
   getOilChanges,
   updateOilChange,
-  deleteOilChange
+  deleteOilChange,
+  restoreOilChange,
+  getNextOilChangeDue,
+  exportOilChanges,
+  importOilChanges
 };
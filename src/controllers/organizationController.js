@@ -0,0 +1,802 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { getMaintenanceDue: buildMaintenanceDue } = require('../services/dashboardService');
+const {
+  checkOrganizationPermission,
+  organizationPermissionDeniedResponse
+} = require('../services/permissionService');
+const { auditActor, recordAudit } = require('../services/auditService');
+const { detachVehicleAttachments, removeStoredFiles } = require('../services/attachmentService');
+
+const notFoundResponse = {
+  status: 'error',
+  message: 'Organization not found or you do not have permission to access it'
+};
+
+const lastAdminResponse = {
+  status: 'error',
+  message: 'An organization needs at least one admin'
+};
+
+// Organization with the counts shown in lists, as seen by a member
+const ORGANIZATION_COLUMNS = `
+  o.id, o.name, o.created_at, om.role,
+  (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id)::int AS member_count,
+  (SELECT COUNT(*) FROM vehicles v WHERE v.organization_id = o.id AND v.deleted_at IS NULL)::int AS vehicle_count`;
+
+const findOrganization = async (organizationId, userId) => {
+  const result = await query(
+    `SELECT ${ORGANIZATION_COLUMNS}
+     FROM organizations o
+     JOIN organization_members om ON om.organization_id = o.id AND om.user_id = $2
+     WHERE o.id = $1`,
+    [organizationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Number of admins of an organization. The organization row is locked first, so two
+// admins demoting or removing each other at the same time cannot leave it without one.
+const lockAdminCount = async (client, organizationId) => {
+  await client.query('SELECT id FROM organizations WHERE id = $1 FOR UPDATE', [organizationId]);
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS admins FROM organization_members WHERE organization_id = $1 AND role = 'admin'`,
+    [organizationId]
+  );
+  return result.rows[0].admins;
+};
+
+// Create an organization, the creator becomes its first admin
+const createOrganization = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organizationId = await transaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO organizations (name) VALUES ($1) RETURNING *',
+        [req.body.name]
+      );
+      const member = await client.query(
+        'INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3) RETURNING *',
+        [result.rows[0].id, req.user.id, 'admin']
+      );
+      await recordAudit(auditActor(req), [
+        {
+          action: 'create',
+          entityType: 'organization',
+          entityId: result.rows[0].id,
+          organizationId: result.rows[0].id,
+          after: result.rows[0]
+        },
+        {
+          action: 'create',
+          entityType: 'organization_member',
+          entityId: member.rows[0].id,
+          organizationId: result.rows[0].id,
+          after: member.rows[0]
+        }
+      ], client);
+      return result.rows[0].id;
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: await findOrganization(organizationId, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Create organization error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating organization'
+    });
+  }
+};
+
+// List the organizations of the authenticated user
+const getOrganizations = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${ORGANIZATION_COLUMNS}
+       FROM organizations o
+       JOIN organization_members om ON om.organization_id = o.id AND om.user_id = $1
+       ORDER BY o.name ASC, o.id ASC`,
+      [req.user.id]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get organizations error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching organizations'
+    });
+  }
+};
+
+// Get a single organization
+const getOrganizationById = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await findOrganization(req.params.organizationId, req.user.id);
+    if (!organization) {
+      return res.status(404).json(notFoundResponse);
+    }
+
+    res.json({
+      status: 'success',
+      data: organization
+    });
+
+  } catch (error) {
+    logger.error('Get organization error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching organization'
+    });
+  }
+};
+
+// Rename an organization
+const updateOrganization = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId } = req.params;
+
+    // Only admins change the organization
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:update');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:update'));
+    }
+
+    await transaction(async (client) => {
+      const before = await client.query('SELECT * FROM organizations WHERE id = $1 FOR UPDATE', [organizationId]);
+      const result = await client.query(
+        'UPDATE organizations SET name = $1 WHERE id = $2 RETURNING *',
+        [req.body.name, organizationId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'organization',
+        entityId: result.rows[0].id,
+        organizationId: result.rows[0].id,
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: await findOrganization(organizationId, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Update organization error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating organization'
+    });
+  }
+};
+
+// Delete an organization with all of its vehicles
+const deleteOrganization = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only admins delete the organization
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:delete');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:delete'));
+    }
+
+    // Cascades to the members and to the vehicles with their records
+    const attachments = await transaction(async (client) => {
+      const vehicles = await client.query(
+        'SELECT id FROM vehicles WHERE organization_id = $1',
+        [req.params.organizationId]
+      );
+      const detached = await detachVehicleAttachments(vehicles.rows.map((vehicle) => vehicle.id), client);
+      const result = await client.query(
+        'DELETE FROM organizations WHERE id = $1 RETURNING *',
+        [req.params.organizationId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'organization',
+        entityId: result.rows[0].id,
+        organizationId: result.rows[0].id,
+        before: result.rows[0]
+      }, client);
+      return detached;
+    });
+
+    await removeStoredFiles(attachments);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Organization deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete organization error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting organization'
+    });
+  }
+};
+
+// List the members of an organization with the vehicles assigned to them
+const getOrganizationMembers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Every member can see the organization
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:read');
+    if (!access.allowed) {
+      return res.status(404).json(notFoundResponse);
+    }
+
+    const result = await query(
+      `SELECT om.user_id, u.email, om.role, om.created_at,
+              COALESCE(
+                (SELECT array_agg(vm.vehicle_id ORDER BY vm.vehicle_id)
+                 FROM vehicle_members vm
+                 JOIN vehicles v ON vm.vehicle_id = v.id
+                 WHERE v.organization_id = om.organization_id AND vm.user_id = om.user_id AND v.deleted_at IS NULL),
+                '{}'
+              ) AS assigned_vehicle_ids
+       FROM organization_members om
+       JOIN users u ON om.user_id = u.id
+       WHERE om.organization_id = $1
+       ORDER BY om.created_at ASC, om.id ASC`,
+      [req.params.organizationId]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get organization members error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching organization members'
+    });
+  }
+};
+
+// Add a registered user to an organization
+const addOrganizationMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId } = req.params;
+    const { email, role } = req.body;
+
+    // Only admins manage members
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:members');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:members'));
+    }
+
+    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No account with this email address, ask them to register first'
+      });
+    }
+
+    const member = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (organization_id, user_id) DO NOTHING
+         RETURNING *`,
+        [organizationId, userResult.rows[0].id, role]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'organization_member',
+        entityId: result.rows[0].id,
+        organizationId: result.rows[0].organization_id,
+        after: { ...result.rows[0], email }
+      }, client);
+      return result.rows[0];
+    });
+
+    if (!member) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This user is already a member of the organization'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: { user_id: member.user_id, role: member.role, created_at: member.created_at, email, assigned_vehicle_ids: [] }
+    });
+
+  } catch (error) {
+    logger.error('Add organization member error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while adding organization member'
+    });
+  }
+};
+
+// Change the role of an organization member
+const updateOrganizationMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId, userId: memberId } = req.params;
+    const { role } = req.body;
+
+    // Only admins manage members
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:members');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:members'));
+    }
+
+    const update = await transaction(async (client) => {
+      const admins = await lockAdminCount(client, organizationId);
+      const result = await client.query(
+        `SELECT om.*, u.email FROM organization_members om
+         JOIN users u ON om.user_id = u.id
+         WHERE om.organization_id = $1 AND om.user_id = $2`,
+        [organizationId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'not_found' };
+      }
+      if (result.rows[0].role === 'admin' && role !== 'admin' && admins === 1) {
+        return { status: 'last_admin' };
+      }
+
+      const updated = await client.query(
+        `UPDATE organization_members om SET role = $1
+         FROM users u
+         WHERE om.organization_id = $2 AND om.user_id = $3 AND u.id = om.user_id
+         RETURNING om.*, u.email`,
+        [role, organizationId, memberId]
+      );
+      const member = updated.rows[0];
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'organization_member',
+        entityId: member.id,
+        organizationId: member.organization_id,
+        before: result.rows[0],
+        after: member
+      }, client);
+
+      return {
+        status: 'ok',
+        member: { user_id: member.user_id, email: member.email, role: member.role, created_at: member.created_at }
+      };
+    });
+
+    if (update.status === 'not_found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (update.status === 'last_admin') {
+      return res.status(400).json(lastAdminResponse);
+    }
+
+    res.json({
+      status: 'success',
+      data: update.member
+    });
+
+  } catch (error) {
+    logger.error('Update organization member error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating organization member'
+    });
+  }
+};
+
+// Remove a member from an organization; members can also remove themselves (leave)
+const removeOrganizationMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId, userId: memberId } = req.params;
+    const leaving = memberId === req.user.id;
+
+    const access = await checkOrganizationPermission(organizationId, req.user.id, 'organization:members');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed && !leaving) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:members'));
+    }
+
+    const removal = await transaction(async (client) => {
+      const admins = await lockAdminCount(client, organizationId);
+      const result = await client.query(
+        `SELECT om.*, u.email FROM organization_members om
+         JOIN users u ON om.user_id = u.id
+         WHERE om.organization_id = $1 AND om.user_id = $2`,
+        [organizationId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'not_found' };
+      }
+      if (result.rows[0].role === 'admin' && admins === 1) {
+        return { status: 'last_admin' };
+      }
+
+      // Their vehicle assignments in the organization go with them
+      const assignments = await client.query(
+        `DELETE FROM vehicle_members
+         WHERE user_id = $2 AND vehicle_id IN (SELECT id FROM vehicles WHERE organization_id = $1)
+         RETURNING *`,
+        [organizationId, memberId]
+      );
+      await client.query(
+        'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+        [organizationId, memberId]
+      );
+      await recordAudit(auditActor(req), [
+        ...assignments.rows.map((assignment) => ({
+          action: 'delete',
+          entityType: 'vehicle_member',
+          entityId: assignment.id,
+          vehicleId: assignment.vehicle_id,
+          organizationId: result.rows[0].organization_id,
+          before: { ...assignment, email: result.rows[0].email }
+        })),
+        {
+          action: 'delete',
+          entityType: 'organization_member',
+          entityId: result.rows[0].id,
+          organizationId: result.rows[0].organization_id,
+          before: result.rows[0]
+        }
+      ], client);
+      return { status: 'ok' };
+    });
+
+    if (removal.status === 'not_found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (removal.status === 'last_admin') {
+      return res.status(400).json(lastAdminResponse);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: leaving ? 'You left the organization' : 'Member removed successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Remove organization member error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while removing organization member'
+    });
+  }
+};
+
+// Assign a member of the organization to one of its vehicles as a driver
+const assignDriver = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId, vehicleId } = req.params;
+    const { user_id: driverId } = req.body;
+
+    // Admins and managers manage the fleet
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:fleet');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:fleet'));
+    }
+
+    const vehicleResult = await query(
+      'SELECT id FROM vehicles WHERE id = $1 AND organization_id = $2 AND deleted_at IS NULL',
+      [vehicleId, organizationId]
+    );
+    if (vehicleResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found in this organization'
+      });
+    }
+
+    const memberResult = await query(
+      'SELECT 1 FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [organizationId, driverId]
+    );
+    if (memberResult.rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only members of the organization can be assigned to its vehicles'
+      });
+    }
+
+    // Drivers ride the vehicle: they log fuel and odometer readings
+    const assignment = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO vehicle_members (vehicle_id, user_id, role) VALUES ($1, $2, 'rider')
+         ON CONFLICT (vehicle_id, user_id) DO NOTHING
+         RETURNING *`,
+        [vehicleId, driverId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'vehicle_member',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].vehicle_id,
+        organizationId: parseInt(organizationId),
+        after: result.rows[0]
+      }, client);
+      return result.rows[0];
+    });
+
+    if (!assignment) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This member is already assigned to the vehicle'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        vehicle_id: assignment.vehicle_id,
+        user_id: assignment.user_id,
+        role: assignment.role,
+        created_at: assignment.created_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Assign driver error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while assigning driver'
+    });
+  }
+};
+
+// Remove a driver from a vehicle of the organization
+const unassignDriver = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { organizationId, vehicleId, userId: driverId } = req.params;
+
+    // Admins and managers manage the fleet
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:fleet');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:fleet'));
+    }
+
+    const result = await transaction(async (client) => {
+      const deleted = await client.query(
+        `DELETE FROM vehicle_members vm
+         USING vehicles v
+         WHERE vm.vehicle_id = v.id AND v.id = $1 AND v.organization_id = $2 AND vm.user_id = $3
+         RETURNING vm.*`,
+        [vehicleId, organizationId, driverId]
+      );
+      if (deleted.rows.length > 0) {
+        await recordAudit(auditActor(req), {
+          action: 'delete',
+          entityType: 'vehicle_member',
+          entityId: deleted.rows[0].id,
+          vehicleId: deleted.rows[0].vehicle_id,
+          organizationId: parseInt(organizationId),
+          before: deleted.rows[0]
+        }, client);
+      }
+      return deleted;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Driver assignment not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Driver unassigned successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Unassign driver error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while unassigning driver'
+    });
+  }
+};
+
+// Maintenance due across every vehicle of the organization, most urgent first
+const getMaintenanceDue = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Admins and managers manage the fleet
+    const access = await checkOrganizationPermission(req.params.organizationId, req.user.id, 'organization:fleet');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:fleet'));
+    }
+
+    const maintenanceDue = await buildMaintenanceDue(req.user.id, new Date(), {
+      organizationId: parseInt(req.params.organizationId)
+    });
+
+    res.json({
+      status: 'success',
+      data: maintenanceDue
+    });
+
+  } catch (error) {
+    logger.error('Get maintenance due error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching maintenance due'
+    });
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  deleteOrganization,
+  getOrganizationMembers,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  assignDriver,
+  unassignDriver,
+  getMaintenanceDue
+};
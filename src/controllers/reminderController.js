@@ -0,0 +1,257 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { auditActor, recordAudit } = require('../services/auditService');
+const { findReminders } = require('../services/reminderService');
+
+// Helper function to find a reminder with the role of the user on its vehicle
+const findReminderWithRole = async (id, userId) => {
+  const result = await query(
+    `SELECT r.*, va.role FROM reminders r
+     JOIN vehicle_access va ON r.vehicle_id = va.vehicle_id AND va.user_id = $2
+     WHERE r.id = $1`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to load a reminder with its due state
+const findReminder = async (reminder) => {
+  const reminders = await findReminders(reminder.vehicle_id, { includeCompleted: true });
+  return reminders.find((item) => item.id === reminder.id);
+};
+
+// Get the reminders of a vehicle with their due state
+const getReminders = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: await findReminders(vehicleId, { includeCompleted: req.query.include_completed === 'true' })
+    });
+
+  } catch (error) {
+    logger.error('Get reminders error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching reminders'
+    });
+  }
+};
+
+// Create a reminder for a vehicle
+const createReminder = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const { title, notes, due_date, due_mileage } = req.body;
+    const userId = req.user.id;
+
+    // Owners and mechanics can set reminders
+    const access = await checkVehiclePermission(vehicleId, userId, 'reminders:write');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'reminders:write'));
+    }
+
+    const reminder = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO reminders (vehicle_id, title, notes, due_date, due_mileage, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [vehicleId, title, notes || null, due_date || null, due_mileage ?? null, userId]
+      );
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'reminder',
+        entityId: result.rows[0].id,
+        vehicleId: parseInt(vehicleId),
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: await findReminder(reminder)
+    });
+
+  } catch (error) {
+    logger.error('Create reminder error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating reminder'
+    });
+  }
+};
+
+// Update a reminder, or mark it as completed
+const updateReminder = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, notes, due_date, due_mileage, completed } = req.body;
+
+    // First verify that the reminder exists and the user is a member of its vehicle
+    const existing = await findReminderWithRole(id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reminder not found or you do not have permission to modify it'
+      });
+    }
+
+    // Owners and mechanics can change reminders
+    if (!can(existing.role, 'reminders:write')) {
+      return res.status(403).json(permissionDeniedResponse(existing.role, 'reminders:write'));
+    }
+
+    const { role, ...before } = existing;
+
+    // A completed reminder keeps its completion time; notifications about the old
+    // due state are removed and the next reminder job notifies about the new one
+    const reminder = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE reminders
+         SET title = $1, notes = $2, due_date = $3, due_mileage = $4,
+             completed_at = CASE WHEN $5 THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END
+         WHERE id = $6 RETURNING *`,
+        [title, notes || null, due_date || null, due_mileage ?? null, completed === true, id]
+      );
+      await client.query('DELETE FROM notifications WHERE reminder_id = $1', [id]);
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'reminder',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: await findReminder(reminder)
+    });
+
+  } catch (error) {
+    logger.error('Update reminder error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating reminder'
+    });
+  }
+};
+
+// Delete a reminder (its notifications go with it)
+const deleteReminder = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // First verify that the reminder exists and the user is a member of its vehicle
+    const existing = await findReminderWithRole(id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reminder not found or you do not have permission to delete it'
+      });
+    }
+
+    // Owners and mechanics can change reminders
+    if (!can(existing.role, 'reminders:write')) {
+      return res.status(403).json(permissionDeniedResponse(existing.role, 'reminders:write'));
+    }
+
+    const { role, ...before } = existing;
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM reminders WHERE id = $1', [id]);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'reminder',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Reminder deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete reminder error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting reminder'
+    });
+  }
+};
+
+module.exports = {
+  getReminders,
+  createReminder,
+  updateReminder,
+  deleteReminder
+};
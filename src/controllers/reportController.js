@@ -0,0 +1,70 @@
+const { validationResult } = require('express-validator');
+const { checkVehiclePermission, checkOrganizationPermission } = require('../services/permissionService');
+const { getCostReport } = require('../services/reportService');
+const { logger } = require('../config/logger');
+
+// Get fuel and maintenance costs per month or year, for one vehicle, an organization or all vehicles
+const getCosts = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const vehicleId = req.query.vehicle_id ? parseInt(req.query.vehicle_id) : null;
+    const organizationId = req.query.organization_id ? parseInt(req.query.organization_id) : null;
+
+    if (vehicleId) {
+      // Any member of the vehicle can see it
+      const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Vehicle not found or you do not have permission to access it'
+        });
+      }
+    }
+
+    if (organizationId) {
+      // Members of the organization see the vehicles they have access to
+      const access = await checkOrganizationPermission(organizationId, userId, 'organization:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Organization not found or you do not have permission to access it'
+        });
+      }
+    }
+
+    const report = await getCostReport({
+      userId,
+      vehicleId,
+      organizationId,
+      groupBy: req.query.group_by || 'month',
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+
+    res.json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get cost report error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while building cost report'
+    });
+  }
+};
+
+module.exports = {
+  getCosts
+};
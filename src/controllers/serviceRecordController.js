@@ -0,0 +1,467 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { findMileageConflict, syncReading, removeReading, mileageConflictResponse } = require('../services/odometerService');
+const { auditActor, recordAudit } = require('../services/auditService');
+
+// Columns returned for a single service record, including its service type
+const SERVICE_RECORD_COLUMNS = `
+  sr.id, sr.vehicle_id, st.code AS service_type, st.name AS service_type_name,
+  sr.service_date, sr.mileage, sr.parts_cost, sr.labor_cost,
+  (sr.parts_cost + sr.labor_cost) AS total_cost,
+  sr.workshop_name, sr.notes, sr.created_at`;
+
+// Helper function to find a service type by its code
+const findServiceType = async (code) => {
+  const result = await query(
+    'SELECT id, code, name FROM service_types WHERE code = $1',
+    [code]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to load a service record with its service type
+const findServiceRecord = async (id) => {
+  const result = await query(
+    `SELECT ${SERVICE_RECORD_COLUMNS}
+     FROM service_records sr
+     JOIN service_types st ON sr.service_type_id = st.id
+     WHERE sr.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Get the service type catalog
+const getServiceTypes = async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, code, name FROM service_types ORDER BY name ASC'
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get service types error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching service types'
+    });
+  }
+};
+
+// Create service record
+const createServiceRecord = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const { service_type, service_date, mileage, parts_cost, labor_cost, workshop_name, notes, allow_rollback } = req.body;
+    const userId = req.user.id;
+
+    // Owners and mechanics can log services
+    const access = await checkVehiclePermission(vehicleId, userId, 'service:write');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'service:write'));
+    }
+
+    const serviceType = await findServiceType(service_type);
+    if (!serviceType) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown service type: ${service_type}`
+      });
+    }
+
+    // Reject mileage that goes backwards unless explicitly allowed
+    const conflict = mileage !== undefined && mileage !== null
+      ? await findMileageConflict({ vehicleId, date: service_date, mileage })
+      : null;
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Save the service record and its odometer reading together
+    const serviceRecordId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO service_records
+         (vehicle_id, service_type_id, service_date, mileage, parts_cost, labor_cost, workshop_name, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [
+          vehicleId,
+          serviceType.id,
+          service_date,
+          mileage ?? null,
+          parts_cost || 0,
+          labor_cost || 0,
+          workshop_name || null,
+          notes || null
+        ]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'service_record',
+        sourceId: result.rows[0].id,
+        date: service_date,
+        mileage,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'service_record',
+        entityId: result.rows[0].id,
+        vehicleId,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0].id;
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: await findServiceRecord(serviceRecordId)
+    });
+
+  } catch (error) {
+    logger.error('Create service record error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating service record'
+    });
+  }
+};
+
+// Get the combined service history (service records and oil changes) for a vehicle
+const getServiceRecords = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const serviceType = req.query.service_type || null;
+    const includeOilChanges = req.query.include_oil_changes !== 'false';
+
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    // Oil changes are shown as part of the timeline so the history stays complete
+    let historySQL = `
+      SELECT 'service' AS source, ${SERVICE_RECORD_COLUMNS}
+      FROM service_records sr
+      JOIN service_types st ON sr.service_type_id = st.id
+      WHERE sr.vehicle_id = $1`;
+
+    if (includeOilChanges) {
+      historySQL += `
+      UNION ALL
+      SELECT 'oil_change' AS source, oc.id, oc.vehicle_id, 'oil_change' AS service_type, 'Oil change' AS service_type_name,
+             oc.change_date AS service_date, oc.mileage, NULL AS parts_cost, NULL AS labor_cost,
+             NULL AS total_cost, NULL AS workshop_name, oc.notes, oc.created_at
+      FROM oil_changes oc
+      WHERE oc.vehicle_id = $1 AND oc.deleted_at IS NULL`;
+    }
+
+    const whereClause = 'WHERE ($2::text IS NULL OR history.service_type = $2)';
+
+    // Get total count for pagination
+    const countResult = await query(
+      `SELECT COUNT(*) FROM (${historySQL}) history ${whereClause}`,
+      [vehicleId, serviceType]
+    );
+    const totalItems = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    // Get service history with pagination
+    const result = await query(
+      `SELECT * FROM (${historySQL}) history ${whereClause}
+       ORDER BY service_date DESC, created_at DESC LIMIT $3 OFFSET $4`,
+      [vehicleId, serviceType, limit, offset]
+    );
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        limit
+      },
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get service records error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching service records'
+    });
+  }
+};
+
+// Get a single service record
+const getServiceRecordById = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const checkResult = await query(
+      `SELECT sr.id, va.role FROM service_records sr
+       JOIN vehicle_access va ON sr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE sr.id = $1`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service record not found or you do not have permission to access it'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: await findServiceRecord(id)
+    });
+
+  } catch (error) {
+    logger.error('Get service record error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching service record'
+    });
+  }
+};
+
+// Update service record
+const updateServiceRecord = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { service_type, service_date, mileage, parts_cost, labor_cost, workshop_name, notes, allow_rollback } = req.body;
+    const userId = req.user.id;
+
+    // First verify that the service record exists and the user is a member of its vehicle
+    const checkResult = await query(
+      `SELECT sr.*, va.role FROM service_records sr
+       JOIN vehicle_access va ON sr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE sr.id = $1`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service record not found or you do not have permission to modify it'
+      });
+    }
+
+    // Owners and mechanics can change service records
+    if (!can(checkResult.rows[0].role, 'service:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'service:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+    const vehicleId = before.vehicle_id;
+
+    const serviceType = await findServiceType(service_type);
+    if (!serviceType) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown service type: ${service_type}`
+      });
+    }
+
+    // Reject mileage that goes backwards unless explicitly allowed
+    const conflict = mileage !== undefined && mileage !== null
+      ? await findMileageConflict({ vehicleId, date: service_date, mileage, source: 'service_record', sourceId: id })
+      : null;
+    if (conflict && !allow_rollback) {
+      return res.status(400).json(mileageConflictResponse(conflict));
+    }
+
+    // Update the service record and its odometer reading
+    await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE service_records
+         SET service_type_id = $1, service_date = $2, mileage = $3, parts_cost = $4,
+             labor_cost = $5, workshop_name = $6, notes = $7
+         WHERE id = $8 RETURNING *`,
+        [
+          serviceType.id,
+          service_date,
+          mileage ?? null,
+          parts_cost || 0,
+          labor_cost || 0,
+          workshop_name || null,
+          notes || null,
+          id
+        ]
+      );
+
+      await syncReading({
+        vehicleId,
+        source: 'service_record',
+        sourceId: parseInt(id),
+        date: service_date,
+        mileage,
+        flagged: !!conflict
+      }, client);
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'service_record',
+        entityId: before.id,
+        vehicleId,
+        before,
+        after: result.rows[0]
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: await findServiceRecord(id)
+    });
+
+  } catch (error) {
+    logger.error('Update service record error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating service record'
+    });
+  }
+};
+
+// Delete service record
+const deleteServiceRecord = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // First verify that the service record exists and the user is a member of its vehicle
+    const checkResult = await query(
+      `SELECT sr.*, va.role FROM service_records sr
+       JOIN vehicle_access va ON sr.vehicle_id = va.vehicle_id AND va.user_id = $2
+       WHERE sr.id = $1`,
+      [id, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service record not found or you do not have permission to delete it'
+      });
+    }
+
+    // Owners and mechanics can change service records
+    if (!can(checkResult.rows[0].role, 'service:write')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'service:write'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    // Delete the service record and its odometer reading
+    await transaction(async (client) => {
+      await client.query(
+        'DELETE FROM service_records WHERE id = $1',
+        [id]
+      );
+      await removeReading({ source: 'service_record', sourceId: id }, client);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'service_record',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Service record deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete service record error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting service record'
+    });
+  }
+};
+
+module.exports = {
+  getServiceTypes,
+  createServiceRecord,
+  getServiceRecords,
+  getServiceRecordById,
+  updateServiceRecord,
+  deleteServiceRecord
+};
@@ -0,0 +1,50 @@
+const { validationResult } = require('express-validator');
+const { logger } = require('../config/logger');
+const { findTrash } = require('../services/trashService');
+
+// List what the authenticated user can restore from the trash, most recently deleted first
+const getTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { totalItems, items } = await findTrash(req.user.id, {
+      type: req.query.type || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        limit
+      },
+      data: items
+    });
+
+  } catch (error) {
+    logger.error('Get trash error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching trash'
+    });
+  }
+};
+
+module.exports = {
+  getTrash
+};
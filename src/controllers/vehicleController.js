@@ -1,5 +1,38 @@
 const { validationResult } = require('express-validator');
-const { query } = require('../config/db');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const {
+  can,
+  checkVehiclePermission,
+  permissionDeniedResponse,
+  checkOrganizationPermission,
+  organizationPermissionDeniedResponse
+} = require('../services/permissionService');
+const { auditActor, recordAudit, findAuditEntries } = require('../services/auditService');
+
+// Vehicle columns that can be set through the API (besides the owning user or organization)
+const VEHICLE_FIELDS = [
+  'name',
+  'license_plate',
+  'make',
+  'model',
+  'year',
+  'engine_cc',
+  'vin',
+  'engine_number',
+  'fuel_type',
+  'color',
+  'purchase_date',
+  'purchase_price',
+  'initial_odometer',
+  'oil_change_interval_km',
+  'oil_change_interval_months'
+];
+
+// Pick the vehicle fields present in the request body, empty strings become NULL
+const pickVehicleFields = (body) => VEHICLE_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field] === '' ? null : body[field]]);
 
 // Create a new vehicle
 const createVehicle = async (req, res) => {
@@ -14,21 +47,60 @@ const createVehicle = async (req, res) => {
       });
     }
 
-    const { name, license_plate } = req.body;
     const userId = req.user.id;
+    const organizationId = req.body.organization_id ?? null;
 
-    const result = await query(
-      'INSERT INTO vehicles (user_id, name, license_plate) VALUES ($1, $2, $3) RETURNING *',
-      [userId, name, license_plate || null]
-    );
+    // Admins and managers add vehicles to their organization
+    if (organizationId) {
+      const access = await checkOrganizationPermission(organizationId, userId, 'organization:fleet');
+      if (!access.role) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Organization not found or you do not have permission to access it'
+        });
+      }
+      if (!access.allowed) {
+        return res.status(403).json(organizationPermissionDeniedResponse(access.role, 'organization:fleet'));
+      }
+    }
+
+    // Columns that are not provided fall back to their database defaults
+    const fields = pickVehicleFields(req.body);
+    const columns = [organizationId ? 'organization_id' : 'user_id', ...fields.map(([field]) => field)];
+    const values = [organizationId || userId, ...fields.map(([, value]) => value)];
+    const placeholders = values.map((value, index) => `$${index + 1}`);
+
+    // The creator becomes the first owner of a personal vehicle; organization
+    // vehicles are owned by the admins and managers of the organization
+    const vehicle = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO vehicles (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        values
+      );
+      if (!organizationId) {
+        await client.query(
+          'INSERT INTO vehicle_members (vehicle_id, user_id, role) VALUES ($1, $2, $3)',
+          [result.rows[0].id, userId, 'owner']
+        );
+      }
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'vehicle',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].id,
+        organizationId,
+        after: result.rows[0]
+      }, client);
+      return { ...result.rows[0], role: 'owner' };
+    });
 
     res.status(201).json({
       status: 'success',
-      data: result.rows[0]
+      data: vehicle
     });
 
   } catch (error) {
-    console.error('Create vehicle error:', error);
+    logger.error('Create vehicle error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while creating vehicle'
@@ -39,24 +111,71 @@ const createVehicle = async (req, res) => {
 // Get all vehicles for authenticated user with search and pagination
 const getVehicles = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const search = req.query.search || '';
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE user_id = $1';
+    // Every vehicle the user has access to, whatever their role
+    let whereClause = 'WHERE id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)';
     let queryParams = [userId];
-    let countParams = [userId];
+
+    // Limit the list to the vehicles of an organization
+    if (req.query.organization_id) {
+      const access = await checkOrganizationPermission(req.query.organization_id, userId, 'organization:read');
+      if (!access.allowed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Organization not found or you do not have permission to access it'
+        });
+      }
+      queryParams.push(parseInt(req.query.organization_id));
+      whereClause += ` AND organization_id = $${queryParams.length}`;
+    }
 
     // Add search functionality
     if (search) {
-      whereClause += ' AND (LOWER(name) LIKE $2 OR LOWER(license_plate) LIKE $2)';
-      const searchPattern = `%${search.toLowerCase()}%`;
-      queryParams.push(searchPattern);
-      countParams.push(searchPattern);
+      queryParams.push(`%${search.toLowerCase()}%`);
+      const searchColumns = ['name', 'license_plate', 'make', 'model', 'vin', 'engine_number', 'color'];
+      const searchConditions = searchColumns.map((column) => `LOWER(${column}) LIKE $${queryParams.length}`);
+      whereClause += ` AND (${searchConditions.join(' OR ')})`;
+    }
+
+    // Add filters on the vehicle profile
+    if (req.query.make) {
+      queryParams.push(req.query.make.toLowerCase());
+      whereClause += ` AND LOWER(make) = $${queryParams.length}`;
+    }
+    if (req.query.model) {
+      queryParams.push(req.query.model.toLowerCase());
+      whereClause += ` AND LOWER(model) = $${queryParams.length}`;
+    }
+    if (req.query.fuel_type) {
+      queryParams.push(req.query.fuel_type);
+      whereClause += ` AND fuel_type = $${queryParams.length}`;
+    }
+    if (req.query.year_min) {
+      queryParams.push(parseInt(req.query.year_min));
+      whereClause += ` AND year >= $${queryParams.length}`;
+    }
+    if (req.query.year_max) {
+      queryParams.push(parseInt(req.query.year_max));
+      whereClause += ` AND year <= $${queryParams.length}`;
     }
 
+    const countParams = [...queryParams];
+
     // Get total count for pagination
     const countResult = await query(
       `SELECT COUNT(*) FROM vehicles ${whereClause}`,
@@ -68,7 +187,9 @@ const getVehicles = async (req, res) => {
     // Get vehicles with pagination
     queryParams.push(limit, offset);
     const result = await query(
-      `SELECT * FROM vehicles ${whereClause} ORDER BY created_at DESC LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
+      `SELECT vehicles.*,
+         (SELECT role FROM vehicle_access WHERE vehicle_id = vehicles.id AND user_id = $1) AS role
+       FROM vehicles ${whereClause} ORDER BY created_at DESC LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
       queryParams
     );
 
@@ -84,7 +205,7 @@ const getVehicles = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get vehicles error:', error);
+    logger.error('Get vehicles error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while fetching vehicles'
@@ -95,11 +216,30 @@ const getVehicles = async (req, res) => {
 // Get single vehicle by ID
 const getVehicleById = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const vehicleId = req.params.id;
     const userId = req.user.id;
 
+    // Current mileage is the latest odometer reading, or the initial odometer
     const result = await query(
-      'SELECT * FROM vehicles WHERE id = $1 AND user_id = $2',
+      `SELECT v.*, COALESCE(
+         (SELECT r.mileage FROM odometer_readings r
+          WHERE r.vehicle_id = v.id
+          ORDER BY r.reading_date DESC, r.mileage DESC LIMIT 1),
+         v.initial_odometer
+       ) AS current_mileage, va.role
+       FROM vehicles v
+       JOIN vehicle_access va ON va.vehicle_id = v.id AND va.user_id = $2
+       WHERE v.id = $1`,
       [vehicleId, userId]
     );
 
@@ -116,7 +256,7 @@ const getVehicleById = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get vehicle by ID error:', error);
+    logger.error('Get vehicle by ID error', { error });
     res.status(500).json({
       status: 'error',
       message: 'Server error while fetching vehicle'
@@ -124,43 +264,334 @@ const getVehicleById = async (req, res) => {
   }
 };
 
+// Update vehicle profile
+const updateVehicle = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicleId = req.params.id;
+    const userId = req.user.id;
+
+    const fields = pickVehicleFields(req.body);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No updatable vehicle fields provided'
+      });
+    }
+
+    // Only owners can change the vehicle
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:update');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to modify it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'vehicle:update'));
+    }
+
+    const assignments = fields.map(([field], index) => `${field} = $${index + 1}`);
+    const values = fields.map(([, value]) => value);
+
+    const vehicle = await transaction(async (client) => {
+      const before = await client.query('SELECT * FROM vehicles WHERE id = $1 FOR UPDATE', [vehicleId]);
+      const result = await client.query(
+        `UPDATE vehicles SET ${assignments.join(', ')}
+         WHERE id = $${values.length + 1}
+         RETURNING *`,
+        [...values, vehicleId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'vehicle',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].id,
+        organizationId: result.rows[0].organization_id,
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client);
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: { ...vehicle, role: access.role }
+    });
+
+  } catch (error) {
+    logger.error('Update vehicle error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating vehicle'
+    });
+  }
+};
+
 // Delete vehicle
 const deleteVehicle = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicleId = req.params.id;
+    const userId = req.user.id;
+
+    // Only owners can delete the vehicle
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:delete');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to delete it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'vehicle:delete'));
+    }
+
+    // Move the vehicle to the trash; its records, members and invitations are kept
+    // until it is restored or purged
+    await transaction(async (client) => {
+      const before = await client.query('SELECT * FROM vehicles WHERE id = $1 FOR UPDATE', [vehicleId]);
+      const result = await client.query(
+        'UPDATE vehicles SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+        [vehicleId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'vehicle',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].id,
+        organizationId: result.rows[0].organization_id,
+        before: before.rows[0]
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Vehicle moved to the trash'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete vehicle error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting vehicle'
+    });
+  }
+};
+
+// Restore a vehicle from the trash, together with its records
+const restoreVehicle = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const vehicleId = req.params.id;
     const userId = req.user.id;
 
-    // First check if vehicle exists and belongs to user
+    // vehicle_access leaves out vehicles in the trash, vehicle_roles does not
     const checkResult = await query(
-      'SELECT id FROM vehicles WHERE id = $1 AND user_id = $2',
+      `SELECT v.*, vr.role FROM vehicles v
+       JOIN vehicle_roles vr ON vr.vehicle_id = v.id AND vr.user_id = $2
+       WHERE v.id = $1 AND v.deleted_at IS NOT NULL`,
       [vehicleId, userId]
     );
 
     if (checkResult.rows.length === 0) {
       return res.status(404).json({
         status: 'error',
-        message: 'Vehicle not found or you do not have permission to delete it'
+        message: 'Vehicle not found in the trash or you do not have permission to restore it'
       });
     }
 
-    // Delete the vehicle (this will cascade delete related oil_changes and fuel_records)
-    await query(
-      'DELETE FROM vehicles WHERE id = $1 AND user_id = $2',
-      [vehicleId, userId]
-    );
+    // Only owners can restore the vehicle
+    if (!can(checkResult.rows[0].role, 'vehicle:delete')) {
+      return res.status(403).json(permissionDeniedResponse(checkResult.rows[0].role, 'vehicle:delete'));
+    }
+
+    const { role, ...before } = checkResult.rows[0];
+
+    const vehicle = await transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE vehicles SET deleted_at = NULL WHERE id = $1 RETURNING *',
+        [vehicleId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'restore',
+        entityType: 'vehicle',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].id,
+        organizationId: result.rows[0].organization_id,
+        before,
+        after: result.rows[0]
+      }, client);
+      return result.rows[0];
+    });
 
     res.json({
       status: 'success',
-      data: {
-        message: 'Vehicle deleted successfully'
-      }
+      data: { ...vehicle, role }
     });
 
   } catch (error) {
-    console.error('Delete vehicle error:', error);
+    logger.error('Restore vehicle error', { error });
     res.status(500).json({
       status: 'error',
-      message: 'Server error while deleting vehicle'
+      message: 'Server error while restoring vehicle'
+    });
+  }
+};
+
+// Update the oil change interval of a vehicle
+const updateOilChangeInterval = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicleId = req.params.id;
+    const userId = req.user.id;
+    const { oil_change_interval_km, oil_change_interval_months } = req.body;
+
+    if (oil_change_interval_km === undefined && oil_change_interval_months === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Provide oil_change_interval_km and/or oil_change_interval_months'
+      });
+    }
+
+    // Only owners can change the vehicle
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:update');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to modify it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'vehicle:update'));
+    }
+
+    const vehicle = await transaction(async (client) => {
+      const before = await client.query('SELECT * FROM vehicles WHERE id = $1 FOR UPDATE', [vehicleId]);
+      const result = await client.query(
+        `UPDATE vehicles
+         SET oil_change_interval_km = COALESCE($1, oil_change_interval_km),
+             oil_change_interval_months = COALESCE($2, oil_change_interval_months)
+         WHERE id = $3
+         RETURNING *`,
+        [oil_change_interval_km ?? null, oil_change_interval_months ?? null, vehicleId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'vehicle',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].id,
+        organizationId: result.rows[0].organization_id,
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client);
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: { ...vehicle, role: access.role }
+    });
+
+  } catch (error) {
+    logger.error('Update oil change interval error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating oil change interval'
+    });
+  }
+};
+
+// Get the audit trail of a vehicle and its records, newest first
+const getVehicleHistory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicleId = req.params.id;
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Any member of the vehicle can see its history
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    const { totalItems, entries } = await findAuditEntries({
+      vehicleId: parseInt(vehicleId),
+      entityType: req.query.entity_type || null,
+      action: req.query.action || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      status: 'success',
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        limit
+      },
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Get vehicle history error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching vehicle history'
     });
   }
 };
@@ -169,5 +600,9 @@ module.exports = {
   createVehicle,
   getVehicles,
   getVehicleById,
-  deleteVehicle
+  updateVehicle,
+  deleteVehicle,
+  restoreVehicle,
+  updateOilChangeInterval,
+  getVehicleHistory
 };
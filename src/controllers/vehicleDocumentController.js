@@ -0,0 +1,251 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { can, checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { auditActor, recordAudit } = require('../services/auditService');
+
+// Helper function to find a document with the role of the user on its vehicle
+const findDocumentWithRole = async (id, userId) => {
+  const result = await query(
+    `SELECT d.*, va.role FROM vehicle_documents d
+     JOIN vehicle_access va ON d.vehicle_id = va.vehicle_id AND va.user_id = $2
+     WHERE d.id = $1`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Get the documents of a vehicle, next to expire first
+const getDocuments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+
+    // Any member of the vehicle can see it
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+
+    const result = await query(
+      'SELECT * FROM vehicle_documents WHERE vehicle_id = $1 ORDER BY expires_on ASC, id ASC',
+      [vehicleId]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get documents error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching documents'
+    });
+  }
+};
+
+// Add a document to a vehicle
+const createDocument = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const { type, title, document_number, expires_on, notes } = req.body;
+    const userId = req.user.id;
+
+    // Only owners keep the papers of a vehicle
+    const access = await checkVehiclePermission(vehicleId, userId, 'vehicle:update');
+    if (!access.role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vehicle not found or you do not have permission to access it'
+      });
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'vehicle:update'));
+    }
+
+    const document = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO vehicle_documents (vehicle_id, type, title, document_number, expires_on, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [vehicleId, type, title || null, document_number || null, expires_on, notes || null, userId]
+      );
+
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'vehicle_document',
+        entityId: result.rows[0].id,
+        vehicleId: parseInt(vehicleId),
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: document
+    });
+
+  } catch (error) {
+    logger.error('Create document error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating document'
+    });
+  }
+};
+
+// Update a document (e.g. after renewing it)
+const updateDocument = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { type, title, document_number, expires_on, notes } = req.body;
+
+    // First verify that the document exists and the user is a member of its vehicle
+    const existing = await findDocumentWithRole(id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Document not found or you do not have permission to modify it'
+      });
+    }
+
+    // Only owners keep the papers of a vehicle
+    if (!can(existing.role, 'vehicle:update')) {
+      return res.status(403).json(permissionDeniedResponse(existing.role, 'vehicle:update'));
+    }
+
+    const { role, ...before } = existing;
+
+    const document = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE vehicle_documents
+         SET type = $1, title = $2, document_number = $3, expires_on = $4, notes = $5
+         WHERE id = $6 RETURNING *`,
+        [type, title || null, document_number || null, expires_on, notes || null, id]
+      );
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'vehicle_document',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.json({
+      status: 'success',
+      data: document
+    });
+
+  } catch (error) {
+    logger.error('Update document error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating document'
+    });
+  }
+};
+
+// Delete a document
+const deleteDocument = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // First verify that the document exists and the user is a member of its vehicle
+    const existing = await findDocumentWithRole(id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Document not found or you do not have permission to delete it'
+      });
+    }
+
+    // Only owners keep the papers of a vehicle
+    if (!can(existing.role, 'vehicle:update')) {
+      return res.status(403).json(permissionDeniedResponse(existing.role, 'vehicle:update'));
+    }
+
+    const { role, ...before } = existing;
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM vehicle_documents WHERE id = $1', [id]);
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'vehicle_document',
+        entityId: before.id,
+        vehicleId: before.vehicle_id,
+        before
+      }, client);
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Document deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete document error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting document'
+    });
+  }
+};
+
+module.exports = {
+  getDocuments,
+  createDocument,
+  updateDocument,
+  deleteDocument
+};
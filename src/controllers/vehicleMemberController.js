@@ -0,0 +1,564 @@
+const { validationResult } = require('express-validator');
+const { query, transaction } = require('../config/db');
+const { logger } = require('../config/logger');
+const { sendMail } = require('../services/mail');
+const { vehicleInvitationEmail } = require('../services/mail/templates');
+const { hashToken, generateSecureToken } = require('../services/tokenService');
+const { checkVehiclePermission, permissionDeniedResponse } = require('../services/permissionService');
+const { auditActor, recordAudit } = require('../services/auditService');
+
+const INVITATION_EXPIRES_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+const notFoundResponse = {
+  status: 'error',
+  message: 'Vehicle not found or you do not have permission to access it'
+};
+
+const lastOwnerResponse = {
+  status: 'error',
+  message: 'A vehicle needs at least one owner'
+};
+
+// Number of owners of a vehicle. The vehicle row is locked first, so two owners
+// demoting or removing each other at the same time cannot leave it without one.
+// Null for organization vehicles, which are owned through their organization.
+const lockOwnerCount = async (client, vehicleId) => {
+  const vehicle = await client.query('SELECT organization_id FROM vehicles WHERE id = $1 FOR UPDATE', [vehicleId]);
+  if (vehicle.rows[0].organization_id) {
+    return null;
+  }
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS owners FROM vehicle_members WHERE vehicle_id = $1 AND role = 'owner'`,
+    [vehicleId]
+  );
+  return result.rows[0].owners;
+};
+
+// List the members of a vehicle
+const getMembers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+
+    // Any member of the vehicle can see who else has access
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'vehicle:read');
+    if (!access.allowed) {
+      return res.status(404).json(notFoundResponse);
+    }
+
+    const result = await query(
+      `SELECT vm.user_id, u.email, vm.role, vm.created_at
+       FROM vehicle_members vm
+       JOIN users u ON vm.user_id = u.id
+       WHERE vm.vehicle_id = $1
+       ORDER BY vm.created_at ASC, vm.id ASC`,
+      [vehicleId]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get vehicle members error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching vehicle members'
+    });
+  }
+};
+
+// Change the role of a member
+const updateMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId, userId: memberId } = req.params;
+    const { role } = req.body;
+
+    // Only owners manage members
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'members:manage');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'members:manage'));
+    }
+
+    const update = await transaction(async (client) => {
+      const owners = await lockOwnerCount(client, vehicleId);
+      const result = await client.query(
+        `SELECT vm.*, u.email FROM vehicle_members vm
+         JOIN users u ON vm.user_id = u.id
+         WHERE vm.vehicle_id = $1 AND vm.user_id = $2`,
+        [vehicleId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'not_found' };
+      }
+      if (result.rows[0].role === 'owner' && role !== 'owner' && owners === 1) {
+        return { status: 'last_owner' };
+      }
+
+      const updated = await client.query(
+        `UPDATE vehicle_members vm SET role = $1
+         FROM users u
+         WHERE vm.vehicle_id = $2 AND vm.user_id = $3 AND u.id = vm.user_id
+         RETURNING vm.*, u.email`,
+        [role, vehicleId, memberId]
+      );
+      const member = updated.rows[0];
+
+      await recordAudit(auditActor(req), {
+        action: 'update',
+        entityType: 'vehicle_member',
+        entityId: member.id,
+        vehicleId: member.vehicle_id,
+        before: result.rows[0],
+        after: member
+      }, client);
+
+      return {
+        status: 'ok',
+        member: { user_id: member.user_id, email: member.email, role: member.role, created_at: member.created_at }
+      };
+    });
+
+    if (update.status === 'not_found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (update.status === 'last_owner') {
+      return res.status(400).json(lastOwnerResponse);
+    }
+
+    res.json({
+      status: 'success',
+      data: update.member
+    });
+
+  } catch (error) {
+    logger.error('Update vehicle member error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating vehicle member'
+    });
+  }
+};
+
+// Remove a member; members can also remove themselves (leave the vehicle)
+const removeMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId, userId: memberId } = req.params;
+    const leaving = memberId === req.user.id;
+
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'members:manage');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed && !leaving) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'members:manage'));
+    }
+
+    const removal = await transaction(async (client) => {
+      const owners = await lockOwnerCount(client, vehicleId);
+      const result = await client.query(
+        `SELECT vm.*, u.email FROM vehicle_members vm
+         JOIN users u ON vm.user_id = u.id
+         WHERE vm.vehicle_id = $1 AND vm.user_id = $2`,
+        [vehicleId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'not_found' };
+      }
+      if (result.rows[0].role === 'owner' && owners === 1) {
+        return { status: 'last_owner' };
+      }
+
+      await client.query(
+        'DELETE FROM vehicle_members WHERE vehicle_id = $1 AND user_id = $2',
+        [vehicleId, memberId]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'delete',
+        entityType: 'vehicle_member',
+        entityId: result.rows[0].id,
+        vehicleId: result.rows[0].vehicle_id,
+        before: result.rows[0]
+      }, client);
+      return { status: 'ok' };
+    });
+
+    if (removal.status === 'not_found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Member not found'
+      });
+    }
+    if (removal.status === 'last_owner') {
+      return res.status(400).json(lastOwnerResponse);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: leaving ? 'You left the vehicle' : 'Member removed successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Remove vehicle member error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while removing vehicle member'
+    });
+  }
+};
+
+// List the pending invitations of a vehicle
+const getInvitations = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+
+    // Only owners manage members
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'members:manage');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'members:manage'));
+    }
+
+    const result = await query(
+      `SELECT id, vehicle_id, email, role, expires_at, created_at
+       FROM vehicle_invitations
+       WHERE vehicle_id = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC`,
+      [vehicleId]
+    );
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get vehicle invitations error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching vehicle invitations'
+    });
+  }
+};
+
+// Invite someone to a vehicle by email
+const createInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId } = req.params;
+    const { email, role } = req.body;
+
+    // Only owners manage members
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'members:manage');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'members:manage'));
+    }
+
+    const memberResult = await query(
+      `SELECT 1 FROM vehicle_members vm
+       JOIN users u ON vm.user_id = u.id
+       WHERE vm.vehicle_id = $1 AND u.email = $2`,
+      [vehicleId, email]
+    );
+
+    if (memberResult.rows.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This user is already a member of the vehicle'
+      });
+    }
+
+    const acceptToken = generateSecureToken(32);
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+    // A new invitation replaces the pending one for the same address
+    const invitation = await transaction(async (client) => {
+      const replaced = await client.query(
+        'DELETE FROM vehicle_invitations WHERE vehicle_id = $1 AND email = $2 AND accepted_at IS NULL RETURNING *',
+        [vehicleId, email]
+      );
+      const result = await client.query(
+        `INSERT INTO vehicle_invitations (vehicle_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, vehicle_id, email, role, expires_at, created_at`,
+        [vehicleId, email, role, hashToken(acceptToken), req.user.id, expiresAt]
+      );
+      await recordAudit(auditActor(req), [
+        ...replaced.rows.map((row) => ({
+          action: 'delete',
+          entityType: 'vehicle_invitation',
+          entityId: row.id,
+          vehicleId: row.vehicle_id,
+          before: row
+        })),
+        {
+          action: 'create',
+          entityType: 'vehicle_invitation',
+          entityId: result.rows[0].id,
+          vehicleId: result.rows[0].vehicle_id,
+          after: result.rows[0]
+        }
+      ], client);
+      return result.rows[0];
+    });
+
+    const vehicleResult = await query('SELECT name FROM vehicles WHERE id = $1', [vehicleId]);
+    const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+    const acceptUrl = `${appUrl}/invitations/accept?token=${encodeURIComponent(acceptToken)}`;
+
+    await sendMail({
+      to: email,
+      ...vehicleInvitationEmail({
+        vehicleName: vehicleResult.rows[0].name,
+        inviterEmail: req.user.email,
+        role,
+        acceptUrl,
+        expiresDays: INVITATION_EXPIRES_DAYS
+      })
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: invitation
+    });
+
+  } catch (error) {
+    logger.error('Create vehicle invitation error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating vehicle invitation'
+    });
+  }
+};
+
+// Revoke a pending invitation
+const deleteInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleId, invitationId } = req.params;
+
+    // Only owners manage members
+    const access = await checkVehiclePermission(vehicleId, req.user.id, 'members:manage');
+    if (!access.role) {
+      return res.status(404).json(notFoundResponse);
+    }
+    if (!access.allowed) {
+      return res.status(403).json(permissionDeniedResponse(access.role, 'members:manage'));
+    }
+
+    const result = await transaction(async (client) => {
+      const deleted = await client.query(
+        'DELETE FROM vehicle_invitations WHERE id = $1 AND vehicle_id = $2 AND accepted_at IS NULL RETURNING *',
+        [invitationId, vehicleId]
+      );
+      if (deleted.rows.length > 0) {
+        await recordAudit(auditActor(req), {
+          action: 'delete',
+          entityType: 'vehicle_invitation',
+          entityId: deleted.rows[0].id,
+          vehicleId: deleted.rows[0].vehicle_id,
+          before: deleted.rows[0]
+        }, client);
+      }
+      return deleted;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        message: 'Invitation revoked successfully'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete vehicle invitation error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while revoking vehicle invitation'
+    });
+  }
+};
+
+// Accept an invitation with the token from the invitation email
+const acceptInvitation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const acceptance = await transaction(async (client) => {
+      // Lock the invitation so it can only be used once
+      const result = await client.query(
+        `SELECT vi.id, vi.vehicle_id, vi.email, vi.role, v.name AS vehicle_name
+         FROM vehicle_invitations vi
+         JOIN vehicles v ON vi.vehicle_id = v.id AND v.deleted_at IS NULL
+         WHERE vi.token_hash = $1 AND vi.accepted_at IS NULL AND vi.expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE OF vi`,
+        [hashToken(req.body.token)]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 'invalid' };
+      }
+
+      const invitation = result.rows[0];
+
+      // The invitation is only valid for the account of the invited address
+      const userResult = await client.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+      if (invitation.email !== userResult.rows[0].email) {
+        return { status: 'wrong_account' };
+      }
+
+      const member = await client.query(
+        `INSERT INTO vehicle_members (vehicle_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (vehicle_id, user_id) DO NOTHING
+         RETURNING *`,
+        [invitation.vehicle_id, req.user.id, invitation.role]
+      );
+      if (member.rows.length === 0) {
+        return { status: 'already_member' };
+      }
+
+      await client.query(
+        'UPDATE vehicle_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [invitation.id]
+      );
+      await recordAudit(auditActor(req), {
+        action: 'create',
+        entityType: 'vehicle_member',
+        entityId: member.rows[0].id,
+        vehicleId: invitation.vehicle_id,
+        after: { ...member.rows[0], email: invitation.email }
+      }, client);
+
+      return { status: 'ok', ...invitation };
+    });
+
+    if (acceptance.status === 'wrong_account') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This invitation was sent to another email address'
+      });
+    }
+    if (acceptance.status !== 'ok') {
+      return res.status(400).json({
+        status: 'error',
+        message: acceptance.status === 'already_member'
+          ? 'You are already a member of this vehicle'
+          : 'Invalid or expired invitation'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        vehicle_id: acceptance.vehicle_id,
+        vehicle_name: acceptance.vehicle_name,
+        role: acceptance.role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept vehicle invitation error', { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while accepting vehicle invitation'
+    });
+  }
+};
+
+module.exports = {
+  getMembers,
+  updateMember,
+  removeMember,
+  getInvitations,
+  createInvitation,
+  deleteInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,377 @@
+const authMiddleware = require('../middleware/authMiddleware');
+const cronMiddleware = require('../middleware/cronMiddleware');
+const csvUploadMiddleware = require('../middleware/csvUploadMiddleware');
+const attachmentUploadMiddleware = require('../middleware/attachmentUploadMiddleware');
+const { ROUTES, TAGS } = require('./routeDocs');
+const schemas = require('./schemas');
+const { version } = require('../../package.json');
+
+// OpenAPI 3 document generated from the mounted routers.
+// Parameters and request bodies come from the express-validator chains of each route,
+// summaries and response schemas from routeDocs (one entry per "METHOD /path").
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Express path (/api/vehicles/:id) to OpenAPI path (/api/vehicles/{id})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const routeKey = ({ method, path }) => `${method} ${path}`;
+
+// List every route of the mounted routers
+const listRoutes = (mounts) => {
+  const routes = [];
+
+  mounts.forEach(({ path: mountPath, router }) => {
+    // router.use(authMiddleware) protects the routes declared after it, like cronMiddleware
+    let secured = false;
+    let cron = false;
+
+    router.stack.forEach((layer) => {
+      if (!layer.route) {
+        if (layer.handle === authMiddleware) {
+          secured = true;
+        }
+        if (layer.handle === cronMiddleware) {
+          cron = true;
+        }
+        return;
+      }
+
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      const path = toOpenApiPath(layer.route.path === '/' ? mountPath : `${mountPath}${layer.route.path}`);
+
+      Object.keys(layer.route.methods).forEach((method) => {
+        routes.push({
+          method: method.toUpperCase(),
+          path,
+          secured: secured || handlers.includes(authMiddleware),
+          cron: cron || handlers.includes(cronMiddleware),
+          csvUpload: handlers.includes(csvUploadMiddleware),
+          fileUpload: handlers.includes(attachmentUploadMiddleware),
+          rateLimit: (handlers.find((handler) => handler.rateLimit) || {}).rateLimit,
+          // Validation chains expose their fields and rules through their builder
+          validations: handlers
+            .filter((handler) => handler.builder)
+            .map((handler) => handler.builder.build())
+        });
+      });
+    });
+  });
+
+  return routes;
+};
+
+// JSON schema of a single field, from the validators and messages of its chain
+const fieldSchema = (context) => {
+  const schema = {};
+  const messages = [];
+
+  context.stack.forEach((item) => {
+    if (item.message && typeof item.message === 'string' && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+    if (!item.validator || item.negated) {
+      return;
+    }
+
+    const [options = {}] = item.options || [];
+    switch (item.validator.name) {
+      case 'isInt':
+      case 'isFloat':
+        schema.type = item.validator.name === 'isInt' ? 'integer' : 'number';
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+      case 'isBoolean':
+        schema.type = 'boolean';
+        break;
+      case 'isISO8601':
+        schema.type = 'string';
+        schema.format = 'date';
+        break;
+      case 'isEmail':
+        schema.type = 'string';
+        schema.format = 'email';
+        break;
+      case 'isIn':
+        schema.type = 'string';
+        schema.enum = options;
+        break;
+      case 'isLength':
+        schema.type = 'string';
+        if (options.min) schema.minLength = options.min;
+        if (options.max !== undefined) schema.maxLength = options.max;
+        break;
+      case 'notEmpty':
+        schema.type = schema.type || 'string';
+        schema.minLength = Math.max(schema.minLength || 0, 1);
+        break;
+      case 'matches':
+        schema.pattern = options;
+        break;
+      case 'isJSON':
+        schema.type = 'string';
+        schema.format = 'json';
+        break;
+      default:
+        schema.type = schema.type || 'string';
+    }
+  });
+
+  schema.type = schema.type || 'string';
+  if (context.optional === 'null' || context.optional === 'falsy') {
+    schema.nullable = true;
+  }
+  if (messages.length > 0) {
+    schema.description = messages.join(' ');
+  }
+  return schema;
+};
+
+// Group the validated fields of a route by where they are read from
+const collectFields = (validations) => {
+  const fields = { path: {}, query: {}, body: {} };
+
+  validations.forEach((context) => {
+    // check() reads every location; options like dry_run are documented as query parameters
+    const location = context.locations.length > 1 ? 'query' : context.locations[0];
+    const target = fields[location === 'params' ? 'path' : location];
+    if (!target) {
+      return;
+    }
+
+    context.fields.forEach((name) => {
+      const existing = target[name];
+      target[name] = {
+        schema: { ...(existing ? existing.schema : {}), ...fieldSchema(context) },
+        required: (existing && existing.required) || context.optional === false
+      };
+    });
+  });
+
+  return fields;
+};
+
+const buildParameters = (route, fields) => {
+  const parameters = [];
+
+  // Path parameters are always required, even without a validation chain
+  (route.path.match(/\{(\w+)\}/g) || []).forEach((match) => {
+    const name = match.slice(1, -1);
+    const { description, ...schema } = fields.path[name] ? fields.path[name].schema : { type: 'string' };
+    parameters.push({ name, in: 'path', required: true, description, schema });
+  });
+
+  Object.entries(fields.query).forEach(([name, field]) => {
+    const { description, ...schema } = field.schema;
+    parameters.push({ name, in: 'query', required: field.required, description, schema });
+  });
+
+  return parameters;
+};
+
+const objectSchema = (properties) => {
+  const required = Object.keys(properties).filter((name) => properties[name].required);
+  return {
+    type: 'object',
+    ...(required.length > 0 ? { required } : {}),
+    properties: Object.fromEntries(Object.entries(properties).map(([name, field]) => [name, field.schema]))
+  };
+};
+
+const buildRequestBody = (route, fields) => {
+  if (route.csvUpload) {
+    return {
+      required: true,
+      description: 'CSV file as a multipart upload (field "file") or as a raw text/csv body',
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: {
+              file: { type: 'string', format: 'binary' },
+              ...objectSchema(fields.query).properties
+            }
+          }
+        },
+        'text/csv': { schema: { type: 'string' } }
+      }
+    };
+  }
+
+  if (route.fileUpload) {
+    return {
+      required: true,
+      description: 'The file as a multipart upload (field "file")',
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: { file: { type: 'string', format: 'binary' } }
+          }
+        }
+      }
+    };
+  }
+
+  if (Object.keys(fields.body).length === 0) {
+    return undefined;
+  }
+
+  const schema = objectSchema(fields.body);
+  return {
+    required: true,
+    content: { 'application/json': { schema } }
+  };
+};
+
+// Success envelope: { status: 'success', data } (plus pagination for lists)
+const successSchema = (response) => {
+  const properties = { status: { type: 'string', enum: ['success'] } };
+  const required = ['status', 'data'];
+
+  if (response.list) {
+    properties.pagination = ref('Pagination');
+    properties.data = { type: 'array', items: ref(response.list) };
+    required.push('pagination');
+  } else {
+    properties.data = Array.isArray(response.data)
+      ? { type: 'array', items: ref(response.data[0]) }
+      : ref(response.data);
+  }
+
+  return { type: 'object', required, properties: { ...properties, ...response.properties } };
+};
+
+const DEFAULT_ERRORS = {
+  400: 'Validation failed',
+  401: 'Missing, invalid or expired access token',
+  403: 'The role of the authenticated user on the vehicle does not allow this',
+  404: 'Not found, or not accessible by the authenticated user',
+  429: 'Too many requests',
+  500: 'Server error'
+};
+
+const errorResponse = (description, schemaNames = ['Error']) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: schemaNames.length === 1 ? ref(schemaNames[0]) : { oneOf: schemaNames.map(ref) }
+    }
+  }
+});
+
+const buildResponses = (route, doc, hasValidation) => {
+  const response = doc.response || { data: 'Message' };
+  const responses = {};
+
+  if (response.content) {
+    responses[response.status || 200] = {
+      description: response.description || 'Success',
+      content: { [response.content]: { schema: response.schema || { type: 'string' } } }
+    };
+  } else {
+    responses[response.status || 200] = {
+      description: response.description || 'Success',
+      content: { 'application/json': { schema: successSchema(response) } }
+    };
+  }
+
+  if (hasValidation) {
+    responses[400] = errorResponse(DEFAULT_ERRORS[400], ['ValidationError']);
+  }
+  if (route.secured) {
+    responses[401] = errorResponse(DEFAULT_ERRORS[401]);
+  }
+  if (route.path.includes('{')) {
+    if (route.secured && route.method !== 'GET') {
+      responses[403] = errorResponse(DEFAULT_ERRORS[403]);
+    }
+    responses[404] = errorResponse(DEFAULT_ERRORS[404]);
+  }
+
+  // Route specific errors: { 409: 'description' } or { 400: { description, schemas } }
+  Object.entries(doc.errors || {}).forEach(([status, error]) => {
+    responses[status] = typeof error === 'string'
+      ? errorResponse(error, status === '400' && hasValidation ? ['ValidationError', 'Error'] : ['Error'])
+      : errorResponse(error.description, error.schemas);
+  });
+
+  // Rate limited routes: RateLimit-* headers and a 429 telling when to retry
+  if (route.rateLimit) {
+    const { max, windowMs, key } = route.rateLimit;
+    responses[429] = {
+      ...(responses[429] || errorResponse(`${DEFAULT_ERRORS[429]} (limit: ${max} per ${windowMs / 60000} minutes per ${key === 'user' ? 'user' : 'IP'})`)),
+      headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } }
+    };
+  }
+
+  responses[500] = errorResponse(DEFAULT_ERRORS[500]);
+  return responses;
+};
+
+const buildOperation = (route) => {
+  const doc = ROUTES[routeKey(route)] || { summary: 'Undocumented route', tags: ['Undocumented'] };
+  const fields = collectFields(route.validations);
+  const hasValidation = route.validations.length > 0 || route.csvUpload || route.fileUpload;
+
+  const operation = {
+    tags: doc.tags,
+    summary: doc.summary,
+    ...(doc.description ? { description: doc.description } : {}),
+    security: route.secured ? [{ bearerAuth: [] }] : (route.cron ? [{ cronSecret: [] }] : []),
+    parameters: buildParameters(route, fields)
+  };
+
+  const requestBody = buildRequestBody(route, fields);
+  if (requestBody) {
+    operation.requestBody = requestBody;
+  }
+  operation.responses = buildResponses(route, doc, hasValidation);
+  return operation;
+};
+
+// Build the OpenAPI document for the given mounts ([{ path, router }])
+const buildOpenApiSpec = (mounts) => {
+  const paths = {};
+  listRoutes(mounts).forEach((route) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Vehicle Maintenance Tracking API',
+      version,
+      description: 'Track vehicles, oil changes, fuel records, service records and odometer readings. ' +
+        'Every response uses the envelope { status, data } or { status, message } for errors.'
+    },
+    tags: TAGS,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        cronSecret: { type: 'http', scheme: 'bearer', description: 'The CRON_SECRET of the server (sent by Vercel Cron)' }
+      },
+      schemas
+    }
+  };
+};
+
+// Compare the routes with routeDocs: routes without an entry, and entries without a route
+const checkRouteDocs = (mounts) => {
+  const keys = listRoutes(mounts).map(routeKey);
+  return {
+    undocumented: keys.filter((key) => !ROUTES[key]),
+    unknown: Object.keys(ROUTES).filter((key) => !keys.includes(key))
+  };
+};
+
+module.exports = {
+  listRoutes,
+  buildOpenApiSpec,
+  checkRouteDocs
+};
@@ -0,0 +1,718 @@
+// Documentation of every API route, keyed by "METHOD /openapi/path".
+// Parameters and request bodies are derived from the validation chains; an entry adds
+// what the code cannot tell: summary, tags, the success response and route specific errors.
+//
+// response: { status = 200, data: 'Schema' | ['Schema'], list: 'Schema', properties }
+//           or { content: 'text/csv', schema } for non-JSON responses
+// errors:   { status: 'description' } or { status: { description, schemas: ['Schema', ...] } }
+//
+// A route without an entry (or an entry without a route) fails tests/integration/openapi.test.js.
+
+const TAGS = [
+  { name: 'Docs', description: 'API documentation' },
+  { name: 'Auth', description: 'Registration, sessions and password resets' },
+  { name: 'Account', description: 'Profile and account self-service' },
+  { name: 'Vehicles', description: 'Vehicles and their profile' },
+  { name: 'Sharing', description: 'Vehicle members, roles and invitations' },
+  { name: 'Organizations', description: 'Fleets with admins, managers and drivers' },
+  { name: 'Oil changes', description: 'Oil change records and predictions' },
+  { name: 'Fuel records', description: 'Fill-ups and fuel economy' },
+  { name: 'Service records', description: 'Service history and the service type catalog' },
+  { name: 'Odometer', description: 'Mileage timeline' },
+  { name: 'Attachments', description: 'Receipts, invoices and photos of oil changes and fill-ups' },
+  { name: 'Dashboard', description: 'Per-vehicle summary' },
+  { name: 'Reports', description: 'Cost reports' },
+  { name: 'Reminders', description: 'Custom reminders of a vehicle' },
+  { name: 'Notifications', description: 'Due maintenance notifications of the authenticated user' },
+  { name: 'Documents', description: 'Insurance, registration and other documents of a vehicle that expire' },
+  { name: 'Calendar', description: 'iCalendar feed of upcoming maintenance and document expiries' },
+  { name: 'Jobs', description: 'Scheduled jobs (cron)' },
+  { name: 'Trash', description: 'Deleted vehicles and records that can still be restored' },
+  { name: 'Admin', description: 'Site administration' }
+];
+
+// 400 responses of records that feed the odometer timeline
+const mileageErrors = {
+  400: {
+    description: 'Validation failed, or the mileage goes backwards (set allow_rollback to save it as a flagged reading)',
+    schemas: ['ValidationError', 'MileageConflictError']
+  }
+};
+
+const csvExport = (description) => ({
+  response: {
+    content: 'text/csv',
+    description: `${description} (streamed, with a Content-Disposition attachment header)`
+  }
+});
+
+const csvImport = {
+  description: 'Rows are validated like the create endpoint and imported in one transaction: ' +
+    'when any row fails nothing is imported. With dry_run the file is only checked. ' +
+    'mapping maps target fields to CSV headers, e.g. {"fill_date": "Date"}.',
+  response: { status: 201, data: 'ImportReport', description: 'Imported (200 with the same report for a dry run)' },
+  errors: {
+    400: {
+      description: 'Invalid file or options, or rows with errors (nothing imported, the report lists them)',
+      schemas: ['ValidationError', 'Error', 'ImportFailedError']
+    },
+    413: 'CSV file larger than 5 MB'
+  }
+};
+
+const attachmentUpload = {
+  tags: ['Attachments'],
+  description: 'JPEG, PNG, WebP or PDF, recognized from the content of the file; images get a thumbnail. ' +
+    'Needs the role that may change the record, which can have up to 20 attachments.',
+  response: { status: 201, data: 'Attachment' },
+  errors: {
+    400: {
+      description: 'Validation failed, no file, an unsupported or unreadable file, or too many attachments',
+      schemas: ['ValidationError', 'Error']
+    },
+    413: 'File larger than ATTACHMENT_MAX_SIZE_MB (10 MB by default)'
+  }
+};
+
+const ROUTES = {
+  // Docs
+  'GET /api/openapi.json': {
+    tags: ['Docs'],
+    summary: 'Get the OpenAPI document',
+    response: { content: 'application/json', schema: { type: 'object' }, description: 'OpenAPI 3 document' }
+  },
+  'GET /api/docs': {
+    tags: ['Docs'],
+    summary: 'Interactive API documentation',
+    response: { content: 'text/html', description: 'Swagger UI page' }
+  },
+
+  // Auth
+  'POST /api/auth/register': {
+    tags: ['Auth'],
+    summary: 'Register a new user',
+    response: { status: 201, data: 'AuthSession' },
+    errors: { 400: 'Validation failed, or a user with this email already exists' }
+  },
+  'POST /api/auth/login': {
+    tags: ['Auth'],
+    summary: 'Log in',
+    description: 'Repeated failed logins lock the account and the client IP for a while; ' +
+      'every further failure doubles the lock. Locked logins get a 429 with a Retry-After header.',
+    response: { data: 'AuthSession' },
+    errors: {
+      401: 'Invalid email or password',
+      429: 'Too many requests, or too many failed logins for this account or IP'
+    }
+  },
+  'POST /api/auth/refresh': {
+    tags: ['Auth'],
+    summary: 'Exchange a refresh token for a new token pair',
+    description: 'Refresh tokens rotate: the old token stops working. Reusing a rotated token revokes the whole session.',
+    response: { data: 'AuthSession' },
+    errors: { 401: 'Invalid, expired or revoked refresh token' }
+  },
+  'POST /api/auth/logout': {
+    tags: ['Auth'],
+    summary: 'Revoke the session of a refresh token'
+  },
+  'POST /api/auth/logout-all': {
+    tags: ['Auth'],
+    summary: 'Revoke every session of the authenticated user'
+  },
+  'POST /api/auth/forgot-password': {
+    tags: ['Auth'],
+    summary: 'Send a password reset link',
+    description: 'Always succeeds, so it cannot be used to find out which emails are registered.'
+  },
+  'POST /api/auth/reset-password': {
+    tags: ['Auth'],
+    summary: 'Set a new password with a reset token',
+    description: 'Revokes every session of the user.',
+    errors: { 400: 'Validation failed, or the reset token is invalid or expired' }
+  },
+  'POST /api/auth/confirm-email': {
+    tags: ['Auth'],
+    summary: 'Confirm an email change with the emailed token',
+    response: { data: 'EmailChanged' },
+    errors: { 400: 'Validation failed, the token is invalid or expired, or the email is taken' }
+  },
+
+  // Account
+  'GET /api/auth/me': {
+    tags: ['Account'],
+    summary: 'Get the profile of the authenticated user',
+    response: { data: 'Profile' },
+    errors: { 404: 'User not found' }
+  },
+  'PATCH /api/auth/me/password': {
+    tags: ['Account'],
+    summary: 'Change the password',
+    description: 'Every other session is logged out.',
+    errors: { 401: 'Missing or invalid access token, or wrong current password' }
+  },
+  'PATCH /api/auth/me/email': {
+    tags: ['Account'],
+    summary: 'Request an email change',
+    description: 'A confirmation link is sent to the new address; the email changes once it is confirmed.',
+    response: { status: 202, data: 'EmailChangeRequested' },
+    errors: {
+      400: 'Validation failed, or the email is already in use',
+      401: 'Missing or invalid access token, or wrong current password'
+    }
+  },
+  'GET /api/auth/me/export': {
+    tags: ['Account'],
+    summary: 'Export all data of the authenticated user',
+    response: { data: 'AccountExport', description: 'Account data (sent as an attachment)' }
+  },
+  'GET /api/auth/me/calendar': {
+    tags: ['Account'],
+    summary: 'Get the calendar feed settings',
+    description: 'Tells whether a calendar URL exists and when it was last fetched. The URL itself is only ' +
+      'shown when it is created.',
+    response: { data: 'CalendarSettings' }
+  },
+  'POST /api/auth/me/calendar': {
+    tags: ['Account'],
+    summary: 'Create a new calendar feed URL',
+    description: 'The URL contains a secret token. Creating a new one revokes the previous URL.',
+    response: { status: 201, data: 'CalendarToken' }
+  },
+  'DELETE /api/auth/me/calendar': {
+    tags: ['Account'],
+    summary: 'Revoke the calendar feed URL',
+    errors: { 404: 'No calendar URL to revoke' }
+  },
+  'DELETE /api/auth/me': {
+    tags: ['Account'],
+    summary: 'Delete the account and everything stored for it',
+    description: 'The response contains a final export of the deleted data.',
+    response: { data: 'AccountDeleted' },
+    errors: { 401: 'Missing or invalid access token, or wrong password' }
+  },
+
+  // Sharing
+  'GET /api/vehicles/{vehicleId}/members': {
+    tags: ['Sharing'],
+    summary: 'List the members of a vehicle',
+    response: { data: ['VehicleMember'] }
+  },
+  'PATCH /api/vehicles/{vehicleId}/members/{userId}': {
+    tags: ['Sharing'],
+    summary: 'Change the role of a member',
+    response: { data: 'VehicleMember' },
+    errors: { 400: 'Validation failed, or the vehicle would be left without an owner' }
+  },
+  'DELETE /api/vehicles/{vehicleId}/members/{userId}': {
+    tags: ['Sharing'],
+    summary: 'Remove a member, or leave the vehicle',
+    description: 'Owners can remove anyone; every member can remove themselves.',
+    errors: { 400: 'Validation failed, or the vehicle would be left without an owner' }
+  },
+  'GET /api/vehicles/{vehicleId}/invitations': {
+    tags: ['Sharing'],
+    summary: 'List the pending invitations of a vehicle',
+    response: { data: ['VehicleInvitation'] },
+    errors: { 403: 'Only owners can see invitations' }
+  },
+  'POST /api/vehicles/{vehicleId}/invitations': {
+    tags: ['Sharing'],
+    summary: 'Invite someone to a vehicle by email',
+    description: 'Emails a link with a single-use token. A new invitation replaces the pending one for the same address.',
+    response: { status: 201, data: 'VehicleInvitation' },
+    errors: { 400: 'Validation failed, or the address already belongs to a member' }
+  },
+  'DELETE /api/vehicles/{vehicleId}/invitations/{invitationId}': {
+    tags: ['Sharing'],
+    summary: 'Revoke a pending invitation'
+  },
+  'POST /api/invitations/accept': {
+    tags: ['Sharing'],
+    summary: 'Accept an invitation',
+    description: 'The authenticated user must have the email address the invitation was sent to.',
+    response: { data: 'InvitationAccepted' },
+    errors: {
+      400: 'Validation failed, invalid or expired token, or already a member',
+      403: 'The invitation was sent to another email address'
+    }
+  },
+
+  // Organizations
+  'POST /api/organizations': {
+    tags: ['Organizations'],
+    summary: 'Create an organization',
+    description: 'The creator becomes its first admin.',
+    response: { status: 201, data: 'Organization' }
+  },
+  'GET /api/organizations': {
+    tags: ['Organizations'],
+    summary: 'List the organizations of the authenticated user',
+    response: { data: ['Organization'] }
+  },
+  'GET /api/organizations/{organizationId}': {
+    tags: ['Organizations'],
+    summary: 'Get an organization',
+    response: { data: 'Organization' }
+  },
+  'PATCH /api/organizations/{organizationId}': {
+    tags: ['Organizations'],
+    summary: 'Rename an organization',
+    response: { data: 'Organization' }
+  },
+  'DELETE /api/organizations/{organizationId}': {
+    tags: ['Organizations'],
+    summary: 'Delete an organization with all of its vehicles'
+  },
+  'GET /api/organizations/{organizationId}/members': {
+    tags: ['Organizations'],
+    summary: 'List the members of an organization',
+    response: { data: ['OrganizationMember'] }
+  },
+  'POST /api/organizations/{organizationId}/members': {
+    tags: ['Organizations'],
+    summary: 'Add a registered user to an organization',
+    response: { status: 201, data: 'OrganizationMember' },
+    errors: { 400: 'Validation failed, no account with this email address, or already a member' }
+  },
+  'PATCH /api/organizations/{organizationId}/members/{userId}': {
+    tags: ['Organizations'],
+    summary: 'Change the role of a member',
+    response: { data: 'OrganizationMember' },
+    errors: { 400: 'Validation failed, or the organization would be left without an admin' }
+  },
+  'DELETE /api/organizations/{organizationId}/members/{userId}': {
+    tags: ['Organizations'],
+    summary: 'Remove a member, or leave the organization',
+    description: 'Admins can remove anyone; every member can remove themselves. Their vehicle assignments are removed too.',
+    errors: { 400: 'Validation failed, or the organization would be left without an admin' }
+  },
+  'POST /api/organizations/{organizationId}/vehicles/{vehicleId}/drivers': {
+    tags: ['Organizations'],
+    summary: 'Assign a member to a vehicle of the organization as its driver',
+    description: 'Drivers get the rider role on the vehicle: they can see it, log fuel and odometer readings.',
+    response: { status: 201, data: 'DriverAssignment' },
+    errors: { 400: 'Validation failed, the user is not a member of the organization, or already assigned' }
+  },
+  'DELETE /api/organizations/{organizationId}/vehicles/{vehicleId}/drivers/{userId}': {
+    tags: ['Organizations'],
+    summary: 'Unassign a driver from a vehicle'
+  },
+  'GET /api/organizations/{organizationId}/maintenance-due': {
+    tags: ['Organizations'],
+    summary: 'Get the maintenance due across the fleet',
+    response: { data: 'MaintenanceDue' },
+    errors: { 403: 'Only admins and managers see the fleet' }
+  },
+
+  // Vehicles
+  'POST /api/vehicles': {
+    tags: ['Vehicles'],
+    summary: 'Create a vehicle',
+    description: 'With organization_id the vehicle belongs to that organization (admins and managers only).',
+    response: { status: 201, data: 'Vehicle' },
+    errors: { 403: 'Drivers cannot add vehicles to the organization' }
+  },
+  'GET /api/vehicles': {
+    tags: ['Vehicles'],
+    summary: 'List vehicles',
+    description: 'Newest first. search matches name, license plate, make, model, VIN, engine number and color. ' +
+      'organization_id limits the list to the vehicles of an organization.',
+    response: { list: 'Vehicle' },
+    errors: { 404: 'Organization not found, or the authenticated user is not a member' }
+  },
+  'GET /api/vehicles/{id}': {
+    tags: ['Vehicles'],
+    summary: 'Get a vehicle with its current mileage',
+    response: { data: 'VehicleDetail' }
+  },
+  'PATCH /api/vehicles/{id}': {
+    tags: ['Vehicles'],
+    summary: 'Update a vehicle',
+    description: 'Only the fields that are sent are changed; an empty string clears an optional field.',
+    response: { data: 'Vehicle' }
+  },
+  'PATCH /api/vehicles/{id}/oil-change-interval': {
+    tags: ['Vehicles'],
+    summary: 'Update the oil change interval of a vehicle',
+    response: { data: 'Vehicle' }
+  },
+  'DELETE /api/vehicles/{id}': {
+    tags: ['Vehicles'],
+    summary: 'Move a vehicle to the trash',
+    description: 'The vehicle and its records are hidden until it is restored, and purged for good after the retention period.'
+  },
+  'POST /api/vehicles/{id}/restore': {
+    tags: ['Vehicles'],
+    summary: 'Restore a vehicle from the trash, with its records',
+    response: { data: 'Vehicle' },
+    errors: { 404: 'Vehicle not in the trash, or not accessible by the authenticated user' }
+  },
+  'GET /api/vehicles/{id}/history': {
+    tags: ['Vehicles'],
+    summary: 'Get the change history of a vehicle and its records',
+    description: 'Every create, update, delete and restore with the actor and the entity before and after the change, newest first.',
+    response: { list: 'AuditEntry' }
+  },
+
+  // Dashboard and reports
+  'GET /api/dashboard': {
+    tags: ['Dashboard'],
+    summary: 'Get per-vehicle summary cards',
+    description: 'organization_id limits the cards to the vehicles of an organization.',
+    response: { data: 'Dashboard' },
+    errors: { 404: 'Organization not found, or the authenticated user is not a member' }
+  },
+  'GET /api/reports/costs': {
+    tags: ['Reports'],
+    summary: 'Get fuel and maintenance costs per month or year',
+    description: 'Every period in the range is listed, periods without records are zero. '
+      + 'A range covers at most 10 years by month or 100 years by year.',
+    response: { data: 'CostReport' },
+    errors: { 404: 'Vehicle or organization not found, or not accessible by the authenticated user' }
+  },
+
+  // Oil changes
+  'POST /api/vehicles/{vehicleId}/oil-changes': {
+    tags: ['Oil changes'],
+    summary: 'Record an oil change',
+    response: { status: 201, data: 'OilChange' },
+    errors: mileageErrors
+  },
+  'GET /api/vehicles/{vehicleId}/oil-changes': {
+    tags: ['Oil changes'],
+    summary: 'List the oil changes of a vehicle',
+    description: 'Filters by change date (from, to) and mileage, and sorts by any listed field (ties by id). '
+      + 'Pages by page number, or with pagination=cursor by the nextCursor of the previous page: '
+      + 'cursor pages skip the total count and do not shift when records are added meanwhile.',
+    response: { list: 'OilChange', properties: { pagination: { $ref: '#/components/schemas/RecordPagination' } } }
+  },
+  'GET /api/vehicles/{vehicleId}/oil-changes/next-due': {
+    tags: ['Oil changes'],
+    summary: 'Predict the next oil change',
+    description: 'Uses the oil change interval of the vehicle and the average daily distance of its odometer readings.',
+    response: { data: 'OilChangeDue' }
+  },
+  'PATCH /api/oil-changes/{id}': {
+    tags: ['Oil changes'],
+    summary: 'Update an oil change',
+    response: { data: 'OilChange' },
+    errors: mileageErrors
+  },
+  'DELETE /api/oil-changes/{id}': {
+    tags: ['Oil changes'],
+    summary: 'Move an oil change to the trash'
+  },
+  'POST /api/oil-changes/{id}/restore': {
+    tags: ['Oil changes'],
+    summary: 'Restore an oil change from the trash',
+    description: 'Its odometer reading comes back too, flagged when it no longer fits the timeline.',
+    response: { data: 'OilChange' },
+    errors: { 404: 'Oil change not in the trash, or not accessible by the authenticated user' }
+  },
+  'GET /api/vehicles/{vehicleId}/oil-changes/export': {
+    ...csvExport('Oil changes of the vehicle as CSV'),
+    tags: ['Oil changes'],
+    summary: 'Export the oil changes of a vehicle as CSV'
+  },
+  'GET /api/oil-changes/export': {
+    ...csvExport('Oil changes of every vehicle as CSV'),
+    tags: ['Oil changes'],
+    summary: 'Export the oil changes of all vehicles as CSV'
+  },
+  'POST /api/vehicles/{vehicleId}/oil-changes/import': {
+    ...csvImport,
+    tags: ['Oil changes'],
+    summary: 'Import oil changes from a CSV file'
+  },
+
+  // Fuel records
+  'POST /api/vehicles/{vehicleId}/fuel-records': {
+    tags: ['Fuel records'],
+    summary: 'Record a fill-up',
+    response: { status: 201, data: 'FuelRecord' },
+    errors: mileageErrors
+  },
+  'GET /api/vehicles/{vehicleId}/fuel-records': {
+    tags: ['Fuel records'],
+    summary: 'List the fill-ups of a vehicle',
+    description: 'Filters by fill date (from, to), price per liter and odometer, and sorts by any listed field (ties by id). '
+      + 'Pages by page number, or with pagination=cursor by the nextCursor of the previous page: '
+      + 'cursor pages skip the total count and do not shift when records are added meanwhile.',
+    response: { list: 'FuelRecord', properties: { pagination: { $ref: '#/components/schemas/RecordPagination' } } }
+  },
+  'GET /api/vehicles/{vehicleId}/fuel-economy': {
+    tags: ['Fuel records'],
+    summary: 'Get fuel economy analytics for a vehicle',
+    description: 'Economy is measured between full-tank fill-ups with an odometer value (full-tank to full-tank method).',
+    response: { data: 'FuelEconomy' }
+  },
+  'PATCH /api/fuel-records/{id}': {
+    tags: ['Fuel records'],
+    summary: 'Update a fill-up',
+    description: 'odometer and is_full_tank keep their value when left out; send odometer: null to clear it.',
+    response: { data: 'FuelRecord' },
+    errors: mileageErrors
+  },
+  'DELETE /api/fuel-records/{id}': {
+    tags: ['Fuel records'],
+    summary: 'Move a fill-up to the trash'
+  },
+  'POST /api/fuel-records/{id}/restore': {
+    tags: ['Fuel records'],
+    summary: 'Restore a fill-up from the trash',
+    description: 'Its odometer reading comes back too, flagged when it no longer fits the timeline.',
+    response: { data: 'FuelRecord' },
+    errors: { 404: 'Fill-up not in the trash, or not accessible by the authenticated user' }
+  },
+  'GET /api/vehicles/{vehicleId}/fuel-records/export': {
+    ...csvExport('Fill-ups of the vehicle as CSV'),
+    tags: ['Fuel records'],
+    summary: 'Export the fill-ups of a vehicle as CSV'
+  },
+  'GET /api/fuel-records/export': {
+    ...csvExport('Fill-ups of every vehicle as CSV'),
+    tags: ['Fuel records'],
+    summary: 'Export the fill-ups of all vehicles as CSV'
+  },
+  'POST /api/vehicles/{vehicleId}/fuel-records/import': {
+    ...csvImport,
+    tags: ['Fuel records'],
+    summary: 'Import fill-ups from a CSV file'
+  },
+
+  // Service records
+  'GET /api/service-types': {
+    tags: ['Service records'],
+    summary: 'Get the service type catalog',
+    response: { data: ['ServiceType'] }
+  },
+  'POST /api/vehicles/{vehicleId}/services': {
+    tags: ['Service records'],
+    summary: 'Record a service',
+    response: { status: 201, data: 'ServiceRecord' },
+    errors: {
+      400: {
+        description: 'Validation failed, unknown service type, or the mileage goes backwards',
+        schemas: ['ValidationError', 'Error', 'MileageConflictError']
+      }
+    }
+  },
+  'GET /api/vehicles/{vehicleId}/services': {
+    tags: ['Service records'],
+    summary: 'Get the service history of a vehicle',
+    description: 'Service records and (unless include_oil_changes is false) oil changes, newest first.',
+    response: { list: 'ServiceHistoryEntry' }
+  },
+  'GET /api/services/{id}': {
+    tags: ['Service records'],
+    summary: 'Get a service record',
+    response: { data: 'ServiceRecord' }
+  },
+  'PATCH /api/services/{id}': {
+    tags: ['Service records'],
+    summary: 'Update a service record',
+    response: { data: 'ServiceRecord' },
+    errors: {
+      400: {
+        description: 'Validation failed, unknown service type, or the mileage goes backwards',
+        schemas: ['ValidationError', 'Error', 'MileageConflictError']
+      }
+    }
+  },
+  'DELETE /api/services/{id}': {
+    tags: ['Service records'],
+    summary: 'Delete a service record'
+  },
+
+  // Odometer
+  'GET /api/vehicles/{vehicleId}/odometer': {
+    tags: ['Odometer'],
+    summary: 'Get the odometer timeline of a vehicle',
+    description: 'Manual readings and the mileage of every record, newest first.',
+    response: {
+      list: 'OdometerReading',
+      properties: { current_mileage: { type: 'integer', description: 'Latest reading, or the initial odometer' } }
+    }
+  },
+  'POST /api/vehicles/{vehicleId}/odometer': {
+    tags: ['Odometer'],
+    summary: 'Add a manual odometer reading',
+    response: { status: 201, data: 'OdometerReading' },
+    errors: mileageErrors
+  },
+  'DELETE /api/odometer-readings/{id}': {
+    tags: ['Odometer'],
+    summary: 'Delete a manual odometer reading',
+    description: 'Readings that come from a record are removed together with that record.',
+    errors: { 400: 'Validation failed, or the reading belongs to a record' }
+  },
+
+  // Attachments
+  'POST /api/oil-changes/{id}/attachments': {
+    ...attachmentUpload,
+    summary: 'Attach a file to an oil change'
+  },
+  'GET /api/oil-changes/{id}/attachments': {
+    tags: ['Attachments'],
+    summary: 'List the attachments of an oil change',
+    response: { data: ['Attachment'] }
+  },
+  'POST /api/fuel-records/{id}/attachments': {
+    ...attachmentUpload,
+    summary: 'Attach a file to a fill-up'
+  },
+  'GET /api/fuel-records/{id}/attachments': {
+    tags: ['Attachments'],
+    summary: 'List the attachments of a fill-up',
+    response: { data: ['Attachment'] }
+  },
+  'GET /api/attachments/{id}/download': {
+    tags: ['Attachments'],
+    summary: 'Download the file of an attachment',
+    response: {
+      content: 'application/octet-stream',
+      schema: { type: 'string', format: 'binary' },
+      description: 'The file with its own Content-Type and a Content-Disposition attachment header'
+    }
+  },
+  'GET /api/attachments/{id}/thumbnail': {
+    tags: ['Attachments'],
+    summary: 'Get the thumbnail of an image attachment',
+    response: {
+      content: 'image/jpeg',
+      schema: { type: 'string', format: 'binary' },
+      description: 'JPEG of at most 320 x 320 pixels'
+    },
+    errors: { 404: 'Attachment not found or not an image, or not accessible by the authenticated user' }
+  },
+  'DELETE /api/attachments/{id}': {
+    tags: ['Attachments'],
+    summary: 'Delete an attachment',
+    description: 'Needs the role that may change the oil change or fill-up it is attached to.'
+  },
+
+  // Reminders
+  'GET /api/vehicles/{vehicleId}/reminders': {
+    tags: ['Reminders'],
+    summary: 'List the reminders of a vehicle',
+    description: 'Open reminders first, by due date, each with its due state against the current mileage. ' +
+      'Completed reminders are only listed with include_completed=true.',
+    response: { data: ['Reminder'] }
+  },
+  'POST /api/vehicles/{vehicleId}/reminders': {
+    tags: ['Reminders'],
+    summary: 'Create a reminder',
+    description: 'Due on a date, at a mileage or whichever comes first. Owners and mechanics can set reminders.',
+    response: { status: 201, data: 'Reminder' }
+  },
+  'PATCH /api/reminders/{id}': {
+    tags: ['Reminders'],
+    summary: 'Update or complete a reminder',
+    description: 'Set completed to true once it is done; its notifications are removed.',
+    response: { data: 'Reminder' }
+  },
+  'DELETE /api/reminders/{id}': {
+    tags: ['Reminders'],
+    summary: 'Delete a reminder'
+  },
+
+  // Documents
+  'GET /api/vehicles/{vehicleId}/documents': {
+    tags: ['Documents'],
+    summary: 'List the documents of a vehicle',
+    description: 'Ordered by expiry date, soonest first.',
+    response: { data: ['VehicleDocument'] }
+  },
+  'POST /api/vehicles/{vehicleId}/documents': {
+    tags: ['Documents'],
+    summary: 'Add a document',
+    description: 'Only owners can add documents. Its expiry date is published in the calendar feed.',
+    response: { status: 201, data: 'VehicleDocument' }
+  },
+  'PATCH /api/documents/{id}': {
+    tags: ['Documents'],
+    summary: 'Update a document',
+    response: { data: 'VehicleDocument' }
+  },
+  'DELETE /api/documents/{id}': {
+    tags: ['Documents'],
+    summary: 'Delete a document'
+  },
+
+  // Calendar
+  'GET /api/calendar/{token}.ics': {
+    tags: ['Calendar'],
+    summary: 'iCalendar feed of upcoming maintenance',
+    description: 'All-day events with alarms for the predicted oil changes, the open reminders with a due date ' +
+      '(scheduled services) and the document expiries of every vehicle of the token owner. Meant to be ' +
+      'subscribed to from a calendar app; the secret token in the URL replaces the access token. ' +
+      'Create or revoke the URL with /api/auth/me/calendar.',
+    response: { content: 'text/calendar', description: 'iCalendar (RFC 5545) document' },
+    errors: { 404: 'Unknown or revoked calendar token' }
+  },
+
+  // Notifications
+  'GET /api/notifications': {
+    tags: ['Notifications'],
+    summary: 'List the notifications of the authenticated user',
+    description: 'Newest first. The default filter (active) leaves out dismissed notifications and those ' +
+      'snoozed until later.',
+    response: { list: 'Notification' }
+  },
+  'POST /api/notifications/{id}/read': {
+    tags: ['Notifications'],
+    summary: 'Mark a notification as read',
+    response: { data: 'Notification' }
+  },
+  'POST /api/notifications/{id}/snooze': {
+    tags: ['Notifications'],
+    summary: 'Snooze a notification',
+    description: 'Hides it for the given number of hours (default 24).',
+    response: { data: 'Notification' }
+  },
+  'POST /api/notifications/{id}/dismiss': {
+    tags: ['Notifications'],
+    summary: 'Dismiss a notification',
+    description: 'Dismissed notifications are not created again for the same due item.',
+    response: { data: 'Notification' }
+  },
+
+  // Jobs
+  'GET /api/jobs/reminders': {
+    tags: ['Jobs'],
+    summary: 'Run the reminder job',
+    description: 'Checks the oil changes and reminders of every vehicle and notifies its members about what is ' +
+      'due soon or overdue. Meant for a daily cron (Vercel Cron sends the CRON_SECRET as a bearer token); ' +
+      'also available as npm run send-reminders.',
+    response: { data: 'ReminderJobResult' },
+    errors: {
+      401: 'Missing or wrong cron secret',
+      503: 'CRON_SECRET is not set on the server'
+    }
+  },
+
+  // Trash
+  'GET /api/trash': {
+    tags: ['Trash'],
+    summary: 'List the trash',
+    description: 'Deleted vehicles (for their owners) and records (for the members who may change them) ' +
+      'that can still be restored, most recently deleted first. Records of a deleted vehicle come back ' +
+      'with the vehicle and are not listed. Items are purged for good at purge_after.',
+    response: { list: 'TrashItem' }
+  },
+
+  // Admin
+  'GET /api/admin/audit-log': {
+    tags: ['Admin'],
+    summary: 'Query the audit log',
+    description: 'Newest first. Only for site administrators (users.is_admin); every filter is optional.',
+    response: { list: 'AuditEntry' },
+    errors: { 403: 'The authenticated user is not an administrator' }
+  }
+};
+
+module.exports = {
+  TAGS,
+  ROUTES
+};
@@ -0,0 +1,611 @@
+// Component schemas of the OpenAPI document (response payloads and envelopes).
+// NUMERIC columns are returned by PostgreSQL as strings, DATE columns as timestamps.
+
+const id = { type: 'integer', example: 1 };
+const decimal = { type: 'string', format: 'decimal', example: '12500.00' };
+const timestamp = { type: 'string', format: 'date-time' };
+const day = { type: 'string', format: 'date', example: '2024-01-15' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+const role = { type: 'string', enum: ['owner', 'rider', 'mechanic'], description: 'Role of the authenticated user on the vehicle' };
+
+// Distance, fuel and cost figures of a fuel economy segment or aggregate
+const economyFigures = {
+  km_per_liter: nullable({ type: 'number' }),
+  liters_per_100km: nullable({ type: 'number' }),
+  cost_per_km: nullable({ type: 'number' })
+};
+
+const economyAggregate = object({
+  distance_km: { type: 'number' },
+  liters: { type: 'number' },
+  cost: { type: 'number' },
+  ...economyFigures
+});
+
+const spend = object({
+  fuel: { type: 'number' },
+  service: { type: 'number' },
+  total: { type: 'number' }
+});
+
+// Latest oil change and the maintenance predicted from it, on dashboard cards
+const lastOilChange = nullable(object({
+  id,
+  change_date: timestamp,
+  mileage: { type: 'integer' },
+  notes: nullable({ type: 'string' })
+}));
+
+const upcomingMaintenance = object({
+  type: { type: 'string', enum: ['oil_change'] },
+  status: { type: 'string', enum: ['ok', 'due_soon', 'overdue'] },
+  predicted_due_date: day,
+  due_reason: { type: 'string', enum: ['time', 'mileage'] },
+  due_mileage: { type: 'integer' },
+  remaining_km: { type: 'integer' },
+  days_remaining: { type: 'integer' }
+});
+
+// A single express-validator error
+const fieldError = object({
+  type: { type: 'string', example: 'field' },
+  value: {},
+  msg: { type: 'string', example: 'Vehicle ID must be a positive integer' },
+  path: { type: 'string', example: 'vehicleId' },
+  location: { type: 'string', enum: ['body', 'query', 'params', 'cookies', 'headers'] }
+}, ['type', 'msg']);
+
+const costTotals = {
+  fuel_spend: { type: 'number' },
+  liters: { type: 'number' },
+  average_price_per_liter: nullable({ type: 'number' }),
+  fill_count: { type: 'integer' },
+  maintenance_spend: { type: 'number' },
+  parts_cost: { type: 'number' },
+  labor_cost: { type: 'number' },
+  service_count: { type: 'integer' },
+  total_spend: { type: 'number' }
+};
+
+module.exports = {
+  // Envelopes
+
+  Pagination: object({
+    currentPage: { type: 'integer', example: 1 },
+    totalPages: { type: 'integer', example: 3 },
+    totalItems: { type: 'integer', example: 25 },
+    limit: { type: 'integer', example: 10 }
+  }),
+
+  // Page based lists report the page and totals; cursor based lists the cursor of the next page
+  RecordPagination: object({
+    currentPage: { type: 'integer', example: 1 },
+    totalPages: { type: 'integer', example: 3 },
+    totalItems: { type: 'integer', example: 25 },
+    limit: { type: 'integer', example: 10 },
+    nextCursor: nullable({ type: 'string', example: 'WyJmaWxsX2RhdGUiLCJkZXNjIiwiMjAyNC0wMS0xNSIsNDJd' }),
+    hasMore: { type: 'boolean' }
+  }, ['limit']),
+
+  Error: object({
+    status: { type: 'string', enum: ['error'] },
+    message: { type: 'string' }
+  }),
+
+  ValidationError: object({
+    status: { type: 'string', enum: ['error'] },
+    message: { type: 'string', example: 'Validation failed' },
+    errors: { type: 'array', items: fieldError }
+  }),
+
+  MileageConflictError: object({
+    status: { type: 'string', enum: ['error'] },
+    message: { type: 'string' },
+    conflict: object({
+      id,
+      reading_date: timestamp,
+      mileage: { type: 'integer' },
+      source: { type: 'string', enum: ['manual', 'oil_change', 'fuel_record', 'service_record'] },
+      source_id: nullable(id)
+    })
+  }),
+
+  Message: object({
+    message: { type: 'string' }
+  }),
+
+  // Accounts
+
+  User: object({
+    id,
+    email: { type: 'string', format: 'email' },
+    created_at: timestamp
+  }),
+
+  AuthSession: object({
+    user: ref('User'),
+    token: { type: 'string', description: 'Access token (JWT), sent as "Authorization: Bearer <token>"' },
+    token_type: { type: 'string', enum: ['Bearer'] },
+    expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+    refresh_token: { type: 'string' },
+    refresh_token_expires_at: timestamp
+  }),
+
+  Profile: object({
+    id,
+    email: { type: 'string', format: 'email' },
+    created_at: timestamp,
+    vehicle_count: { type: 'integer' },
+    pending_email: nullable({ type: 'string', format: 'email' })
+  }),
+
+  EmailChangeRequested: object({
+    message: { type: 'string' },
+    pending_email: { type: 'string', format: 'email' }
+  }),
+
+  EmailChanged: object({
+    message: { type: 'string' },
+    email: { type: 'string', format: 'email' }
+  }),
+
+  AccountExport: object({
+    exported_at: timestamp,
+    user: ref('User'),
+    organizations: {
+      type: 'array',
+      description: 'Organizations the user is a member of, with their role',
+      items: object({ id, name: { type: 'string' }, created_at: timestamp, role: { type: 'string', enum: ['admin', 'manager', 'driver'] } })
+    },
+    vehicles: {
+      type: 'array',
+      description: 'Every vehicle of the user and of the organizations they manage, with its fuel records, oil changes, ' +
+        'service records, odometer readings, attachments (without the files), reminders and documents',
+      items: { type: 'object' }
+    }
+  }),
+
+  AccountDeleted: object({
+    message: { type: 'string' },
+    export: ref('AccountExport')
+  }),
+
+  // Vehicles and records
+
+  Vehicle: object({
+    id,
+    user_id: nullable({ ...id, description: 'Owner of a personal vehicle' }),
+    organization_id: nullable({ ...id, description: 'Organization owning the vehicle' }),
+    name: { type: 'string', example: 'Daily rider' },
+    license_plate: nullable({ type: 'string' }),
+    make: nullable({ type: 'string', example: 'Honda' }),
+    model: nullable({ type: 'string', example: 'Vario 160' }),
+    year: nullable({ type: 'integer', example: 2023 }),
+    engine_cc: nullable({ type: 'integer', example: 160 }),
+    vin: nullable({ type: 'string' }),
+    engine_number: nullable({ type: 'string' }),
+    fuel_type: nullable({ type: 'string', enum: ['gasoline', 'diesel', 'electric', 'hybrid', 'lpg', 'cng'] }),
+    color: nullable({ type: 'string' }),
+    purchase_date: nullable(timestamp),
+    purchase_price: nullable(decimal),
+    initial_odometer: { type: 'integer' },
+    oil_change_interval_km: { type: 'integer', example: 3000 },
+    oil_change_interval_months: { type: 'integer', example: 3 },
+    created_at: timestamp,
+    deleted_at: nullable({ ...timestamp, description: 'When the vehicle was moved to the trash' }),
+    role
+  }),
+
+  VehicleDetail: {
+    allOf: [
+      ref('Vehicle'),
+      object({ current_mileage: { type: 'integer', description: 'Latest odometer reading, or the initial odometer' } })
+    ]
+  },
+
+  Organization: object({
+    id,
+    name: { type: 'string', example: 'Express Couriers' },
+    created_at: timestamp,
+    role: { type: 'string', enum: ['admin', 'manager', 'driver'], description: 'Role of the authenticated user' },
+    member_count: { type: 'integer' },
+    vehicle_count: { type: 'integer' }
+  }),
+
+  OrganizationMember: object({
+    user_id: id,
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['admin', 'manager', 'driver'] },
+    created_at: timestamp,
+    assigned_vehicle_ids: { type: 'array', items: id }
+  }),
+
+  DriverAssignment: object({
+    vehicle_id: id,
+    user_id: id,
+    role: { type: 'string', enum: ['rider'] },
+    created_at: timestamp
+  }),
+
+  VehicleMember: object({
+    user_id: id,
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['owner', 'rider', 'mechanic'] },
+    created_at: timestamp
+  }),
+
+  VehicleInvitation: object({
+    id,
+    vehicle_id: id,
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['owner', 'rider', 'mechanic'] },
+    expires_at: timestamp,
+    created_at: timestamp
+  }),
+
+  InvitationAccepted: object({
+    vehicle_id: id,
+    vehicle_name: { type: 'string' },
+    role: { type: 'string', enum: ['owner', 'rider', 'mechanic'] }
+  }),
+
+  OilChange: object({
+    id,
+    vehicle_id: id,
+    change_date: timestamp,
+    mileage: { type: 'integer' },
+    notes: nullable({ type: 'string' }),
+    created_at: timestamp,
+    deleted_at: nullable({ ...timestamp, description: 'When the record was moved to the trash' })
+  }),
+
+  OilChangeDue: {
+    type: 'object',
+    required: ['vehicle_id', 'status', 'interval', 'last_oil_change'],
+    properties: {
+      vehicle_id: id,
+      status: { type: 'string', enum: ['ok', 'due_soon', 'overdue', 'no_history'] },
+      interval: object({ km: { type: 'integer' }, months: { type: 'integer' } }),
+      last_oil_change: nullable(object({ id, change_date: day, mileage: { type: 'integer' } })),
+      message: { type: 'string', description: 'Only when there is no oil change yet' },
+      average_daily_km: nullable({ type: 'number' }),
+      latest_reading: object({ date: day, mileage: { type: 'integer' } }),
+      estimated_current_mileage: { type: 'integer' },
+      due_mileage: { type: 'integer' },
+      remaining_km: { type: 'integer' },
+      due_date_by_time: day,
+      due_date_by_mileage: nullable(day),
+      predicted_due_date: day,
+      due_reason: { type: 'string', enum: ['time', 'mileage'] },
+      days_remaining: { type: 'integer' }
+    }
+  },
+
+  FuelRecord: object({
+    id,
+    vehicle_id: id,
+    fill_date: timestamp,
+    price_per_liter: decimal,
+    liters_filled: decimal,
+    odometer: nullable({ type: 'integer' }),
+    is_full_tank: { type: 'boolean' },
+    created_at: timestamp,
+    deleted_at: nullable({ ...timestamp, description: 'When the record was moved to the trash' })
+  }),
+
+  FuelEconomySegment: object({
+    start_record_id: id,
+    end_record_id: id,
+    start_date: timestamp,
+    end_date: timestamp,
+    start_odometer: { type: 'integer' },
+    end_odometer: { type: 'integer' },
+    distance_km: { type: 'number' },
+    liters: { type: 'number' },
+    cost: { type: 'number' },
+    ...economyFigures,
+    rolling_km_per_liter: nullable({ type: 'number' }),
+    rolling_liters_per_100km: nullable({ type: 'number' }),
+    rolling_cost_per_km: nullable({ type: 'number' })
+  }),
+
+  FuelEconomy: object({
+    vehicle_id: id,
+    summary: object({
+      total_fills: { type: 'integer' },
+      total_liters: { type: 'number' },
+      total_spent: { type: 'number' },
+      segment_count: { type: 'integer' },
+      overall: economyAggregate,
+      rolling: { allOf: [economyAggregate, object({ window: { type: 'integer' } })] },
+      latest: nullable(ref('FuelEconomySegment'))
+    }),
+    segments: { type: 'array', items: ref('FuelEconomySegment') }
+  }),
+
+  FuelEconomyTrend: object({
+    window: { type: 'integer' },
+    segment_count: { type: 'integer' },
+    rolling_km_per_liter: nullable({ type: 'number' }),
+    previous_km_per_liter: nullable({ type: 'number' }),
+    change_percent: nullable({ type: 'number' }),
+    direction: nullable({ type: 'string', enum: ['improving', 'declining', 'stable'] }),
+    recent: {
+      type: 'array',
+      items: object({ end_date: timestamp, km_per_liter: nullable({ type: 'number' }) })
+    }
+  }),
+
+  ServiceType: object({
+    id,
+    code: { type: 'string', example: 'brake_pads' },
+    name: { type: 'string', example: 'Brake pads' }
+  }),
+
+  ServiceRecord: object({
+    id,
+    vehicle_id: id,
+    service_type: { type: 'string', example: 'brake_pads' },
+    service_type_name: { type: 'string', example: 'Brake pads' },
+    service_date: timestamp,
+    mileage: nullable({ type: 'integer' }),
+    parts_cost: decimal,
+    labor_cost: decimal,
+    total_cost: decimal,
+    workshop_name: nullable({ type: 'string' }),
+    notes: nullable({ type: 'string' }),
+    created_at: timestamp
+  }),
+
+  ServiceHistoryEntry: {
+    allOf: [
+      object({ source: { type: 'string', enum: ['service', 'oil_change'] } }),
+      ref('ServiceRecord')
+    ],
+    description: 'A service record, or an oil change (source "oil_change", without costs)'
+  },
+
+  OdometerReading: object({
+    id,
+    vehicle_id: id,
+    reading_date: timestamp,
+    mileage: { type: 'integer' },
+    source: { type: 'string', enum: ['manual', 'oil_change', 'fuel_record', 'service_record'] },
+    source_id: nullable(id),
+    is_flagged: { type: 'boolean', description: 'Saved with allow_rollback although the mileage went backwards' },
+    notes: nullable({ type: 'string' }),
+    created_at: timestamp
+  }),
+
+  // Imports, dashboard and reports
+
+  ImportReport: object({
+    dry_run: { type: 'boolean' },
+    committed: { type: 'boolean' },
+    total_rows: { type: 'integer' },
+    valid_rows: { type: 'integer' },
+    invalid_rows: { type: 'integer' },
+    imported: { type: 'integer' },
+    flagged_readings: { type: 'integer' },
+    errors: {
+      type: 'array',
+      items: object({
+        row: { type: 'integer', description: 'Row number in the file (the header is row 1)' },
+        errors: { type: 'array', items: fieldError }
+      })
+    }
+  }),
+
+  ImportFailedError: object({
+    status: { type: 'string', enum: ['error'] },
+    message: { type: 'string', example: 'Import failed, no records were imported' },
+    data: ref('ImportReport')
+  }),
+
+  DashboardVehicle: object({
+    id,
+    name: { type: 'string' },
+    license_plate: nullable({ type: 'string' }),
+    make: nullable({ type: 'string' }),
+    model: nullable({ type: 'string' }),
+    year: nullable({ type: 'integer' }),
+    organization_id: nullable(id),
+    role,
+    current_mileage: nullable({ type: 'integer' }),
+    last_fill_up: nullable(object({
+      id,
+      fill_date: timestamp,
+      liters_filled: { type: 'number' },
+      price_per_liter: { type: 'number' },
+      total_cost: { type: 'number' },
+      odometer: nullable({ type: 'integer' }),
+      is_full_tank: { type: 'boolean' }
+    })),
+    last_oil_change: lastOilChange,
+    month_to_date_spend: spend,
+    fuel_economy: ref('FuelEconomyTrend'),
+    upcoming_maintenance: { type: 'array', items: upcomingMaintenance }
+  }),
+
+  Dashboard: object({
+    generated_at: timestamp,
+    totals: object({
+      vehicle_count: { type: 'integer' },
+      month_to_date_spend: spend,
+      maintenance_due_soon: { type: 'integer' },
+      maintenance_overdue: { type: 'integer' }
+    }),
+    vehicles: { type: 'array', items: ref('DashboardVehicle') }
+  }),
+
+  MaintenanceDue: object({
+    generated_at: timestamp,
+    totals: object({
+      vehicle_count: { type: 'integer' },
+      maintenance_due_soon: { type: 'integer' },
+      maintenance_overdue: { type: 'integer' }
+    }),
+    vehicles: {
+      type: 'array',
+      description: 'Overdue first, then due soon, then the rest, each by the days remaining',
+      items: object({
+        id,
+        name: { type: 'string' },
+        license_plate: nullable({ type: 'string' }),
+        current_mileage: nullable({ type: 'integer' }),
+        last_oil_change: lastOilChange,
+        upcoming_maintenance: { type: 'array', items: upcomingMaintenance }
+      })
+    }
+  }),
+
+  CostPeriod: object({
+    period: { type: 'string', example: '2024-01' },
+    period_start: day,
+    ...costTotals
+  }),
+
+  CostReport: object({
+    group_by: { type: 'string', enum: ['month', 'year'] },
+    from: day,
+    to: day,
+    vehicle_id: nullable(id),
+    organization_id: nullable(id),
+    totals: object(costTotals),
+    series: { type: 'array', items: ref('CostPeriod') },
+    vehicles: {
+      type: 'array',
+      items: object({
+        vehicle_id: id,
+        name: { type: 'string' },
+        totals: object(costTotals),
+        series: { type: 'array', items: ref('CostPeriod') }
+      })
+    }
+  }),
+
+  // Attachments
+
+  Attachment: object({
+    id,
+    vehicle_id: id,
+    oil_change_id: nullable(id),
+    fuel_record_id: nullable(id),
+    file_name: { type: 'string', example: 'receipt.jpg' },
+    content_type: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'] },
+    size_bytes: { type: 'integer' },
+    uploaded_by: nullable({ ...id, description: 'Null once the account of the uploader is deleted' }),
+    created_at: timestamp,
+    has_thumbnail: { type: 'boolean' },
+    download_url: { type: 'string', example: '/api/attachments/1/download', description: 'Requires the access token' },
+    thumbnail_url: nullable({ type: 'string', example: '/api/attachments/1/thumbnail', description: 'Only for images' })
+  }),
+
+  // Reminders and notifications
+
+  Reminder: object({
+    id,
+    vehicle_id: id,
+    title: { type: 'string', example: 'Renew the insurance' },
+    notes: nullable({ type: 'string' }),
+    due_date: nullable(timestamp),
+    due_mileage: nullable({ type: 'integer', example: 30000 }),
+    completed_at: nullable(timestamp),
+    created_by: nullable({ ...id, description: 'Null once the account of the creator is deleted' }),
+    created_at: timestamp,
+    status: { type: 'string', enum: ['ok', 'due_soon', 'overdue', 'done'] },
+    days_remaining: nullable({ type: 'integer', description: 'Negative once the due date has passed' }),
+    remaining_km: nullable({ type: 'integer', description: 'Negative once the due mileage is passed' })
+  }),
+
+  Notification: object({
+    id,
+    vehicle_id: id,
+    vehicle_name: { type: 'string' },
+    reminder_id: nullable(id),
+    type: { type: 'string', enum: ['oil_change', 'reminder'] },
+    status: { type: 'string', enum: ['due_soon', 'overdue'] },
+    title: { type: 'string', example: 'Oil change due soon: Honda Vario' },
+    message: { type: 'string' },
+    due_date: nullable(timestamp),
+    due_mileage: nullable({ type: 'integer' }),
+    read_at: nullable(timestamp),
+    snoozed_until: nullable(timestamp),
+    dismissed_at: nullable(timestamp),
+    created_at: timestamp
+  }),
+
+  ReminderJobResult: object({
+    vehicles: { type: 'integer', description: 'Vehicles checked' },
+    due_items: { type: 'integer', description: 'Oil changes and reminders due soon or overdue' },
+    notifications: { type: 'integer', description: 'Notifications created' },
+    cleared: { type: 'integer', description: 'Notifications removed because their item is no longer due' }
+  }),
+
+  // Documents and calendar
+
+  VehicleDocument: object({
+    id,
+    vehicle_id: id,
+    type: { type: 'string', enum: ['insurance', 'registration', 'inspection', 'road_tax', 'other'] },
+    title: nullable({ type: 'string', example: 'Third party insurance' }),
+    document_number: nullable({ type: 'string' }),
+    expires_on: timestamp,
+    notes: nullable({ type: 'string' }),
+    created_by: nullable({ ...id, description: 'Null once the account of the creator is deleted' }),
+    created_at: timestamp
+  }),
+
+  CalendarSettings: object({
+    enabled: { type: 'boolean', description: 'Whether a calendar URL exists' },
+    created_at: nullable(timestamp),
+    last_used_at: nullable({ ...timestamp, description: 'When a calendar app last fetched the feed' })
+  }),
+
+  CalendarToken: object({
+    message: { type: 'string' },
+    url: { type: 'string', format: 'uri', example: 'https://api.example.com/api/calendar/3f9c...e1.ics' },
+    webcal_url: { type: 'string', description: 'Same URL with the webcal: scheme, opens the subscribe dialog of calendar apps' },
+    created_at: timestamp
+  }),
+
+  // Trash
+
+  TrashItem: object({
+    type: { type: 'string', enum: ['vehicle', 'fuel_record', 'oil_change'] },
+    id,
+    vehicle_id: id,
+    vehicle_name: { type: 'string' },
+    deleted_at: timestamp,
+    purge_after: { ...timestamp, description: 'When the item is removed for good' },
+    record: { type: 'object', description: 'The deleted vehicle, fuel record or oil change' }
+  }),
+
+  // Audit log
+
+  AuditEntry: object({
+    id,
+    actor_id: nullable({ ...id, description: 'Null for scheduled jobs, or once the account of the actor is deleted' }),
+    actor_email: nullable({ type: 'string', format: 'email' }),
+    action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+    entity_type: {
+      type: 'string',
+      enum: [
+        'vehicle', 'fuel_record', 'oil_change', 'service_record', 'odometer_reading',
+        'vehicle_member', 'vehicle_invitation', 'organization', 'organization_member', 'attachment', 'reminder',
+        'vehicle_document'
+      ]
+    },
+    entity_id: nullable(id),
+    vehicle_id: nullable(id),
+    organization_id: nullable(id),
+    before: nullable({ type: 'object', description: 'The entity before the change (null for create)' }),
+    after: nullable({ type: 'object', description: 'The entity after the change (null for delete and purge)' }),
+    changed_fields: { type: 'array', items: { type: 'string' }, description: 'Fields changed by an update or restore' },
+    ip: nullable({ type: 'string' }),
+    request_id: nullable({ type: 'string', description: 'X-Request-Id of the request that made the change' }),
+    created_at: timestamp
+  })
+};
@@ -3,37 +3,46 @@ const cors = require('cors');
 require('dotenv').config();
 
 // Import routes
-const authRoutes = require('./routes/authRoutes');
-const vehicleRoutes = require('./routes/vehicleRoutes');
-const oilChangeRoutes = require('./routes/oilChangeRoutes');
-const fuelRecordRoutes = require('./routes/fuelRecordRoutes');
+const { apiRoutes } = require('./routes');
 
 // Import database connection
 const { pool } = require('./config/db');
+const { logger } = require('./config/logger');
+const requestLoggerMiddleware = require('./middleware/requestLoggerMiddleware');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rate limits are keyed by client IP, which only comes from X-Forwarded-For when the proxy
+// in front of the app is trusted: TRUST_PROXY is a hop count, true/false, or a list of addresses
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : 'false')));
+
 // Middleware
+// Request id, and a structured log line per request (first, so every response has one)
+app.use(requestLoggerMiddleware);
+
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Readable by browser clients: request ids for support, and rate limit state
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    console.log('🔍 Health check started...');
-    
     // Enhanced environment diagnostics
     const envDiagnostics = {
       NODE_ENV: process.env.NODE_ENV,
@@ -54,7 +63,7 @@ app.get('/health', async (req, res) => {
       )
     };
     
-    console.log('Environment diagnostics:', envDiagnostics);
+    logger.debug('Health check environment', envDiagnostics);
     
     // Check for critical missing environment variables
     const missingVars = [];
@@ -62,17 +71,16 @@ app.get('/health', async (req, res) => {
     if (!process.env.JWT_SECRET) missingVars.push('JWT_SECRET');
     
     if (missingVars.length > 0) {
-      console.warn('⚠️ Missing critical environment variables:', missingVars);
+      logger.warn('Missing critical environment variables', { missingVars });
     }
     
     // Test database connection with timing
-    console.log('📊 Testing database connection...');
     const connectionStart = Date.now();
     const result = await pool.query('SELECT NOW() as current_time, version() as db_version, current_database() as db_name, current_user as db_user');
     const connectionTime = Date.now() - connectionStart;
     
     const dbInfo = result.rows[0];
-    console.log('✅ Database query successful:', {
+    logger.debug('Health check database query succeeded', {
       connection_time_ms: connectionTime,
       current_time: dbInfo.current_time,
       db_version: dbInfo.db_version.split(' ')[0] + ' ' + dbInfo.db_version.split(' ')[1],
@@ -105,8 +113,7 @@ app.get('/health', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Health check failed:');
-    console.error('Error details:', {
+    logger.error('Health check failed', {
       message: error.message,
       code: error.code,
       name: error.name,
@@ -125,7 +132,7 @@ app.get('/health', async (req, res) => {
     });
     
     // Enhanced database configuration logging
-    console.error('Database config check:', {
+    logger.error('Health check database configuration', {
       DB_URL_provided: !!process.env.DB_URL,
       DB_URL_length: process.env.DB_URL ? process.env.DB_URL.length : 0,
       DB_URL_prefix: process.env.DB_URL ? process.env.DB_URL.substring(0, 20) + '...' : 'NOT SET',
@@ -143,7 +150,7 @@ app.get('/health', async (req, res) => {
     });
     
     // Pool diagnostics
-    console.error('Connection pool stats:', {
+    logger.error('Health check connection pool stats', {
       totalCount: pool.totalCount,
       idleCount: pool.idleCount,
       waitingCount: pool.waitingCount
@@ -189,7 +196,7 @@ app.get('/health', async (req, res) => {
       troubleshooting.push('Review server logs for more details');
     }
     
-    console.error('🔧 Troubleshooting steps:', troubleshooting);
+    logger.error('Health check troubleshooting steps', { troubleshooting });
     
     res.status(500).json({
       status: 'error',
@@ -231,11 +238,8 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/vehicles', vehicleRoutes);
-app.use('/api', oilChangeRoutes);  // Includes /api/vehicles/:vehicleId/oil-changes and /api/oil-changes/:id
-app.use('/api', fuelRecordRoutes); // Includes /api/vehicles/:vehicleId/fuel-records and /api/fuel-records/:id
+// API Routes (see src/routes/index.js)
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -244,10 +248,8 @@ app.get('/', (req, res) => {
     message: 'Vehicle Maintenance Tracking API',
     version: '1.0.0',
     documentation: {
-      auth: '/api/auth (POST /register, POST /login)',
-      vehicles: '/api/vehicles (GET, POST, GET /:id, DELETE /:id)',
-      oilChanges: '/api/vehicles/:vehicleId/oil-changes (GET, POST), /api/oil-changes/:id (PATCH, DELETE)',
-      fuelRecords: '/api/vehicles/:vehicleId/fuel-records (GET, POST), /api/fuel-records/:id (PATCH, DELETE)'
+      docs: '/api/docs',
+      openapi: '/api/openapi.json'
     }
   });
 });
@@ -262,7 +264,7 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
+  logger.error('Unhandled request error', { error });
   
   // Handle specific error types
   if (error.type === 'entity.parse.failed') {
@@ -290,38 +292,40 @@ app.use((error, req, res, next) => {
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('Received SIGINT. Graceful shutdown...');
+  logger.info('Received SIGINT, shutting down');
   
   try {
     await pool.end();
-    console.log('Database pool has ended');
+    logger.info('Database pool has ended');
   } catch (error) {
-    console.error('Error during shutdown:', error);
+    logger.error('Error during shutdown', { error });
   }
   
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('Received SIGTERM. Graceful shutdown...');
+  logger.info('Received SIGTERM, shutting down');
   
   try {
     await pool.end();
-    console.log('Database pool has ended');
+    logger.info('Database pool has ended');
   } catch (error) {
-    console.error('Error during shutdown:', error);
+    logger.error('Error during shutdown', { error });
   }
   
   process.exit(0);
 });
 
-// Start server only if not running in Vercel (serverless environment)
-if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+// Start server only when run directly (not when imported by Vercel or the tests)
+if (require.main === module && (process.env.NODE_ENV !== 'production' || !process.env.VERCEL)) {
   app.listen(PORT, () => {
-    console.log(`🚀 Vehicle Maintenance API Server running on port ${PORT}`);
-    console.log(`📚 API Documentation available at http://localhost:${PORT}/`);
-    console.log(`🏥 Health check available at http://localhost:${PORT}/health`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info('Vehicle Maintenance API server started', {
+      port: PORT,
+      docs: `http://localhost:${PORT}/api/docs`,
+      health: `http://localhost:${PORT}/health`,
+      environment: process.env.NODE_ENV || 'development'
+    });
   });
 }
 
@@ -0,0 +1,30 @@
+const { query } = require('../config/db');
+const { logger } = require('../config/logger');
+
+// Site administrators only (users.is_admin); needs authMiddleware before it.
+// The flag is read from the database so revoking it takes effect immediately.
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT is_admin FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_admin) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Administrator access required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Admin middleware error', { error });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Server error during authorization'
+    });
+  }
+};
+
+module.exports = adminMiddleware;
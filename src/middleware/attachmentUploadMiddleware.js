@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { ATTACHMENT_MAX_BYTES } = require('../services/attachmentService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 }
+}).single('file');
+
+// Accept one file as multipart/form-data (field "file") into req.file.
+// The type of the file is checked later, from its content.
+const attachmentUploadMiddleware = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A file is required (multipart/form-data with the field "file")'
+    });
+  }
+
+  upload(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge
+          ? `File must not exceed ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB`
+          : `Invalid upload: ${error.message}`
+      });
+    }
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A file is required (multipart/form-data with the field "file")'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = attachmentUploadMiddleware;
@@ -1,7 +1,15 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/tokenService');
+const { logger, getRequestContext } = require('../config/logger');
 require('dotenv').config();
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
+  // Routers mounted at /api each apply this middleware, so a request can pass it several
+  // times before reaching its route; the session is only checked the first time
+  if (req.user) {
+    return next();
+  }
+
   try {
     // Get token from Authorization header
     const authHeader = req.header('Authorization');
@@ -26,16 +34,35 @@ const authMiddleware = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session that can be revoked (logout)
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked, please log in again'
+      });
+    }
     
     // Add user info to request object
     req.user = {
       id: decoded.id,
-      email: decoded.email
+      email: decoded.email,
+      sessionId: decoded.sid
     };
 
+    // Every later log of this request names the user
+    const context = getRequestContext();
+    if (context) {
+      context.userId = decoded.id;
+    }
+
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      logger.warn('Access token rejected', { reason: error.message });
+    } else {
+      logger.error('Auth middleware error', { error });
+    }
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
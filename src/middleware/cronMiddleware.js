@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Scheduled jobs only, authenticated by the shared CRON_SECRET the way Vercel Cron
+// sends it ("Authorization: Bearer <CRON_SECRET>"). Without a secret the jobs stay
+// disabled over HTTP and can only be run from the command line.
+const cronMiddleware = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Scheduled jobs are not configured (CRON_SECRET is not set)'
+    });
+  }
+
+  // Compare digests so the check takes the same time whatever the header holds
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const authHeader = req.header('Authorization') || '';
+  if (!crypto.timingSafeEqual(digest(authHeader), digest(`Bearer ${secret}`))) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or missing cron secret'
+    });
+  }
+
+  next();
+};
+
+module.exports = cronMiddleware;
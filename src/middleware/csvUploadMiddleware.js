@@ -0,0 +1,48 @@
+const express = require('express');
+const multer = require('multer');
+
+const MAX_CSV_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE, files: 1 }
+}).single('file');
+
+const parseCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: MAX_CSV_SIZE });
+
+// Accept a CSV file either as multipart/form-data (field "file") or as a raw
+// text/csv request body. The CSV text ends up in req.csv; other multipart fields stay in req.body.
+const csvUploadMiddleware = (req, res, next) => {
+  const handleError = (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge ? 'CSV file must not exceed 5 MB' : `Invalid upload: ${error.message}`
+      });
+    }
+
+    if (typeof req.body === 'string') {
+      req.csv = req.body;
+      req.body = {};
+    } else if (req.file) {
+      req.csv = req.file.buffer.toString('utf8');
+    }
+
+    if (!req.csv) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A CSV file is required (multipart field "file" or a text/csv request body)'
+      });
+    }
+
+    next();
+  };
+
+  if (req.is('multipart/form-data')) {
+    return upload(req, res, handleError);
+  }
+  parseCsvBody(req, res, handleError);
+};
+
+module.exports = csvUploadMiddleware;
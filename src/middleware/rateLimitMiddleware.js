@@ -0,0 +1,49 @@
+const { getStore } = require('../services/rateLimit');
+const { logger } = require('../config/logger');
+
+// What a limit is counted against: the client IP, or the authenticated user
+// (needs authMiddleware before the limiter)
+const KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => (req.user ? req.user.id : req.ip)
+};
+
+// Fixed window rate limit: at most `max` requests per `windowMs` for each key.
+// Responses carry RateLimit-* headers; rejected requests get a 429 with Retry-After.
+const rateLimit = ({ name, windowMs, max, key = 'ip' }) => {
+  const keyOf = KEYS[key];
+
+  const middleware = async (req, res, next) => {
+    let entry;
+    try {
+      entry = await getStore().increment(`${name}:${key}:${keyOf(req)}`, windowMs);
+    } catch (error) {
+      // Never lock everyone out because the store is unavailable
+      logger.error('Rate limit error', { error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((entry.resetAt - Date.now()) / 1000), 1);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        status: 'error',
+        message: `Too many requests, please try again in ${resetSeconds} seconds`
+      });
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator to document the 429 response
+  middleware.rateLimit = { name, windowMs, max, key };
+  return middleware;
+};
+
+module.exports = rateLimit;
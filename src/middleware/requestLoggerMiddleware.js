@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { logger, runWithRequestContext } = require('../config/logger');
+
+// An X-Request-Id set by a proxy or the client is kept when it looks like an id
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Paths that carry a credential (the secret token of a calendar feed), masked in the logs
+const SECRET_PATH = /^(\/api\/calendar\/)[^/]+$/;
+
+// Path of a request for the logs: without the query string and with secrets masked
+const loggedPath = (url) => url.split('?')[0].replace(SECRET_PATH, '$1[REDACTED]');
+
+// Give every request an id (X-Request-Id response header) that is attached to every log
+// written while handling it, and log the method, path, status and latency once it is done
+const requestLoggerMiddleware = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // The query string is left out and secret path segments are masked: they can carry tokens
+  const fields = () => ({
+    requestId,
+    method: req.method,
+    path: loggedPath(req.originalUrl),
+    status: res.statusCode,
+    durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+    ip: req.ip,
+    ...(req.user ? { userId: req.user.id } : {})
+  });
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('Request completed', fields());
+  });
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn('Request aborted by the client', fields());
+    }
+  });
+
+  runWithRequestContext({ requestId }, next);
+};
+
+module.exports = requestLoggerMiddleware;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { getAuditLog } = require('../controllers/adminController');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../services/auditService');
+const { dayQuery } = require('../validators/dateValidation');
+
+const router = express.Router();
+
+// Apply auth and admin middleware to all routes
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// Validation rules for audit log query parameters
+const auditLogValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Actor ID must be a positive integer'),
+  query('vehicle_id')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Vehicle ID must be a positive integer'),
+  query('organization_id')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Organization ID must be a positive integer'),
+  query('entity_type')
+    .optional()
+    .isIn(AUDIT_ENTITY_TYPES)
+    .withMessage(`Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+  query('entity_id')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Entity ID must be a positive integer'),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+  query('request_id')
+    .optional()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Request ID must be between 1 and 128 characters'),
+  dayQuery('from', 'From date'),
+  dayQuery('to', 'To date')
+    .bail()
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('To date must not be before the from date')
+];
+
+// GET /api/admin/audit-log - Query the audit log of the whole site
+router.get('/audit-log', auditLogValidation, getAuditLog);
+
+module.exports = router;
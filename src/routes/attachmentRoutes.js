@@ -0,0 +1,76 @@
+const express = require('express');
+const { param } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const attachmentUploadMiddleware = require('../middleware/attachmentUploadMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+const {
+  uploadOilChangeAttachment,
+  getOilChangeAttachments,
+  uploadFuelRecordAttachment,
+  getFuelRecordAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+
+const router = express.Router();
+
+// Uploads are stored and turned into thumbnails: limited per user, shared by every upload endpoint
+const uploadRateLimit = rateLimit({ name: 'attachment-upload', windowMs: 60 * 60 * 1000, max: 100, key: 'user' });
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for oil change ID parameter
+const oilChangeIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Oil change ID must be a positive integer')
+];
+
+// Validation rules for fuel record ID parameter
+const fuelRecordIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Fuel record ID must be a positive integer')
+];
+
+// Validation rules for attachment ID parameter
+const attachmentIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer')
+];
+
+// POST /api/oil-changes/:id/attachments - Attach a file to an oil change
+router.post('/oil-changes/:id/attachments',
+  oilChangeIdValidation,
+  uploadRateLimit,
+  attachmentUploadMiddleware,
+  uploadOilChangeAttachment
+);
+
+// GET /api/oil-changes/:id/attachments - List the attachments of an oil change
+router.get('/oil-changes/:id/attachments', oilChangeIdValidation, getOilChangeAttachments);
+
+// POST /api/fuel-records/:id/attachments - Attach a file to a fuel record
+router.post('/fuel-records/:id/attachments',
+  fuelRecordIdValidation,
+  uploadRateLimit,
+  attachmentUploadMiddleware,
+  uploadFuelRecordAttachment
+);
+
+// GET /api/fuel-records/:id/attachments - List the attachments of a fuel record
+router.get('/fuel-records/:id/attachments', fuelRecordIdValidation, getFuelRecordAttachments);
+
+// GET /api/attachments/:id/download - Download the file of an attachment
+router.get('/attachments/:id/download', attachmentIdValidation, downloadAttachment);
+
+// GET /api/attachments/:id/thumbnail - Get the thumbnail of an image attachment
+router.get('/attachments/:id/thumbnail', attachmentIdValidation, getAttachmentThumbnail);
+
+// DELETE /api/attachments/:id - Delete an attachment
+router.delete('/attachments/:id', attachmentIdValidation, deleteAttachment);
+
+module.exports = router;
@@ -1,20 +1,56 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { register, login } = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const {
+  getProfile,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  exportAccountData,
+  getCalendarSettings,
+  regenerateCalendarToken,
+  revokeCalendar,
+  deleteAccount
+} = require('../controllers/accountController');
 
 const router = express.Router();
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Rate limits, per client IP for the public endpoints and per user for the account ones.
+// Failed logins additionally lock the account and IP (see loginThrottleService).
+const loginRateLimit = rateLimit({ name: 'login', windowMs: 15 * MINUTE, max: 30 });
+const registerRateLimit = rateLimit({ name: 'register', windowMs: HOUR, max: 10 });
+const refreshRateLimit = rateLimit({ name: 'refresh', windowMs: 15 * MINUTE, max: 60 });
+const forgotPasswordRateLimit = rateLimit({ name: 'forgot-password', windowMs: HOUR, max: 5 });
+const tokenRateLimit = rateLimit({ name: 'token', windowMs: HOUR, max: 10 });
+const passwordCheckRateLimit = rateLimit({ name: 'password-check', windowMs: HOUR, max: 10, key: 'user' });
+
+// Password rules shared by every endpoint that sets a password
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
 // Validation rules for registration
 const registerValidation = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+  passwordRules('password')
 ];
 
 // Validation rules for login
@@ -28,10 +64,117 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// Validation rules for refresh token requests
+const refreshTokenValidation = [
+  body('refresh_token')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// Validation rules for requesting a password reset
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Validation rules for resetting the password
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordRules('password')
+];
+
+// Validation rules for changing the password
+const changePasswordValidation = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRules('new_password')
+];
+
+// Validation rules for requesting an email change
+const changeEmailValidation = [
+  body('new_email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required')
+];
+
+// Validation rules for confirming an email change
+const confirmEmailValidation = [
+  body('token')
+    .isString()
+    .withMessage('Confirmation token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Confirmation token is required')
+];
+
+// Validation rules for deleting the account
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
 // POST /api/auth/register - Register a new user
-router.post('/register', registerValidation, register);
+router.post('/register', registerRateLimit, registerValidation, register);
 
 // POST /api/auth/login - Login user
-router.post('/login', loginValidation, login);
+router.post('/login', loginRateLimit, loginValidation, login);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', refreshRateLimit, refreshTokenValidation, refresh);
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', refreshTokenValidation, logout);
+
+// POST /api/auth/logout-all - Revoke all sessions of the authenticated user
+router.post('/logout-all', authMiddleware, logoutAll);
+
+// POST /api/auth/forgot-password - Send a password reset link
+router.post('/forgot-password', forgotPasswordRateLimit, forgotPasswordValidation, forgotPassword);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', tokenRateLimit, resetPasswordValidation, resetPassword);
+
+// GET /api/auth/me - Get the profile of the authenticated user
+router.get('/me', authMiddleware, getProfile);
+
+// PATCH /api/auth/me/password - Change the password
+router.patch('/me/password', authMiddleware, passwordCheckRateLimit, changePasswordValidation, changePassword);
+
+// PATCH /api/auth/me/email - Request an email change (confirmed via the new address)
+router.patch('/me/email', authMiddleware, passwordCheckRateLimit, changeEmailValidation, requestEmailChange);
+
+// POST /api/auth/confirm-email - Confirm an email change with the emailed token
+router.post('/confirm-email', tokenRateLimit, confirmEmailValidation, confirmEmailChange);
+
+// GET /api/auth/me/export - Export all data of the authenticated user
+router.get('/me/export', authMiddleware, exportAccountData);
+
+// GET /api/auth/me/calendar - Get the calendar feed settings
+router.get('/me/calendar', authMiddleware, getCalendarSettings);
+
+// POST /api/auth/me/calendar - Create a new calendar feed URL, revoking the previous one
+router.post('/me/calendar', authMiddleware, regenerateCalendarToken);
+
+// DELETE /api/auth/me/calendar - Revoke the calendar feed URL
+router.delete('/me/calendar', authMiddleware, revokeCalendar);
+
+// DELETE /api/auth/me - Delete the account and everything stored for it
+router.delete('/me', authMiddleware, passwordCheckRateLimit, deleteAccountValidation, deleteAccount);
 
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getCalendarFeed } = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// GET /api/calendar/:token.ics - iCalendar feed of upcoming maintenance (secret token, no session)
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { getDashboardSummary } = require('../controllers/dashboardController');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for dashboard query parameters
+const dashboardValidation = [
+  query('organization_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Organization ID must be a positive integer')
+];
+
+// GET /api/dashboard - Get per-vehicle summary cards for the current user
+router.get('/', dashboardValidation, getDashboardSummary);
+
+module.exports = router;
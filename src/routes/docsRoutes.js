@@ -0,0 +1,12 @@
+const express = require('express');
+const { getOpenApiSpec, getDocsPage } = require('../controllers/docsController');
+
+const router = express.Router();
+
+// GET /api/openapi.json - Get the OpenAPI document
+router.get('/openapi.json', getOpenApiSpec);
+
+// GET /api/docs - Interactive API documentation
+router.get('/docs', getDocsPage);
+
+module.exports = router;
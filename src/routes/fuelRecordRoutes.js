@@ -1,32 +1,30 @@
 const express = require('express');
-const { body, param, query } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const csvUploadMiddleware = require('../middleware/csvUploadMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
 const { 
   createFuelRecord, 
   getFuelRecords, 
   updateFuelRecord, 
-  deleteFuelRecord 
+  deleteFuelRecord,
+  restoreFuelRecord,
+  getFuelEconomy,
+  exportFuelRecords,
+  importFuelRecords
 } = require('../controllers/fuelRecordController');
+const { fuelRecordValidation } = require('../validators/recordValidation');
+const { recordListValidation } = require('../validators/listValidation');
+const { dayQuery } = require('../validators/dateValidation');
 
 const router = express.Router();
 
+// CSV imports parse and write whole files: limited per user, shared by every import endpoint
+const importRateLimit = rateLimit({ name: 'csv-import', windowMs: 60 * 60 * 1000, max: 20, key: 'user' });
+
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
-// Validation rules for creating/updating fuel record
-const fuelRecordValidation = [
-  body('fill_date')
-    .isISO8601()
-    .toDate()
-    .withMessage('Fill date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
-  body('price_per_liter')
-    .isFloat({ min: 0.01 })
-    .withMessage('Price per liter must be a positive number greater than 0'),
-  body('liters_filled')
-    .isFloat({ min: 0.01 })
-    .withMessage('Liters filled must be a positive number greater than 0')
-];
-
 // Validation rules for vehicle ID parameter
 const vehicleIdValidation = [
   param('vehicleId')
@@ -41,16 +39,41 @@ const fuelRecordIdValidation = [
     .withMessage('Fuel record ID must be a positive integer')
 ];
 
-// Validation rules for query parameters
-const queryValidation = [
-  query('page')
+// Validation rules for list query parameters (filters, sorting, pagination)
+const queryValidation = recordListValidation('fuel_records');
+
+// Validation rules for fuel economy query parameters
+const fuelEconomyValidation = [
+  query('window')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  query('limit')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Rolling window must be between 1 and 50 segments')
+];
+
+// Validation rules for CSV export query parameters
+const exportValidation = [
+  query('format')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .isIn(['csv'])
+    .withMessage('Export format must be csv'),
+  dayQuery('from', 'From date'),
+  dayQuery('to', 'To date')
+    .bail()
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('To date must not be before the from date')
+];
+
+// Validation rules for CSV import options (multipart fields or query parameters)
+const importValidation = [
+  check('dry_run')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('dry_run must be a boolean'),
+  check('mapping')
+    .optional()
+    .isJSON({ allow_primitives: false })
+    .withMessage('Column mapping must be a JSON object, e.g. {"fill_date": "Date"}')
 ];
 
 // POST /api/vehicles/:vehicleId/fuel-records - Create a new fuel record
@@ -67,6 +90,13 @@ router.get('/vehicles/:vehicleId/fuel-records',
   getFuelRecords
 );
 
+// GET /api/vehicles/:vehicleId/fuel-economy - Get fuel economy analytics for a vehicle
+router.get('/vehicles/:vehicleId/fuel-economy', 
+  vehicleIdValidation, 
+  fuelEconomyValidation, 
+  getFuelEconomy
+);
+
 // PATCH /api/fuel-records/:id - Update a fuel record
 router.patch('/fuel-records/:id', 
   fuelRecordIdValidation, 
@@ -74,10 +104,38 @@ router.patch('/fuel-records/:id',
   updateFuelRecord
 );
 
-// DELETE /api/fuel-records/:id - Delete a fuel record
+// DELETE /api/fuel-records/:id - Move a fuel record to the trash
 router.delete('/fuel-records/:id', 
   fuelRecordIdValidation, 
   deleteFuelRecord
 );
 
+// POST /api/fuel-records/:id/restore - Restore a fuel record from the trash
+router.post('/fuel-records/:id/restore', 
+  fuelRecordIdValidation, 
+  restoreFuelRecord
+);
+
+// GET /api/vehicles/:vehicleId/fuel-records/export - Export fuel records of a vehicle as CSV
+router.get('/vehicles/:vehicleId/fuel-records/export', 
+  vehicleIdValidation, 
+  exportValidation, 
+  exportFuelRecords
+);
+
+// GET /api/fuel-records/export - Export fuel records of all vehicles as CSV
+router.get('/fuel-records/export', 
+  exportValidation, 
+  exportFuelRecords
+);
+
+// POST /api/vehicles/:vehicleId/fuel-records/import - Import fuel records from a CSV file
+router.post('/vehicles/:vehicleId/fuel-records/import', 
+  vehicleIdValidation, 
+  importRateLimit, 
+  csvUploadMiddleware, 
+  importValidation, 
+  importFuelRecords
+);
+
 module.exports = router;
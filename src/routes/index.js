@@ -0,0 +1,48 @@
+const docsRoutes = require('./docsRoutes');
+const authRoutes = require('./authRoutes');
+const vehicleRoutes = require('./vehicleRoutes');
+const organizationRoutes = require('./organizationRoutes');
+const dashboardRoutes = require('./dashboardRoutes');
+const reportRoutes = require('./reportRoutes');
+const oilChangeRoutes = require('./oilChangeRoutes');
+const fuelRecordRoutes = require('./fuelRecordRoutes');
+const serviceRecordRoutes = require('./serviceRecordRoutes');
+const odometerRoutes = require('./odometerRoutes');
+const vehicleMemberRoutes = require('./vehicleMemberRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const reminderRoutes = require('./reminderRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const jobRoutes = require('./jobRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const vehicleDocumentRoutes = require('./vehicleDocumentRoutes');
+const trashRoutes = require('./trashRoutes');
+const adminRoutes = require('./adminRoutes');
+
+// Every API router and the path it is mounted at, in mounting order.
+// The OpenAPI document is generated from this list.
+const apiRoutes = [
+  // Public, so mounted before the /api routers that require authentication
+  { path: '/api', router: docsRoutes }, // /api/openapi.json and /api/docs
+  { path: '/api/auth', router: authRoutes },
+  { path: '/api/jobs', router: jobRoutes }, // Authenticated with the cron secret, not a session
+  { path: '/api/calendar', router: calendarRoutes }, // Authenticated with the secret token in the URL
+  { path: '/api/vehicles', router: vehicleRoutes },
+  { path: '/api/organizations', router: organizationRoutes },
+  { path: '/api/dashboard', router: dashboardRoutes },
+  { path: '/api/reports', router: reportRoutes },
+  { path: '/api', router: oilChangeRoutes }, // /api/vehicles/:vehicleId/oil-changes and /api/oil-changes/:id
+  { path: '/api', router: fuelRecordRoutes }, // /api/vehicles/:vehicleId/fuel-records and /api/fuel-records/:id
+  { path: '/api', router: serviceRecordRoutes }, // /api/service-types, /api/vehicles/:vehicleId/services and /api/services/:id
+  { path: '/api', router: odometerRoutes }, // /api/vehicles/:vehicleId/odometer and /api/odometer-readings/:id
+  { path: '/api', router: vehicleMemberRoutes }, // /api/vehicles/:vehicleId/members, /api/vehicles/:vehicleId/invitations and /api/invitations/accept
+  { path: '/api', router: attachmentRoutes }, // /api/oil-changes/:id/attachments, /api/fuel-records/:id/attachments and /api/attachments/:id
+  { path: '/api', router: reminderRoutes }, // /api/vehicles/:vehicleId/reminders and /api/reminders/:id
+  { path: '/api', router: vehicleDocumentRoutes }, // /api/vehicles/:vehicleId/documents and /api/documents/:id
+  { path: '/api/notifications', router: notificationRoutes },
+  { path: '/api/trash', router: trashRoutes },
+  { path: '/api/admin', router: adminRoutes }
+];
+
+module.exports = {
+  apiRoutes
+};
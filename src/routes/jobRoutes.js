@@ -0,0 +1,14 @@
+const express = require('express');
+const cronMiddleware = require('../middleware/cronMiddleware');
+const { runReminders } = require('../controllers/jobController');
+
+const router = express.Router();
+
+// Scheduled jobs authenticate with the cron secret instead of a user session
+router.use(cronMiddleware);
+
+// GET /api/jobs/reminders - Check due maintenance and notify the members of each vehicle
+// (Vercel Cron calls its paths with GET)
+router.get('/reminders', runReminders);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getNotifications,
+  markNotificationRead,
+  snoozeNotification,
+  dismissNotification
+} = require('../controllers/notificationController');
+const { NOTIFICATION_FILTERS } = require('../services/notificationService');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for notification ID parameter
+const notificationIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Notification ID must be a positive integer')
+];
+
+// Validation rules for notification query parameters
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('filter')
+    .optional()
+    .isIn(Object.keys(NOTIFICATION_FILTERS))
+    .withMessage(`Filter must be one of: ${Object.keys(NOTIFICATION_FILTERS).join(', ')}`)
+];
+
+// Validation rules for snoozing a notification
+const snoozeValidation = [
+  body('hours')
+    .optional()
+    .isInt({ min: 1, max: 24 * 30 })
+    .toInt()
+    .withMessage('Hours must be between 1 and 720')
+];
+
+// GET /api/notifications - List the notifications of the authenticated user
+router.get('/', queryValidation, getNotifications);
+
+// POST /api/notifications/:id/read - Mark a notification as read
+router.post('/:id/read', notificationIdValidation, markNotificationRead);
+
+// POST /api/notifications/:id/snooze - Hide a notification for a while
+router.post('/:id/snooze', notificationIdValidation, snoozeValidation, snoozeNotification);
+
+// POST /api/notifications/:id/dismiss - Dismiss a notification
+router.post('/:id/dismiss', notificationIdValidation, dismissNotification);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getOdometerReadings,
+  createOdometerReading,
+  deleteOdometerReading
+} = require('../controllers/odometerController');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for creating an odometer reading
+const odometerReadingValidation = [
+  body('reading_date')
+    .isISO8601()
+    .toDate()
+    .withMessage('Reading date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
+  body('mileage')
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Mileage must be a non-negative integer'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters'),
+  body('allow_rollback')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('allow_rollback must be a boolean')
+];
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// Validation rules for odometer reading ID parameter
+const odometerReadingIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Odometer reading ID must be a positive integer')
+];
+
+// Validation rules for query parameters
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// GET /api/vehicles/:vehicleId/odometer - Get the odometer timeline for a vehicle
+router.get('/vehicles/:vehicleId/odometer',
+  vehicleIdValidation,
+  queryValidation,
+  getOdometerReadings
+);
+
+// POST /api/vehicles/:vehicleId/odometer - Add a manual odometer reading
+router.post('/vehicles/:vehicleId/odometer',
+  vehicleIdValidation,
+  odometerReadingValidation,
+  createOdometerReading
+);
+
+// DELETE /api/odometer-readings/:id - Delete a manual odometer reading
+router.delete('/odometer-readings/:id',
+  odometerReadingIdValidation,
+  deleteOdometerReading
+);
+
+module.exports = router;
@@ -1,34 +1,30 @@
 const express = require('express');
-const { body, param, query } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const csvUploadMiddleware = require('../middleware/csvUploadMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
 const { 
   createOilChange, 
   getOilChanges, 
   updateOilChange, 
-  deleteOilChange 
+  deleteOilChange,
+  restoreOilChange,
+  getNextOilChangeDue,
+  exportOilChanges,
+  importOilChanges
 } = require('../controllers/oilChangeController');
+const { oilChangeValidation } = require('../validators/recordValidation');
+const { recordListValidation } = require('../validators/listValidation');
+const { dayQuery } = require('../validators/dateValidation');
 
 const router = express.Router();
 
+// CSV imports parse and write whole files: limited per user, shared by every import endpoint
+const importRateLimit = rateLimit({ name: 'csv-import', windowMs: 60 * 60 * 1000, max: 20, key: 'user' });
+
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
-// Validation rules for creating/updating oil change
-const oilChangeValidation = [
-  body('change_date')
-    .isISO8601()
-    .toDate()
-    .withMessage('Change date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
-  body('mileage')
-    .isInt({ min: 0 })
-    .withMessage('Mileage must be a non-negative integer'),
-  body('notes')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes must not exceed 1000 characters')
-];
-
 // Validation rules for vehicle ID parameter
 const vehicleIdValidation = [
   param('vehicleId')
@@ -43,16 +39,33 @@ const oilChangeIdValidation = [
     .withMessage('Oil change ID must be a positive integer')
 ];
 
-// Validation rules for query parameters
-const queryValidation = [
-  query('page')
+// Validation rules for list query parameters (filters, sorting, pagination)
+const queryValidation = recordListValidation('oil_changes');
+
+// Validation rules for CSV export query parameters
+const exportValidation = [
+  query('format')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  query('limit')
+    .isIn(['csv'])
+    .withMessage('Export format must be csv'),
+  dayQuery('from', 'From date'),
+  dayQuery('to', 'To date')
+    .bail()
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('To date must not be before the from date')
+];
+
+// Validation rules for CSV import options (multipart fields or query parameters)
+const importValidation = [
+  check('dry_run')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('dry_run must be a boolean'),
+  check('mapping')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .isJSON({ allow_primitives: false })
+    .withMessage('Column mapping must be a JSON object, e.g. {"change_date": "Date"}')
 ];
 
 // POST /api/vehicles/:vehicleId/oil-changes - Create a new oil change record
@@ -69,6 +82,12 @@ router.get('/vehicles/:vehicleId/oil-changes',
   getOilChanges
 );
 
+// GET /api/vehicles/:vehicleId/oil-changes/next-due - Predict the next oil change
+router.get('/vehicles/:vehicleId/oil-changes/next-due', 
+  vehicleIdValidation, 
+  getNextOilChangeDue
+);
+
 // PATCH /api/oil-changes/:id - Update an oil change record
 router.patch('/oil-changes/:id', 
   oilChangeIdValidation, 
@@ -76,10 +95,38 @@ router.patch('/oil-changes/:id',
   updateOilChange
 );
 
-// DELETE /api/oil-changes/:id - Delete an oil change record
+// DELETE /api/oil-changes/:id - Move an oil change record to the trash
 router.delete('/oil-changes/:id', 
   oilChangeIdValidation, 
   deleteOilChange
 );
 
+// POST /api/oil-changes/:id/restore - Restore an oil change record from the trash
+router.post('/oil-changes/:id/restore', 
+  oilChangeIdValidation, 
+  restoreOilChange
+);
+
+// GET /api/vehicles/:vehicleId/oil-changes/export - Export oil change records of a vehicle as CSV
+router.get('/vehicles/:vehicleId/oil-changes/export', 
+  vehicleIdValidation, 
+  exportValidation, 
+  exportOilChanges
+);
+
+// GET /api/oil-changes/export - Export oil change records of all vehicles as CSV
+router.get('/oil-changes/export', 
+  exportValidation, 
+  exportOilChanges
+);
+
+// POST /api/vehicles/:vehicleId/oil-changes/import - Import oil change records from a CSV file
+router.post('/vehicles/:vehicleId/oil-changes/import', 
+  vehicleIdValidation, 
+  importRateLimit, 
+  csvUploadMiddleware, 
+  importValidation, 
+  importOilChanges
+);
+
 module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { ORGANIZATION_ROLES } = require('../services/permissionService');
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  deleteOrganization,
+  getOrganizationMembers,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  assignDriver,
+  unassignDriver,
+  getMaintenanceDue
+} = require('../controllers/organizationController');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for creating or renaming an organization
+const organizationValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name is required and must be between 1 and 100 characters')
+];
+
+// Validation rules for the role of a member
+const roleValidation = [
+  body('role')
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`)
+];
+
+// Validation rules for adding a member
+const memberValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  ...roleValidation
+];
+
+// Validation rules for assigning a driver
+const driverValidation = [
+  body('user_id')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('User ID must be a positive integer')
+];
+
+// Validation rules for organization ID parameter
+const organizationIdValidation = [
+  param('organizationId')
+    .isInt({ min: 1 })
+    .withMessage('Organization ID must be a positive integer')
+];
+
+// Validation rules for member user ID parameter
+const memberIdValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('User ID must be a positive integer')
+];
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// POST /api/organizations - Create an organization
+router.post('/', organizationValidation, createOrganization);
+
+// GET /api/organizations - List the organizations of the current user
+router.get('/', getOrganizations);
+
+// GET /api/organizations/:organizationId - Get a single organization
+router.get('/:organizationId', organizationIdValidation, getOrganizationById);
+
+// PATCH /api/organizations/:organizationId - Rename an organization
+router.patch('/:organizationId', organizationIdValidation, organizationValidation, updateOrganization);
+
+// DELETE /api/organizations/:organizationId - Delete an organization and its vehicles
+router.delete('/:organizationId', organizationIdValidation, deleteOrganization);
+
+// GET /api/organizations/:organizationId/members - List the members
+router.get('/:organizationId/members', organizationIdValidation, getOrganizationMembers);
+
+// POST /api/organizations/:organizationId/members - Add a registered user
+router.post('/:organizationId/members', organizationIdValidation, memberValidation, addOrganizationMember);
+
+// PATCH /api/organizations/:organizationId/members/:userId - Change the role of a member
+router.patch('/:organizationId/members/:userId',
+  organizationIdValidation,
+  memberIdValidation,
+  roleValidation,
+  updateOrganizationMember
+);
+
+// DELETE /api/organizations/:organizationId/members/:userId - Remove a member or leave
+router.delete('/:organizationId/members/:userId',
+  organizationIdValidation,
+  memberIdValidation,
+  removeOrganizationMember
+);
+
+// POST /api/organizations/:organizationId/vehicles/:vehicleId/drivers - Assign a driver to a vehicle
+router.post('/:organizationId/vehicles/:vehicleId/drivers',
+  organizationIdValidation,
+  vehicleIdValidation,
+  driverValidation,
+  assignDriver
+);
+
+// DELETE /api/organizations/:organizationId/vehicles/:vehicleId/drivers/:userId - Unassign a driver
+router.delete('/:organizationId/vehicles/:vehicleId/drivers/:userId',
+  organizationIdValidation,
+  vehicleIdValidation,
+  memberIdValidation,
+  unassignDriver
+);
+
+// GET /api/organizations/:organizationId/maintenance-due - Maintenance due across the fleet
+router.get('/:organizationId/maintenance-due', organizationIdValidation, getMaintenanceDue);
+
+module.exports = router;
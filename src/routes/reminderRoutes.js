@@ -0,0 +1,95 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getReminders,
+  createReminder,
+  updateReminder,
+  deleteReminder
+} = require('../controllers/reminderController');
+const { validateDay } = require('../validators/dateValidation');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// Validation rules for reminder ID parameter
+const reminderIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Reminder ID must be a positive integer')
+];
+
+// Validation rules for creating/updating reminder
+const reminderValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Title is required and must not exceed 150 characters'),
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters'),
+  validateDay(body('due_date').optional({ values: 'null' }), 'Due date'),
+  body('due_mileage')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Due mileage must be a non-negative integer')
+    .bail(),
+  body('due_mileage')
+    .custom((dueMileage, { req }) => (dueMileage !== undefined && dueMileage !== null) ||
+      (req.body.due_date !== undefined && req.body.due_date !== null))
+    .withMessage('A reminder needs a due date, a due mileage or both'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('completed must be a boolean')
+];
+
+// Validation rules for reminder list query parameters
+const queryValidation = [
+  query('include_completed')
+    .optional()
+    .isBoolean()
+    .withMessage('include_completed must be a boolean')
+];
+
+// GET /api/vehicles/:vehicleId/reminders - Get the reminders of a vehicle
+router.get('/vehicles/:vehicleId/reminders',
+  vehicleIdValidation,
+  queryValidation,
+  getReminders
+);
+
+// POST /api/vehicles/:vehicleId/reminders - Create a reminder
+router.post('/vehicles/:vehicleId/reminders',
+  vehicleIdValidation,
+  reminderValidation,
+  createReminder
+);
+
+// PATCH /api/reminders/:id - Update or complete a reminder
+router.patch('/reminders/:id',
+  reminderIdValidation,
+  reminderValidation,
+  updateReminder
+);
+
+// DELETE /api/reminders/:id - Delete a reminder
+router.delete('/reminders/:id',
+  reminderIdValidation,
+  deleteReminder
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { getCosts } = require('../controllers/reportController');
+const { GROUP_BY_PERIODS, MAX_RANGE_YEARS, earliestFrom } = require('../services/reportService');
+const { isDay, dayQuery } = require('../validators/dateValidation');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for cost report query parameters
+const costReportValidation = [
+  query('group_by')
+    .optional()
+    .isIn(GROUP_BY_PERIODS)
+    .withMessage(`group_by must be one of: ${GROUP_BY_PERIODS.join(', ')}`),
+  query('vehicle_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer'),
+  query('organization_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Organization ID must be a positive integer'),
+  dayQuery('from', 'From date')
+    .bail()
+    // Up to MAX_RANGE_YEARS before the to date (today when missing)
+    .custom((from, { req }) => {
+      const groupBy = GROUP_BY_PERIODS.includes(req.query.group_by) ? req.query.group_by : 'month';
+      const to = req.query.to || new Date().toISOString().slice(0, 10);
+      // An invalid to date is reported by its own rule
+      return !isDay(to) || from >= earliestFrom(to, groupBy);
+    })
+    .withMessage(`The range must not exceed ${MAX_RANGE_YEARS.month} years with group_by=month `
+      + `or ${MAX_RANGE_YEARS.year} years with group_by=year`),
+  dayQuery('to', 'To date')
+    .bail()
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('To date must not be before the from date')
+];
+
+// GET /api/reports/costs - Get fuel and maintenance costs per month or year
+router.get('/costs', costReportValidation, getCosts);
+
+module.exports = router;
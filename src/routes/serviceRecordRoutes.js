@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getServiceTypes,
+  createServiceRecord,
+  getServiceRecords,
+  getServiceRecordById,
+  updateServiceRecord,
+  deleteServiceRecord
+} = require('../controllers/serviceRecordController');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for creating/updating service record
+const serviceRecordValidation = [
+  body('service_type')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Service type is required (see GET /api/service-types)'),
+  body('service_date')
+    .isISO8601()
+    .toDate()
+    .withMessage('Service date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
+  body('mileage')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Mileage must be a non-negative integer'),
+  body('parts_cost')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Parts cost must be a non-negative number'),
+  body('labor_cost')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Labor cost must be a non-negative number'),
+  body('workshop_name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Workshop name must not exceed 150 characters'),
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters'),
+  body('allow_rollback')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('allow_rollback must be a boolean')
+];
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// Validation rules for service record ID parameter
+const serviceRecordIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Service record ID must be a positive integer')
+];
+
+// Validation rules for query parameters
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('service_type')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Service type must not exceed 50 characters'),
+  query('include_oil_changes')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_oil_changes must be true or false')
+];
+
+// GET /api/service-types - Get the service type catalog
+router.get('/service-types', getServiceTypes);
+
+// POST /api/vehicles/:vehicleId/services - Create a new service record
+router.post('/vehicles/:vehicleId/services',
+  vehicleIdValidation,
+  serviceRecordValidation,
+  createServiceRecord
+);
+
+// GET /api/vehicles/:vehicleId/services - Get the combined service history for a vehicle
+router.get('/vehicles/:vehicleId/services',
+  vehicleIdValidation,
+  queryValidation,
+  getServiceRecords
+);
+
+// GET /api/services/:id - Get a single service record
+router.get('/services/:id',
+  serviceRecordIdValidation,
+  getServiceRecordById
+);
+
+// PATCH /api/services/:id - Update a service record
+router.patch('/services/:id',
+  serviceRecordIdValidation,
+  serviceRecordValidation,
+  updateServiceRecord
+);
+
+// DELETE /api/services/:id - Delete a service record
+router.delete('/services/:id',
+  serviceRecordIdValidation,
+  deleteServiceRecord
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { query } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { getTrash } = require('../controllers/trashController');
+const { TRASH_TYPES } = require('../services/trashService');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for trash query parameters
+const trashValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .isIn(TRASH_TYPES)
+    .withMessage(`Type must be one of: ${TRASH_TYPES.join(', ')}`)
+];
+
+// GET /api/trash - List deleted vehicles and records that can be restored
+router.get('/', trashValidation, getTrash);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getDocuments,
+  createDocument,
+  updateDocument,
+  deleteDocument
+} = require('../controllers/vehicleDocumentController');
+const { DOCUMENT_TYPES } = require('../services/calendarService');
+const { validateDay } = require('../validators/dateValidation');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// Validation rules for document ID parameter
+const documentIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Document ID must be a positive integer')
+];
+
+// Validation rules for creating/updating document
+const documentValidation = [
+  body('type')
+    .isIn(DOCUMENT_TYPES)
+    .withMessage(`Type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+  body('title')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title must not exceed 150 characters'),
+  body('document_number')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Document number must not exceed 100 characters'),
+  validateDay(body('expires_on'), 'Expiry date'),
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+// GET /api/vehicles/:vehicleId/documents - Get the documents of a vehicle
+router.get('/vehicles/:vehicleId/documents',
+  vehicleIdValidation,
+  getDocuments
+);
+
+// POST /api/vehicles/:vehicleId/documents - Add a document to a vehicle
+router.post('/vehicles/:vehicleId/documents',
+  vehicleIdValidation,
+  documentValidation,
+  createDocument
+);
+
+// PATCH /api/documents/:id - Update a document
+router.patch('/documents/:id',
+  documentIdValidation,
+  documentValidation,
+  updateDocument
+);
+
+// DELETE /api/documents/:id - Delete a document
+router.delete('/documents/:id',
+  documentIdValidation,
+  deleteDocument
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+const { ROLES } = require('../services/permissionService');
+const {
+  getMembers,
+  updateMember,
+  removeMember,
+  getInvitations,
+  createInvitation,
+  deleteInvitation,
+  acceptInvitation
+} = require('../controllers/vehicleMemberController');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Invitations send emails, so they are limited per user
+const invitationRateLimit = rateLimit({ name: 'invitation', windowMs: 60 * 60 * 1000, max: 20, key: 'user' });
+
+// Validation rules for the role of a member
+const roleValidation = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Validation rules for creating an invitation
+const invitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  ...roleValidation
+];
+
+// Validation rules for accepting an invitation
+const acceptInvitationValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required')
+];
+
+// Validation rules for vehicle ID parameter
+const vehicleIdValidation = [
+  param('vehicleId')
+    .isInt({ min: 1 })
+    .withMessage('Vehicle ID must be a positive integer')
+];
+
+// Validation rules for member user ID parameter
+const memberIdValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('User ID must be a positive integer')
+];
+
+// Validation rules for invitation ID parameter
+const invitationIdValidation = [
+  param('invitationId')
+    .isInt({ min: 1 })
+    .withMessage('Invitation ID must be a positive integer')
+];
+
+// GET /api/vehicles/:vehicleId/members - List the members of a vehicle
+router.get('/vehicles/:vehicleId/members',
+  vehicleIdValidation,
+  getMembers
+);
+
+// PATCH /api/vehicles/:vehicleId/members/:userId - Change the role of a member
+router.patch('/vehicles/:vehicleId/members/:userId',
+  vehicleIdValidation,
+  memberIdValidation,
+  roleValidation,
+  updateMember
+);
+
+// DELETE /api/vehicles/:vehicleId/members/:userId - Remove a member or leave the vehicle
+router.delete('/vehicles/:vehicleId/members/:userId',
+  vehicleIdValidation,
+  memberIdValidation,
+  removeMember
+);
+
+// GET /api/vehicles/:vehicleId/invitations - List the pending invitations of a vehicle
+router.get('/vehicles/:vehicleId/invitations',
+  vehicleIdValidation,
+  getInvitations
+);
+
+// POST /api/vehicles/:vehicleId/invitations - Invite someone by email
+router.post('/vehicles/:vehicleId/invitations',
+  invitationRateLimit,
+  vehicleIdValidation,
+  invitationValidation,
+  createInvitation
+);
+
+// DELETE /api/vehicles/:vehicleId/invitations/:invitationId - Revoke a pending invitation
+router.delete('/vehicles/:vehicleId/invitations/:invitationId',
+  vehicleIdValidation,
+  invitationIdValidation,
+  deleteInvitation
+);
+
+// POST /api/invitations/accept - Accept an invitation with the emailed token
+router.post('/invitations/accept',
+  acceptInvitationValidation,
+  acceptInvitation
+);
+
+module.exports = router;
@@ -5,25 +5,123 @@ const {
   createVehicle, 
   getVehicles, 
   getVehicleById, 
-  deleteVehicle 
+  updateVehicle,
+  deleteVehicle,
+  restoreVehicle,
+  updateOilChangeInterval,
+  getVehicleHistory
 } = require('../controllers/vehicleController');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../services/auditService');
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+// Validation rules for oil change interval fields
+const oilChangeIntervalValidation = [
+  body('oil_change_interval_km')
+    .optional()
+    .isInt({ min: 100, max: 100000 })
+    .toInt()
+    .withMessage('Oil change interval must be between 100 and 100000 km'),
+  body('oil_change_interval_months')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .toInt()
+    .withMessage('Oil change interval must be between 1 and 60 months')
+];
+
+// Supported fuel types
+const FUEL_TYPES = ['gasoline', 'diesel', 'electric', 'hybrid', 'lpg', 'cng'];
+
+const currentYear = new Date().getFullYear();
+
+// Validation rules for the optional vehicle profile fields
+const vehicleDetailsValidation = [
+  body('license_plate')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('License plate must not exceed 20 characters'),
+  body('make')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make must not exceed 50 characters'),
+  body('model')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Model must not exceed 50 characters'),
+  body('year')
+    .optional({ values: 'null' })
+    .isInt({ min: 1885, max: currentYear + 1 })
+    .toInt()
+    .withMessage(`Year must be between 1885 and ${currentYear + 1}`),
+  body('engine_cc')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10000 })
+    .toInt()
+    .withMessage('Engine displacement must be between 1 and 10000 cc'),
+  body('vin')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('VIN / frame number must not exceed 50 characters'),
+  body('engine_number')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Engine number must not exceed 50 characters'),
+  body('fuel_type')
+    .optional({ values: 'null' })
+    .isIn(FUEL_TYPES)
+    .withMessage(`Fuel type must be one of: ${FUEL_TYPES.join(', ')}`),
+  body('color')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Color must not exceed 30 characters'),
+  body('purchase_date')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .withMessage('Purchase date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
+  body('purchase_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Purchase price must be a non-negative number'),
+  body('initial_odometer')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Initial odometer must be a non-negative integer'),
+  ...oilChangeIntervalValidation
+];
+
 // Validation rules for creating a vehicle
 const createVehicleValidation = [
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Vehicle name is required and must be between 1 and 100 characters'),
-  body('license_plate')
+  body('organization_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Organization ID must be a positive integer'),
+  ...vehicleDetailsValidation
+];
+
+// Validation rules for updating a vehicle (all fields optional)
+const updateVehicleValidation = [
+  body('name')
     .optional()
     .trim()
-    .isLength({ max: 20 })
-    .withMessage('License plate must not exceed 20 characters')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Vehicle name must be between 1 and 100 characters'),
+  ...vehicleDetailsValidation
 ];
 
 // Validation rules for vehicle ID parameter
@@ -47,7 +145,53 @@ const queryValidation = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Search term must not exceed 100 characters')
+    .withMessage('Search term must not exceed 100 characters'),
+  query('make')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make must not exceed 50 characters'),
+  query('model')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Model must not exceed 50 characters'),
+  query('fuel_type')
+    .optional()
+    .isIn(FUEL_TYPES)
+    .withMessage(`Fuel type must be one of: ${FUEL_TYPES.join(', ')}`),
+  query('year_min')
+    .optional()
+    .isInt({ min: 1885 })
+    .withMessage('year_min must be a valid year'),
+  query('year_max')
+    .optional()
+    .isInt({ min: 1885 })
+    .withMessage('year_max must be a valid year'),
+  query('organization_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Organization ID must be a positive integer')
+];
+
+// Validation rules for the vehicle history query parameters
+const historyValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('entity_type')
+    .optional()
+    .isIn(AUDIT_ENTITY_TYPES)
+    .withMessage(`Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`)
 ];
 
 // POST /api/vehicles - Create a new vehicle
@@ -59,7 +203,19 @@ router.get('/', queryValidation, getVehicles);
 // GET /api/vehicles/:id - Get a single vehicle by ID
 router.get('/:id', vehicleIdValidation, getVehicleById);
 
-// DELETE /api/vehicles/:id - Delete a vehicle
+// GET /api/vehicles/:id/history - Get the audit trail of a vehicle and its records
+router.get('/:id/history', vehicleIdValidation, historyValidation, getVehicleHistory);
+
+// PATCH /api/vehicles/:id - Update a vehicle profile
+router.patch('/:id', vehicleIdValidation, updateVehicleValidation, updateVehicle);
+
+// PATCH /api/vehicles/:id/oil-change-interval - Update the oil change interval
+router.patch('/:id/oil-change-interval', vehicleIdValidation, oilChangeIntervalValidation, updateOilChangeInterval);
+
+// DELETE /api/vehicles/:id - Move a vehicle to the trash
 router.delete('/:id', vehicleIdValidation, deleteVehicle);
 
+// POST /api/vehicles/:id/restore - Restore a vehicle from the trash
+router.post('/:id/restore', vehicleIdValidation, restoreVehicle);
+
 module.exports = router;
@@ -0,0 +1,71 @@
+const { query } = require('../config/db');
+
+// Tables exported per vehicle, with the column used to order their rows
+const VEHICLE_TABLES = [
+  { key: 'oil_changes', table: 'oil_changes', orderBy: 'change_date' },
+  { key: 'fuel_records', table: 'fuel_records', orderBy: 'fill_date' },
+  { key: 'service_records', table: 'service_records', orderBy: 'service_date' },
+  { key: 'odometer_readings', table: 'odometer_readings', orderBy: 'reading_date' },
+  { key: 'attachments', table: 'attachments', orderBy: 'created_at' },
+  { key: 'reminders', table: 'reminders', orderBy: 'created_at' },
+  { key: 'vehicle_documents', table: 'vehicle_documents', orderBy: 'expires_on' }
+];
+
+// Vehicles of the user ($1): their own, and those of the organizations they manage
+// (admin or manager), which are deleted with an organization that has no other member
+const EXPORTED_VEHICLES = `v.user_id = $1 OR v.organization_id IN (
+  SELECT organization_id FROM organization_members WHERE user_id = $1 AND role IN ('admin', 'manager')
+)`;
+
+// Build a complete export of everything stored for a user
+// One query per table (not per vehicle), rows are grouped by vehicle afterwards
+const buildAccountExport = async (userId, db = { query }) => {
+  const userResult = await db.query(
+    'SELECT id, email, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const organizationsResult = await db.query(
+    `SELECT o.id, o.name, o.created_at, om.role
+     FROM organizations o
+     JOIN organization_members om ON om.organization_id = o.id
+     WHERE om.user_id = $1
+     ORDER BY o.created_at ASC, o.id ASC`,
+    [userId]
+  );
+
+  const vehiclesResult = await db.query(
+    `SELECT v.* FROM vehicles v WHERE ${EXPORTED_VEHICLES} ORDER BY v.created_at ASC, v.id ASC`,
+    [userId]
+  );
+
+  const vehicles = vehiclesResult.rows.map((vehicle) => ({ ...vehicle }));
+  const vehiclesById = new Map(vehicles.map((vehicle) => [vehicle.id, vehicle]));
+
+  for (const { key, table, orderBy } of VEHICLE_TABLES) {
+    vehicles.forEach((vehicle) => { vehicle[key] = []; });
+
+    const result = await db.query(
+      `SELECT t.* FROM ${table} t
+       JOIN vehicles v ON t.vehicle_id = v.id
+       WHERE ${EXPORTED_VEHICLES}
+       ORDER BY t.${orderBy} ASC, t.id ASC`,
+      [userId]
+    );
+
+    result.rows.forEach((row) => {
+      vehiclesById.get(row.vehicle_id)[key].push(row);
+    });
+  }
+
+  return {
+    exported_at: new Date().toISOString(),
+    user: userResult.rows[0] || null,
+    organizations: organizationsResult.rows,
+    vehicles
+  };
+};
+
+module.exports = {
+  buildAccountExport
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { logger } = require('../config/logger');
+const { getStorage } = require('./storage');
+require('dotenv').config();
+
+const ATTACHMENT_MAX_BYTES = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+// Records that can have attachments: the table, the column of attachments pointing to
+// them and the permission needed to add or remove an attachment (same as changing the record)
+const ATTACHMENT_PARENTS = {
+  oil_change: { table: 'oil_changes', column: 'oil_change_id', permission: 'oil:write', label: 'Oil change record' },
+  fuel_record: { table: 'fuel_records', column: 'fuel_record_id', permission: 'fuel:write', label: 'Fuel record' }
+};
+
+// Accepted file types, recognized by their first bytes rather than the name or the
+// Content-Type sent by the client. Images get a thumbnail.
+const FILE_TYPES = [
+  { contentType: 'image/jpeg', extension: 'jpg', image: true, matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', image: true, matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/webp', extension: 'webp', image: true, matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { contentType: 'application/pdf', extension: 'pdf', image: false, matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const ALLOWED_CONTENT_TYPES = FILE_TYPES.map((type) => type.contentType);
+
+const THUMBNAIL_SIZE = 320;
+
+const detectFileType = (buffer) => FILE_TYPES.find((type) => type.matches(buffer)) || null;
+
+// Longest side THUMBNAIL_SIZE pixels, turned upright from the EXIF orientation of phone photos
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 80 })
+  .toBuffer();
+
+// Keep the name for downloads without path parts or control characters
+const cleanFileName = (name) => (name || 'attachment')
+  .split(/[\\/]/).pop()
+  .replace(/[\u0000-\u001f\u007f"]/g, '')
+  .slice(0, 255) || 'attachment';
+
+// Check and store an uploaded file (and its thumbnail) for a record of a vehicle.
+// Returns { error } for a file that is not accepted, otherwise the columns of the attachment row.
+// The stored objects are not part of the database transaction: callers remove them
+// with removeStoredFiles when saving the row fails.
+const storeUpload = async ({ vehicleId, file }) => {
+  const fileType = detectFileType(file.buffer);
+  if (!fileType) {
+    return { error: `Unsupported file type, allowed types: ${ALLOWED_CONTENT_TYPES.join(', ')}` };
+  }
+
+  let thumbnail = null;
+  if (fileType.image) {
+    try {
+      thumbnail = await createThumbnail(file.buffer);
+    } catch (error) {
+      return { error: 'The image could not be read' };
+    }
+  }
+
+  const storage = getStorage();
+  const name = crypto.randomUUID();
+  const storageKey = `vehicles/${vehicleId}/${name}.${fileType.extension}`;
+  const thumbnailKey = thumbnail ? `vehicles/${vehicleId}/${name}.thumb.jpg` : null;
+
+  await storage.put(storageKey, file.buffer, fileType.contentType);
+  if (thumbnail) {
+    await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+  }
+
+  return {
+    file_name: cleanFileName(file.originalname),
+    content_type: fileType.contentType,
+    size_bytes: file.buffer.length,
+    storage_key: storageKey,
+    thumbnail_key: thumbnailKey
+  };
+};
+
+// Remove the stored files of attachments whose rows are gone. A file that cannot be
+// removed is only logged: the row is already deleted, so nothing points to it any more.
+const removeStoredFiles = async (attachments) => {
+  const storage = getStorage();
+  const keys = attachments.flatMap((attachment) => [attachment.storage_key, attachment.thumbnail_key]).filter(Boolean);
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.warn('Stored file could not be removed', { key, error });
+    }
+  }
+};
+
+// Delete the attachment rows of vehicles that are about to be deleted for good, and
+// return them so their files can be removed once the transaction is committed
+const detachVehicleAttachments = async (vehicleIds, db) => {
+  const result = await db.query(
+    'DELETE FROM attachments WHERE vehicle_id = ANY($1::int[]) RETURNING *',
+    [vehicleIds]
+  );
+  return result.rows;
+};
+
+// The attachment as returned by the API: storage keys stay internal, files are
+// downloaded through the authenticated URLs
+const toAttachmentResponse = ({ storage_key, thumbnail_key, ...attachment }) => ({
+  ...attachment,
+  has_thumbnail: thumbnail_key !== null,
+  download_url: `/api/attachments/${attachment.id}/download`,
+  thumbnail_url: thumbnail_key !== null ? `/api/attachments/${attachment.id}/thumbnail` : null
+});
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_PARENTS,
+  ALLOWED_CONTENT_TYPES,
+  storeUpload,
+  removeStoredFiles,
+  detachVehicleAttachments,
+  toAttachmentResponse
+};
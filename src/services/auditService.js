@@ -0,0 +1,151 @@
+const { query } = require('../config/db');
+const { getRequestContext } = require('../config/logger');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Entities whose changes are recorded
+const AUDIT_ENTITY_TYPES = [
+  'vehicle',
+  'fuel_record',
+  'oil_change',
+  'service_record',
+  'odometer_reading',
+  'vehicle_member',
+  'vehicle_invitation',
+  'organization',
+  'organization_member',
+  'attachment',
+  'reminder',
+  'vehicle_document'
+];
+
+// Secrets never end up in the log, not even hashed
+const OMITTED_FIELDS = ['password_hash', 'token_hash'];
+
+// Rows per INSERT, well below the limit of 65535 query parameters
+const BATCH_SIZE = 500;
+
+const COLUMNS = [
+  'actor_id', 'actor_email', 'action', 'entity_type', 'entity_id',
+  'vehicle_id', 'organization_id', 'before', 'after', 'ip', 'request_id'
+];
+
+const snapshot = (row) => {
+  if (!row) {
+    return null;
+  }
+  const copy = { ...row };
+  OMITTED_FIELDS.forEach((field) => delete copy[field]);
+  return JSON.stringify(copy);
+};
+
+// Changes made by scheduled jobs rather than a request
+const SYSTEM_ACTOR = { id: null, email: null, ip: null, requestId: null };
+
+// Who made the changes of a request: the authenticated user, their IP and the request id
+const auditActor = (req) => ({
+  id: req.user ? req.user.id : null,
+  email: req.user ? req.user.email : null,
+  ip: req.ip || null,
+  requestId: req.id || (getRequestContext() || {}).requestId || null
+});
+
+// Record one change ({ action, entityType, entityId, vehicleId, organizationId, before, after })
+// or a list of them. Pass the transaction client so the entry is only kept with the change.
+const recordAudit = async (actor, changes, db = { query }) => {
+  const entries = Array.isArray(changes) ? changes : [changes];
+
+  for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+    const batch = entries.slice(start, start + BATCH_SIZE);
+    const values = [];
+    const rows = batch.map((entry) => {
+      values.push(
+        actor.id,
+        actor.email,
+        entry.action,
+        entry.entityType,
+        entry.entityId ?? null,
+        entry.vehicleId ?? null,
+        entry.organizationId ?? null,
+        snapshot(entry.before),
+        snapshot(entry.after),
+        actor.ip,
+        actor.requestId
+      );
+      const offset = values.length - COLUMNS.length;
+      return `(${COLUMNS.map((column, index) => `$${offset + index + 1}`).join(', ')})`;
+    });
+
+    await db.query(
+      `INSERT INTO audit_log (${COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`,
+      values
+    );
+  }
+};
+
+// Fields whose value differs between the before and after snapshot of an update
+const changedFields = (before, after) => {
+  if (!before || !after) {
+    return [];
+  }
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .sort();
+};
+
+// Query the audit log, newest first. Every filter is optional.
+const findAuditEntries = async ({
+  vehicleId = null,
+  organizationId = null,
+  actorId = null,
+  entityType = null,
+  entityId = null,
+  action = null,
+  requestId = null,
+  from = null,
+  to = null,
+  limit = 20,
+  offset = 0
+}) => {
+  const params = [vehicleId, organizationId, actorId, entityType, entityId, action, requestId, from, to];
+  const whereClause = `
+    WHERE ($1::integer IS NULL OR vehicle_id = $1)
+      AND ($2::integer IS NULL OR organization_id = $2)
+      AND ($3::integer IS NULL OR actor_id = $3)
+      AND ($4::text IS NULL OR entity_type = $4)
+      AND ($5::integer IS NULL OR entity_id = $5)
+      AND ($6::text IS NULL OR action = $6)
+      AND ($7::text IS NULL OR request_id = $7)
+      AND ($8::date IS NULL OR created_at >= $8::date)
+      AND ($9::date IS NULL OR created_at < $9::date + 1)`;
+
+  const countResult = await query(`SELECT COUNT(*) FROM audit_log ${whereClause}`, params);
+
+  const result = await query(
+    `SELECT id, actor_id, actor_email, action, entity_type, entity_id, vehicle_id, organization_id,
+            before, after, ip, request_id, created_at
+     FROM audit_log ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $10 OFFSET $11`,
+    [...params, limit, offset]
+  );
+
+  return {
+    totalItems: parseInt(countResult.rows[0].count),
+    entries: result.rows.map((row) => ({
+      ...row,
+      id: parseInt(row.id),
+      changed_fields: changedFields(row.before, row.after)
+    }))
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  SYSTEM_ACTOR,
+  auditActor,
+  recordAudit,
+  changedFields,
+  findAuditEntries
+};
@@ -0,0 +1,210 @@
+const { query } = require('../config/db');
+const { hashToken, generateSecureToken } = require('./tokenService');
+const { toDateOnly, formatDate } = require('./oilChangeDueService');
+const { getMaintenanceDue } = require('./dashboardService');
+
+const DOCUMENT_TYPES = ['insurance', 'registration', 'inspection', 'road_tax', 'other'];
+
+const DOCUMENT_LABELS = {
+  insurance: 'Insurance',
+  registration: 'Registration',
+  inspection: 'Inspection',
+  road_tax: 'Road tax',
+  other: 'Document'
+};
+
+// Alarms of each kind of event, before the start of its day. Renewing papers takes a
+// while, so document expiries get an early warning as well.
+const ALARMS = {
+  oil_change: ['-P1D'],
+  reminder: ['-P1D'],
+  document: ['-P14D', '-P1D']
+};
+
+// Calendar apps poll the feed; these ask for a refresh twice a day
+const REFRESH_INTERVAL = 'PT12H';
+
+// Escape a TEXT value (RFC 5545, 3.3.11)
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line longer than 75 octets (RFC 5545, 3.1) without splitting a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// DATE value (20240115) of a DATE column or YYYY-MM-DD string
+const formatDay = (value) => formatDate(toDateOnly(value)).replace(/-/g, '');
+
+// DATE-TIME value in UTC (20240115T080000Z)
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines of an all-day event with a display alarm for each trigger
+const allDayEvent = ({ uid, date, summary, description, alarms, stamp }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}@vehicle-maintenance`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART;VALUE=DATE:${formatDay(date)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  'TRANSP:TRANSPARENT',
+  ...alarms.flatMap((trigger) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(summary)}`,
+    `TRIGGER:${trigger}`,
+    'END:VALARM'
+  ]),
+  'END:VEVENT'
+];
+
+// iCalendar feed of a user: the predicted oil changes, the reminders with a due date
+// (scheduled services and other work) and the document expiries of every vehicle they
+// have access to. Past events stay in the feed until the item is done or renewed.
+const buildCalendar = async (userId, now = new Date()) => {
+  const stamp = formatTimestamp(now);
+  const events = [];
+
+  const { vehicles } = await getMaintenanceDue(userId, now);
+  vehicles.forEach((vehicle) => {
+    vehicle.upcoming_maintenance
+      .filter((item) => item.type === 'oil_change')
+      .forEach((item) => {
+        events.push(allDayEvent({
+          // A new oil change predicts a new date, under a new UID
+          uid: `oil-change-${vehicle.id}-${vehicle.last_oil_change.id}`,
+          date: item.predicted_due_date,
+          summary: `Oil change due: ${vehicle.name}`,
+          description: `Due at ${item.due_mileage} km or on this day, whichever comes first ` +
+            '(predicted from the last oil change and the recent daily distance).',
+          alarms: ALARMS.oil_change,
+          stamp
+        }));
+      });
+  });
+
+  const remindersResult = await query(
+    `SELECT r.id, r.title, r.notes, r.due_date, r.due_mileage, v.name AS vehicle_name
+     FROM reminders r
+     JOIN vehicle_access va ON va.vehicle_id = r.vehicle_id AND va.user_id = $1
+     JOIN vehicles v ON v.id = r.vehicle_id
+     WHERE r.completed_at IS NULL AND r.due_date IS NOT NULL
+     ORDER BY r.due_date ASC, r.id ASC`,
+    [userId]
+  );
+  remindersResult.rows.forEach((reminder) => {
+    events.push(allDayEvent({
+      uid: `reminder-${reminder.id}`,
+      date: reminder.due_date,
+      summary: `${reminder.title}: ${reminder.vehicle_name}`,
+      description: [
+        reminder.due_mileage !== null ? `Due at ${reminder.due_mileage} km or on this day, whichever comes first.` : null,
+        reminder.notes
+      ].filter(Boolean).join('\n'),
+      alarms: ALARMS.reminder,
+      stamp
+    }));
+  });
+
+  const documentsResult = await query(
+    `SELECT d.id, d.type, d.title, d.document_number, d.expires_on, d.notes, v.name AS vehicle_name
+     FROM vehicle_documents d
+     JOIN vehicle_access va ON va.vehicle_id = d.vehicle_id AND va.user_id = $1
+     JOIN vehicles v ON v.id = d.vehicle_id
+     ORDER BY d.expires_on ASC, d.id ASC`,
+    [userId]
+  );
+  documentsResult.rows.forEach((document) => {
+    events.push(allDayEvent({
+      uid: `document-${document.id}`,
+      date: document.expires_on,
+      summary: `${document.title || DOCUMENT_LABELS[document.type]} expires: ${document.vehicle_name}`,
+      description: [
+        document.document_number ? `Number: ${document.document_number}` : null,
+        document.notes
+      ].filter(Boolean).join('\n'),
+      alarms: ALARMS.document,
+      stamp
+    }));
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Vehicle Maintenance//Maintenance calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Vehicle maintenance',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// The user of a calendar token, or null; records when the feed was last fetched
+const findCalendarUser = async (token) => {
+  const result = await query(
+    `UPDATE calendar_tokens SET last_used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 RETURNING user_id`,
+    [hashToken(token)]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Create the calendar token of a user, replacing (and so revoking) the previous one.
+// Only its hash is stored: the token is returned once.
+const createCalendarToken = async (userId) => {
+  const token = generateSecureToken(32);
+  const result = await query(
+    `INSERT INTO calendar_tokens (user_id, token_hash) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE
+       SET token_hash = EXCLUDED.token_hash, created_at = CURRENT_TIMESTAMP, last_used_at = NULL
+     RETURNING created_at`,
+    [userId, hashToken(token)]
+  );
+  return { token, created_at: result.rows[0].created_at };
+};
+
+// Calendar settings of a user; the token itself cannot be read back
+const getCalendarToken = async (userId) => {
+  const result = await query(
+    'SELECT created_at, last_used_at FROM calendar_tokens WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Revoke the calendar token of a user; returns false if there was none
+const revokeCalendarToken = async (userId) => {
+  const result = await query('DELETE FROM calendar_tokens WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  buildCalendar,
+  findCalendarUser,
+  createCalendarToken,
+  getCalendarToken,
+  revokeCalendarToken
+};
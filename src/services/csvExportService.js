@@ -0,0 +1,87 @@
+const { streamQuery } = require('../config/db');
+
+// Quote a value for CSV (RFC 4180); dates are written as ISO 8601
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Spreadsheets run cells starting with these characters as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Resolve once the response can take more data (or the client went away)
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Stream the result of a query to the response as a CSV download.
+// Rows are fetched in batches, so large histories are never held in memory at once.
+// Headers are only sent with the first batch, so a failing query still gets a JSON error.
+const streamCsv = async (res, { filename, columns, sql, params }) => {
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  const start = () => {
+    if (res.headersSent) {
+      return;
+    }
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.write(formatCsvRow(columns));
+  };
+
+  try {
+    await streamQuery(sql, params, async (rows) => {
+      if (clientGone) {
+        return false;
+      }
+      start();
+
+      const chunk = rows
+        .map((row) => formatCsvRow(columns.map((column) => row[column])))
+        .join('');
+
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+      return !clientGone;
+    });
+  } catch (error) {
+    // Once headers are sent, the only way to signal failure is to cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+    }
+    throw error;
+  }
+
+  // No rows at all: still a CSV with its header line
+  start();
+  res.end();
+};
+
+module.exports = {
+  formatCsvValue,
+  streamCsv
+};
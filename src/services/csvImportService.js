@@ -0,0 +1,265 @@
+const { validationResult } = require('express-validator');
+const { transaction } = require('../config/db');
+const { findMileageConflict, syncReading } = require('./odometerService');
+const { recordAudit } = require('./auditService');
+const { fuelRecordValidation, oilChangeValidation } = require('../validators/recordValidation');
+
+// Largest number of data rows accepted in one import
+const MAX_IMPORT_ROWS = 10000;
+
+// What can be imported: target fields, validation rules and how a row is stored
+const IMPORT_TYPES = {
+  fuel_records: {
+    fields: ['fill_date', 'price_per_liter', 'liters_filled', 'odometer', 'is_full_tank', 'allow_rollback'],
+    required: ['fill_date', 'price_per_liter', 'liters_filled'],
+    validation: fuelRecordValidation,
+    dateField: 'fill_date',
+    mileageField: 'odometer',
+    source: 'fuel_record',
+    entityType: 'fuel_record',
+    insert: async (client, vehicleId, row) => {
+      const result = await client.query(
+        'INSERT INTO fuel_records (vehicle_id, fill_date, price_per_liter, liters_filled, odometer, is_full_tank) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [vehicleId, row.fill_date, row.price_per_liter, row.liters_filled, row.odometer ?? null, row.is_full_tank ?? true]
+      );
+      return result.rows[0];
+    }
+  },
+  oil_changes: {
+    fields: ['change_date', 'mileage', 'notes', 'allow_rollback'],
+    required: ['change_date', 'mileage'],
+    validation: oilChangeValidation,
+    dateField: 'change_date',
+    mileageField: 'mileage',
+    source: 'oil_change',
+    entityType: 'oil_change',
+    insert: async (client, vehicleId, row) => {
+      const result = await client.query(
+        'INSERT INTO oil_changes (vehicle_id, change_date, mileage, notes) VALUES ($1, $2, $3, $4) RETURNING *',
+        [vehicleId, row.change_date, row.mileage, row.notes || null]
+      );
+      return result.rows[0];
+    }
+  }
+};
+
+// Error raised for problems with the file as a whole (not a single row)
+class CsvImportError extends Error {}
+
+// Thrown inside the transaction to roll it back (dry run or rows with errors)
+class RollbackSignal extends Error {}
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip the byte order mark written by Excel
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new CsvImportError('CSV file has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter((values) => values.some((value) => value.trim() !== ''));
+};
+
+// Turn CSV records into objects keyed by target field.
+// mapping is { target_field: 'CSV header' }; unmapped fields use the header of the same name.
+const mapRows = (records, mapping, { fields, required }) => {
+  if (records.length < 2) {
+    throw new CsvImportError('CSV file must contain a header row and at least one data row');
+  }
+
+  const headers = records[0].map((header) => header.trim().toLowerCase());
+
+  const unknownFields = Object.keys(mapping).filter((field) => !fields.includes(field));
+  if (unknownFields.length > 0) {
+    throw new CsvImportError(`Unknown fields in column mapping: ${unknownFields.join(', ')}`);
+  }
+
+  const columnIndexes = {};
+  fields.forEach((field) => {
+    const header = String(mapping[field] || field).trim().toLowerCase();
+    const index = headers.indexOf(header);
+    if (index !== -1) {
+      columnIndexes[field] = index;
+    } else if (mapping[field]) {
+      throw new CsvImportError(`Column "${mapping[field]}" mapped to ${field} was not found in the CSV header`);
+    }
+  });
+
+  const missing = required.filter((field) => columnIndexes[field] === undefined);
+  if (missing.length > 0) {
+    throw new CsvImportError(`CSV file is missing required columns: ${missing.join(', ')}`);
+  }
+
+  const dataRows = records.slice(1);
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new CsvImportError(`CSV file must not contain more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  // Row numbers match the spreadsheet (the header is row 1)
+  return dataRows.map((values, index) => {
+    const data = {};
+    Object.entries(columnIndexes).forEach(([field, columnIndex]) => {
+      const value = (values[columnIndex] ?? '').trim();
+      // Empty cells count as missing, so optional fields keep their defaults
+      if (value !== '') {
+        data[field] = value;
+      }
+    });
+    return { row: index + 2, data };
+  });
+};
+
+// Run the route validation rules against a single row
+const validateRow = async (data, validation) => {
+  const req = { body: { ...data } };
+  await Promise.all(validation.map((chain) => chain.run(req)));
+  const errors = validationResult(req);
+  return { data: req.body, errors: errors.array() };
+};
+
+// Validate and insert the rows of a CSV file for a vehicle.
+// All rows are written in one transaction, which is rolled back when any row fails
+// or when dryRun is set, so an import is all-or-nothing. The created rows are
+// recorded in the audit log as changes of the actor.
+const importCsv = async ({ type, vehicleId, csv, mapping = {}, dryRun = false, actor }) => {
+  const importer = IMPORT_TYPES[type];
+  const rows = mapRows(parseCsv(csv), mapping, importer);
+
+  const rowErrors = [];
+  const validRows = [];
+  for (const { row, data } of rows) {
+    const result = await validateRow(data, importer.validation);
+    if (result.errors.length > 0) {
+      rowErrors.push({ row, errors: result.errors });
+    } else {
+      validRows.push({ row, data: result.data });
+    }
+  }
+
+  // Insert in chronological order so the mileage check sees the earlier rows
+  validRows.sort((a, b) => a.data[importer.dateField] - b.data[importer.dateField] ||
+    (a.data[importer.mileageField] ?? 0) - (b.data[importer.mileageField] ?? 0));
+
+  const created = [];
+  let flagged = 0;
+
+  try {
+    await transaction(async (client) => {
+      for (const { row, data } of validRows) {
+        const mileage = data[importer.mileageField];
+        const date = data[importer.dateField];
+
+        // Reject mileage that goes backwards unless the row allows it
+        const conflict = mileage !== undefined && mileage !== null
+          ? await findMileageConflict({ vehicleId, date, mileage }, client)
+          : null;
+        if (conflict && !data.allow_rollback) {
+          rowErrors.push({
+            row,
+            errors: [{
+              type: 'field',
+              value: mileage,
+              msg: `Mileage is inconsistent with the ${conflict.source.replace('_', ' ')} reading of ${conflict.mileage} km`,
+              path: importer.mileageField,
+              location: 'body'
+            }]
+          });
+          continue;
+        }
+
+        const record = await importer.insert(client, vehicleId, data);
+        await syncReading({
+          vehicleId,
+          source: importer.source,
+          sourceId: record.id,
+          date,
+          mileage,
+          flagged: !!conflict
+        }, client);
+
+        created.push(record);
+        if (conflict) {
+          flagged++;
+        }
+      }
+
+      if (dryRun || rowErrors.length > 0) {
+        throw new RollbackSignal();
+      }
+
+      if (actor) {
+        await recordAudit(actor, created.map((record) => ({
+          action: 'create',
+          entityType: importer.entityType,
+          entityId: record.id,
+          vehicleId,
+          after: record
+        })), client);
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof RollbackSignal)) {
+      throw error;
+    }
+  }
+
+  rowErrors.sort((a, b) => a.row - b.row);
+
+  return {
+    dry_run: dryRun,
+    committed: !dryRun && rowErrors.length === 0,
+    total_rows: rows.length,
+    valid_rows: rows.length - rowErrors.length,
+    invalid_rows: rowErrors.length,
+    imported: !dryRun && rowErrors.length === 0 ? created.length : 0,
+    flagged_readings: flagged,
+    errors: rowErrors
+  };
+};
+
+module.exports = {
+  IMPORT_TYPES,
+  MAX_IMPORT_ROWS,
+  CsvImportError,
+  parseCsv,
+  importCsv
+};
@@ -0,0 +1,217 @@
+const { query } = require('../config/db');
+const { calculateFuelEconomyTrend } = require('./fuelEconomyService');
+const { predictOilChangeDue } = require('./oilChangeDueService');
+
+// Fuel records older than this are left out of the economy trend
+const TREND_LOOKBACK_MONTHS = 12;
+
+// Group rows by their vehicle_id
+const groupByVehicle = (rows) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.vehicle_id)) {
+      groups.set(row.vehicle_id, []);
+    }
+    groups.get(row.vehicle_id).push(row);
+  });
+  return groups;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Build the dashboard for a user: one card per vehicle plus totals, optionally limited
+// to the vehicles of an organization. Uses three queries regardless of the number of vehicles.
+const getDashboard = async (userId, today = new Date(), { organizationId = null } = {}) => {
+  // One row per vehicle the user has access to, with their role, latest records and month-to-date spend
+  const vehiclesResult = await query(
+    `SELECT v.id, v.name, v.license_plate, v.make, v.model, v.year, v.organization_id, va.role,
+            v.oil_change_interval_km, v.oil_change_interval_months,
+            COALESCE(lr.mileage, v.initial_odometer) AS current_mileage,
+            lf.id AS last_fill_id, lf.fill_date AS last_fill_date, lf.liters_filled AS last_fill_liters,
+            lf.price_per_liter AS last_fill_price_per_liter, lf.odometer AS last_fill_odometer,
+            lf.is_full_tank AS last_fill_is_full_tank,
+            lo.id AS last_oil_change_id, lo.change_date AS last_oil_change_date,
+            lo.mileage AS last_oil_change_mileage, lo.notes AS last_oil_change_notes,
+            ms.fuel_spend, ms.service_spend
+     FROM vehicles v
+     JOIN vehicle_access va ON va.vehicle_id = v.id AND va.user_id = $1
+     LEFT JOIN LATERAL (
+       SELECT mileage FROM odometer_readings
+       WHERE vehicle_id = v.id
+       ORDER BY reading_date DESC, mileage DESC LIMIT 1
+     ) lr ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT id, fill_date, liters_filled, price_per_liter, odometer, is_full_tank FROM fuel_records
+       WHERE vehicle_id = v.id AND deleted_at IS NULL
+       ORDER BY fill_date DESC, created_at DESC LIMIT 1
+     ) lf ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT id, change_date, mileage, notes FROM oil_changes
+       WHERE vehicle_id = v.id AND deleted_at IS NULL
+       ORDER BY change_date DESC, mileage DESC LIMIT 1
+     ) lo ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT
+         (SELECT COALESCE(SUM(price_per_liter * liters_filled), 0) FROM fuel_records
+          WHERE vehicle_id = v.id AND deleted_at IS NULL
+            AND fill_date >= date_trunc('month', $2::date))::float AS fuel_spend,
+         (SELECT COALESCE(SUM(parts_cost + labor_cost), 0) FROM service_records
+          WHERE vehicle_id = v.id AND service_date >= date_trunc('month', $2::date))::float AS service_spend
+     ) ms ON TRUE
+     WHERE ($3::integer IS NULL OR v.organization_id = $3)
+     ORDER BY v.created_at DESC`,
+    [userId, today, organizationId]
+  );
+
+  // Recent fuel records of all vehicles, for the economy trend
+  const fuelResult = await query(
+    `SELECT fr.id, fr.vehicle_id, fr.fill_date, fr.price_per_liter, fr.liters_filled, fr.odometer, fr.is_full_tank
+     FROM fuel_records fr
+     JOIN vehicles v ON fr.vehicle_id = v.id
+     WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+       AND ($4::integer IS NULL OR v.organization_id = $4)
+       AND fr.deleted_at IS NULL
+       AND fr.fill_date >= $2::date - make_interval(months => $3)`,
+    [userId, today, TREND_LOOKBACK_MONTHS, organizationId]
+  );
+
+  // Odometer readings of all vehicles, for the oil change prediction
+  // Flagged readings (odometer rollbacks) would distort the daily distance
+  const readingsResult = await query(
+    `SELECT r.vehicle_id, r.reading_date AS date, r.mileage
+     FROM odometer_readings r
+     JOIN vehicles v ON r.vehicle_id = v.id
+     WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+       AND ($2::integer IS NULL OR v.organization_id = $2)
+       AND r.is_flagged = FALSE`,
+    [userId, organizationId]
+  );
+
+  const fuelByVehicle = groupByVehicle(fuelResult.rows);
+  const readingsByVehicle = groupByVehicle(readingsResult.rows);
+
+  const vehicles = vehiclesResult.rows.map((row) => {
+    const lastOilChange = row.last_oil_change_id
+      ? { id: row.last_oil_change_id, change_date: row.last_oil_change_date, mileage: row.last_oil_change_mileage }
+      : null;
+
+    const oilChangeDue = predictOilChangeDue({
+      lastChange: lastOilChange,
+      intervalKm: row.oil_change_interval_km,
+      intervalMonths: row.oil_change_interval_months,
+      readings: readingsByVehicle.get(row.id) || [],
+      today
+    });
+
+    const upcomingMaintenance = [];
+    if (oilChangeDue.status !== 'no_history') {
+      upcomingMaintenance.push({
+        type: 'oil_change',
+        status: oilChangeDue.status,
+        predicted_due_date: oilChangeDue.predicted_due_date,
+        due_reason: oilChangeDue.due_reason,
+        due_mileage: oilChangeDue.due_mileage,
+        remaining_km: oilChangeDue.remaining_km,
+        days_remaining: oilChangeDue.days_remaining
+      });
+    }
+
+    const fuelSpend = round(row.fuel_spend);
+    const serviceSpend = round(row.service_spend);
+
+    return {
+      id: row.id,
+      name: row.name,
+      license_plate: row.license_plate,
+      make: row.make,
+      model: row.model,
+      year: row.year,
+      organization_id: row.organization_id,
+      role: row.role,
+      current_mileage: row.current_mileage,
+      last_fill_up: row.last_fill_id
+        ? {
+          id: row.last_fill_id,
+          fill_date: row.last_fill_date,
+          liters_filled: row.last_fill_liters,
+          price_per_liter: row.last_fill_price_per_liter,
+          total_cost: round(row.last_fill_liters * row.last_fill_price_per_liter),
+          odometer: row.last_fill_odometer,
+          is_full_tank: row.last_fill_is_full_tank
+        }
+        : null,
+      last_oil_change: lastOilChange ? { ...lastOilChange, notes: row.last_oil_change_notes } : null,
+      month_to_date_spend: {
+        fuel: fuelSpend,
+        service: serviceSpend,
+        total: round(fuelSpend + serviceSpend)
+      },
+      fuel_economy: calculateFuelEconomyTrend(fuelByVehicle.get(row.id) || []),
+      upcoming_maintenance: upcomingMaintenance
+    };
+  });
+
+  const sum = (selector) => round(vehicles.reduce((total, vehicle) => total + selector(vehicle), 0));
+
+  return {
+    generated_at: new Date().toISOString(),
+    totals: {
+      vehicle_count: vehicles.length,
+      month_to_date_spend: {
+        fuel: sum((vehicle) => vehicle.month_to_date_spend.fuel),
+        service: sum((vehicle) => vehicle.month_to_date_spend.service),
+        total: sum((vehicle) => vehicle.month_to_date_spend.total)
+      },
+      maintenance_due_soon: vehicles.filter((vehicle) =>
+        vehicle.upcoming_maintenance.some((item) => item.status === 'due_soon')).length,
+      maintenance_overdue: vehicles.filter((vehicle) =>
+        vehicle.upcoming_maintenance.some((item) => item.status === 'overdue')).length
+    },
+    vehicles
+  };
+};
+
+// Order of maintenance statuses, most urgent first
+const STATUS_URGENCY = ['overdue', 'due_soon', 'ok'];
+
+const urgency = (vehicle) => {
+  const statuses = vehicle.upcoming_maintenance.map((item) => STATUS_URGENCY.indexOf(item.status));
+  return statuses.length > 0 ? Math.min(...statuses) : STATUS_URGENCY.length;
+};
+
+const daysRemaining = (vehicle) => {
+  const days = vehicle.upcoming_maintenance
+    .map((item) => item.days_remaining)
+    .filter((value) => value !== null && value !== undefined);
+  return days.length > 0 ? Math.min(...days) : Number.MAX_SAFE_INTEGER;
+};
+
+// Maintenance due across the vehicles of an organization (or of the user), most urgent first:
+// overdue, then due soon, then the rest, each by the days remaining
+const getMaintenanceDue = async (userId, today = new Date(), { organizationId = null } = {}) => {
+  const { totals, vehicles } = await getDashboard(userId, today, { organizationId });
+
+  return {
+    generated_at: new Date().toISOString(),
+    totals: {
+      vehicle_count: totals.vehicle_count,
+      maintenance_due_soon: totals.maintenance_due_soon,
+      maintenance_overdue: totals.maintenance_overdue
+    },
+    vehicles: vehicles
+      .map((vehicle) => ({
+        id: vehicle.id,
+        name: vehicle.name,
+        license_plate: vehicle.license_plate,
+        current_mileage: vehicle.current_mileage,
+        last_oil_change: vehicle.last_oil_change,
+        upcoming_maintenance: vehicle.upcoming_maintenance
+      }))
+      .sort((a, b) => urgency(a) - urgency(b) || daysRemaining(a) - daysRemaining(b))
+  };
+};
+
+module.exports = {
+  getDashboard,
+  getMaintenanceDue
+};
@@ -0,0 +1,186 @@
+// Fuel economy calculations based on the "full tank to full tank" method.
+// Distance is measured between two consecutive full fills that both carry an
+// odometer reading; every liter bought after the first fill (including partial
+// top-ups) up to and including the second fill is counted against that distance.
+
+const DEFAULT_ROLLING_WINDOW = 5;
+
+const round = (value, decimals = 2) => {
+  if (value === null || value === undefined || !isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Build the economy figures for a given distance, fuel amount and cost
+const economyFigures = (distance, liters, cost) => ({
+  km_per_liter: liters > 0 ? round(distance / liters) : null,
+  liters_per_100km: distance > 0 ? round((liters / distance) * 100) : null,
+  cost_per_km: distance > 0 ? round(cost / distance, 4) : null
+});
+
+// Sort fuel records chronologically, using odometer and id as tie-breakers
+const sortRecords = (records) => [...records].sort((a, b) => {
+  const dateDiff = new Date(a.fill_date) - new Date(b.fill_date);
+  if (dateDiff !== 0) return dateDiff;
+
+  if (a.odometer !== null && b.odometer !== null && a.odometer !== b.odometer) {
+    return a.odometer - b.odometer;
+  }
+  return a.id - b.id;
+});
+
+// Split fuel records into full-to-full segments
+const buildSegments = (records) => {
+  const segments = [];
+  let anchor = null;
+  let pendingLiters = 0;
+  let pendingCost = 0;
+
+  for (const record of sortRecords(records)) {
+    const liters = parseFloat(record.liters_filled);
+    const cost = liters * parseFloat(record.price_per_liter);
+    const hasOdometer = record.odometer !== null && record.odometer !== undefined;
+
+    if (!record.is_full_tank) {
+      // Partial fill: counts towards the next full-to-full segment
+      if (anchor) {
+        pendingLiters += liters;
+        pendingCost += cost;
+      }
+      continue;
+    }
+
+    if (!hasOdometer) {
+      // A full fill without odometer breaks the chain, distance can't be measured
+      anchor = null;
+      pendingLiters = 0;
+      pendingCost = 0;
+      continue;
+    }
+
+    if (anchor && record.odometer > anchor.odometer) {
+      const distance = record.odometer - anchor.odometer;
+      const segmentLiters = pendingLiters + liters;
+      const segmentCost = pendingCost + cost;
+
+      segments.push({
+        start_record_id: anchor.id,
+        end_record_id: record.id,
+        start_date: anchor.fill_date,
+        end_date: record.fill_date,
+        start_odometer: anchor.odometer,
+        end_odometer: record.odometer,
+        distance_km: distance,
+        liters: round(segmentLiters),
+        cost: round(segmentCost),
+        ...economyFigures(distance, segmentLiters, segmentCost)
+      });
+    }
+
+    anchor = record;
+    pendingLiters = 0;
+    pendingCost = 0;
+  }
+
+  return segments;
+};
+
+// Aggregate a list of segments (distance weighted, not a mean of ratios)
+const aggregateSegments = (segments) => {
+  const distance = segments.reduce((sum, segment) => sum + segment.distance_km, 0);
+  const liters = segments.reduce((sum, segment) => sum + segment.liters, 0);
+  const cost = segments.reduce((sum, segment) => sum + segment.cost, 0);
+
+  return {
+    distance_km: distance,
+    liters: round(liters),
+    cost: round(cost),
+    ...economyFigures(distance, liters, cost)
+  };
+};
+
+// Calculate fuel economy for a list of fuel records of a single vehicle
+const calculateFuelEconomy = (records, options = {}) => {
+  const window = options.window || DEFAULT_ROLLING_WINDOW;
+  const segments = buildSegments(records);
+
+  // Rolling average over the last `window` segments, attached to each segment
+  const segmentsWithRolling = segments.map((segment, index) => {
+    const windowSegments = segments.slice(Math.max(0, index - window + 1), index + 1);
+    const rolling = aggregateSegments(windowSegments);
+    return {
+      ...segment,
+      rolling_km_per_liter: rolling.km_per_liter,
+      rolling_liters_per_100km: rolling.liters_per_100km,
+      rolling_cost_per_km: rolling.cost_per_km
+    };
+  });
+
+  const totalLiters = records.reduce((sum, record) => sum + parseFloat(record.liters_filled), 0);
+  const totalSpent = records.reduce(
+    (sum, record) => sum + parseFloat(record.liters_filled) * parseFloat(record.price_per_liter),
+    0
+  );
+
+  return {
+    summary: {
+      total_fills: records.length,
+      total_liters: round(totalLiters),
+      total_spent: round(totalSpent),
+      segment_count: segments.length,
+      overall: aggregateSegments(segments),
+      rolling: {
+        window,
+        ...aggregateSegments(segments.slice(-window))
+      },
+      latest: segmentsWithRolling.length > 0 ? segmentsWithRolling[segmentsWithRolling.length - 1] : null
+    },
+    segments: segmentsWithRolling
+  };
+};
+
+// Changes in km/L smaller than this (in percent) count as "stable"
+const TREND_THRESHOLD_PERCENT = 3;
+
+// Compare the rolling average of the last `window` segments with the window before it
+const calculateFuelEconomyTrend = (records, options = {}) => {
+  const window = options.window || DEFAULT_ROLLING_WINDOW;
+  const segments = buildSegments(records);
+  const current = aggregateSegments(segments.slice(-window));
+  const previous = aggregateSegments(segments.slice(-2 * window, -window));
+
+  let changePercent = null;
+  let direction = null;
+  if (current.km_per_liter !== null && previous.km_per_liter !== null) {
+    changePercent = round(((current.km_per_liter - previous.km_per_liter) / previous.km_per_liter) * 100, 1);
+    if (changePercent >= TREND_THRESHOLD_PERCENT) {
+      direction = 'improving';
+    } else if (changePercent <= -TREND_THRESHOLD_PERCENT) {
+      direction = 'declining';
+    } else {
+      direction = 'stable';
+    }
+  }
+
+  return {
+    window,
+    segment_count: segments.length,
+    rolling_km_per_liter: current.km_per_liter,
+    previous_km_per_liter: previous.km_per_liter,
+    change_percent: changePercent,
+    direction,
+    // Data points for a small chart (most recent last)
+    recent: segments.slice(-2 * window).map((segment) => ({
+      end_date: segment.end_date,
+      km_per_liter: segment.km_per_liter
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_ROLLING_WINDOW,
+  calculateFuelEconomy,
+  calculateFuelEconomyTrend
+};
@@ -0,0 +1,74 @@
+const { getStore } = require('./rateLimit');
+const { logger } = require('../config/logger');
+
+// Progressive lockout after repeated failed logins. Failures are counted per account
+// and per client IP (which catches one IP trying many accounts). Once a counter reaches
+// its threshold the account or IP is locked, and every further failure doubles the lock.
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BASE_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) * 1000 || 60 * 1000;
+const MAX_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) * 1000 || 60 * 60 * 1000;
+
+const SCOPES = [
+  { name: 'account', threshold: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5 },
+  { name: 'ip', threshold: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20 }
+];
+
+const failureKey = (scope, id) => `login-failures:${scope}:${id}`;
+const lockKey = (scope, id) => `login-lock:${scope}:${id}`;
+
+// Lock duration after `failures` failed attempts (threshold reached: the base duration)
+const lockDuration = (failures, threshold) => {
+  return Math.min(BASE_LOCK_MS * 2 ** (failures - threshold), MAX_LOCK_MS);
+};
+
+const targets = ({ email, ip }) => SCOPES.map((scope) => ({
+  ...scope,
+  id: scope.name === 'account' ? email : ip
+}));
+
+// Seconds until the account or IP may try again, 0 when neither is locked
+const getLoginLockout = async ({ email, ip }) => {
+  try {
+    const store = getStore();
+    const locks = await Promise.all(targets({ email, ip }).map((target) => store.get(lockKey(target.name, target.id))));
+    const resetAt = Math.max(0, ...locks.filter(Boolean).map((lock) => lock.resetAt));
+    return resetAt > Date.now() ? Math.ceil((resetAt - Date.now()) / 1000) : 0;
+  } catch (error) {
+    // Fail open: an unavailable store must not block every login
+    logger.error('Login throttle error', { error });
+    return 0;
+  }
+};
+
+// Count a failed login, locking the account or IP once it reaches its threshold
+const recordLoginFailure = async ({ email, ip }) => {
+  try {
+    const store = getStore();
+    for (const target of targets({ email, ip })) {
+      const { count } = await store.increment(failureKey(target.name, target.id), FAILURE_WINDOW_MS);
+      if (count >= target.threshold) {
+        await store.set(lockKey(target.name, target.id), count, lockDuration(count, target.threshold));
+      }
+    }
+  } catch (error) {
+    logger.error('Login throttle error', { error });
+  }
+};
+
+// Forget the failures of an account after a successful login.
+// The IP counter is kept, so one valid account cannot be used to reset it.
+const clearLoginFailures = async ({ email }) => {
+  try {
+    const store = getStore();
+    await store.reset(failureKey('account', email));
+    await store.reset(lockKey('account', email));
+  } catch (error) {
+    logger.error('Login throttle error', { error });
+  }
+};
+
+module.exports = {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
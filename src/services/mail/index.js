@@ -0,0 +1,59 @@
+const path = require('path');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createOutboxTransport } = require('./outboxTransport');
+require('dotenv').config();
+
+// A transport is an object with a name and an async send({ to, subject, text, html })
+let transport = null;
+
+// Create the transport configured by MAIL_TRANSPORT (smtp or outbox)
+const createTransport = () => {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+
+  if (type === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    });
+  }
+
+  if (type === 'outbox') {
+    return createOutboxTransport({
+      directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail-outbox')
+    });
+  }
+
+  throw new Error(`Unknown mail transport: ${type}`);
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport (used by tests to capture messages)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Vehicle Maintenance <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outbox mail transport (development and tests): every message is written as a
+// JSON file to a directory and kept in memory instead of being delivered
+const createOutboxTransport = (options = {}) => {
+  const directory = options.directory || null;
+  const messages = [];
+
+  return {
+    name: 'outbox',
+    messages,
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const stored = { id, sent_at: new Date().toISOString(), ...message };
+      messages.push(stored);
+
+      if (directory) {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify(stored, null, 2));
+      }
+
+      return { id };
+    }
+  };
+};
+
+module.exports = {
+  createOutboxTransport
+};
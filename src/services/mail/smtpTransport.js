@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// SMTP mail transport (production)
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = {
+  createSmtpTransport
+};
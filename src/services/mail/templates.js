@@ -0,0 +1,77 @@
+// Plain text and HTML bodies for the emails sent by the API
+
+const passwordResetEmail = ({ resetUrl, expiresMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    'We received a request to reset the password of your Vehicle Maintenance account.',
+    '',
+    `Open this link to choose a new password (valid for ${expiresMinutes} minutes):`,
+    resetUrl,
+    '',
+    'If you did not request a password reset you can ignore this email.'
+  ].join('\n'),
+  html: `<p>We received a request to reset the password of your Vehicle Maintenance account.</p>
+<p><a href="${resetUrl}">Choose a new password</a> (valid for ${expiresMinutes} minutes).</p>
+<p>If you did not request a password reset you can ignore this email.</p>`
+});
+
+const emailChangeConfirmationEmail = ({ confirmUrl, expiresMinutes }) => ({
+  subject: 'Confirm your new email address',
+  text: [
+    'Please confirm that this address should be used for your Vehicle Maintenance account.',
+    '',
+    `Open this link to confirm (valid for ${expiresMinutes} minutes):`,
+    confirmUrl,
+    '',
+    'If you did not request this change you can ignore this email.'
+  ].join('\n'),
+  html: `<p>Please confirm that this address should be used for your Vehicle Maintenance account.</p>
+<p><a href="${confirmUrl}">Confirm email address</a> (valid for ${expiresMinutes} minutes).</p>
+<p>If you did not request this change you can ignore this email.</p>`
+});
+
+const emailChangedNotice = ({ newEmail }) => ({
+  subject: 'Your email address was changed',
+  text: [
+    `The email address of your Vehicle Maintenance account was changed to ${newEmail}.`,
+    '',
+    'If you did not make this change, reset your password immediately.'
+  ].join('\n'),
+  html: `<p>The email address of your Vehicle Maintenance account was changed to ${newEmail}.</p>
+<p>If you did not make this change, reset your password immediately.</p>`
+});
+
+// Vehicle names are free text, so they are escaped in HTML bodies
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'an owner (full control)',
+  rider: 'a rider (can log fuel)',
+  mechanic: 'a mechanic (can log oil changes and services)'
+};
+
+const vehicleInvitationEmail = ({ vehicleName, inviterEmail, role, acceptUrl, expiresDays }) => ({
+  subject: `You are invited to ${vehicleName}`,
+  text: [
+    `${inviterEmail} invited you to the vehicle "${vehicleName}" on Vehicle Maintenance as ${ROLE_DESCRIPTIONS[role]}.`,
+    '',
+    `Open this link to accept (valid for ${expiresDays} days). Log in or register with this email address first:`,
+    acceptUrl,
+    '',
+    'If you do not know the sender you can ignore this email.'
+  ].join('\n'),
+  html: `<p>${inviterEmail} invited you to the vehicle "${escapeHtml(vehicleName)}" on Vehicle Maintenance as ${ROLE_DESCRIPTIONS[role]}.</p>
+<p><a href="${acceptUrl}">Accept the invitation</a> (valid for ${expiresDays} days). Log in or register with this email address first.</p>
+<p>If you do not know the sender you can ignore this email.</p>`
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailChangeConfirmationEmail,
+  emailChangedNotice,
+  vehicleInvitationEmail
+};
@@ -0,0 +1,71 @@
+const { query } = require('../config/db');
+
+// Which notifications each filter of GET /api/notifications shows. Active ones are
+// neither dismissed nor snoozed; snoozed ones come back once their time is up.
+const NOTIFICATION_FILTERS = {
+  active: 'n.dismissed_at IS NULL AND (n.snoozed_until IS NULL OR n.snoozed_until <= CURRENT_TIMESTAMP)',
+  unread: 'n.dismissed_at IS NULL AND (n.snoozed_until IS NULL OR n.snoozed_until <= CURRENT_TIMESTAMP) AND n.read_at IS NULL',
+  snoozed: 'n.dismissed_at IS NULL AND n.snoozed_until > CURRENT_TIMESTAMP',
+  dismissed: 'n.dismissed_at IS NOT NULL',
+  all: 'TRUE'
+};
+
+const NOTIFICATION_COLUMNS = `
+  n.id, n.vehicle_id, v.name AS vehicle_name, n.reminder_id, n.type, n.status, n.title, n.message,
+  n.due_date, n.due_mileage, n.read_at, n.snoozed_until, n.dismissed_at, n.created_at`;
+
+// Notifications are only shown while the user has access to their vehicle
+// (not after leaving it, nor while it is in the trash)
+const NOTIFICATION_FROM = `
+  FROM notifications n
+  JOIN vehicle_access va ON va.vehicle_id = n.vehicle_id AND va.user_id = n.user_id
+  JOIN vehicles v ON v.id = n.vehicle_id`;
+
+// Notifications of a user matching a filter, newest first
+const findNotifications = async (userId, { filter = 'active', limit = 20, offset = 0 } = {}) => {
+  const whereClause = `WHERE n.user_id = $1 AND ${NOTIFICATION_FILTERS[filter]}`;
+
+  const countResult = await query(`SELECT COUNT(*) ${NOTIFICATION_FROM} ${whereClause}`, [userId]);
+
+  const result = await query(
+    `SELECT ${NOTIFICATION_COLUMNS} ${NOTIFICATION_FROM} ${whereClause}
+     ORDER BY n.created_at DESC, n.id DESC LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return {
+    totalItems: parseInt(countResult.rows[0].count),
+    notifications: result.rows
+  };
+};
+
+// Mark a notification of a user as read, snooze it until a time or dismiss it.
+// Returns the updated notification, or null when the user cannot see it.
+const updateNotification = async (id, userId, { read = false, snoozedUntil = null, dismissed = false }) => {
+  const result = await query(
+    `UPDATE notifications n
+     SET read_at = CASE WHEN $3 THEN COALESCE(n.read_at, CURRENT_TIMESTAMP) ELSE n.read_at END,
+         snoozed_until = COALESCE($4, n.snoozed_until),
+         dismissed_at = CASE WHEN $5 THEN COALESCE(n.dismissed_at, CURRENT_TIMESTAMP) ELSE n.dismissed_at END
+     WHERE n.id = $1 AND n.user_id = $2
+       AND EXISTS (SELECT 1 FROM vehicle_access va WHERE va.vehicle_id = n.vehicle_id AND va.user_id = n.user_id)
+     RETURNING n.id`,
+    [id, userId, read, snoozedUntil, dismissed]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const notification = await query(
+    `SELECT ${NOTIFICATION_COLUMNS} ${NOTIFICATION_FROM} WHERE n.id = $1`,
+    [id]
+  );
+  return notification.rows[0];
+};
+
+module.exports = {
+  NOTIFICATION_FILTERS,
+  findNotifications,
+  updateNotification
+};
@@ -0,0 +1,82 @@
+const { query } = require('../config/db');
+
+// Sources an odometer reading can come from
+const READING_SOURCES = ['manual', 'oil_change', 'fuel_record', 'service_record'];
+
+// Default database handle, a transaction client can be passed instead
+const defaultDb = { query };
+
+// Find a reading that makes the given mileage go backwards in time:
+// an earlier reading with a higher mileage or a later reading with a lower one.
+// The reading belonging to the record being edited is excluded.
+const findMileageConflict = async ({ vehicleId, date, mileage, source = null, sourceId = null }, db = defaultDb) => {
+  const result = await db.query(
+    `SELECT id, reading_date, mileage, source, source_id
+     FROM odometer_readings
+     WHERE vehicle_id = $1
+       AND ($5::integer IS NULL OR NOT (source = $4 AND source_id = $5))
+       AND ((reading_date < $2 AND mileage > $3) OR (reading_date > $2 AND mileage < $3))
+     ORDER BY reading_date DESC
+     LIMIT 1`,
+    [vehicleId, date, mileage, source, sourceId]
+  );
+  return result.rows[0] || null;
+};
+
+// Create, update or remove the reading attached to a record (oil change, fuel fill, service)
+const syncReading = async ({ vehicleId, source, sourceId, date, mileage, flagged = false }, db = defaultDb) => {
+  if (mileage === null || mileage === undefined) {
+    await removeReading({ source, sourceId }, db);
+    return null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO odometer_readings (vehicle_id, reading_date, mileage, source, source_id, is_flagged)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (source, source_id)
+     DO UPDATE SET reading_date = EXCLUDED.reading_date, mileage = EXCLUDED.mileage, is_flagged = EXCLUDED.is_flagged
+     RETURNING *`,
+    [vehicleId, date, mileage, source, sourceId, flagged]
+  );
+  return result.rows[0];
+};
+
+// Remove the reading attached to a record
+const removeReading = async ({ source, sourceId }, db = defaultDb) => {
+  await db.query(
+    'DELETE FROM odometer_readings WHERE source = $1 AND source_id = $2',
+    [source, sourceId]
+  );
+};
+
+// Current mileage: latest reading, or the initial odometer when there are none
+const getCurrentMileage = async (vehicleId, db = defaultDb) => {
+  const result = await db.query(
+    `SELECT COALESCE(
+       (SELECT mileage FROM odometer_readings
+        WHERE vehicle_id = v.id
+        ORDER BY reading_date DESC, mileage DESC LIMIT 1),
+       v.initial_odometer
+     ) AS current_mileage
+     FROM vehicles v WHERE v.id = $1`,
+    [vehicleId]
+  );
+  return result.rows.length > 0 ? result.rows[0].current_mileage : null;
+};
+
+// Build the error response body for a mileage that goes backwards
+const mileageConflictResponse = (conflict) => ({
+  status: 'error',
+  message: `Mileage is inconsistent with the ${conflict.source.replace('_', ' ')} reading of ${conflict.mileage} km. ` +
+    'Set allow_rollback to true to save it anyway as a flagged reading.',
+  conflict
+});
+
+module.exports = {
+  READING_SOURCES,
+  findMileageConflict,
+  syncReading,
+  removeReading,
+  getCurrentMileage,
+  mileageConflictResponse
+};
@@ -0,0 +1,181 @@
+const { query } = require('../config/db');
+
+// Readings within this many days of the latest reading are used for the
+// average daily distance; older data says little about current riding habits
+const LOOKBACK_DAYS = 90;
+
+// Thresholds for the "due_soon" state
+const DUE_SOON_DAYS = 14;
+const DUE_SOON_KM_RATIO = 0.1;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Normalize a DATE value (Date object from pg or YYYY-MM-DD string) to UTC midnight
+const toDateOnly = (value) => {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const daysBetween = (from, to) => Math.round((to - from) / MS_PER_DAY);
+
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp to the last day of the target month (e.g. Jan 31 + 1 month = Feb 28)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Average distance per day from a list of { date, mileage } readings
+const averageDailyDistance = (readings) => {
+  const sorted = readings
+    .map((reading) => ({ date: toDateOnly(reading.date), mileage: Number(reading.mileage) }))
+    .sort((a, b) => a.date - b.date || a.mileage - b.mileage);
+
+  if (sorted.length < 2) {
+    return null;
+  }
+
+  const latest = sorted[sorted.length - 1];
+  const windowStart = addDays(latest.date, -LOOKBACK_DAYS);
+  let recent = sorted.filter((reading) => reading.date >= windowStart);
+
+  // Not enough recent data: fall back to the whole history
+  if (recent.length < 2 || daysBetween(recent[0].date, latest.date) < 1) {
+    recent = sorted;
+  }
+
+  const first = recent[0];
+  const days = daysBetween(first.date, latest.date);
+  if (days < 1 || latest.mileage < first.mileage) {
+    return null;
+  }
+
+  return (latest.mileage - first.mileage) / days;
+};
+
+// Predict the next oil change from the last change, the interval and odometer readings
+const predictOilChangeDue = ({ lastChange, intervalKm, intervalMonths, readings, today = new Date() }) => {
+  const todayDate = toDateOnly(today);
+  const interval = {
+    km: intervalKm,
+    months: intervalMonths
+  };
+
+  if (!lastChange) {
+    return {
+      status: 'no_history',
+      interval,
+      last_oil_change: null,
+      message: 'No oil change has been recorded for this vehicle yet'
+    };
+  }
+
+  const lastChangeDate = toDateOnly(lastChange.change_date);
+  const lastChangeMileage = Number(lastChange.mileage);
+  const dailyDistance = averageDailyDistance(readings);
+
+  // Latest known odometer value (the oil change itself counts as a reading)
+  const latestReading = readings
+    .map((reading) => ({ date: toDateOnly(reading.date), mileage: Number(reading.mileage) }))
+    .concat([{ date: lastChangeDate, mileage: lastChangeMileage }])
+    .sort((a, b) => a.date - b.date || a.mileage - b.mileage)
+    .pop();
+
+  // Extrapolate the current mileage from the latest reading
+  const daysSinceReading = Math.max(0, daysBetween(latestReading.date, todayDate));
+  const estimatedMileage = dailyDistance !== null
+    ? Math.round(latestReading.mileage + dailyDistance * daysSinceReading)
+    : latestReading.mileage;
+
+  const dueMileage = lastChangeMileage + intervalKm;
+  const remainingKm = dueMileage - estimatedMileage;
+
+  const dueDateByTime = addMonths(lastChangeDate, intervalMonths);
+  const dueDateByMileage = dailyDistance
+    ? addDays(todayDate, Math.floor(remainingKm / dailyDistance))
+    : null;
+
+  let predictedDueDate = dueDateByTime;
+  let dueReason = 'time';
+  if (dueDateByMileage && dueDateByMileage < dueDateByTime) {
+    predictedDueDate = dueDateByMileage;
+    dueReason = 'mileage';
+  }
+
+  const daysRemaining = daysBetween(todayDate, predictedDueDate);
+
+  let status = 'ok';
+  if (remainingKm <= 0 || daysRemaining < 0) {
+    status = 'overdue';
+  } else if (remainingKm <= intervalKm * DUE_SOON_KM_RATIO || daysRemaining <= DUE_SOON_DAYS) {
+    status = 'due_soon';
+  }
+
+  return {
+    status,
+    interval,
+    last_oil_change: {
+      id: lastChange.id,
+      change_date: formatDate(lastChangeDate),
+      mileage: lastChangeMileage
+    },
+    average_daily_km: dailyDistance !== null ? Math.round(dailyDistance * 10) / 10 : null,
+    latest_reading: {
+      date: formatDate(latestReading.date),
+      mileage: latestReading.mileage
+    },
+    estimated_current_mileage: estimatedMileage,
+    due_mileage: dueMileage,
+    remaining_km: remainingKm,
+    due_date_by_time: formatDate(dueDateByTime),
+    due_date_by_mileage: formatDate(dueDateByMileage),
+    predicted_due_date: formatDate(predictedDueDate),
+    due_reason: dueReason,
+    days_remaining: daysRemaining
+  };
+};
+
+// Load the data needed for a prediction and compute it for a single vehicle
+const getOilChangeDue = async (vehicle, today = new Date()) => {
+  const lastChangeResult = await query(
+    `SELECT id, change_date, mileage FROM oil_changes
+     WHERE vehicle_id = $1 AND deleted_at IS NULL
+     ORDER BY change_date DESC, mileage DESC LIMIT 1`,
+    [vehicle.id]
+  );
+
+  // Flagged readings (odometer rollbacks) would distort the daily distance
+  const readingsResult = await query(
+    `SELECT reading_date AS date, mileage FROM odometer_readings
+     WHERE vehicle_id = $1 AND is_flagged = FALSE`,
+    [vehicle.id]
+  );
+
+  return predictOilChangeDue({
+    lastChange: lastChangeResult.rows[0] || null,
+    intervalKm: vehicle.oil_change_interval_km,
+    intervalMonths: vehicle.oil_change_interval_months,
+    readings: readingsResult.rows,
+    today
+  });
+};
+
+module.exports = {
+  DUE_SOON_DAYS,
+  toDateOnly,
+  formatDate,
+  daysBetween,
+  predictOilChangeDue,
+  getOilChangeDue
+};
@@ -0,0 +1,121 @@
+const { query } = require('../config/db');
+
+// Roles a user can have on a shared vehicle
+const ROLES = ['owner', 'rider', 'mechanic'];
+
+// Roles allowed to perform each action on a vehicle. Owners have full control, riders
+// log fuel and mechanics log oil changes and services and set reminders. Every member can
+// see the vehicle and its records, and record odometer readings.
+const PERMISSIONS = {
+  'vehicle:read': ['owner', 'rider', 'mechanic'],
+  'vehicle:update': ['owner'],
+  'vehicle:delete': ['owner'],
+  'members:manage': ['owner'],
+  'fuel:write': ['owner', 'rider'],
+  'oil:write': ['owner', 'mechanic'],
+  'service:write': ['owner', 'mechanic'],
+  'odometer:write': ['owner', 'rider', 'mechanic'],
+  'reminders:write': ['owner', 'mechanic']
+};
+
+// Wording of each action in error messages
+const ACTIONS = {
+  'vehicle:read': 'view this vehicle',
+  'vehicle:update': 'modify this vehicle',
+  'vehicle:delete': 'delete this vehicle',
+  'members:manage': 'manage the members of this vehicle',
+  'fuel:write': 'change fuel records of this vehicle',
+  'oil:write': 'change oil changes of this vehicle',
+  'service:write': 'change service records of this vehicle',
+  'odometer:write': 'record odometer readings of this vehicle',
+  'reminders:write': 'change reminders of this vehicle'
+};
+
+// Roles a user can have in an organization
+const ORGANIZATION_ROLES = ['admin', 'manager', 'driver'];
+
+// Roles allowed to perform each action in an organization. Admins manage the organization
+// and its members, managers its vehicles, drivers and fleet-wide views. Admins and managers
+// are owners of every vehicle of the organization; drivers only see the vehicles they are
+// assigned to, as riders.
+const ORGANIZATION_PERMISSIONS = {
+  'organization:read': ['admin', 'manager', 'driver'],
+  'organization:update': ['admin'],
+  'organization:delete': ['admin'],
+  'organization:members': ['admin'],
+  'organization:fleet': ['admin', 'manager']
+};
+
+const ORGANIZATION_ACTIONS = {
+  'organization:read': 'view this organization',
+  'organization:update': 'modify this organization',
+  'organization:delete': 'delete this organization',
+  'organization:members': 'manage the members of this organization',
+  'organization:fleet': 'manage the vehicles and drivers of this organization'
+};
+
+const article = (role) => (/^[aeiou]/.test(role) ? 'an' : 'a');
+
+const can = (role, permission) => !!role && PERMISSIONS[permission].includes(role);
+
+const canInOrganization = (role, permission) => !!role && ORGANIZATION_PERMISSIONS[permission].includes(role);
+
+// Role of a user on a vehicle, or null when the vehicle does not exist or they have no access.
+// Access comes from a membership of the vehicle or from the organization that owns it.
+const getVehicleRole = async (vehicleId, userId, db = { query }) => {
+  const result = await db.query(
+    'SELECT role FROM vehicle_access WHERE vehicle_id = $1 AND user_id = $2',
+    [vehicleId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+// Check whether a user may perform an action on a vehicle: { allowed, role }.
+// Callers answer 404 without a role (not revealing that the vehicle exists) and 403 otherwise.
+const checkVehiclePermission = async (vehicleId, userId, permission, db = { query }) => {
+  const role = await getVehicleRole(vehicleId, userId, db);
+  return { allowed: can(role, permission), role };
+};
+
+// Body of the 403 response for a member whose role does not allow the action
+const permissionDeniedResponse = (role, permission) => ({
+  status: 'error',
+  message: `As ${article(role)} ${role} you are not allowed to ${ACTIONS[permission]}`
+});
+
+// Role of a user in an organization, or null when it does not exist or they are not a member
+const getOrganizationRole = async (organizationId, userId, db = { query }) => {
+  const result = await db.query(
+    'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+// Check whether a user may perform an action in an organization: { allowed, role }.
+// Like vehicles, callers answer 404 without a role and 403 otherwise.
+const checkOrganizationPermission = async (organizationId, userId, permission, db = { query }) => {
+  const role = await getOrganizationRole(organizationId, userId, db);
+  return { allowed: canInOrganization(role, permission), role };
+};
+
+// Body of the 403 response for an organization member whose role does not allow the action
+const organizationPermissionDeniedResponse = (role, permission) => ({
+  status: 'error',
+  message: `As ${article(role)} ${role} you are not allowed to ${ORGANIZATION_ACTIONS[permission]}`
+});
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  getVehicleRole,
+  checkVehiclePermission,
+  permissionDeniedResponse,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_PERMISSIONS,
+  canInOrganization,
+  getOrganizationRole,
+  checkOrganizationPermission,
+  organizationPermissionDeniedResponse
+};
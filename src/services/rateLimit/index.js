@@ -0,0 +1,53 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+const { connectRedisStore } = require('./redisStore');
+require('dotenv').config();
+
+// A store keeps counters that expire: an object with a name and
+//   increment(key, windowMs) -> { count, resetAt }  count up, starting a new window when needed
+//   get(key)                 -> { count, resetAt } or null
+//   set(key, count, ttlMs)   overwrite a counter
+//   reset(key)               forget a counter
+// resetAt is a timestamp in milliseconds.
+let store = null;
+
+// Create the store configured by RATE_LIMIT_STORE (memory, postgres or redis).
+// Serverless instances do not share memory, so Vercel defaults to the database.
+const createStore = () => {
+  const type = process.env.RATE_LIMIT_STORE ||
+    (process.env.REDIS_URL ? 'redis' : process.env.VERCEL ? 'postgres' : 'memory');
+
+  if (type === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (type === 'postgres') {
+    return createPostgresStore();
+  }
+
+  if (type === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL is required for the redis rate limit store');
+    }
+    return connectRedisStore(process.env.REDIS_URL);
+  }
+
+  throw new Error(`Unknown rate limit store: ${type}`);
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Replace the store (used by tests to start every test with fresh counters)
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  getStore,
+  setStore
+};
@@ -0,0 +1,56 @@
+// In-memory rate limit store. Counters live in the process, so every instance
+// counts on its own: only suitable for a single long running server (and tests).
+const createMemoryStore = () => {
+  const entries = new Map();
+  let writes = 0;
+
+  // Counter of a key, or null once its window has passed
+  const current = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so the map does not grow without bound
+  const sweep = () => {
+    writes += 1;
+    if (writes % 1000 !== 0) {
+      return;
+    }
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    });
+  };
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      sweep();
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    get: async (key) => {
+      const entry = current(key);
+      return entry ? { ...entry } : null;
+    },
+    set: async (key, count, ttlMs) => {
+      sweep();
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,58 @@
+const db = require('../../config/db');
+
+// Rate limit store backed by the rate_limits table, shared by every instance
+// (serverless deployments start many short lived instances)
+const createPostgresStore = ({ query = db.query } = {}) => {
+  let writes = 0;
+
+  // Delete expired counters now and then; expired rows are ignored anyway
+  const sweep = async () => {
+    writes += 1;
+    if (writes % 100 === 0) {
+      await query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+    }
+  };
+
+  const toEntry = (row) => ({ count: row.count, resetAt: new Date(row.reset_at).getTime() });
+
+  return {
+    name: 'postgres',
+    // Start a new window when the key is missing or its window has passed, otherwise count up
+    increment: async (key, windowMs) => {
+      await sweep();
+      const result = await query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs]
+      );
+      return toEntry(result.rows[0]);
+    },
+    get: async (key) => {
+      const result = await query(
+        'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()',
+        [key]
+      );
+      return result.rows.length > 0 ? toEntry(result.rows[0]) : null;
+    },
+    set: async (key, count, ttlMs) => {
+      await sweep();
+      await query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`,
+        [key, count, ttlMs]
+      );
+    },
+    reset: async (key) => {
+      await query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+};
+
+module.exports = {
+  createPostgresStore
+};
@@ -0,0 +1,66 @@
+const { logger } = require('../../config/logger');
+
+// Rate limit store for Redis and Redis compatible servers (Valkey, Upstash, ...).
+// Counters expire through Redis TTLs, so nothing needs cleaning up.
+
+// Count up and start the TTL on the first hit of a window
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+const GET_SCRIPT = `
+local count = redis.call('GET', KEYS[1])
+if not count then
+  return false
+end
+return { tonumber(count), redis.call('PTTL', KEYS[1]) }
+`;
+
+// client: a connected node-redis client (or any client with sendCommand(args))
+const createRedisStore = ({ client, prefix = 'rate-limit:' }) => {
+  const toEntry = ([count, ttl]) => ({ count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) });
+
+  return {
+    name: 'redis',
+    increment: async (key, windowMs) => {
+      const reply = await client.sendCommand(['EVAL', INCREMENT_SCRIPT, '1', prefix + key, String(windowMs)]);
+      return toEntry(reply);
+    },
+    get: async (key) => {
+      const reply = await client.sendCommand(['EVAL', GET_SCRIPT, '1', prefix + key]);
+      return reply ? toEntry(reply) : null;
+    },
+    set: async (key, count, ttlMs) => {
+      await client.sendCommand(['SET', prefix + key, String(count), 'PX', String(ttlMs)]);
+    },
+    reset: async (key) => {
+      await client.sendCommand(['DEL', prefix + key]);
+    }
+  };
+};
+
+// Connect to REDIS_URL with the redis package
+const connectRedisStore = (url) => {
+  const { createClient } = require('redis');
+  const client = createClient({ url });
+  client.on('error', (error) => logger.error('Redis error', { error }));
+  const connecting = client.connect();
+
+  return createRedisStore({
+    client: {
+      sendCommand: async (args) => {
+        await connecting;
+        return client.sendCommand(args);
+      }
+    }
+  });
+};
+
+module.exports = {
+  createRedisStore,
+  connectRedisStore
+};
@@ -0,0 +1,223 @@
+const { query } = require('../config/db');
+
+// Filters and sort orders of the record lists. Each sort field has the SQL type of its
+// values, used to compare a row against a cursor; nullable columns sort their NULLs last.
+const RECORD_LISTS = {
+  fuel_records: {
+    table: 'fuel_records',
+    dateColumn: 'fill_date',
+    priceColumn: 'price_per_liter',
+    mileageColumn: 'odometer',
+    defaultSort: 'fill_date',
+    sortFields: {
+      fill_date: { type: 'date' },
+      price_per_liter: { type: 'numeric' },
+      liters_filled: { type: 'numeric' },
+      odometer: { type: 'integer', nullable: true },
+      created_at: { type: 'timestamptz' }
+    }
+  },
+  oil_changes: {
+    table: 'oil_changes',
+    dateColumn: 'change_date',
+    priceColumn: null,
+    mileageColumn: 'mileage',
+    defaultSort: 'change_date',
+    sortFields: {
+      change_date: { type: 'date' },
+      mileage: { type: 'integer' },
+      created_at: { type: 'timestamptz' }
+    }
+  }
+};
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+const MAX_INTEGER = 2147483647;
+
+// A calendar date (YYYY-MM-DD) that exists
+const isDay = (text) => {
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+};
+
+// Whether a cursor value is a text PostgreSQL returns for (and accepts back as) the type
+const SORT_VALUE_CHECKS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && isDay(value),
+  numeric: (value) => /^-?\d{1,15}(\.\d{1,10})?$/.test(value),
+  integer: (value) => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= MAX_INTEGER,
+  timestamptz: (value) => {
+    const match = /^(\d{4}-\d{2}-\d{2}) ([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/.exec(value);
+    return match !== null && isDay(match[1]);
+  }
+};
+
+const isSortValue = (type, value) => value === null || SORT_VALUE_CHECKS[type](value);
+
+// A cursor points just past the last row of a page: its sort value and id, plus the
+// sort it was made for. It is opaque to clients (base64url encoded JSON).
+const encodeCursor = ({ sort, order, value, id }) =>
+  Buffer.from(JSON.stringify([sort, order, value, id])).toString('base64url');
+
+// The cursor as { sort, order, value, id }, or null when it is not a valid cursor
+const decodeCursor = (cursor) => {
+  try {
+    const [sort, order, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sort !== 'string' || !SORT_ORDERS.includes(order) ||
+        !Number.isInteger(id) || id < 1 || id > MAX_INTEGER ||
+        (value !== null && typeof value !== 'string')) {
+      return null;
+    }
+    return { sort, order, value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// List the records of a vehicle that are not in the trash.
+// Ties on the sort field are broken by id, so the order is stable and every record
+// shows up exactly once. With offset pagination (page) the matching records are counted;
+// with cursor pagination the next page starts after the cursor, which stays correct
+// while records are added and skips the count.
+const findRecords = async (listName, {
+  vehicleId,
+  from = null,
+  to = null,
+  minPrice = null,
+  maxPrice = null,
+  minMileage = null,
+  maxMileage = null,
+  sort = null,
+  order = 'desc',
+  limit = 10,
+  page = 1,
+  paginate = 'offset',
+  cursor = null
+}, db = { query }) => {
+  const list = RECORD_LISTS[listName];
+  const sortField = sort || list.defaultSort;
+  const { type, nullable } = list.sortFields[sortField];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  let whereClause = 'WHERE vehicle_id = $1 AND deleted_at IS NULL';
+  const queryParams = [vehicleId];
+
+  // Add date range and value filters
+  if (from) {
+    queryParams.push(from);
+    whereClause += ` AND ${list.dateColumn} >= $${queryParams.length}`;
+  }
+  if (to) {
+    queryParams.push(to);
+    whereClause += ` AND ${list.dateColumn} <= $${queryParams.length}`;
+  }
+  if (list.priceColumn && minPrice !== null) {
+    queryParams.push(minPrice);
+    whereClause += ` AND ${list.priceColumn} >= $${queryParams.length}`;
+  }
+  if (list.priceColumn && maxPrice !== null) {
+    queryParams.push(maxPrice);
+    whereClause += ` AND ${list.priceColumn} <= $${queryParams.length}`;
+  }
+  if (minMileage !== null) {
+    queryParams.push(minMileage);
+    whereClause += ` AND ${list.mileageColumn} >= $${queryParams.length}`;
+  }
+  if (maxMileage !== null) {
+    queryParams.push(maxMileage);
+    whereClause += ` AND ${list.mileageColumn} <= $${queryParams.length}`;
+  }
+
+  const orderBy = `ORDER BY ${sortField} ${direction}${nullable ? ' NULLS LAST' : ''}, id ${direction}`;
+
+  if (paginate === 'cursor') {
+    // Rows after the cursor in the sort order, NULLs coming after every value
+    let cursorClause = '';
+    if (cursor) {
+      const { value, id } = decodeCursor(cursor);
+      const operator = direction === 'ASC' ? '>' : '<';
+      if (value === null) {
+        queryParams.push(id);
+        cursorClause = ` AND ${sortField} IS NULL AND id ${operator} $${queryParams.length}`;
+      } else {
+        queryParams.push(value, id);
+        const valueParam = `$${queryParams.length - 1}::${type}`;
+        const idParam = `$${queryParams.length}`;
+        cursorClause = ` AND ((${sortField}, id) ${operator} (${valueParam}, ${idParam})${nullable ? ` OR ${sortField} IS NULL` : ''})`;
+      }
+    }
+
+    // One row more than the page tells whether there is a next page
+    queryParams.push(limit + 1);
+    const result = await db.query(
+      `SELECT *, ${sortField}::text AS cursor_value FROM ${list.table}
+       ${whereClause}${cursorClause}
+       ${orderBy} LIMIT $${queryParams.length}`,
+      queryParams
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      records: rows.map(({ cursor_value, ...record }) => record),
+      pagination: {
+        limit,
+        nextCursor: hasMore
+          ? encodeCursor({ sort: sortField, order, value: last.cursor_value, id: last.id })
+          : null,
+        hasMore
+      }
+    };
+  }
+
+  // Get total count for pagination
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM ${list.table} ${whereClause}`,
+    queryParams
+  );
+  const totalItems = parseInt(countResult.rows[0].count);
+
+  queryParams.push(limit, (page - 1) * limit);
+  const result = await db.query(
+    `SELECT * FROM ${list.table} ${whereClause}
+     ${orderBy} LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
+    queryParams
+  );
+
+  return {
+    records: result.rows,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(totalItems / limit),
+      totalItems,
+      limit
+    }
+  };
+};
+
+// The options of findRecords from the (validated) query string of a list request
+const listOptionsFromQuery = (params) => ({
+  from: params.from || null,
+  to: params.to || null,
+  minPrice: params.min_price !== undefined ? params.min_price : null,
+  maxPrice: params.max_price !== undefined ? params.max_price : null,
+  minMileage: params.min_mileage !== undefined ? parseInt(params.min_mileage) : null,
+  maxMileage: params.max_mileage !== undefined ? parseInt(params.max_mileage) : null,
+  sort: params.sort || null,
+  order: params.order || 'desc',
+  limit: parseInt(params.limit) || 10,
+  page: parseInt(params.page) || 1,
+  paginate: params.cursor ? 'cursor' : (params.pagination || 'offset'),
+  cursor: params.cursor || null
+});
+
+module.exports = {
+  RECORD_LISTS,
+  SORT_ORDERS,
+  decodeCursor,
+  isSortValue,
+  findRecords,
+  listOptionsFromQuery
+};
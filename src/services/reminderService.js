@@ -0,0 +1,223 @@
+const { query, transaction } = require('../config/db');
+const {
+  DUE_SOON_DAYS,
+  toDateOnly,
+  formatDate,
+  daysBetween,
+  predictOilChangeDue
+} = require('./oilChangeDueService');
+
+// Custom reminders count as due soon this many kilometers before their mileage
+// (or DUE_SOON_DAYS before their date, like oil changes)
+const REMINDER_DUE_SOON_KM = 500;
+
+// Vehicles checked per round of the reminder job, to keep memory bounded on large fleets
+const JOB_BATCH_SIZE = 200;
+
+const NOTIFIED_STATUSES = ['due_soon', 'overdue'];
+
+// Due state of a custom reminder: overdue once its date has passed or its mileage is
+// reached, due soon shortly before either, ok otherwise; completed reminders are done
+const reminderDue = (reminder, currentMileage, today = new Date()) => {
+  const daysRemaining = reminder.due_date
+    ? daysBetween(toDateOnly(today), toDateOnly(reminder.due_date))
+    : null;
+  const remainingKm = reminder.due_mileage !== null && currentMileage !== null
+    ? reminder.due_mileage - currentMileage
+    : null;
+
+  let status = 'ok';
+  if (reminder.completed_at) {
+    status = 'done';
+  } else if ((daysRemaining !== null && daysRemaining < 0) || (remainingKm !== null && remainingKm <= 0)) {
+    status = 'overdue';
+  } else if ((daysRemaining !== null && daysRemaining <= DUE_SOON_DAYS) ||
+             (remainingKm !== null && remainingKm <= REMINDER_DUE_SOON_KM)) {
+    status = 'due_soon';
+  }
+
+  return { status, days_remaining: daysRemaining, remaining_km: remainingKm };
+};
+
+// "on 2024-05-01 or at 30000 km"
+const describeDue = (dueDate, dueMileage) => [
+  dueDate ? `on ${dueDate}` : null,
+  dueMileage !== null && dueMileage !== undefined ? `at ${dueMileage} km` : null
+].filter(Boolean).join(' or ');
+
+// Reminders of a vehicle with their due state, open ones first by due date
+const findReminders = async (vehicleId, { includeCompleted = false, today = new Date() } = {}, db = { query }) => {
+  const result = await db.query(
+    `SELECT r.*, COALESCE(
+       (SELECT mileage FROM odometer_readings
+        WHERE vehicle_id = v.id
+        ORDER BY reading_date DESC, mileage DESC LIMIT 1),
+       v.initial_odometer
+     ) AS current_mileage
+     FROM reminders r
+     JOIN vehicles v ON v.id = r.vehicle_id
+     WHERE r.vehicle_id = $1 AND ($2 OR r.completed_at IS NULL)
+     ORDER BY r.completed_at IS NOT NULL, r.due_date ASC NULLS LAST, r.due_mileage ASC NULLS LAST, r.id ASC`,
+    [vehicleId, includeCompleted]
+  );
+
+  return result.rows.map(({ current_mileage, ...reminder }) => ({
+    ...reminder,
+    ...reminderDue(reminder, current_mileage, today)
+  }));
+};
+
+// Due items of one batch of vehicles, each with the key that identifies it in notifications
+const findDueItems = (vehicles, readingsByVehicle, reminders, today) => {
+  const items = [];
+  const vehiclesById = new Map(vehicles.map((vehicle) => [vehicle.id, vehicle]));
+
+  vehicles.forEach((vehicle) => {
+    if (!vehicle.last_oil_change_id) {
+      return;
+    }
+    const due = predictOilChangeDue({
+      lastChange: { id: vehicle.last_oil_change_id, change_date: vehicle.last_oil_change_date, mileage: vehicle.last_oil_change_mileage },
+      intervalKm: vehicle.oil_change_interval_km,
+      intervalMonths: vehicle.oil_change_interval_months,
+      readings: readingsByVehicle.get(vehicle.id) || [],
+      today
+    });
+    if (!NOTIFIED_STATUSES.includes(due.status)) {
+      return;
+    }
+    const when = describeDue(due.predicted_due_date, due.due_mileage);
+    items.push({
+      vehicleId: vehicle.id,
+      reminderId: null,
+      type: 'oil_change',
+      status: due.status,
+      title: due.status === 'overdue' ? `Oil change overdue: ${vehicle.name}` : `Oil change due soon: ${vehicle.name}`,
+      message: due.status === 'overdue'
+        ? `The oil change of ${vehicle.name} was due ${when}.`
+        : `The next oil change of ${vehicle.name} is due ${when}.`,
+      dueDate: due.predicted_due_date,
+      dueMileage: due.due_mileage,
+      // A new oil change starts a new interval, and so new notifications
+      dueKey: `oil_change:${vehicle.last_oil_change_id}:${due.status}`
+    });
+  });
+
+  reminders.forEach((reminder) => {
+    const vehicle = vehiclesById.get(reminder.vehicle_id);
+    const due = reminderDue(reminder, vehicle.current_mileage, today);
+    if (!NOTIFIED_STATUSES.includes(due.status)) {
+      return;
+    }
+    const dueDate = reminder.due_date ? formatDate(toDateOnly(reminder.due_date)) : null;
+    const when = describeDue(dueDate, reminder.due_mileage);
+    items.push({
+      vehicleId: vehicle.id,
+      reminderId: reminder.id,
+      type: 'reminder',
+      status: due.status,
+      title: due.status === 'overdue' ? `Overdue: ${reminder.title}` : `Due soon: ${reminder.title}`,
+      message: due.status === 'overdue'
+        ? `"${reminder.title}" for ${vehicle.name} was due ${when}.`
+        : `"${reminder.title}" for ${vehicle.name} is due ${when}.`,
+      dueDate,
+      dueMileage: reminder.due_mileage,
+      dueKey: `reminder:${reminder.id}:${due.status}`
+    });
+  });
+
+  return items;
+};
+
+// Check the oil changes and open reminders of every vehicle (not in the trash) and notify
+// each member of a vehicle about what is due soon or overdue. Notifications that already
+// exist, even dismissed ones, are not created again; notifications about items that are
+// no longer due (the oil was changed, a reminder completed) are removed.
+// Safe to run as often as wanted; meant to run daily.
+const runReminderJob = async ({ today = new Date(), batchSize = JOB_BATCH_SIZE } = {}) => {
+  const summary = { vehicles: 0, due_items: 0, notifications: 0, cleared: 0 };
+  let lastVehicleId = 0;
+
+  for (;;) {
+    const vehiclesResult = await query(
+      `SELECT v.id, v.name, v.oil_change_interval_km, v.oil_change_interval_months,
+              COALESCE(lr.mileage, v.initial_odometer) AS current_mileage,
+              lo.id AS last_oil_change_id, lo.change_date AS last_oil_change_date,
+              lo.mileage AS last_oil_change_mileage
+       FROM vehicles v
+       LEFT JOIN LATERAL (
+         SELECT mileage FROM odometer_readings
+         WHERE vehicle_id = v.id
+         ORDER BY reading_date DESC, mileage DESC LIMIT 1
+       ) lr ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT id, change_date, mileage FROM oil_changes
+         WHERE vehicle_id = v.id AND deleted_at IS NULL
+         ORDER BY change_date DESC, mileage DESC LIMIT 1
+       ) lo ON TRUE
+       WHERE v.deleted_at IS NULL AND v.id > $1
+       ORDER BY v.id ASC LIMIT $2`,
+      [lastVehicleId, batchSize]
+    );
+    const vehicles = vehiclesResult.rows;
+    if (vehicles.length === 0) {
+      break;
+    }
+    const vehicleIds = vehicles.map((vehicle) => vehicle.id);
+    lastVehicleId = vehicleIds[vehicleIds.length - 1];
+
+    // Flagged readings (odometer rollbacks) would distort the daily distance
+    const readingsResult = await query(
+      `SELECT vehicle_id, reading_date AS date, mileage FROM odometer_readings
+       WHERE vehicle_id = ANY($1::int[]) AND is_flagged = FALSE`,
+      [vehicleIds]
+    );
+    const readingsByVehicle = new Map();
+    readingsResult.rows.forEach((reading) => {
+      if (!readingsByVehicle.has(reading.vehicle_id)) {
+        readingsByVehicle.set(reading.vehicle_id, []);
+      }
+      readingsByVehicle.get(reading.vehicle_id).push(reading);
+    });
+
+    const remindersResult = await query(
+      'SELECT * FROM reminders WHERE vehicle_id = ANY($1::int[]) AND completed_at IS NULL',
+      [vehicleIds]
+    );
+
+    const items = findDueItems(vehicles, readingsByVehicle, remindersResult.rows, today);
+
+    await transaction(async (client) => {
+      for (const item of items) {
+        const inserted = await client.query(
+          `INSERT INTO notifications
+             (user_id, vehicle_id, reminder_id, type, status, title, message, due_date, due_mileage, due_key)
+           SELECT va.user_id, $1, $2, $3, $4, $5, $6, $7, $8, $9
+           FROM vehicle_access va WHERE va.vehicle_id = $1
+           ON CONFLICT (user_id, due_key) DO NOTHING`,
+          [item.vehicleId, item.reminderId, item.type, item.status, item.title, item.message,
+            item.dueDate, item.dueMileage, item.dueKey]
+        );
+        summary.notifications += inserted.rowCount;
+      }
+
+      const cleared = await client.query(
+        'DELETE FROM notifications WHERE vehicle_id = ANY($1::int[]) AND NOT (due_key = ANY($2::text[]))',
+        [vehicleIds, items.map((item) => item.dueKey)]
+      );
+      summary.cleared += cleared.rowCount;
+    });
+
+    summary.vehicles += vehicles.length;
+    summary.due_items += items.length;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REMINDER_DUE_SOON_KM,
+  reminderDue,
+  findReminders,
+  runReminderJob
+};
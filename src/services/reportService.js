@@ -0,0 +1,187 @@
+const { query } = require('../config/db');
+
+const GROUP_BY_PERIODS = ['month', 'year'];
+
+// Longest range of a report per grouping, in years, which bounds the number of periods
+const MAX_RANGE_YEARS = { month: 10, year: 100 };
+
+// Earliest start date (YYYY-MM-DD) of a report that ends on the given date
+const earliestFrom = (to, groupBy = 'month') => {
+  const date = new Date(`${to}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() - MAX_RANGE_YEARS[groupBy]);
+  return date.toISOString().slice(0, 10);
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Figures of one period (or of a whole range) from the summed amounts
+const costFigures = ({ fuel_spend, liters, fill_count, parts_cost, labor_cost, service_count }) => ({
+  fuel_spend: round(fuel_spend),
+  liters: round(liters),
+  // Weighted by liters, so a big fill counts more than a small top-up
+  average_price_per_liter: liters > 0 ? round(fuel_spend / liters) : null,
+  fill_count,
+  maintenance_spend: round(parts_cost + labor_cost),
+  parts_cost: round(parts_cost),
+  labor_cost: round(labor_cost),
+  service_count,
+  total_spend: round(fuel_spend + parts_cost + labor_cost)
+});
+
+const emptyAmounts = () => ({ fuel_spend: 0, liters: 0, fill_count: 0, parts_cost: 0, labor_cost: 0, service_count: 0 });
+
+const addAmounts = (target, row) => {
+  Object.keys(target).forEach((key) => {
+    target[key] += row[key];
+  });
+  return target;
+};
+
+// Period label used on the chart axis: "2024-03" for months, "2024" for years
+const periodLabel = (periodStart, groupBy) => (groupBy === 'year' ? periodStart.slice(0, 4) : periodStart.slice(0, 7));
+
+// Build a cost report (fuel and maintenance) grouped by month or year, for one vehicle,
+// the vehicles of an organization or every vehicle of the user.
+// Every period between from and to is present, periods without records are zero,
+// also when there are no vehicles.
+const getCostReport = async ({ userId, vehicleId = null, organizationId = null, groupBy = 'month', from = null, to = null }) => {
+  // Without a start date the report begins with the first record of the selection
+  let rangeFrom = from;
+  if (!rangeFrom) {
+    const firstResult = await query(
+      `SELECT to_char(LEAST(
+         (SELECT MIN(fr.fill_date) FROM fuel_records fr JOIN vehicles v ON fr.vehicle_id = v.id
+          WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+            AND fr.deleted_at IS NULL
+            AND ($2::integer IS NULL OR v.id = $2)
+            AND ($3::integer IS NULL OR v.organization_id = $3)),
+         (SELECT MIN(sr.service_date) FROM service_records sr JOIN vehicles v ON sr.vehicle_id = v.id
+          WHERE v.id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+            AND ($2::integer IS NULL OR v.id = $2)
+            AND ($3::integer IS NULL OR v.organization_id = $3))
+       ), 'YYYY-MM-DD') AS first_date`,
+      [userId, vehicleId, organizationId]
+    );
+    rangeFrom = firstResult.rows[0].first_date;
+  }
+
+  const rangeTo = to || new Date().toISOString().slice(0, 10);
+  if (!rangeFrom || rangeFrom > rangeTo) {
+    rangeFrom = rangeTo;
+  }
+  // A start date taken from the records is capped like the one of the request
+  if (rangeFrom < earliestFrom(rangeTo, groupBy)) {
+    rangeFrom = earliestFrom(rangeTo, groupBy);
+  }
+
+  // One row per vehicle and period (a single row per period without vehicles), amounts summed in SQL
+  const result = await query(
+    `WITH selected_vehicles AS (
+       SELECT id, name FROM vehicles
+       WHERE id IN (SELECT vehicle_id FROM vehicle_access WHERE user_id = $1)
+         AND ($2::integer IS NULL OR id = $2)
+         AND ($3::integer IS NULL OR organization_id = $3)
+     ),
+     periods AS (
+       SELECT generate_series(
+         date_trunc($4, $5::date),
+         date_trunc($4, $6::date),
+         ('1 ' || $4)::interval
+       )::date AS period_start
+     ),
+     fuel AS (
+       SELECT vehicle_id, date_trunc($4, fill_date)::date AS period_start,
+              SUM(price_per_liter * liters_filled)::float AS fuel_spend,
+              SUM(liters_filled)::float AS liters,
+              COUNT(*)::int AS fill_count
+       FROM fuel_records
+       WHERE vehicle_id IN (SELECT id FROM selected_vehicles) AND deleted_at IS NULL
+         AND fill_date BETWEEN $5 AND $6
+       GROUP BY 1, 2
+     ),
+     services AS (
+       SELECT vehicle_id, date_trunc($4, service_date)::date AS period_start,
+              SUM(parts_cost)::float AS parts_cost,
+              SUM(labor_cost)::float AS labor_cost,
+              COUNT(*)::int AS service_count
+       FROM service_records
+       WHERE vehicle_id IN (SELECT id FROM selected_vehicles) AND service_date BETWEEN $5 AND $6
+       GROUP BY 1, 2
+     )
+     SELECT sv.id AS vehicle_id, sv.name AS vehicle_name,
+            to_char(p.period_start, 'YYYY-MM-DD') AS period_start,
+            COALESCE(f.fuel_spend, 0) AS fuel_spend,
+            COALESCE(f.liters, 0) AS liters,
+            COALESCE(f.fill_count, 0) AS fill_count,
+            COALESCE(s.parts_cost, 0) AS parts_cost,
+            COALESCE(s.labor_cost, 0) AS labor_cost,
+            COALESCE(s.service_count, 0) AS service_count
+     FROM periods p
+     LEFT JOIN selected_vehicles sv ON TRUE
+     LEFT JOIN fuel f ON f.vehicle_id = sv.id AND f.period_start = p.period_start
+     LEFT JOIN services s ON s.vehicle_id = sv.id AND s.period_start = p.period_start
+     ORDER BY sv.name ASC, sv.id ASC, p.period_start ASC`,
+    [userId, vehicleId, organizationId, groupBy, rangeFrom, rangeTo]
+  );
+
+  // Per-vehicle series, and the sum of all vehicles per period
+  const vehicles = new Map();
+  const periodTotals = new Map();
+
+  result.rows.forEach((row) => {
+    if (row.vehicle_id !== null) {
+      if (!vehicles.has(row.vehicle_id)) {
+        vehicles.set(row.vehicle_id, { vehicle_id: row.vehicle_id, name: row.vehicle_name, amounts: emptyAmounts(), series: [] });
+      }
+      const vehicle = vehicles.get(row.vehicle_id);
+      addAmounts(vehicle.amounts, row);
+      vehicle.series.push({
+        period: periodLabel(row.period_start, groupBy),
+        period_start: row.period_start,
+        ...costFigures(row)
+      });
+    }
+
+    if (!periodTotals.has(row.period_start)) {
+      periodTotals.set(row.period_start, emptyAmounts());
+    }
+    addAmounts(periodTotals.get(row.period_start), row);
+  });
+
+  const totals = emptyAmounts();
+  const series = [...periodTotals.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([periodStart, amounts]) => {
+      addAmounts(totals, amounts);
+      return {
+        period: periodLabel(periodStart, groupBy),
+        period_start: periodStart,
+        ...costFigures(amounts)
+      };
+    });
+
+  return {
+    group_by: groupBy,
+    from: rangeFrom,
+    to: rangeTo,
+    vehicle_id: vehicleId,
+    organization_id: organizationId,
+    totals: costFigures(totals),
+    series,
+    vehicles: [...vehicles.values()].map(({ amounts, series: vehicleSeries, ...vehicle }) => ({
+      ...vehicle,
+      totals: costFigures(amounts),
+      series: vehicleSeries
+    }))
+  };
+};
+
+module.exports = {
+  GROUP_BY_PERIODS,
+  MAX_RANGE_YEARS,
+  earliestFrom,
+  getCostReport
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+require('dotenv').config();
+
+// A storage keeps uploaded files: an object with a name and
+//   put(key, body, contentType)  store a Buffer under a key
+//   get(key)                     the Buffer, or null when there is no such object
+//   delete(key)                  remove an object (no error when it does not exist)
+let storage = null;
+
+// Create the storage configured by STORAGE_DRIVER (local or s3)
+const createStorage = () => {
+  const type = process.env.STORAGE_DRIVER || (process.env.S3_BUCKET ? 's3' : 'local');
+
+  if (type === 'local') {
+    return createLocalStorage({
+      directory: process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads')
+    });
+  }
+
+  if (type === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || ''
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${type}`);
+};
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Replace the storage (used by tests to keep uploads out of the project directory)
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk storage: every object is a file below a directory, named by its key
+const createLocalStorage = ({ directory }) => {
+  // Keys are generated by the API, but never let one point outside the directory
+  const filePath = (key) => {
+    const resolved = path.resolve(directory, key);
+    if (!resolved.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    get: async (key) => {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Storage for Amazon S3 and S3 compatible services (MinIO, Cloudflare R2, Backblaze B2, ...).
+// Requests are signed with AWS Signature Version 4, so no SDK is needed.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Key segments are URI-encoded the way S3 expects in the canonical request
+const encodeKey = (key) => key.split('/').map((segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+
+// Signature Version 4 headers of a request without query string.
+// Returns the headers to send, including Authorization.
+const signRequest = ({ method, url, headers = {}, body = '', region, accessKeyId, secretAccessKey, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map((name) => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// endpoint: base URL of an S3 compatible service; objects are then addressed path-style
+// (endpoint/bucket/key). Without it, the AWS virtual-hosted URL of the bucket is used.
+const createS3Storage = ({ bucket, region = 'us-east-1', endpoint = null, accessKeyId, secretAccessKey, prefix = '' }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => {
+    const path = encodeKey(prefix + key);
+    return endpoint
+      ? new URL(`${endpoint.replace(/\/+$/, '')}/${encodeURIComponent(bucket)}/${path}`)
+      : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${path}`);
+  };
+
+  const send = async (method, key, { body, headers } = {}) => {
+    const url = objectUrl(key);
+    // fetch sets the Host header itself, from the URL that was signed
+    const { host, ...signedHeaders } = signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey });
+    const response = await fetch(url, { method, body, headers: signedHeaders });
+    if (!response.ok && !(method === 'GET' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+    put: async (key, body, contentType) => {
+      await send('PUT', key, { body, headers: { 'content-type': contentType } });
+    },
+    get: async (key) => {
+      const response = await send('GET', key);
+      return response.status === 404 ? null : Buffer.from(await response.arrayBuffer());
+    },
+    // S3 answers 204 whether or not the object exists
+    delete: async (key) => {
+      await send('DELETE', key);
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage,
+  signRequest
+};
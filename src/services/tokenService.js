@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/db');
+require('dotenv').config();
+
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Only a SHA-256 hash of a token (refresh token, reset link) is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Random URL-safe token (refresh tokens, reset links)
+const generateSecureToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+// Sign an access token bound to a session (refresh token family)
+const signAccessToken = (user, familyId) => jwt.sign(
+  { id: user.id, email: user.email, sid: familyId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Store a new refresh token and return the token pair for the client
+const issueTokens = async (user, { familyId = crypto.randomUUID(), userAgent = null, ipAddress = null } = {}, db = { query }) => {
+  const refreshToken = generateSecureToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [user.id, familyId, hashToken(refreshToken), expiresAt, userAgent ? userAgent.slice(0, 255) : null, ipAddress]
+  );
+
+  const token = signAccessToken(user, familyId);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    id: result.rows[0].id,
+    tokens: {
+      token,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      refresh_token: refreshToken,
+      refresh_token_expires_at: expiresAt
+    }
+  };
+};
+
+// Revoke every refresh token of a session (token family)
+const revokeFamily = async (familyId, db = { query }) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Revoke every refresh token of a user (all sessions)
+const revokeAllForUser = async (userId, db = { query }) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Revoke every session of a user except the given one
+const revokeOtherSessions = async (userId, familyId, db = { query }) => {
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND family_id <> $2 AND revoked_at IS NULL`,
+    [userId, familyId]
+  );
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns { status: 'ok', user, tokens } or { status: 'invalid' | 'expired' | 'reused' }.
+// Presenting a token that was already rotated or revoked means it leaked (or was
+// replayed), so the whole family is revoked.
+const rotateRefreshToken = async (refreshToken, { userAgent = null, ipAddress = null } = {}) => {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.family_id, rt.expires_at, rt.revoked_at, u.id AS user_id, u.email
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      return { status: 'invalid' };
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      await revokeFamily(stored.family_id, client);
+      return { status: 'reused' };
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return { status: 'expired' };
+    }
+
+    const user = { id: stored.user_id, email: stored.email };
+    const issued = await issueTokens(user, { familyId: stored.family_id, userAgent, ipAddress }, client);
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+      [issued.id, stored.id]
+    );
+
+    return { status: 'ok', user, tokens: issued.tokens };
+  });
+};
+
+// Find the session (token family) a refresh token belongs to
+const findFamilyByToken = async (refreshToken) => {
+  const result = await query(
+    'SELECT family_id, user_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+};
+
+// A session is active as long as its family has a token that was not revoked
+const isSessionActive = async (familyId, userId) => {
+  const result = await query(
+    'SELECT 1 FROM refresh_tokens WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL LIMIT 1',
+    [familyId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  hashToken,
+  generateSecureToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  revokeOtherSessions,
+  findFamilyByToken,
+  isSessionActive
+};
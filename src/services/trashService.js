@@ -0,0 +1,113 @@
+const { query, transaction } = require('../config/db');
+const { PERMISSIONS } = require('./permissionService');
+const { SYSTEM_ACTOR, recordAudit } = require('./auditService');
+const { removeStoredFiles } = require('./attachmentService');
+require('dotenv').config();
+
+// Days an item stays in the trash before purgeTrash removes it for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TRASH_TYPES = ['vehicle', 'fuel_record', 'oil_change'];
+
+// Items in the trash that a user may restore, newest first: vehicles they own, and the
+// fuel records and oil changes they may change on vehicles that are not in the trash
+// themselves (those come back with their vehicle).
+const findTrash = async (userId, { type = null, limit = 20, offset = 0 } = {}) => {
+  const params = [userId, PERMISSIONS['vehicle:delete'], PERMISSIONS['fuel:write'], PERMISSIONS['oil:write'], type];
+  const trashSQL = `
+    SELECT 'vehicle' AS type, v.id, v.id AS vehicle_id, v.name AS vehicle_name, v.deleted_at, to_jsonb(v) AS record
+    FROM vehicles v
+    JOIN vehicle_roles vr ON vr.vehicle_id = v.id AND vr.user_id = $1
+    WHERE v.deleted_at IS NOT NULL AND vr.role = ANY($2)
+    UNION ALL
+    SELECT 'fuel_record', fr.id, fr.vehicle_id, v.name, fr.deleted_at, to_jsonb(fr)
+    FROM fuel_records fr
+    JOIN vehicle_access va ON va.vehicle_id = fr.vehicle_id AND va.user_id = $1
+    JOIN vehicles v ON v.id = fr.vehicle_id
+    WHERE fr.deleted_at IS NOT NULL AND va.role = ANY($3)
+    UNION ALL
+    SELECT 'oil_change', oc.id, oc.vehicle_id, v.name, oc.deleted_at, to_jsonb(oc)
+    FROM oil_changes oc
+    JOIN vehicle_access va ON va.vehicle_id = oc.vehicle_id AND va.user_id = $1
+    JOIN vehicles v ON v.id = oc.vehicle_id
+    WHERE oc.deleted_at IS NOT NULL AND va.role = ANY($4)`;
+  const whereClause = 'WHERE ($5::text IS NULL OR trash.type = $5)';
+
+  const countResult = await query(`SELECT COUNT(*) FROM (${trashSQL}) trash ${whereClause}`, params);
+
+  const result = await query(
+    `SELECT trash.*, trash.deleted_at + make_interval(days => $6) AS purge_after
+     FROM (${trashSQL}) trash ${whereClause}
+     ORDER BY trash.deleted_at DESC, trash.type ASC, trash.id DESC
+     LIMIT $7 OFFSET $8`,
+    [...params, TRASH_RETENTION_DAYS, limit, offset]
+  );
+
+  return {
+    totalItems: parseInt(countResult.rows[0].count),
+    items: result.rows
+  };
+};
+
+// Permanently delete what has been in the trash for longer than retentionDays.
+// Purged vehicles take all of their records with them (ON DELETE CASCADE), and the
+// stored files of their attachments are removed once that is committed.
+const purgeTrash = async ({ retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const purged = await transaction(async (client) => {
+    const attachments = await client.query(
+      `DELETE FROM attachments
+       WHERE oil_change_id IN (SELECT id FROM oil_changes WHERE deleted_at < $1)
+          OR fuel_record_id IN (SELECT id FROM fuel_records WHERE deleted_at < $1)
+          OR vehicle_id IN (SELECT id FROM vehicles WHERE deleted_at < $1)
+       RETURNING *`,
+      [cutoff]
+    );
+    const fuelRecords = await client.query(
+      'DELETE FROM fuel_records WHERE deleted_at < $1 RETURNING *',
+      [cutoff]
+    );
+    const oilChanges = await client.query(
+      'DELETE FROM oil_changes WHERE deleted_at < $1 RETURNING *',
+      [cutoff]
+    );
+    const vehicles = await client.query(
+      'DELETE FROM vehicles WHERE deleted_at < $1 RETURNING *',
+      [cutoff]
+    );
+
+    const purgeEntries = (entityType, rows) => rows.map((row) => ({
+      action: 'purge',
+      entityType,
+      entityId: row.id,
+      vehicleId: entityType === 'vehicle' ? row.id : row.vehicle_id,
+      organizationId: entityType === 'vehicle' ? row.organization_id : null,
+      before: row
+    }));
+    await recordAudit(SYSTEM_ACTOR, [
+      ...purgeEntries('fuel_record', fuelRecords.rows),
+      ...purgeEntries('oil_change', oilChanges.rows),
+      ...purgeEntries('vehicle', vehicles.rows)
+    ], client);
+
+    return {
+      cutoff,
+      vehicles: vehicles.rowCount,
+      fuel_records: fuelRecords.rowCount,
+      oil_changes: oilChanges.rowCount,
+      attachments: attachments.rows
+    };
+  });
+
+  const { attachments, ...counts } = purged;
+  await removeStoredFiles(attachments);
+  return { ...counts, attachments: attachments.length };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  findTrash,
+  purgeTrash
+};
@@ -0,0 +1,31 @@
+const { query } = require('express-validator');
+
+// A whole day: isISO8601 alone also accepts a month (2024-05) or a timestamp,
+// which DATE comparisons and the date arithmetic of the reports cannot take
+const DAY_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// Same check for values read outside a chain, e.g. another query parameter
+const isDay = value => typeof value === 'string'
+  && new RegExp(DAY_PATTERN).test(value)
+  && !Number.isNaN(Date.parse(value))
+  && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+// Add the date (YYYY-MM-DD) rules to a chain, e.g. body('due_date').optional()
+const validateDay = (chain, label) => {
+  const message = `${label} must be a valid date in ISO 8601 format (YYYY-MM-DD)`;
+  return chain
+    .isISO8601({ strict: true })
+    .withMessage(message)
+    .bail()
+    .matches(DAY_PATTERN)
+    .withMessage(message);
+};
+
+// Optional date in the query string, e.g. the from/to of a list or report
+const dayQuery = (field, label) => validateDay(query(field).optional(), label);
+
+module.exports = {
+  isDay,
+  validateDay,
+  dayQuery
+};
@@ -0,0 +1,90 @@
+const { query } = require('express-validator');
+const { dayQuery } = require('./dateValidation');
+const { RECORD_LISTS, SORT_ORDERS, decodeCursor, isSortValue } = require('../services/recordListService');
+
+const PAGINATION_MODES = ['offset', 'cursor'];
+
+// Query parameters of a record list (see RECORD_LISTS): filters, sorting and
+// either page based or cursor based pagination
+const recordListValidation = (listName) => {
+  const list = RECORD_LISTS[listName];
+  const sortFields = Object.keys(list.sortFields);
+
+  const rules = [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .bail()
+      .custom((page, { req }) => !req.query.cursor)
+      .withMessage('Page cannot be combined with a cursor'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    dayQuery('from', 'From date'),
+    dayQuery('to', 'To date')
+      .bail()
+      .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+      .withMessage('To date must not be before the from date'),
+    query('min_mileage')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Minimum mileage must be a non-negative integer'),
+    query('max_mileage')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Maximum mileage must be a non-negative integer')
+      .bail()
+      .custom((max, { req }) => req.query.min_mileage === undefined || Number(max) >= Number(req.query.min_mileage))
+      .withMessage('Maximum mileage must not be below the minimum mileage'),
+    query('sort')
+      .optional()
+      .isIn(sortFields)
+      .withMessage(`Sort must be one of: ${sortFields.join(', ')}`),
+    query('order')
+      .optional()
+      .isIn(SORT_ORDERS)
+      .withMessage('Order must be asc or desc'),
+    query('pagination')
+      .optional()
+      .isIn(PAGINATION_MODES)
+      .withMessage('Pagination must be offset or cursor')
+      .bail()
+      .custom((mode, { req }) => mode === 'cursor' || !req.query.cursor)
+      .withMessage('A cursor requires cursor pagination'),
+    // A cursor only continues the list it was made for, and holds a value of its sort field
+    query('cursor')
+      .optional()
+      .custom((cursor, { req }) => {
+        const decoded = decodeCursor(cursor);
+        return decoded !== null &&
+          decoded.sort === (req.query.sort || list.defaultSort) &&
+          decoded.order === (req.query.order || 'desc') &&
+          isSortValue(list.sortFields[decoded.sort].type, decoded.value);
+      })
+      .withMessage('Cursor is invalid or does not match the sort order')
+  ];
+
+  if (list.priceColumn) {
+    rules.push(
+      query('min_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum price must be a non-negative number'),
+      query('max_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Maximum price must be a non-negative number')
+        .bail()
+        .custom((max, { req }) => req.query.min_price === undefined || Number(max) >= Number(req.query.min_price))
+        .withMessage('Maximum price must not be below the minimum price')
+    );
+  }
+
+  return rules;
+};
+
+module.exports = {
+  recordListValidation
+};
@@ -0,0 +1,60 @@
+const { body } = require('express-validator');
+
+// Row-level validation rules for records. They are shared by the create/update
+// routes and the CSV import, which runs them against every imported row.
+
+// Validation rules for creating/updating fuel record
+const fuelRecordValidation = [
+  body('fill_date')
+    .isISO8601()
+    .toDate()
+    .withMessage('Fill date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
+  body('price_per_liter')
+    .isFloat({ min: 0.01 })
+    .withMessage('Price per liter must be a positive number greater than 0'),
+  body('liters_filled')
+    .isFloat({ min: 0.01 })
+    .withMessage('Liters filled must be a positive number greater than 0'),
+  body('odometer')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Odometer must be a non-negative integer'),
+  body('is_full_tank')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Full tank flag must be a boolean'),
+  body('allow_rollback')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('allow_rollback must be a boolean')
+];
+
+// Validation rules for creating/updating oil change
+const oilChangeValidation = [
+  body('change_date')
+    .isISO8601()
+    .toDate()
+    .withMessage('Change date must be a valid date in ISO 8601 format (YYYY-MM-DD)'),
+  body('mileage')
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Mileage must be a non-negative integer'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters'),
+  body('allow_rollback')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('allow_rollback must be a boolean')
+];
+
+module.exports = {
+  fuelRecordValidation,
+  oilChangeValidation
+};
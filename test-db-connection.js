@@ -64,7 +64,7 @@ async function testDatabaseConnection() {
     const missingTables = expectedTables.filter(table => !existingTables.includes(table));
     if (missingTables.length > 0) {
       console.log(`  Missing tables: ${missingTables.join(', ')}`);
-      console.log('   Run the database_schema.sql file to create missing tables');
+      console.log('   Run npm run migrate to create missing tables');
     } else {
       console.log(' All required tables exist');
     }
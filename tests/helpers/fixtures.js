@@ -0,0 +1,150 @@
+const bcrypt = require('bcryptjs');
+const { query } = require('../../src/config/db');
+const { issueTokens } = require('../../src/services/tokenService');
+const { syncReading } = require('../../src/services/odometerService');
+
+const DEFAULT_PASSWORD = 'Passw0rd';
+
+let sequence = 0;
+
+// Insert a row and return it
+const insert = async (table, fields) => {
+  const columns = Object.keys(fields);
+  const placeholders = columns.map((column, index) => `$${index + 1}`);
+  const result = await query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    Object.values(fields)
+  );
+  return result.rows[0];
+};
+
+// Create a user with an active session.
+// Returns the user row plus its password, access token and Authorization header.
+const createUser = async ({ email, password = DEFAULT_PASSWORD } = {}) => {
+  sequence++;
+  // A low bcrypt cost keeps the suite fast; login still verifies it like any other hash
+  const user = await insert('users', {
+    email: email || `user${sequence}@example.com`,
+    password_hash: await bcrypt.hash(password, 4)
+  });
+  const { tokens } = await issueTokens(user);
+
+  return {
+    ...user,
+    password,
+    token: tokens.token,
+    auth: { Authorization: `Bearer ${tokens.token}` }
+  };
+};
+
+// Create a vehicle owned by the user, like POST /api/vehicles
+const createVehicle = async (user, fields = {}) => {
+  sequence++;
+  const vehicle = await insert('vehicles', { user_id: user.id, name: `Vehicle ${sequence}`, ...fields });
+  await addMember(vehicle, user, 'owner');
+  return vehicle;
+};
+
+// Give a user access to a vehicle with a role (owner, rider or mechanic)
+const addMember = (vehicle, user, role) => insert('vehicle_members', {
+  vehicle_id: vehicle.id,
+  user_id: user.id,
+  role
+});
+
+// Create an organization with the user as its admin
+const createOrganization = async (admin, fields = {}) => {
+  sequence++;
+  const organization = await insert('organizations', { name: `Fleet ${sequence}`, ...fields });
+  await addOrganizationMember(organization, admin, 'admin');
+  return organization;
+};
+
+// Add a user to an organization with a role (admin, manager or driver)
+const addOrganizationMember = (organization, user, role) => insert('organization_members', {
+  organization_id: organization.id,
+  user_id: user.id,
+  role
+});
+
+// Create a vehicle owned by an organization, like POST /api/vehicles with organization_id
+const createOrganizationVehicle = (organization, fields = {}) => {
+  sequence++;
+  return insert('vehicles', { organization_id: organization.id, name: `Fleet vehicle ${sequence}`, ...fields });
+};
+
+// Records with a mileage also get their odometer reading, like the API creates them
+const createFuelRecord = async (vehicle, fields = {}) => {
+  const record = await insert('fuel_records', {
+    vehicle_id: vehicle.id,
+    fill_date: '2024-01-15',
+    price_per_liter: 10000,
+    liters_filled: 4,
+    ...fields
+  });
+  await syncReading({
+    vehicleId: vehicle.id,
+    source: 'fuel_record',
+    sourceId: record.id,
+    date: record.fill_date,
+    mileage: record.odometer
+  });
+  return record;
+};
+
+const createOilChange = async (vehicle, fields = {}) => {
+  const oilChange = await insert('oil_changes', {
+    vehicle_id: vehicle.id,
+    change_date: '2024-01-15',
+    mileage: 10000,
+    ...fields
+  });
+  await syncReading({
+    vehicleId: vehicle.id,
+    source: 'oil_change',
+    sourceId: oilChange.id,
+    date: oilChange.change_date,
+    mileage: oilChange.mileage
+  });
+  return oilChange;
+};
+
+const createServiceRecord = async (vehicle, fields = {}) => {
+  const serviceType = await query("SELECT id FROM service_types WHERE code = 'brake_pads'");
+  const serviceRecord = await insert('service_records', {
+    vehicle_id: vehicle.id,
+    service_type_id: serviceType.rows[0].id,
+    service_date: '2024-01-15',
+    parts_cost: 150000,
+    labor_cost: 50000,
+    ...fields
+  });
+  await syncReading({
+    vehicleId: vehicle.id,
+    source: 'service_record',
+    sourceId: serviceRecord.id,
+    date: serviceRecord.service_date,
+    mileage: serviceRecord.mileage
+  });
+  return serviceRecord;
+};
+
+// Number of rows in a table matching a condition
+const countRows = async (table, where = 'TRUE', params = []) => {
+  const result = await query(`SELECT COUNT(*) FROM ${table} WHERE ${where}`, params);
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+  DEFAULT_PASSWORD,
+  createUser,
+  createVehicle,
+  addMember,
+  createOrganization,
+  addOrganizationMember,
+  createOrganizationVehicle,
+  createFuelRecord,
+  createOilChange,
+  createServiceRecord,
+  countRows
+};
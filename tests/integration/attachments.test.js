@@ -0,0 +1,173 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const { getStorage } = require('../../src/services/storage');
+const { purgeTrash } = require('../../src/services/trashService');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createFuelRecord,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+const photo = () => sharp({
+  create: { width: 1200, height: 800, channels: 3, background: { r: 200, g: 120, b: 40 } }
+}).jpeg().toBuffer();
+
+const upload = (user, path, content, fileName) => request(app)
+  .post(path)
+  .set(user.auth)
+  .attach('file', content, fileName);
+
+// Raw response bodies of downloads
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('attachments', () => {
+  let owner;
+  let vehicle;
+  let record;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner);
+    record = await createFuelRecord(vehicle);
+  });
+
+  it('stores an image with a thumbnail and serves both to members', async () => {
+    const image = await photo();
+    const res = await upload(owner, `/api/fuel-records/${record.id}/attachments`, image, 'receipt.jpg');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      vehicle_id: vehicle.id,
+      fuel_record_id: record.id,
+      oil_change_id: null,
+      file_name: 'receipt.jpg',
+      content_type: 'image/jpeg',
+      size_bytes: image.length,
+      uploaded_by: owner.id,
+      has_thumbnail: true
+    });
+    expect(res.body.data).not.toHaveProperty('storage_key');
+    const { id, download_url, thumbnail_url } = res.body.data;
+
+    const list = await request(app).get(`/api/fuel-records/${record.id}/attachments`).set(owner.auth);
+    expect(list.body.data.map((attachment) => attachment.id)).toEqual([id]);
+
+    const download = await request(app).get(download_url).set(owner.auth).buffer().parse(binary);
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('image/jpeg');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="receipt.jpg"');
+    expect(download.body.equals(image)).toBe(true);
+
+    const thumbnail = await request(app).get(thumbnail_url).set(owner.auth).buffer().parse(binary);
+    expect(thumbnail.status).toBe(200);
+    const { width, height, format } = await sharp(thumbnail.body).metadata();
+    expect({ width, height, format }).toEqual({ width: 320, height: 213, format: 'jpeg' });
+
+    const unauthenticated = await request(app).get(download_url);
+    expect(unauthenticated.status).toBe(401);
+  });
+
+  it('accepts PDFs and rejects files that are not what they claim to be', async () => {
+    const pdf = await upload(owner, `/api/fuel-records/${record.id}/attachments`, PDF, 'invoice.pdf');
+    expect(pdf.status).toBe(201);
+    expect(pdf.body.data).toMatchObject({ content_type: 'application/pdf', has_thumbnail: false, thumbnail_url: null });
+
+    const noThumbnail = await request(app).get(`/api/attachments/${pdf.body.data.id}/thumbnail`).set(owner.auth);
+    expect(noThumbnail.status).toBe(404);
+
+    const disguised = await upload(owner, `/api/fuel-records/${record.id}/attachments`, Buffer.from('#!/bin/sh\necho hi\n'), 'photo.jpg');
+    expect(disguised.status).toBe(400);
+    expect(disguised.body.message).toMatch(/^Unsupported file type/);
+
+    const broken = await upload(owner, `/api/fuel-records/${record.id}/attachments`, (await photo()).subarray(0, 200), 'broken.jpg');
+    expect(broken.status).toBe(400);
+    expect(broken.body.message).toBe('The image could not be read');
+
+    const missing = await request(app).post(`/api/fuel-records/${record.id}/attachments`).set(owner.auth).field('note', 'x');
+    expect(missing.status).toBe(400);
+
+    const tooLarge = await upload(owner, `/api/fuel-records/${record.id}/attachments`, Buffer.concat([PDF, Buffer.alloc(10 * 1024 * 1024)]), 'big.pdf');
+    expect(tooLarge.status).toBe(413);
+
+    expect(await countRows('attachments')).toBe(1);
+  });
+
+  it('follows the permissions of the record it is attached to', async () => {
+    const mechanic = await createUser();
+    const rider = await createUser();
+    const outsider = await createUser();
+    await addMember(vehicle, mechanic, 'mechanic');
+    await addMember(vehicle, rider, 'rider');
+    const oilChange = await createOilChange(vehicle);
+
+    // Mechanics change oil changes but not fill-ups, riders the other way around
+    expect((await upload(mechanic, `/api/fuel-records/${record.id}/attachments`, PDF, 'a.pdf')).status).toBe(403);
+    expect((await upload(rider, `/api/oil-changes/${oilChange.id}/attachments`, PDF, 'a.pdf')).status).toBe(403);
+    expect((await upload(outsider, `/api/fuel-records/${record.id}/attachments`, PDF, 'a.pdf')).status).toBe(404);
+
+    const invoice = await upload(mechanic, `/api/oil-changes/${oilChange.id}/attachments`, PDF, 'invoice.pdf');
+    expect(invoice.status).toBe(201);
+    const invoiceId = invoice.body.data.id;
+
+    // Every member can see it, outsiders cannot
+    expect((await request(app).get(`/api/oil-changes/${oilChange.id}/attachments`).set(rider.auth)).body.data).toHaveLength(1);
+    expect((await request(app).get(`/api/attachments/${invoiceId}/download`).set(rider.auth)).status).toBe(200);
+    expect((await request(app).get(`/api/attachments/${invoiceId}/download`).set(outsider.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/oil-changes/${oilChange.id}/attachments`).set(outsider.auth)).status).toBe(404);
+
+    expect((await request(app).delete(`/api/attachments/${invoiceId}`).set(rider.auth)).status).toBe(403);
+    expect((await request(app).delete(`/api/attachments/${invoiceId}`).set(outsider.auth)).status).toBe(404);
+
+    const [attachment] = (await query('SELECT * FROM attachments WHERE id = $1', [invoiceId])).rows;
+    const removed = await request(app).delete(`/api/attachments/${invoiceId}`).set(mechanic.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('attachments')).toBe(0);
+    expect(await getStorage().get(attachment.storage_key)).toBeNull();
+
+    const entries = await query("SELECT action FROM audit_log WHERE entity_type = 'attachment' ORDER BY id ASC");
+    expect(entries.rows.map((entry) => entry.action)).toEqual(['create', 'delete']);
+  });
+
+  it('is hidden with its record in the trash and removed with it by the purge', async () => {
+    const res = await upload(owner, `/api/fuel-records/${record.id}/attachments`, await photo(), 'receipt.jpg');
+    const [attachment] = (await query('SELECT * FROM attachments WHERE id = $1', [res.body.data.id])).rows;
+
+    await request(app).delete(`/api/fuel-records/${record.id}`).set(owner.auth);
+    expect((await request(app).get(res.body.data.download_url).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/fuel-records/${record.id}/attachments`).set(owner.auth)).status).toBe(404);
+
+    await request(app).post(`/api/fuel-records/${record.id}/restore`).set(owner.auth);
+    expect((await request(app).get(res.body.data.download_url).set(owner.auth)).status).toBe(200);
+
+    await request(app).delete(`/api/vehicles/${vehicle.id}`).set(owner.auth);
+    const purged = await purgeTrash({ retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+    expect(purged).toMatchObject({ vehicles: 1, attachments: 1 });
+    expect(await countRows('attachments')).toBe(0);
+    expect(await getStorage().get(attachment.storage_key)).toBeNull();
+    expect(await getStorage().get(attachment.thumbnail_key)).toBeNull();
+  });
+
+  it('removes the files of the vehicles deleted with an account', async () => {
+    const res = await upload(owner, `/api/fuel-records/${record.id}/attachments`, PDF, 'invoice.pdf');
+    const [attachment] = (await query('SELECT * FROM attachments WHERE id = $1', [res.body.data.id])).rows;
+
+    const removed = await request(app).delete('/api/auth/me').set(owner.auth).send({ password: owner.password });
+    expect(removed.status).toBe(200);
+    expect(removed.body.data.export.vehicles[0].attachments).toHaveLength(1);
+
+    expect(await countRows('attachments')).toBe(0);
+    expect(await getStorage().get(attachment.storage_key)).toBeNull();
+  });
+});
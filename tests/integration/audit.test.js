@@ -0,0 +1,224 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createFuelRecord,
+  countRows
+} = require('../helpers/fixtures');
+
+// Audit entries of a vehicle, oldest first
+const auditEntries = async (vehicleId) => {
+  const result = await query(
+    'SELECT * FROM audit_log WHERE vehicle_id = $1 ORDER BY id ASC',
+    [vehicleId]
+  );
+  return result.rows;
+};
+
+describe('audit log', () => {
+  let owner;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner);
+  });
+
+  it('records creates, updates and deletes with the actor and the request', async () => {
+    const created = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(owner.auth)
+      .set('X-Request-Id', 'req-create-1')
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 3, odometer: 1200 });
+    expect(created.status).toBe(201);
+    const recordId = created.body.data.id;
+
+    const updated = await request(app)
+      .patch(`/api/fuel-records/${recordId}`)
+      .set(owner.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 4, odometer: 1200 });
+    expect(updated.status).toBe(200);
+
+    const removed = await request(app).delete(`/api/fuel-records/${recordId}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+
+    const entries = await auditEntries(vehicle.id);
+    expect(entries.map((entry) => [entry.action, entry.entity_type, entry.entity_id])).toEqual([
+      ['create', 'fuel_record', recordId],
+      ['update', 'fuel_record', recordId],
+      ['delete', 'fuel_record', recordId]
+    ]);
+    expect(entries[0]).toMatchObject({ actor_id: owner.id, actor_email: owner.email, request_id: 'req-create-1', before: null });
+    expect(entries[0].after).toMatchObject({ id: recordId, liters_filled: '3.00' });
+    expect(entries[0].ip).toBeTruthy();
+    expect(entries[1].before).toMatchObject({ liters_filled: '3.00' });
+    expect(entries[1].after).toMatchObject({ liters_filled: '4.00' });
+    expect(entries[2]).toMatchObject({ after: null });
+    expect(entries[2].before).toMatchObject({ id: recordId, liters_filled: '4.00' });
+  });
+
+  it('does not record changes that were rejected', async () => {
+    const rider = await createUser();
+    await addMember(vehicle, rider, 'rider');
+
+    const denied = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .set(rider.auth)
+      .send({ change_date: '2024-02-01', mileage: 1000 });
+    expect(denied.status).toBe(403);
+
+    const invalid = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(owner.auth)
+      .send({ fill_date: 'yesterday' });
+    expect(invalid.status).toBe(400);
+
+    expect(await countRows('audit_log')).toBe(0);
+  });
+
+  it('records every row of a CSV import, and nothing for a dry run', async () => {
+    const csv = 'fill_date,price_per_liter,liters_filled\n2024-01-01,10000,3\n2024-01-08,10000,4\n';
+
+    const dryRun = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records/import?dry_run=true`)
+      .set(owner.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(dryRun.status).toBe(200);
+    expect(await countRows('audit_log')).toBe(0);
+
+    const imported = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records/import`)
+      .set(owner.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(imported.status).toBe(201);
+
+    const entries = await auditEntries(vehicle.id);
+    expect(entries).toHaveLength(2);
+    expect(entries.every((entry) => entry.action === 'create' && entry.entity_type === 'fuel_record')).toBe(true);
+    expect(new Set(entries.map((entry) => entry.request_id)).size).toBe(1);
+  });
+
+  it('keeps the history of a deleted vehicle for administrators', async () => {
+    await request(app).patch(`/api/vehicles/${vehicle.id}`).set(owner.auth).send({ name: 'Renamed' });
+    const removed = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+
+    const entries = await auditEntries(vehicle.id);
+    expect(entries.map((entry) => [entry.action, entry.entity_type])).toEqual([
+      ['update', 'vehicle'],
+      ['delete', 'vehicle']
+    ]);
+    expect(entries[1].before).toMatchObject({ id: vehicle.id, name: 'Renamed' });
+  });
+
+  it('never stores secrets in snapshots', async () => {
+    const res = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/invitations`)
+      .set(owner.auth)
+      .send({ email: 'friend@example.com', role: 'rider' });
+    expect(res.status).toBe(201);
+
+    const entries = await auditEntries(vehicle.id);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ action: 'create', entity_type: 'vehicle_invitation' });
+    expect(entries[0].after).toMatchObject({ email: 'friend@example.com', role: 'rider' });
+    expect(entries[0].after).not.toHaveProperty('token_hash');
+  });
+});
+
+describe('GET /api/vehicles/:id/history', () => {
+  it('lists the changes of the vehicle to its members, newest first', async () => {
+    const owner = await createUser();
+    const mechanic = await createUser();
+    const outsider = await createUser();
+    const vehicle = await createVehicle(owner);
+    await addMember(vehicle, mechanic, 'mechanic');
+    const record = await createFuelRecord(vehicle);
+
+    await request(app).patch(`/api/vehicles/${vehicle.id}`).set(owner.auth).send({ name: 'Renamed' });
+    await request(app).delete(`/api/fuel-records/${record.id}`).set(owner.auth);
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/history`).set(mechanic.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ currentPage: 1, totalItems: 2 });
+    expect(res.body.data.map((entry) => [entry.action, entry.entity_type])).toEqual([
+      ['delete', 'fuel_record'],
+      ['update', 'vehicle']
+    ]);
+    expect(res.body.data[1]).toMatchObject({ actor_email: owner.email, changed_fields: ['name'] });
+
+    const filtered = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/history`)
+      .query({ entity_type: 'vehicle', action: 'update' })
+      .set(owner.auth);
+    expect(filtered.body.data).toHaveLength(1);
+    expect(filtered.body.data[0].after.name).toBe('Renamed');
+
+    const hidden = await request(app).get(`/api/vehicles/${vehicle.id}/history`).set(outsider.auth);
+    expect(hidden.status).toBe(404);
+
+    const invalid = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/history`)
+      .query({ action: 'read' })
+      .set(owner.auth);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/audit-log', () => {
+  let admin;
+  let user;
+
+  beforeEach(async () => {
+    admin = await createUser();
+    user = await createUser();
+    await query('UPDATE users SET is_admin = TRUE WHERE id = $1', [admin.id]);
+  });
+
+  it('is only available to administrators', async () => {
+    const res = await request(app).get('/api/admin/audit-log').set(user.auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Administrator access required');
+  });
+
+  it('queries the changes of every user with filters', async () => {
+    const created = await request(app).post('/api/vehicles').set(user.auth).send({ name: 'Scooter' });
+    await request(app).post('/api/organizations').set(user.auth).send({ name: 'Fleet' });
+
+    const all = await request(app).get('/api/admin/audit-log').set(admin.auth);
+    expect(all.status).toBe(200);
+    expect(all.body.pagination.totalItems).toBe(3);
+    expect(all.body.data.map((entry) => entry.entity_type)).toEqual(['organization_member', 'organization', 'vehicle']);
+
+    const byVehicle = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ vehicle_id: created.body.data.id, actor_id: user.id, from: '2000-01-01' })
+      .set(admin.auth);
+    expect(byVehicle.body.data).toHaveLength(1);
+    expect(byVehicle.body.data[0]).toMatchObject({ action: 'create', entity_type: 'vehicle', actor_id: user.id });
+
+    const future = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ from: '2999-01-01' })
+      .set(admin.auth);
+    expect(future.body.data).toEqual([]);
+
+    const invalid = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ from: '2024-02-01', to: '2024-01-01' })
+      .set(admin.auth);
+    expect(invalid.status).toBe(400);
+
+    const partialDate = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ from: '2024-05' })
+      .set(admin.auth);
+    expect(partialDate.status).toBe(400);
+  });
+});
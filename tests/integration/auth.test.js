@@ -0,0 +1,251 @@
+const { Client } = require('pg');
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const { getTransport, setTransport } = require('../../src/services/mail');
+const { createUser, countRows } = require('../helpers/fixtures');
+
+describe('POST /api/auth/register', () => {
+  it('creates a user and returns a token pair', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'Rider@Example.com', password: 'Secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('success');
+    expect(res.body.data.user.email).toBe('rider@example.com');
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refresh_token).toEqual(expect.any(String));
+
+    // Only a bcrypt hash of the password is stored
+    const stored = await query('SELECT password_hash FROM users WHERE email = $1', ['rider@example.com']);
+    expect(stored.rows[0].password_hash).not.toBe('Secret123');
+    expect(stored.rows[0].password_hash).toMatch(/^\$2[aby]\$/);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await createUser({ email: 'taken@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'taken@example.com', password: 'Secret123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('User with this email already exists');
+    expect(await countRows('users')).toBe(1);
+  });
+
+  it('rejects an invalid email and a weak password', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: 'weak' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(res.body.errors.map((error) => error.path)).toEqual(expect.arrayContaining(['email', 'password']));
+    expect(await countRows('users')).toBe(0);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('logs in with the right password', async () => {
+    const user = await createUser({ email: 'login@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'login@example.com', password: user.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(user.id);
+    expect(res.body.data.token).toEqual(expect.any(String));
+
+    // The new token gives access to protected routes
+    const profile = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.email).toBe('login@example.com');
+  });
+
+  it('rejects a wrong password', async () => {
+    await createUser({ email: 'login@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'login@example.com', password: 'Wrong1234' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  it('rejects an unknown email with the same message', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'Secret123' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+});
+
+describe('sessions', () => {
+  let user;
+
+  // Log in and return the token pair of the new session
+  const login = async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+    return res.body.data;
+  };
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  it('rotate the refresh token on every refresh', async () => {
+    const session = await login();
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refresh_token).not.toBe(session.refresh_token);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshed.body.data.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('are revoked when a used refresh token is replayed', async () => {
+    const session = await login();
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Refresh token has already been used, the session has been revoked');
+
+    // The token that replaced it and the access tokens of the session stop working too
+    const next = await request(app).post('/api/auth/refresh').send({ refresh_token: refreshed.body.data.refresh_token });
+    expect(next.status).toBe(401);
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshed.body.data.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('are logged out one at a time, or all at once', async () => {
+    const first = await login();
+    const second = await login();
+
+    const logout = await request(app).post('/api/auth/logout').send({ refresh_token: first.refresh_token });
+    expect(logout.status).toBe(200);
+
+    const firstMe = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${first.token}`);
+    expect(firstMe.status).toBe(401);
+    const secondMe = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${second.token}`);
+    expect(secondMe.status).toBe(200);
+
+    await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${second.token}`).expect(200);
+
+    const refresh = await request(app).post('/api/auth/refresh').send({ refresh_token: second.refresh_token });
+    expect(refresh.status).toBe(401);
+    expect(await countRows('refresh_tokens', 'user_id = $1 AND revoked_at IS NULL', [user.id])).toBe(0);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  const MESSAGE = 'If an account with that email exists, a password reset link has been sent';
+
+  it('mails a reset link to an existing account', async () => {
+    const user = await createUser();
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(res.status).toBe(200);
+    expect(res.body.data.message).toBe(MESSAGE);
+
+    // The mail is sent before the response
+    expect(getTransport().messages).toHaveLength(1);
+    expect(getTransport().messages[0]).toMatchObject({ to: user.email, subject: 'Reset your password' });
+    expect(await countRows('password_reset_tokens', 'user_id = $1', [user.id])).toBe(1);
+  });
+
+  it('gives the same answer for an unknown email without sending anything', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.message).toBe(MESSAGE);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(getTransport().messages).toHaveLength(0);
+  });
+
+  it('takes about as long for an unknown email as for a sent link', async () => {
+    const user = await createUser();
+    setTransport({
+      name: 'slow',
+      send: () => new Promise((resolve) => setTimeout(() => resolve({ id: 'slow-1' }), 300))
+    });
+
+    const timed = async (email) => {
+      const start = Date.now();
+      const res = await request(app).post('/api/auth/forgot-password').send({ email });
+      expect(res.status).toBe(200);
+      expect(res.body.data.message).toBe(MESSAGE);
+      return Date.now() - start;
+    };
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      expect(await timed(user.email)).toBeGreaterThanOrEqual(300);
+    }
+    expect(await timed('nobody@example.com')).toBeGreaterThanOrEqual(200);
+  });
+
+  it('gives the same answer when the mail cannot be sent', async () => {
+    const user = await createUser();
+    setTransport({
+      name: 'broken',
+      send: () => Promise.reject(new Error('SMTP unavailable'))
+    });
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(res.status).toBe(200);
+    expect(res.body.data.message).toBe(MESSAGE);
+  });
+});
+
+describe('protected routes', () => {
+  it('require a bearer token', async () => {
+    const res = await request(app).get('/api/vehicles');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('No token provided, access denied');
+  });
+
+  it('reject an invalid token', async () => {
+    const res = await request(app)
+      .get('/api/vehicles')
+      .set('Authorization', 'Bearer not-a-jwt');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid token');
+  });
+
+  it('reject a token whose session was logged out', async () => {
+    const user = await createUser();
+
+    await request(app).post('/api/auth/logout-all').set(user.auth).expect(200);
+
+    const res = await request(app).get('/api/vehicles').set(user.auth);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Session has been revoked, please log in again');
+  });
+
+  it('check the session once per request', async () => {
+    const user = await createUser();
+    const spy = jest.spyOn(Client.prototype, 'query');
+
+    try {
+      // Served by the last router mounted at /api, after every other one has run its auth middleware
+      const res = await request(app).get('/api/trash').set(user.auth);
+      expect(res.status).toBe(200);
+
+      const sessionQueries = spy.mock.calls.filter(([text]) => typeof text === 'string' && text.includes('FROM refresh_tokens'));
+      expect(sessionQueries).toHaveLength(1);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
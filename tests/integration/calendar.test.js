@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+// Token of a calendar URL returned by POST /api/auth/me/calendar
+const tokenOf = (url) => url.match(/\/api\/calendar\/([^/]+)\.ics$/)[1];
+
+describe('vehicle documents', () => {
+  let owner;
+  let rider;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    rider = await createUser();
+    vehicle = await createVehicle(owner);
+    await addMember(vehicle, rider, 'rider');
+  });
+
+  it('are managed by owners and listed to every member', async () => {
+    const created = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/documents`)
+      .set(owner.auth)
+      .send({ type: 'insurance', title: 'Third party insurance', expires_on: '2030-03-31' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ type: 'insurance', title: 'Third party insurance', created_by: owner.id });
+
+    const denied = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/documents`)
+      .set(rider.auth)
+      .send({ type: 'registration', expires_on: '2030-01-01' });
+    expect(denied.status).toBe(403);
+
+    const invalid = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/documents`)
+      .set(owner.auth)
+      .send({ type: 'passport', expires_on: 'soon' });
+    expect(invalid.status).toBe(400);
+
+    const partialDate = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/documents`)
+      .set(owner.auth)
+      .send({ type: 'insurance', expires_on: '2024-05' });
+    expect(partialDate.status).toBe(400);
+    expect(partialDate.body.errors[0].path).toBe('expires_on');
+
+    const updated = await request(app)
+      .patch(`/api/documents/${created.body.data.id}`)
+      .set(owner.auth)
+      .send({ type: 'insurance', document_number: 'POL-123', expires_on: '2031-03-31' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ document_number: 'POL-123', title: null });
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/documents`).set(rider.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(1);
+
+    const removed = await request(app).delete(`/api/documents/${created.body.data.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('vehicle_documents')).toBe(0);
+  });
+});
+
+describe('calendar feed', () => {
+  let owner;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner, { name: 'Honda Vario', initial_odometer: 9000 });
+  });
+
+  it('publishes oil changes, scheduled services and document expiries with alarms', async () => {
+    const oilChange = await createOilChange(vehicle, { change_date: new Date(), mileage: 10000 });
+    await query(
+      `INSERT INTO reminders (vehicle_id, title, notes, due_date, created_by)
+       VALUES ($1, 'Replace the chain', 'Ask for an O-ring chain, not the cheap one', '2030-05-01', $2)`,
+      [vehicle.id, owner.id]
+    );
+    await query(
+      "INSERT INTO reminders (vehicle_id, title, due_date, completed_at) VALUES ($1, 'Done already', '2030-06-01', NOW())",
+      [vehicle.id]
+    );
+    await query(
+      "INSERT INTO vehicle_documents (vehicle_id, type, document_number, expires_on) VALUES ($1, 'registration', 'B 1234 XY', '2030-07-15')",
+      [vehicle.id]
+    );
+
+    const created = await request(app).post('/api/auth/me/calendar').set(owner.auth);
+    expect(created.status).toBe(201);
+    expect(created.body.data.webcal_url).toMatch(/^webcal:\/\/.+\.ics$/);
+
+    const res = await request(app).get(`/api/calendar/${tokenOf(created.body.data.url)}.ics`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/calendar; charset=utf-8');
+
+    const ics = res.text;
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(ics).toContain(`UID:oil-change-${vehicle.id}-${oilChange.id}@vehicle-maintenance`);
+    expect(ics).toContain('SUMMARY:Oil change due: Honda Vario');
+    expect(ics).toContain('SUMMARY:Replace the chain: Honda Vario\r\nDESCRIPTION:Ask for an O-ring chain\\, not the cheap one');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20300501');
+    expect(ics).toContain('SUMMARY:Registration expires: Honda Vario');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20300715');
+    expect(ics).not.toContain('Done already');
+    // One alarm for the oil change and the reminder, two for the document
+    expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(4);
+    expect(ics).toContain('TRIGGER:-P14D');
+    expect(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const settings = await request(app).get('/api/auth/me/calendar').set(owner.auth);
+    expect(settings.body.data.enabled).toBe(true);
+    expect(settings.body.data.last_used_at).not.toBeNull();
+  });
+
+  it('only shows vehicles the token owner has access to', async () => {
+    const other = await createUser();
+    const otherVehicle = await createVehicle(other);
+    await query(
+      "INSERT INTO vehicle_documents (vehicle_id, type, expires_on) VALUES ($1, 'insurance', '2030-01-01')",
+      [otherVehicle.id]
+    );
+
+    const created = await request(app).post('/api/auth/me/calendar').set(owner.auth);
+    const res = await request(app).get(`/api/calendar/${tokenOf(created.body.data.url)}.ics`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).not.toContain('BEGIN:VEVENT');
+  });
+
+  it('stops working once the URL is regenerated or revoked', async () => {
+    const first = await request(app).post('/api/auth/me/calendar').set(owner.auth);
+    const second = await request(app).post('/api/auth/me/calendar').set(owner.auth);
+    expect(second.body.data.url).not.toBe(first.body.data.url);
+    expect(await countRows('calendar_tokens')).toBe(1);
+
+    const old = await request(app).get(`/api/calendar/${tokenOf(first.body.data.url)}.ics`);
+    expect(old.status).toBe(404);
+
+    const current = await request(app).get(`/api/calendar/${tokenOf(second.body.data.url)}.ics`);
+    expect(current.status).toBe(200);
+
+    const revoked = await request(app).delete('/api/auth/me/calendar').set(owner.auth);
+    expect(revoked.status).toBe(200);
+
+    const gone = await request(app).get(`/api/calendar/${tokenOf(second.body.data.url)}.ics`);
+    expect(gone.status).toBe(404);
+
+    const again = await request(app).delete('/api/auth/me/calendar').set(owner.auth);
+    expect(again.status).toBe(404);
+
+    const settings = await request(app).get('/api/auth/me/calendar').set(owner.auth);
+    expect(settings.body.data).toEqual({ enabled: false, created_at: null, last_used_at: null });
+  });
+});
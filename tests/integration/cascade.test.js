@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const {
+  createUser,
+  createVehicle,
+  createFuelRecord,
+  createOilChange,
+  createServiceRecord,
+  countRows
+} = require('../helpers/fixtures');
+const { purgeTrash } = require('../../src/services/trashService');
+
+// Give a vehicle one record of every kind (each with an odometer reading)
+const addHistory = async (vehicle) => {
+  await createFuelRecord(vehicle, { odometer: 1000 });
+  await createOilChange(vehicle, { mileage: 1500, change_date: '2024-02-01' });
+  await createServiceRecord(vehicle, { mileage: 2000, service_date: '2024-03-01' });
+};
+
+const vehicleRowCounts = async (vehicleId) => ({
+  fuel_records: await countRows('fuel_records', 'vehicle_id = $1', [vehicleId]),
+  oil_changes: await countRows('oil_changes', 'vehicle_id = $1', [vehicleId]),
+  service_records: await countRows('service_records', 'vehicle_id = $1', [vehicleId]),
+  odometer_readings: await countRows('odometer_readings', 'vehicle_id = $1', [vehicleId])
+});
+
+describe('DELETE /api/vehicles/:id', () => {
+  it('keeps the records of a vehicle in the trash until it is purged, and nothing else is removed', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    const otherVehicle = await createVehicle(user);
+    await addHistory(vehicle);
+    await addHistory(otherVehicle);
+
+    expect(await vehicleRowCounts(vehicle.id)).toEqual({
+      fuel_records: 1, oil_changes: 1, service_records: 1, odometer_readings: 3
+    });
+
+    const res = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(user.auth);
+    expect(res.status).toBe(200);
+
+    expect(await countRows('vehicles', 'id = $1 AND deleted_at IS NOT NULL', [vehicle.id])).toBe(1);
+    expect(await vehicleRowCounts(vehicle.id)).toEqual({
+      fuel_records: 1, oil_changes: 1, service_records: 1, odometer_readings: 3
+    });
+
+    await purgeTrash({ retentionDays: 0, now: new Date(Date.now() + 1000) });
+
+    expect(await countRows('vehicles', 'id = $1', [vehicle.id])).toBe(0);
+    expect(await vehicleRowCounts(vehicle.id)).toEqual({
+      fuel_records: 0, oil_changes: 0, service_records: 0, odometer_readings: 0
+    });
+    expect(await vehicleRowCounts(otherVehicle.id)).toEqual({
+      fuel_records: 1, oil_changes: 1, service_records: 1, odometer_readings: 3
+    });
+  });
+});
+
+describe('DELETE /api/auth/me', () => {
+  it('deletes the account with its vehicles, records and sessions', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    await addHistory(vehicle);
+
+    const otherUser = await createUser();
+    const otherVehicle = await createVehicle(otherUser);
+    await addHistory(otherVehicle);
+
+    const res = await request(app).delete('/api/auth/me').set(user.auth).send({ password: user.password });
+    expect(res.status).toBe(200);
+
+    expect(await countRows('users', 'id = $1', [user.id])).toBe(0);
+    expect(await countRows('vehicles', 'user_id = $1', [user.id])).toBe(0);
+    expect(await countRows('refresh_tokens', 'user_id = $1', [user.id])).toBe(0);
+    expect(await vehicleRowCounts(vehicle.id)).toEqual({
+      fuel_records: 0, oil_changes: 0, service_records: 0, odometer_readings: 0
+    });
+
+    // Other accounts are untouched
+    expect(await countRows('users', 'id = $1', [otherUser.id])).toBe(1);
+    expect(await vehicleRowCounts(otherVehicle.id)).toEqual({
+      fuel_records: 1, oil_changes: 1, service_records: 1, odometer_readings: 3
+    });
+  });
+
+  it('keeps the account when the password is wrong', async () => {
+    const user = await createUser();
+    await createVehicle(user);
+
+    const res = await request(app).delete('/api/auth/me').set(user.auth).send({ password: 'Wrong1234' });
+
+    expect(res.status).toBe(401);
+    expect(await countRows('vehicles', 'user_id = $1', [user.id])).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { Client } = require('pg');
+const { query } = require('../../src/config/db');
+const {
+  createUser,
+  createVehicle,
+  createFuelRecord,
+  createOilChange,
+  createServiceRecord
+} = require('../helpers/fixtures');
+
+// The fields of the rows of a table for a vehicle that survive a CSV round trip
+const recordsOf = async (table, vehicle, columns, orderBy) => {
+  const result = await query(
+    `SELECT ${columns.join(', ')} FROM ${table} WHERE vehicle_id = $1 AND deleted_at IS NULL ORDER BY ${orderBy}`,
+    [vehicle.id]
+  );
+  return result.rows;
+};
+
+describe('CSV export and import', () => {
+  let user;
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    user = await createUser();
+    source = await createVehicle(user);
+    target = await createVehicle(user);
+  });
+
+  // Export the records of the source vehicle and import the file into the target vehicle
+  const roundTrip = async (type) => {
+    const exported = await request(app).get(`/api/vehicles/${source.id}/${type}/export`).set(user.auth);
+    expect(exported.status).toBe(200);
+    expect(exported.headers['content-type']).toBe('text/csv; charset=utf-8');
+
+    return request(app)
+      .post(`/api/vehicles/${target.id}/${type}/import`)
+      .set(user.auth)
+      .set('Content-Type', 'text/csv')
+      .send(exported.text);
+  };
+
+  it('imports exported fuel records into another vehicle unchanged', async () => {
+    await createFuelRecord(source, { fill_date: '2024-01-01', price_per_liter: 10000, liters_filled: 5, odometer: 1100 });
+    await createFuelRecord(source, { fill_date: '2024-01-08', price_per_liter: 12500.5, liters_filled: 2.25, is_full_tank: false });
+
+    const imported = await roundTrip('fuel-records');
+
+    expect(imported.status).toBe(201);
+    expect(imported.body.data).toMatchObject({ committed: true, total_rows: 2, imported: 2, invalid_rows: 0 });
+    const columns = ['fill_date', 'price_per_liter', 'liters_filled', 'odometer', 'is_full_tank'];
+    expect(await recordsOf('fuel_records', target, columns, 'fill_date'))
+      .toEqual(await recordsOf('fuel_records', source, columns, 'fill_date'));
+  });
+
+  it('imports exported oil changes into another vehicle unchanged', async () => {
+    await createOilChange(source, { change_date: '2024-01-20', mileage: 1450, notes: 'Synthetic, "10W-40", with filter' });
+    await createOilChange(source, { change_date: '2024-04-20', mileage: 4300 });
+
+    const imported = await roundTrip('oil-changes');
+
+    expect(imported.status).toBe(201);
+    expect(imported.body.data).toMatchObject({ committed: true, imported: 2 });
+    const columns = ['change_date', 'mileage', 'notes'];
+    expect(await recordsOf('oil_changes', target, columns, 'change_date'))
+      .toEqual(await recordsOf('oil_changes', source, columns, 'change_date'));
+
+    // The imported mileages join the odometer timeline of the target
+    const timeline = await request(app).get(`/api/vehicles/${target.id}/odometer`).set(user.auth);
+    expect(timeline.body.current_mileage).toBe(4300);
+  });
+
+  it('rejects export ranges that are not whole days', async () => {
+    for (const type of ['fuel-records', 'oil-changes']) {
+      for (const range of [{ from: '2024-05' }, { to: '2024-05-01T10:00:00Z' }]) {
+        const res = await request(app).get(`/api/vehicles/${source.id}/${type}/export`).query(range).set(user.auth);
+        expect(res.status).toBe(400);
+      }
+    }
+  });
+
+  it('answers a failing export query with a JSON error', async () => {
+    const clientQuery = Client.prototype.query;
+    const spy = jest.spyOn(Client.prototype, 'query').mockImplementation(function (text, ...args) {
+      if (typeof text === 'string' && text.startsWith('DECLARE stream_cursor')) {
+        return Promise.reject(new Error('Cursor failed'));
+      }
+      return clientQuery.call(this, text, ...args);
+    });
+
+    try {
+      const res = await request(app).get(`/api/vehicles/${source.id}/fuel-records/export`).set(user.auth);
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ status: 'error', message: 'Server error while exporting fuel records' });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('imports nothing when a row is invalid', async () => {
+    const csv = 'fill_date,price_per_liter,liters_filled\n2024-01-01,10000,3\n2024-13-01,10000,abc\n';
+
+    const res = await request(app)
+      .post(`/api/vehicles/${target.id}/fuel-records/import`)
+      .set(user.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.status).toBe(400);
+    expect(res.body.data).toMatchObject({ committed: false, valid_rows: 1, invalid_rows: 1, imported: 0 });
+    expect(res.body.data.errors[0].row).toBe(3);
+    expect(await recordsOf('fuel_records', target, ['id'], 'id')).toEqual([]);
+  });
+});
+
+describe('GET /api/auth/me/export', () => {
+  it('contains the account and every record of its vehicles, but not those of others', async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const vehicle = await createVehicle(user, { name: 'Daily rider' });
+    await createFuelRecord(vehicle, { odometer: 1200 });
+    await createOilChange(vehicle);
+    await createServiceRecord(vehicle);
+    await createFuelRecord(await createVehicle(other));
+
+    const res = await request(app).get('/api/auth/me/export').set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="account-export-${user.id}.json"`);
+    expect(res.body.data.user).toEqual({ id: user.id, email: user.email, created_at: expect.any(String) });
+    expect(res.body.data.user).not.toHaveProperty('password_hash');
+    expect(res.body.data.vehicles).toHaveLength(1);
+    expect(res.body.data.vehicles[0]).toMatchObject({ id: vehicle.id, name: 'Daily rider' });
+    expect(res.body.data.vehicles[0].fuel_records).toHaveLength(1);
+    expect(res.body.data.vehicles[0].oil_changes).toHaveLength(1);
+    expect(res.body.data.vehicles[0].service_records).toHaveLength(1);
+    // The fuel record and the oil change both add an odometer reading
+    expect(res.body.data.vehicles[0].odometer_readings).toHaveLength(2);
+  });
+});
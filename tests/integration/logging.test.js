@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { logger, setLogOutput } = require('../../src/config/logger');
+const { query } = require('../../src/config/db');
+const { createUser } = require('../helpers/fixtures');
+
+describe('structured logging', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [];
+    setLogOutput({ level: 'debug', write: (line) => entries.push(JSON.parse(line)) });
+  });
+
+  afterEach(() => {
+    setLogOutput();
+    delete process.env.DB_SLOW_QUERY_MS;
+  });
+
+  const completed = () => entries.find((entry) => entry.msg === 'Request completed');
+
+  it('returns a generated request id', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('keeps a valid incoming request id and replaces an invalid one', async () => {
+    const kept = await request(app).get('/').set('X-Request-Id', 'lb-1234');
+    const replaced = await request(app).get('/').set('X-Request-Id', '<script>alert(1)</script>');
+
+    expect(kept.headers['x-request-id']).toBe('lb-1234');
+    expect(replaced.headers['x-request-id']).not.toBe('<script>alert(1)</script>');
+  });
+
+  it('logs the status and latency of every request', async () => {
+    const user = await createUser();
+    entries = [];
+
+    const res = await request(app).get('/api/vehicles?search=x').set(user.auth);
+
+    expect(completed()).toMatchObject({
+      level: 'info',
+      requestId: res.headers['x-request-id'],
+      method: 'GET',
+      path: '/api/vehicles',
+      status: 200,
+      userId: user.id
+    });
+    expect(typeof completed().durationMs).toBe('number');
+    expect(typeof completed().time).toBe('string');
+  });
+
+  it('masks the secret token of a calendar feed', async () => {
+    const user = await createUser();
+    const created = await request(app).post('/api/auth/me/calendar').set(user.auth);
+    entries = [];
+
+    const res = await request(app).get(new URL(created.body.data.url).pathname);
+    expect(res.status).toBe(200);
+
+    expect(completed()).toMatchObject({ path: '/api/calendar/[REDACTED]', status: 200 });
+    expect(JSON.stringify(entries)).not.toContain(new URL(created.body.data.url).pathname);
+  });
+
+  it('logs client errors as warnings', async () => {
+    await request(app).get('/api/vehicles');
+
+    expect(completed()).toMatchObject({ level: 'warn', status: 401 });
+  });
+
+  it('attaches the request id to the query logs of the request', async () => {
+    const user = await createUser();
+    entries = [];
+
+    const res = await request(app).get('/api/vehicles').set(user.auth);
+    const queries = entries.filter((entry) => entry.msg === 'Query executed');
+
+    expect(queries.length).toBeGreaterThan(0);
+    queries.forEach((entry) => {
+      expect(entry.requestId).toBe(res.headers['x-request-id']);
+      expect(entry.sql).not.toMatch(/\n/);
+      expect(entry).not.toHaveProperty('params');
+    });
+    expect(queries.some((entry) => entry.userId === user.id)).toBe(true);
+  });
+
+  it('logs slow queries as warnings', async () => {
+    process.env.DB_SLOW_QUERY_MS = '0';
+    setLogOutput({ level: 'warn', write: (line) => entries.push(JSON.parse(line)) });
+
+    await query('SELECT 1');
+
+    expect(entries).toEqual([
+      expect.objectContaining({ level: 'warn', msg: 'Slow query', sql: 'SELECT 1', thresholdMs: 0 })
+    ]);
+  });
+
+  it('does not write entries below the configured level', () => {
+    setLogOutput({ level: 'error', write: (line) => entries.push(JSON.parse(line)) });
+
+    logger.info('ignored');
+    logger.error('written');
+
+    expect(entries.map((entry) => entry.msg)).toEqual(['written']);
+  });
+
+  it('redacts passwords, tokens and bearer credentials', () => {
+    logger.info('sensitive', {
+      password: 'Passw0rd',
+      user: { email: 'a@example.com', password_hash: 'hash' },
+      sessions: [{ refresh_token: 'abc' }],
+      header: 'Bearer eyJhbGciOi.payload.signature'
+    });
+
+    expect(entries[0]).toMatchObject({
+      password: '[REDACTED]',
+      user: { email: 'a@example.com', password_hash: '[REDACTED]' },
+      sessions: [{ refresh_token: '[REDACTED]' }],
+      header: 'Bearer [REDACTED]'
+    });
+  });
+
+  it('never logs the password of a login request', async () => {
+    const user = await createUser();
+
+    await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+
+    expect(JSON.stringify(entries)).not.toContain(user.password);
+    expect(JSON.stringify(entries)).not.toContain(user.token);
+  });
+
+  it('serializes errors with their database details', () => {
+    const error = Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'users_email_key' });
+
+    logger.error('failed', { error });
+
+    expect(entries[0].error).toMatchObject({
+      name: 'Error',
+      message: 'duplicate key',
+      code: '23505',
+      constraint: 'users_email_key'
+    });
+    expect(entries[0].error.stack).toContain('duplicate key');
+  });
+});
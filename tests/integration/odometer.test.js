@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createUser, createVehicle, createFuelRecord, countRows } = require('../helpers/fixtures');
+
+describe('odometer timeline', () => {
+  let user;
+  let vehicle;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user, { initial_odometer: 1000 });
+    await createFuelRecord(vehicle, { fill_date: '2024-01-01', odometer: 1100 });
+    await createFuelRecord(vehicle, { fill_date: '2024-01-08', odometer: 1300 });
+  });
+
+  it('lists the readings of every source, newest first, with the distance between them', async () => {
+    const manual = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/odometer`)
+      .set(user.auth)
+      .send({ reading_date: '2024-01-10', mileage: 1350, notes: 'Trip start' });
+    expect(manual.status).toBe(201);
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/odometer`).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.current_mileage).toBe(1350);
+    expect(res.body.data.map((reading) => [reading.source, reading.mileage, reading.distance_since_previous])).toEqual([
+      ['manual', 1350, 50],
+      ['fuel_record', 1300, 200],
+      ['fuel_record', 1100, null]
+    ]);
+  });
+
+  it('rejects a mileage that goes backwards unless the rollback is allowed', async () => {
+    const rejected = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(user.auth)
+      .send({ fill_date: '2024-01-15', price_per_liter: 10000, liters_filled: 4, odometer: 1200 });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.conflict).toMatchObject({ mileage: 1300, source: 'fuel_record' });
+    expect(await countRows('fuel_records')).toBe(2);
+
+    // A reading before an earlier date must not exceed the later one either
+    const manual = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/odometer`)
+      .set(user.auth)
+      .send({ reading_date: '2024-01-05', mileage: 1400 });
+    expect(manual.status).toBe(400);
+
+    const allowed = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(user.auth)
+      .send({ fill_date: '2024-01-15', price_per_liter: 10000, liters_filled: 4, odometer: 1200, allow_rollback: true });
+    expect(allowed.status).toBe(201);
+    expect(await countRows('odometer_readings', 'mileage = 1200 AND is_flagged')).toBe(1);
+  });
+
+  it('only deletes manual readings', async () => {
+    const manual = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/odometer`)
+      .set(user.auth)
+      .send({ reading_date: '2024-01-10', mileage: 1350 });
+
+    const timeline = await request(app).get(`/api/vehicles/${vehicle.id}/odometer`).set(user.auth);
+    const fromRecord = timeline.body.data.find((reading) => reading.source === 'fuel_record');
+
+    const refused = await request(app).delete(`/api/odometer-readings/${fromRecord.id}`).set(user.auth);
+    expect(refused.status).toBe(400);
+
+    const removed = await request(app).delete(`/api/odometer-readings/${manual.body.data.id}`).set(user.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('odometer_readings')).toBe(2);
+  });
+
+  it('validates the reading', async () => {
+    for (const reading of [{ mileage: 1400 }, { reading_date: '2024-01-10', mileage: -5 }, { reading_date: 'soon', mileage: 1400 }]) {
+      const res = await request(app).post(`/api/vehicles/${vehicle.id}/odometer`).set(user.auth).send(reading);
+      expect(res.status).toBe(400);
+    }
+  });
+});
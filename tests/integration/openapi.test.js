@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { apiRoutes } = require('../../src/routes');
+const { listRoutes, checkRouteDocs } = require('../../src/docs/openapi');
+
+describe('route documentation', () => {
+  it('documents every route', () => {
+    // Add an entry to src/docs/routeDocs.js for each route listed here
+    expect(checkRouteDocs(apiRoutes).undocumented).toEqual([]);
+  });
+
+  it('has no entries for routes that do not exist', () => {
+    expect(checkRouteDocs(apiRoutes).unknown).toEqual([]);
+  });
+});
+
+describe('GET /api/openapi.json', () => {
+  let spec;
+
+  beforeAll(async () => {
+    const res = await request(app).get('/api/openapi.json');
+    expect(res.status).toBe(200);
+    spec = res.body;
+  });
+
+  it('is public and contains every route', () => {
+    expect(spec.openapi).toBe('3.0.3');
+
+    const operations = Object.entries(spec.paths)
+      .flatMap(([path, methods]) => Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`));
+    expect(operations.sort()).toEqual(listRoutes(apiRoutes).map(({ method, path }) => `${method} ${path}`).sort());
+  });
+
+  it('derives request bodies from the validation chains', () => {
+    const schema = spec.paths['/api/vehicles'].post.requestBody.content['application/json'].schema;
+
+    expect(schema.required).toEqual(['name']);
+    expect(schema.properties.name).toMatchObject({ type: 'string', minLength: 1, maxLength: 100 });
+    expect(schema.properties.year).toMatchObject({ type: 'integer', minimum: 1885, nullable: true });
+    expect(schema.properties.fuel_type.enum).toContain('gasoline');
+  });
+
+  it('derives path and query parameters', () => {
+    const { parameters } = spec.paths['/api/vehicles/{vehicleId}/fuel-records'].get;
+
+    expect(parameters).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'vehicleId', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }),
+      expect.objectContaining({ name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } })
+    ]));
+  });
+
+  it('documents the response envelopes and errors', () => {
+    const { responses, security } = spec.paths['/api/vehicles'].get;
+
+    expect(security).toEqual([{ bearerAuth: [] }]);
+    expect(responses[200].content['application/json'].schema.properties).toMatchObject({
+      pagination: { $ref: '#/components/schemas/Pagination' },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Vehicle' } }
+    });
+    expect(responses[400].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ValidationError' });
+    expect(responses[401]).toBeDefined();
+  });
+
+  it('documents rate limited routes', () => {
+    const responses = spec.paths['/api/auth/register'].post.responses;
+
+    expect(responses[429].headers['Retry-After']).toBeDefined();
+    expect(spec.paths['/api/vehicles'].get.responses[429]).toBeUndefined();
+  });
+
+  it('marks public routes', () => {
+    expect(spec.paths['/api/auth/login'].post.security).toEqual([]);
+  });
+
+  it('only references schemas that exist', () => {
+    const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+    const missing = [...new Set(refs)]
+      .map((ref) => ref.split('/').pop())
+      .filter((name) => !spec.components.schemas[name]);
+
+    expect(missing).toEqual([]);
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('serves the interactive documentation', async () => {
+    const res = await request(app).get('/api/docs');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain('openapi.json');
+  });
+});
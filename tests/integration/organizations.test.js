@@ -0,0 +1,260 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const {
+  createUser,
+  createVehicle,
+  createOrganization,
+  addOrganizationMember,
+  createOrganizationVehicle,
+  createFuelRecord,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+describe('organizations', () => {
+  let admin;
+  let manager;
+  let driver;
+  let organization;
+
+  beforeEach(async () => {
+    admin = await createUser();
+    manager = await createUser();
+    driver = await createUser();
+    organization = await createOrganization(admin);
+    await addOrganizationMember(organization, manager, 'manager');
+    await addOrganizationMember(organization, driver, 'driver');
+  });
+
+  it('makes the creator the first admin', async () => {
+    const res = await request(app)
+      .post('/api/organizations')
+      .set(driver.auth)
+      .send({ name: 'Night Riders' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'Night Riders', role: 'admin', member_count: 1, vehicle_count: 0 });
+
+    const list = await request(app).get('/api/organizations').set(driver.auth);
+    expect(list.body.data.map((item) => [item.name, item.role])).toEqual([
+      [organization.name, 'driver'],
+      ['Night Riders', 'admin']
+    ]);
+  });
+
+  it('lets managers but not drivers add vehicles to the organization', async () => {
+    const created = await request(app)
+      .post('/api/vehicles')
+      .set(manager.auth)
+      .send({ name: 'Bike 1', organization_id: organization.id });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ organization_id: organization.id, user_id: null, role: 'owner' });
+
+    const denied = await request(app)
+      .post('/api/vehicles')
+      .set(driver.auth)
+      .send({ name: 'Bike 2', organization_id: organization.id });
+    expect(denied.status).toBe(403);
+
+    const outsider = await createUser();
+    const hidden = await request(app)
+      .post('/api/vehicles')
+      .set(outsider.auth)
+      .send({ name: 'Bike 3', organization_id: organization.id });
+    expect(hidden.status).toBe(404);
+
+    expect(await countRows('vehicles')).toBe(1);
+  });
+
+  it('shows managers the whole fleet and drivers only their vehicles', async () => {
+    const assigned = await createOrganizationVehicle(organization);
+    await createOrganizationVehicle(organization);
+    await createVehicle(manager);
+
+    const fleet = await request(app)
+      .get('/api/vehicles')
+      .query({ organization_id: organization.id })
+      .set(manager.auth);
+    expect(fleet.body.pagination.totalItems).toBe(2);
+    expect(fleet.body.data.every((vehicle) => vehicle.role === 'owner')).toBe(true);
+
+    const before = await request(app).get('/api/vehicles').set(driver.auth);
+    expect(before.body.data).toEqual([]);
+
+    const assign = await request(app)
+      .post(`/api/organizations/${organization.id}/vehicles/${assigned.id}/drivers`)
+      .set(manager.auth)
+      .send({ user_id: driver.id });
+    expect(assign.status).toBe(201);
+
+    const after = await request(app).get('/api/vehicles').set(driver.auth);
+    expect(after.body.data.map((vehicle) => [vehicle.id, vehicle.role])).toEqual([[assigned.id, 'rider']]);
+
+    // Drivers ride the vehicle: fuel yes, oil changes no
+    const fuel = await request(app)
+      .post(`/api/vehicles/${assigned.id}/fuel-records`)
+      .set(driver.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 3 });
+    expect(fuel.status).toBe(201);
+
+    const oil = await request(app)
+      .post(`/api/vehicles/${assigned.id}/oil-changes`)
+      .set(driver.auth)
+      .send({ change_date: '2024-02-01', mileage: 1000 });
+    expect(oil.status).toBe(403);
+  });
+
+  it('only assigns members of the organization to its vehicles', async () => {
+    const vehicle = await createOrganizationVehicle(organization);
+    const outsider = await createUser();
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/vehicles/${vehicle.id}/drivers`)
+      .set(admin.auth)
+      .send({ user_id: outsider.id });
+
+    expect(res.status).toBe(400);
+    expect(await countRows('vehicle_members')).toBe(0);
+  });
+
+  it('reports costs across the fleet', async () => {
+    const first = await createOrganizationVehicle(organization);
+    const second = await createOrganizationVehicle(organization);
+    const personal = await createVehicle(manager);
+    await createFuelRecord(first, { fill_date: '2024-01-10', price_per_liter: 10000, liters_filled: 2 });
+    await createFuelRecord(second, { fill_date: '2024-01-20', price_per_liter: 10000, liters_filled: 3 });
+    await createFuelRecord(personal, { fill_date: '2024-01-20', price_per_liter: 10000, liters_filled: 5 });
+
+    const res = await request(app)
+      .get('/api/reports/costs')
+      .query({ organization_id: organization.id, from: '2024-01-01', to: '2024-01-31' })
+      .set(manager.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.organization_id).toBe(organization.id);
+    expect(res.body.data.totals.fuel_spend).toBe(50000);
+    expect(res.body.data.vehicles).toHaveLength(2);
+
+    const outsider = await createUser();
+    const hidden = await request(app)
+      .get('/api/reports/costs')
+      .query({ organization_id: organization.id })
+      .set(outsider.auth);
+    expect(hidden.status).toBe(404);
+  });
+
+  it('lists maintenance due across the fleet, most urgent first', async () => {
+    const recent = await createOrganizationVehicle(organization, { name: 'Recent' });
+    const overdue = await createOrganizationVehicle(organization, { name: 'Overdue' });
+    const today = new Date().toISOString().slice(0, 10);
+    await createOilChange(recent, { change_date: today, mileage: 1000 });
+    await createOilChange(overdue, { change_date: '2020-01-01', mileage: 1000 });
+
+    const res = await request(app)
+      .get(`/api/organizations/${organization.id}/maintenance-due`)
+      .set(manager.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.vehicles.map((vehicle) => vehicle.name)).toEqual(['Overdue', 'Recent']);
+    expect(res.body.data.totals.maintenance_overdue).toBe(1);
+
+    const denied = await request(app)
+      .get(`/api/organizations/${organization.id}/maintenance-due`)
+      .set(driver.auth);
+    expect(denied.status).toBe(403);
+  });
+
+  it('keeps at least one admin', async () => {
+    const demote = await request(app)
+      .patch(`/api/organizations/${organization.id}/members/${admin.id}`)
+      .set(admin.auth)
+      .send({ role: 'manager' });
+    expect(demote.status).toBe(400);
+    expect(demote.body.message).toBe('An organization needs at least one admin');
+
+    const promote = await request(app)
+      .patch(`/api/organizations/${organization.id}/members/${manager.id}`)
+      .set(admin.auth)
+      .send({ role: 'admin' });
+    expect(promote.status).toBe(200);
+
+    const leave = await request(app)
+      .delete(`/api/organizations/${organization.id}/members/${admin.id}`)
+      .set(admin.auth);
+    expect(leave.status).toBe(200);
+  });
+
+  it('removes the vehicle assignments of a removed member', async () => {
+    const vehicle = await createOrganizationVehicle(organization);
+    await request(app)
+      .post(`/api/organizations/${organization.id}/vehicles/${vehicle.id}/drivers`)
+      .set(manager.auth)
+      .send({ user_id: driver.id });
+
+    const kick = await request(app)
+      .delete(`/api/organizations/${organization.id}/members/${driver.id}`)
+      .set(manager.auth);
+    expect(kick.status).toBe(403);
+
+    const remove = await request(app)
+      .delete(`/api/organizations/${organization.id}/members/${driver.id}`)
+      .set(admin.auth);
+    expect(remove.status).toBe(200);
+
+    const show = await request(app).get(`/api/vehicles/${vehicle.id}`).set(driver.auth);
+    expect(show.status).toBe(404);
+  });
+
+  it('keeps the fleet when the member who added a vehicle deletes their account', async () => {
+    await request(app)
+      .post('/api/vehicles')
+      .set(manager.auth)
+      .send({ name: 'Bike 1', organization_id: organization.id });
+
+    const res = await request(app)
+      .delete('/api/auth/me')
+      .set(manager.auth)
+      .send({ password: manager.password });
+    expect(res.status).toBe(200);
+
+    expect(await countRows('vehicles', 'organization_id = $1', [organization.id])).toBe(1);
+  });
+
+  it('hands the organization over when its only admin deletes their account', async () => {
+    const res = await request(app)
+      .delete('/api/auth/me')
+      .set(admin.auth)
+      .send({ password: admin.password });
+    expect(res.status).toBe(200);
+
+    expect(await countRows('organization_members', 'user_id = $1 AND role = $2', [manager.id, 'admin'])).toBe(1);
+    expect(await countRows('organization_members', 'user_id = $1 AND role = $2', [driver.id, 'driver'])).toBe(1);
+  });
+
+  it('exports the fleet of an organization deleted with the account of its only member', async () => {
+    const owner = await createUser();
+    const solo = await createOrganization(owner);
+    const vehicle = await createOrganizationVehicle(solo, { name: 'Delivery bike' });
+    await createFuelRecord(vehicle);
+    const fleetVehicle = await createOrganizationVehicle(organization);
+
+    const driverExport = await request(app).get('/api/auth/me/export').set(driver.auth);
+    expect(driverExport.body.data.organizations).toEqual([expect.objectContaining({ id: organization.id, role: 'driver' })]);
+    expect(driverExport.body.data.vehicles).toEqual([]);
+
+    const managerExport = await request(app).get('/api/auth/me/export').set(manager.auth);
+    expect(managerExport.body.data.vehicles.map((item) => item.id)).toEqual([fleetVehicle.id]);
+
+    const res = await request(app)
+      .delete('/api/auth/me')
+      .set(owner.auth)
+      .send({ password: owner.password });
+    expect(res.status).toBe(200);
+
+    expect(await countRows('organizations', 'id = $1', [solo.id])).toBe(0);
+    expect(res.body.data.export.organizations).toEqual([expect.objectContaining({ id: solo.id, role: 'admin' })]);
+    expect(res.body.data.export.vehicles).toHaveLength(1);
+    expect(res.body.data.export.vehicles[0]).toMatchObject({ id: vehicle.id, name: 'Delivery bike', organization_id: solo.id });
+    expect(res.body.data.export.vehicles[0].fuel_records).toHaveLength(1);
+  });
+});
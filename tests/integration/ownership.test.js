@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { checkVehiclePermission } = require('../../src/services/permissionService');
+const {
+  createUser,
+  createVehicle,
+  createFuelRecord,
+  createOilChange,
+  createServiceRecord,
+  countRows
+} = require('../helpers/fixtures');
+
+describe('checkVehiclePermission', () => {
+  it('allows only members of the vehicle', async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const vehicle = await createVehicle(owner);
+
+    expect(await checkVehiclePermission(vehicle.id, owner.id, 'vehicle:delete')).toEqual({ allowed: true, role: 'owner' });
+    expect(await checkVehiclePermission(vehicle.id, other.id, 'vehicle:read')).toEqual({ allowed: false, role: null });
+    expect(await checkVehiclePermission(vehicle.id + 1, owner.id, 'vehicle:read')).toEqual({ allowed: false, role: null });
+  });
+});
+
+describe('access to another user\'s vehicle', () => {
+  let owner;
+  let intruder;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    intruder = await createUser();
+    vehicle = await createVehicle(owner);
+  });
+
+  it('hides the vehicle', async () => {
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}`).set(intruder.auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.status).toBe('error');
+  });
+
+  it('leaves the vehicle list of other users empty', async () => {
+    const res = await request(app).get('/api/vehicles').set(intruder.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+    expect(res.body.pagination.totalItems).toBe(0);
+  });
+
+  it('does not update or delete the vehicle', async () => {
+    const update = await request(app)
+      .patch(`/api/vehicles/${vehicle.id}`)
+      .set(intruder.auth)
+      .send({ name: 'Stolen' });
+    expect(update.status).toBe(404);
+    expect(update.body.message).toBe('Vehicle not found or you do not have permission to modify it');
+
+    const remove = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(intruder.auth);
+    expect(remove.status).toBe(404);
+    expect(remove.body.message).toBe('Vehicle not found or you do not have permission to delete it');
+
+    const check = await request(app).get(`/api/vehicles/${vehicle.id}`).set(owner.auth);
+    expect(check.status).toBe(200);
+    expect(check.body.data.name).toBe(vehicle.name);
+  });
+
+  it('does not list or add fuel records', async () => {
+    await createFuelRecord(vehicle);
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(intruder.auth);
+    expect(list.status).toBe(404);
+    expect(list.body.message).toBe('Vehicle not found or you do not have permission to access it');
+
+    const create = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(intruder.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 3 });
+    expect(create.status).toBe(404);
+    expect(await countRows('fuel_records')).toBe(1);
+  });
+
+  it('does not modify or delete fuel records', async () => {
+    const record = await createFuelRecord(vehicle);
+
+    const update = await request(app)
+      .patch(`/api/fuel-records/${record.id}`)
+      .set(intruder.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 1, liters_filled: 1 });
+    expect(update.status).toBe(404);
+    expect(update.body.message).toBe('Fuel record not found or you do not have permission to modify it');
+
+    const remove = await request(app).delete(`/api/fuel-records/${record.id}`).set(intruder.auth);
+    expect(remove.status).toBe(404);
+    expect(remove.body.message).toBe('Fuel record not found or you do not have permission to delete it');
+
+    expect(await countRows('fuel_records', 'id = $1 AND liters_filled = $2', [record.id, record.liters_filled])).toBe(1);
+  });
+
+  it('does not modify or delete oil changes', async () => {
+    const oilChange = await createOilChange(vehicle);
+
+    const update = await request(app)
+      .patch(`/api/oil-changes/${oilChange.id}`)
+      .set(intruder.auth)
+      .send({ change_date: '2024-02-01', mileage: 1 });
+    expect(update.status).toBe(404);
+
+    const remove = await request(app).delete(`/api/oil-changes/${oilChange.id}`).set(intruder.auth);
+    expect(remove.status).toBe(404);
+
+    expect(await countRows('oil_changes', 'id = $1 AND mileage = $2', [oilChange.id, oilChange.mileage])).toBe(1);
+  });
+
+  it('does not show or delete service records', async () => {
+    const serviceRecord = await createServiceRecord(vehicle);
+
+    const show = await request(app).get(`/api/services/${serviceRecord.id}`).set(intruder.auth);
+    expect(show.status).toBe(404);
+
+    const remove = await request(app).delete(`/api/services/${serviceRecord.id}`).set(intruder.auth);
+    expect(remove.status).toBe(404);
+
+    expect(await countRows('service_records')).toBe(1);
+  });
+
+  it('does not report on the vehicle', async () => {
+    const res = await request(app)
+      .get('/api/reports/costs')
+      .query({ vehicle_id: vehicle.id })
+      .set(intruder.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
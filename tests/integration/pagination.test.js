@@ -0,0 +1,83 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createUser, createVehicle, createFuelRecord } = require('../helpers/fixtures');
+
+describe('GET /api/vehicles pagination', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+    for (let i = 1; i <= 12; i++) {
+      await createVehicle(user, { name: `Bike ${String(i).padStart(2, '0')}` });
+    }
+    // Vehicles of other users are never counted
+    await createVehicle(await createUser());
+  });
+
+  it('defaults to the first page of 10', async () => {
+    const res = await request(app).get('/api/vehicles').set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(10);
+    expect(res.body.pagination).toEqual({ currentPage: 1, totalPages: 2, totalItems: 12, limit: 10 });
+  });
+
+  it('returns the remaining items on the last page', async () => {
+    const res = await request(app).get('/api/vehicles').query({ page: 3, limit: 5 }).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.pagination).toEqual({ currentPage: 3, totalPages: 3, totalItems: 12, limit: 5 });
+  });
+
+  it('returns every item exactly once across pages', async () => {
+    const ids = [];
+    for (let page = 1; page <= 3; page++) {
+      const res = await request(app).get('/api/vehicles').query({ page, limit: 5 }).set(user.auth);
+      ids.push(...res.body.data.map((vehicle) => vehicle.id));
+    }
+
+    expect(ids).toHaveLength(12);
+    expect(new Set(ids).size).toBe(12);
+  });
+
+  it('returns an empty page past the end', async () => {
+    const res = await request(app).get('/api/vehicles').query({ page: 5 }).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+    expect(res.body.pagination.totalItems).toBe(12);
+  });
+
+  it('paginates search results', async () => {
+    const res = await request(app).get('/api/vehicles').query({ search: 'bike 1', limit: 2 }).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.pagination).toEqual({ currentPage: 1, totalPages: 2, totalItems: 3, limit: 2 });
+  });
+});
+
+describe('GET /api/vehicles/:vehicleId/fuel-records pagination', () => {
+  it('pages through the records newest first', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    for (let day = 1; day <= 7; day++) {
+      await createFuelRecord(vehicle, { fill_date: `2024-03-0${day}` });
+    }
+
+    const first = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ limit: 3 })
+      .set(user.auth);
+    expect(first.status).toBe(200);
+    expect(first.body.pagination).toEqual({ currentPage: 1, totalPages: 3, totalItems: 7, limit: 3 });
+    expect(first.body.data.map((record) => record.id)).toEqual([7, 6, 5]);
+
+    const last = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ page: 3, limit: 3 })
+      .set(user.auth);
+    expect(last.body.data.map((record) => record.id)).toEqual([1]);
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { getStore } = require('../../src/services/rateLimit');
+const { createMemoryStore } = require('../../src/services/rateLimit/memoryStore');
+const { createPostgresStore } = require('../../src/services/rateLimit/postgresStore');
+const { createUser, createVehicle } = require('../helpers/fixtures');
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+describe('login lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  it('locks the account after five failed logins, even for the right password', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      expect((await login(user.email, 'WrongPass1')).status).toBe(401);
+    }
+
+    const res = await login(user.email, user.password);
+
+    expect(res.status).toBe(429);
+    expect(res.body.status).toBe('error');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+  });
+
+  it('does not lock other accounts', async () => {
+    const other = await createUser({ email: 'other@example.com' });
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await login(user.email, 'WrongPass1');
+    }
+
+    expect((await login(other.email, other.password)).status).toBe(200);
+  });
+
+  it('counts failures for unknown emails too', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      expect((await login('nobody@example.com', 'WrongPass1')).status).toBe(401);
+    }
+
+    expect((await login('nobody@example.com', 'WrongPass1')).status).toBe(429);
+  });
+
+  it('forgets failures after a successful login', async () => {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await login(user.email, 'WrongPass1');
+    }
+    expect((await login(user.email, user.password)).status).toBe(200);
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await login(user.email, 'WrongPass1');
+    }
+    expect((await login(user.email, user.password)).status).toBe(200);
+  });
+
+  it('doubles the lock with every failure after the lock expires', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await login(user.email, 'WrongPass1');
+    }
+    // Let the first lock expire
+    await getStore().reset(`login-lock:account:${user.email}`);
+
+    expect((await login(user.email, 'WrongPass1')).status).toBe(401);
+    const res = await login(user.email, user.password);
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(60);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(120);
+  });
+
+  it('locks an IP that fails on many accounts', async () => {
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      await login(`user${attempt}@example.com`, 'WrongPass1');
+    }
+
+    const res = await login(user.email, user.password);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+});
+
+describe('per-route rate limits', () => {
+  it('sends rate limit headers and rejects requests over the limit', async () => {
+    const send = () => request(app).post('/api/auth/forgot-password').send({ email: 'someone@example.com' });
+
+    const first = await send();
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('5');
+    expect(first.headers['ratelimit-remaining']).toBe('4');
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await send();
+    }
+    const res = await send();
+
+    expect(res.status).toBe(429);
+    expect(res.body.status).toBe('error');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('counts per user on authenticated routes', async () => {
+    const user = await createUser();
+    const other = await createUser({ email: 'other@example.com' });
+    const vehicle = await createVehicle(user);
+    const changeEmail = (account) => request(app)
+      .patch('/api/auth/me/email')
+      .set(account.auth)
+      .send({ new_email: 'new@example.com', current_password: 'WrongPass1' });
+
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      expect((await changeEmail(user)).status).toBe(401);
+    }
+
+    expect((await changeEmail(user)).status).toBe(429);
+    expect((await changeEmail(other)).status).toBe(401);
+    expect((await request(app).get(`/api/vehicles/${vehicle.id}`).set(user.auth)).status).toBe(200);
+  });
+});
+
+describe.each([
+  ['memory', () => createMemoryStore()],
+  ['postgres', () => createPostgresStore()]
+])('%s store', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it('counts hits within a window', async () => {
+    const first = await store.increment('key', 60000);
+    const second = await store.increment('key', 60000);
+
+    expect(first.count).toBe(1);
+    expect(second.count).toBe(2);
+    expect(second.resetAt).toBe(first.resetAt);
+    expect(first.resetAt).toBeGreaterThan(Date.now());
+    expect(first.resetAt).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  it('starts a new window once the old one has passed', async () => {
+    await store.increment('key', 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(await store.get('key')).toBeNull();
+    expect((await store.increment('key', 60000)).count).toBe(1);
+  });
+
+  it('overwrites and resets counters', async () => {
+    await store.increment('key', 60000);
+    await store.set('key', 7, 120000);
+
+    const entry = await store.get('key');
+    expect(entry.count).toBe(7);
+    expect(entry.resetAt).toBeGreaterThan(Date.now() + 60000);
+
+    await store.reset('key');
+    expect(await store.get('key')).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createUser, createVehicle, createFuelRecord, createOilChange } = require('../helpers/fixtures');
+
+// Follow nextCursor until the last page; returns the ids in order and every response
+const pageThrough = async (path, user, params, beforeEachPage = async () => {}) => {
+  const ids = [];
+  const pages = [];
+  let cursor;
+  do {
+    await beforeEachPage(pages.length);
+    const res = await request(app)
+      .get(path)
+      .query({ ...params, pagination: 'cursor', ...(cursor && { cursor }) })
+      .set(user.auth);
+    expect(res.status).toBe(200);
+    pages.push(res.body);
+    ids.push(...res.body.data.map((record) => record.id));
+    cursor = res.body.pagination.nextCursor;
+  } while (cursor && pages.length < 20);
+  return { ids, pages };
+};
+
+describe('GET /api/vehicles/:vehicleId/fuel-records filters and sorting', () => {
+  let user;
+  let vehicle;
+  let records;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user);
+    records = [
+      await createFuelRecord(vehicle, { fill_date: '2024-01-05', price_per_liter: 9800, odometer: 1000 }),
+      await createFuelRecord(vehicle, { fill_date: '2024-02-05', price_per_liter: 10200, odometer: 1300 }),
+      await createFuelRecord(vehicle, { fill_date: '2024-03-05', price_per_liter: 10000, odometer: null }),
+      await createFuelRecord(vehicle, { fill_date: '2024-04-05', price_per_liter: 10500, odometer: 1900 })
+    ];
+  });
+
+  it('filters by date range, price and odometer', async () => {
+    const byDate = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ from: '2024-02-01', to: '2024-03-31' })
+      .set(user.auth);
+    expect(byDate.status).toBe(200);
+    expect(byDate.body.data.map((record) => record.id)).toEqual([records[2].id, records[1].id]);
+    expect(byDate.body.pagination).toEqual({ currentPage: 1, totalPages: 1, totalItems: 2, limit: 10 });
+
+    const byValues = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ min_price: 10000, max_price: 10400, min_mileage: 1100 })
+      .set(user.auth);
+    expect(byValues.body.data.map((record) => record.id)).toEqual([records[1].id]);
+  });
+
+  it('sorts by the requested field and direction', async () => {
+    const byPrice = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ sort: 'price_per_liter', order: 'asc' })
+      .set(user.auth);
+    expect(byPrice.body.data.map((record) => record.id))
+      .toEqual([records[0].id, records[2].id, records[1].id, records[3].id]);
+
+    const oldestFirst = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ order: 'asc', limit: 2, page: 2 })
+      .set(user.auth);
+    expect(oldestFirst.body.data.map((record) => record.id)).toEqual([records[2].id, records[3].id]);
+  });
+
+  it('pages by cursor with records without an odometer last', async () => {
+    for (const order of ['asc', 'desc']) {
+      const { ids, pages } = await pageThrough(
+        `/api/vehicles/${vehicle.id}/fuel-records`, user, { sort: 'odometer', order, limit: 1 }
+      );
+      const withOdometer = [records[0].id, records[1].id, records[3].id];
+      expect(ids).toEqual([...(order === 'asc' ? withOdometer : withOdometer.reverse()), records[2].id]);
+      expect(pages[0].pagination).toEqual({ limit: 1, nextCursor: expect.any(String), hasMore: true });
+      expect(pages[pages.length - 1].pagination).toEqual({ limit: 1, nextCursor: null, hasMore: false });
+    }
+  });
+});
+
+describe('GET /api/vehicles/:vehicleId/oil-changes cursor pagination', () => {
+  it('returns every record exactly once while new records are added', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    const existing = [];
+    // Several records share a date, so the order falls back to their id
+    for (let i = 0; i < 7; i++) {
+      existing.push(await createOilChange(vehicle, { change_date: `2024-0${1 + Math.floor(i / 2)}-10`, mileage: 1000 * (i + 1) }));
+    }
+
+    const { ids, pages } = await pageThrough(
+      `/api/vehicles/${vehicle.id}/oil-changes`, user, { limit: 3 },
+      // A newer oil change is logged before every page after the first
+      async (page) => {
+        if (page > 0) {
+          await createOilChange(vehicle, { change_date: '2024-12-01', mileage: 20000 + page });
+        }
+      }
+    );
+
+    expect(pages).toHaveLength(3);
+    expect(ids).toEqual(existing.map((oilChange) => oilChange.id).reverse());
+    expect(pages[0].data[0]).not.toHaveProperty('cursor_value');
+  });
+
+  it('filters and sorts by mileage', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    const low = await createOilChange(vehicle, { change_date: '2024-03-01', mileage: 3000 });
+    const high = await createOilChange(vehicle, { change_date: '2024-01-01', mileage: 9000 });
+    await createOilChange(vehicle, { change_date: '2024-02-01', mileage: 12000 });
+
+    const res = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .query({ sort: 'mileage', max_mileage: 10000 })
+      .set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((oilChange) => oilChange.id)).toEqual([high.id, low.id]);
+  });
+});
+
+describe('record list validation', () => {
+  it('rejects invalid filters, sorts and cursors', async () => {
+    const user = await createUser();
+    const vehicle = await createVehicle(user);
+    await createFuelRecord(vehicle);
+    await createFuelRecord(vehicle);
+
+    const first = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ pagination: 'cursor', limit: 1 })
+      .set(user.auth);
+    const { nextCursor } = first.body.pagination;
+
+    // Cursors edited by the client, with a value that is not one of their sort field
+    const tampered = (sort, value, id = 1) => ({
+      sort,
+      pagination: 'cursor',
+      cursor: Buffer.from(JSON.stringify([sort, 'desc', value, id])).toString('base64url')
+    });
+
+    const invalid = [
+      { sort: 'notes' },
+      { order: 'up' },
+      { from: '2024-02-01', to: '2024-01-01' },
+      { from: '2024-05' },
+      { to: '2024-05-01T10:00:00Z' },
+      { min_price: 100, max_price: 50 },
+      { min_mileage: -1 },
+      { cursor: 'not-a-cursor' },
+      { cursor: nextCursor, order: 'asc' },
+      { cursor: nextCursor, page: 2 },
+      { cursor: nextCursor, pagination: 'offset' },
+      tampered('fill_date', 'abc'),
+      tampered('fill_date', '2024-02-30'),
+      tampered('price_per_liter', '1e5'),
+      tampered('odometer', '99999999999'),
+      tampered('created_at', 'yesterday'),
+      tampered('fill_date', '2024-01-15', 2 ** 40)
+    ];
+    for (const params of invalid) {
+      const res = await request(app)
+        .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+        .query(params)
+        .set(user.auth);
+      expect(res.status).toBe(400);
+    }
+
+    // Oil changes are sorted by their own fields
+    const oil = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .query({ sort: 'fill_date' })
+      .set(user.auth);
+    expect(oil.status).toBe(400);
+
+    const next = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .query({ cursor: nextCursor, limit: 1 })
+      .set(user.auth);
+    expect(next.status).toBe(200);
+    expect(next.body.pagination).toEqual({ limit: 1, nextCursor: null, hasMore: false });
+
+    // The cursor of every sort field is accepted back
+    for (const sort of ['fill_date', 'price_per_liter', 'odometer', 'created_at']) {
+      const page = await request(app)
+        .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+        .query({ sort, pagination: 'cursor', limit: 1 })
+        .set(user.auth);
+      const rest = await request(app)
+        .get(`/api/vehicles/${vehicle.id}/fuel-records`)
+        .query({ sort, cursor: page.body.pagination.nextCursor, limit: 1 })
+        .set(user.auth);
+      expect(rest.status).toBe(200);
+      expect(rest.body.data).toHaveLength(1);
+    }
+  });
+});
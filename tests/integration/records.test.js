@@ -0,0 +1,220 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const {
+  createUser,
+  createVehicle,
+  createFuelRecord,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+// Create a fill-up through the API
+const addFill = (user, vehicle, fields) => request(app)
+  .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+  .set(user.auth)
+  .send({ price_per_liter: 10000, ...fields });
+
+describe('fuel records', () => {
+  let user;
+  let vehicle;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user, { initial_odometer: 1000 });
+  });
+
+  it('are created, listed, updated and moved to the trash', async () => {
+    const created = await addFill(user, vehicle, { fill_date: '2024-01-01', liters_filled: 5, odometer: 1100 });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      vehicle_id: vehicle.id,
+      price_per_liter: '10000.00',
+      liters_filled: '5.00',
+      odometer: 1100,
+      is_full_tank: true
+    });
+    const recordId = created.body.data.id;
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(user.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((record) => record.id)).toEqual([recordId]);
+
+    const updated = await request(app)
+      .patch(`/api/fuel-records/${recordId}`)
+      .set(user.auth)
+      .send({ fill_date: '2024-01-02', price_per_liter: 11000, liters_filled: 5, odometer: 1120 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ price_per_liter: '11000.00', odometer: 1120 });
+
+    const removed = await request(app).delete(`/api/fuel-records/${recordId}`).set(user.auth);
+    expect(removed.status).toBe(200);
+
+    const after = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(user.auth);
+    expect(after.body.data).toEqual([]);
+    const missing = await request(app).delete(`/api/fuel-records/${recordId}`).set(user.auth);
+    expect(missing.status).toBe(404);
+  });
+
+  it('compute the fuel economy between full tanks, counting partial fills', async () => {
+    await addFill(user, vehicle, { fill_date: '2024-01-01', liters_filled: 5, odometer: 1100 });
+    await addFill(user, vehicle, { fill_date: '2024-01-08', liters_filled: 4, odometer: 1300 });
+    await addFill(user, vehicle, { fill_date: '2024-01-15', liters_filled: 2, odometer: 1400, is_full_tank: false });
+    await addFill(user, vehicle, { fill_date: '2024-01-22', liters_filled: 3, odometer: 1500 });
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-economy`).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.segments.map((segment) => [segment.distance_km, segment.liters, segment.km_per_liter])).toEqual([
+      [200, 4, 50],
+      [200, 5, 40]
+    ]);
+    expect(res.body.data.summary).toMatchObject({ total_fills: 4, total_liters: 14, segment_count: 2 });
+    expect(res.body.data.summary.overall).toMatchObject({ distance_km: 400, liters: 9, km_per_liter: 44.44 });
+  });
+});
+
+describe('oil changes', () => {
+  let user;
+  let vehicle;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user, { oil_change_interval_km: 2000, oil_change_interval_months: 4 });
+  });
+
+  it('are created, listed, updated and moved to the trash', async () => {
+    const created = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .set(user.auth)
+      .send({ change_date: '2024-01-20', mileage: 1450, notes: '10W-40' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ vehicle_id: vehicle.id, mileage: 1450, notes: '10W-40' });
+    const oilChangeId = created.body.data.id;
+
+    const updated = await request(app)
+      .patch(`/api/oil-changes/${oilChangeId}`)
+      .set(user.auth)
+      .send({ change_date: '2024-01-21', mileage: 1460 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.mileage).toBe(1460);
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/oil-changes`).set(user.auth);
+    expect(list.body.data).toHaveLength(1);
+
+    const removed = await request(app).delete(`/api/oil-changes/${oilChangeId}`).set(user.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('oil_changes', 'deleted_at IS NULL')).toBe(0);
+  });
+
+  it('predict the next one from the interval of the vehicle', async () => {
+    await createOilChange(vehicle, { change_date: '2024-01-20', mileage: 1450 });
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/oil-changes/next-due`).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      interval: { km: 2000, months: 4 },
+      last_oil_change: { change_date: '2024-01-20', mileage: 1450 },
+      due_mileage: 3450,
+      due_date_by_time: '2024-05-20'
+    });
+  });
+});
+
+describe('service records', () => {
+  let user;
+  let vehicle;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user);
+  });
+
+  it('are created, read, updated and deleted', async () => {
+    const created = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/services`)
+      .set(user.auth)
+      .send({ service_type: 'brake_pads', service_date: '2024-02-01', mileage: 5000, parts_cost: 150000, labor_cost: 50000 });
+    expect(created.status).toBe(201);
+    const serviceId = created.body.data.id;
+
+    const shown = await request(app).get(`/api/services/${serviceId}`).set(user.auth);
+    expect(shown.status).toBe(200);
+    expect(shown.body.data).toMatchObject({ mileage: 5000, parts_cost: '150000.00', labor_cost: '50000.00' });
+
+    const updated = await request(app)
+      .patch(`/api/services/${serviceId}`)
+      .set(user.auth)
+      .send({ service_type: 'brake_pads', service_date: '2024-02-01', mileage: 5000, parts_cost: 120000, labor_cost: 50000, workshop_name: 'Corner shop' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ parts_cost: '120000.00', workshop_name: 'Corner shop' });
+
+    const unknownType = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/services`)
+      .set(user.auth)
+      .send({ service_type: 'teleporter', service_date: '2024-02-01' });
+    expect(unknownType.status).toBe(400);
+
+    const removed = await request(app).delete(`/api/services/${serviceId}`).set(user.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('service_records')).toBe(0);
+  });
+
+  it('are listed with the oil changes in the service history, newest first', async () => {
+    await createOilChange(vehicle, { change_date: '2024-01-20', mileage: 1450 });
+    await request(app)
+      .post(`/api/vehicles/${vehicle.id}/services`)
+      .set(user.auth)
+      .send({ service_type: 'brake_pads', service_date: '2024-02-01', parts_cost: 150000, labor_cost: 50000 });
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/services`).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((entry) => [entry.source, entry.service_type])).toEqual([
+      ['service', 'brake_pads'],
+      ['oil_change', 'oil_change']
+    ]);
+    expect(res.body.data[0].total_cost).toBe('200000.00');
+  });
+});
+
+describe('PATCH /api/fuel-records/:id', () => {
+  let user;
+  let vehicle;
+
+  beforeEach(async () => {
+    user = await createUser();
+    vehicle = await createVehicle(user);
+  });
+
+  it('keeps the odometer and the full tank flag when they are left out', async () => {
+    const record = await createFuelRecord(vehicle, { odometer: 1500, is_full_tank: false });
+
+    const res = await request(app)
+      .patch(`/api/fuel-records/${record.id}`)
+      .set(user.auth)
+      .send({ fill_date: '2024-01-15', price_per_liter: 10000, liters_filled: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ liters_filled: '5.00', odometer: 1500, is_full_tank: false });
+
+    const reading = await query("SELECT mileage FROM odometer_readings WHERE source = 'fuel_record' AND source_id = $1", [record.id]);
+    expect(reading.rows).toEqual([{ mileage: 1500 }]);
+  });
+
+  it('clears the odometer and its reading when it is sent as null', async () => {
+    const record = await createFuelRecord(vehicle, { odometer: 1500 });
+
+    const res = await request(app)
+      .patch(`/api/fuel-records/${record.id}`)
+      .set(user.auth)
+      .send({ fill_date: '2024-01-15', price_per_liter: 10000, liters_filled: 4, odometer: null, is_full_tank: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ odometer: null, is_full_tank: true });
+
+    const reading = await query("SELECT 1 FROM odometer_readings WHERE source = 'fuel_record' AND source_id = $1", [record.id]);
+    expect(reading.rows).toHaveLength(0);
+  });
+});
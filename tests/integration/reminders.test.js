@@ -0,0 +1,262 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const { runReminderJob } = require('../../src/services/reminderService');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+const TODAY = new Date('2024-06-01T08:00:00Z');
+
+// Notifications of a user, oldest first
+const notificationsOf = async (user) => {
+  const result = await query('SELECT * FROM notifications WHERE user_id = $1 ORDER BY id ASC', [user.id]);
+  return result.rows;
+};
+
+describe('reminders', () => {
+  let owner;
+  let rider;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    rider = await createUser();
+    vehicle = await createVehicle(owner, { initial_odometer: 12000 });
+    await addMember(vehicle, rider, 'rider');
+  });
+
+  it('are created by owners and mechanics and listed with their due state', async () => {
+    const created = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/reminders`)
+      .set(owner.auth)
+      .send({ title: 'Replace the chain', due_mileage: 12300 });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      title: 'Replace the chain',
+      due_mileage: 12300,
+      created_by: owner.id,
+      status: 'due_soon',
+      remaining_km: 300
+    });
+
+    const denied = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/reminders`)
+      .set(rider.auth)
+      .send({ title: 'Renew the insurance', due_date: '2030-01-01' });
+    expect(denied.status).toBe(403);
+
+    const undated = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/reminders`)
+      .set(owner.auth)
+      .send({ title: 'Someday' });
+    expect(undated.status).toBe(400);
+
+    const partialDate = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/reminders`)
+      .set(owner.auth)
+      .send({ title: 'Chain', due_date: '2024-05' });
+    expect(partialDate.status).toBe(400);
+    expect(partialDate.body.errors[0].path).toBe('due_date');
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/reminders`).set(rider.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((reminder) => reminder.id)).toEqual([created.body.data.id]);
+
+    const completed = await request(app)
+      .patch(`/api/reminders/${created.body.data.id}`)
+      .set(owner.auth)
+      .send({ title: 'Replace the chain', due_mileage: 12300, completed: true });
+    expect(completed.status).toBe(200);
+    expect(completed.body.data.status).toBe('done');
+    expect(completed.body.data.completed_at).toBeTruthy();
+
+    const open = await request(app).get(`/api/vehicles/${vehicle.id}/reminders`).set(owner.auth);
+    expect(open.body.data).toEqual([]);
+    const all = await request(app)
+      .get(`/api/vehicles/${vehicle.id}/reminders`)
+      .query({ include_completed: true })
+      .set(owner.auth);
+    expect(all.body.data).toHaveLength(1);
+
+    const removed = await request(app).delete(`/api/reminders/${created.body.data.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect(await countRows('reminders')).toBe(0);
+    expect(await countRows('audit_log', "entity_type = 'reminder'")).toBe(3);
+  });
+});
+
+describe('reminder job', () => {
+  let owner;
+  let rider;
+  let outsider;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    rider = await createUser();
+    outsider = await createUser();
+    vehicle = await createVehicle(owner, { name: 'Vario' });
+    await addMember(vehicle, rider, 'rider');
+    await createVehicle(outsider);
+  });
+
+  it('notifies every member once about overdue oil changes and due reminders', async () => {
+    // Three months interval: due on 2024-04-10
+    await createOilChange(vehicle, { change_date: '2024-01-10', mileage: 10000 });
+    await query(
+      'INSERT INTO reminders (vehicle_id, title, due_date) VALUES ($1, $2, $3)',
+      [vehicle.id, 'Renew the insurance', '2024-06-10']
+    );
+
+    const first = await runReminderJob({ today: TODAY });
+    expect(first).toEqual({ vehicles: 2, due_items: 2, notifications: 4, cleared: 0 });
+
+    const notifications = await notificationsOf(rider);
+    expect(notifications.map((notification) => [notification.type, notification.status, notification.title])).toEqual([
+      ['oil_change', 'overdue', 'Oil change overdue: Vario'],
+      ['reminder', 'due_soon', 'Due soon: Renew the insurance']
+    ]);
+    expect(notifications[1].message).toBe('"Renew the insurance" for Vario is due on 2024-06-10.');
+    expect(await notificationsOf(outsider)).toEqual([]);
+
+    const again = await runReminderJob({ today: TODAY });
+    expect(again).toMatchObject({ due_items: 2, notifications: 0, cleared: 0 });
+    expect(await countRows('notifications')).toBe(4);
+  });
+
+  it('removes notifications about items that are no longer due', async () => {
+    await createOilChange(vehicle, { change_date: '2024-01-10', mileage: 10000 });
+    await runReminderJob({ today: TODAY });
+    expect(await countRows('notifications')).toBe(2);
+
+    // Changing the oil starts a new interval
+    await createOilChange(vehicle, { change_date: '2024-05-30', mileage: 13000 });
+    const result = await runReminderJob({ today: TODAY });
+
+    expect(result).toMatchObject({ due_items: 0, notifications: 0, cleared: 2 });
+    expect(await countRows('notifications')).toBe(0);
+  });
+
+  it('skips vehicles in the trash', async () => {
+    await createOilChange(vehicle, { change_date: '2024-01-10', mileage: 10000 });
+    await query('UPDATE vehicles SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [vehicle.id]);
+
+    const result = await runReminderJob({ today: TODAY });
+
+    expect(result).toEqual({ vehicles: 1, due_items: 0, notifications: 0, cleared: 0 });
+  });
+});
+
+describe('notifications', () => {
+  let owner;
+  let rider;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    rider = await createUser();
+    vehicle = await createVehicle(owner);
+    await addMember(vehicle, rider, 'rider');
+    await createOilChange(vehicle, { change_date: '2024-01-10', mileage: 10000 });
+    await runReminderJob({ today: TODAY });
+  });
+
+  it('can be read, snoozed and dismissed by their user', async () => {
+    const list = await request(app).get('/api/notifications').set(owner.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.pagination).toEqual({ currentPage: 1, totalPages: 1, totalItems: 1, limit: 20 });
+    const [notification] = list.body.data;
+    expect(notification).toMatchObject({ vehicle_id: vehicle.id, vehicle_name: vehicle.name, type: 'oil_change', read_at: null });
+    expect(notification).not.toHaveProperty('due_key');
+
+    const read = await request(app).post(`/api/notifications/${notification.id}/read`).set(owner.auth);
+    expect(read.status).toBe(200);
+    expect(read.body.data.read_at).toBeTruthy();
+    const unread = await request(app).get('/api/notifications').query({ filter: 'unread' }).set(owner.auth);
+    expect(unread.body.data).toEqual([]);
+
+    const snoozed = await request(app)
+      .post(`/api/notifications/${notification.id}/snooze`)
+      .set(owner.auth)
+      .send({ hours: 2 });
+    expect(snoozed.status).toBe(200);
+    expect(new Date(snoozed.body.data.snoozed_until).getTime()).toBeGreaterThan(Date.now() + 60 * 60 * 1000);
+    const active = await request(app).get('/api/notifications').set(owner.auth);
+    expect(active.body.data).toEqual([]);
+    const later = await request(app).get('/api/notifications').query({ filter: 'snoozed' }).set(owner.auth);
+    expect(later.body.data).toHaveLength(1);
+
+    // Other users cannot touch it
+    const foreign = await request(app).post(`/api/notifications/${notification.id}/dismiss`).set(rider.auth);
+    expect(foreign.status).toBe(404);
+
+    const dismissed = await request(app).post(`/api/notifications/${notification.id}/dismiss`).set(owner.auth);
+    expect(dismissed.status).toBe(200);
+    expect(dismissed.body.data.dismissed_at).toBeTruthy();
+
+    // A dismissed notification is not created again
+    await runReminderJob({ today: TODAY });
+    const history = await request(app).get('/api/notifications').query({ filter: 'all' }).set(owner.auth);
+    expect(history.body.data).toHaveLength(1);
+  });
+
+  it('are hidden once the user has no access to the vehicle', async () => {
+    await query('DELETE FROM vehicle_members WHERE vehicle_id = $1 AND user_id = $2', [vehicle.id, rider.id]);
+
+    const list = await request(app).get('/api/notifications').query({ filter: 'all' }).set(rider.auth);
+
+    expect(list.body.data).toEqual([]);
+  });
+
+  it('rejects invalid filters and snooze durations', async () => {
+    const [notification] = await notificationsOf(owner);
+
+    const filter = await request(app).get('/api/notifications').query({ filter: 'starred' }).set(owner.auth);
+    expect(filter.status).toBe(400);
+
+    const snooze = await request(app)
+      .post(`/api/notifications/${notification.id}/snooze`)
+      .set(owner.auth)
+      .send({ hours: 0 });
+    expect(snooze.status).toBe(400);
+  });
+});
+
+describe('GET /api/jobs/reminders', () => {
+  const originalSecret = process.env.CRON_SECRET;
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.CRON_SECRET;
+    } else {
+      process.env.CRON_SECRET = originalSecret;
+    }
+  });
+
+  it('runs the reminder job with the cron secret only', async () => {
+    const owner = await createUser();
+    const vehicle = await createVehicle(owner);
+    await createOilChange(vehicle, { change_date: '2020-01-10', mileage: 10000 });
+
+    delete process.env.CRON_SECRET;
+    const disabled = await request(app).get('/api/jobs/reminders');
+    expect(disabled.status).toBe(503);
+
+    process.env.CRON_SECRET = 'cron-secret';
+    const anonymous = await request(app).get('/api/jobs/reminders');
+    expect(anonymous.status).toBe(401);
+    const asUser = await request(app).get('/api/jobs/reminders').set(owner.auth);
+    expect(asUser.status).toBe(401);
+
+    const res = await request(app)
+      .get('/api/jobs/reminders')
+      .set('Authorization', 'Bearer cron-secret');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ vehicles: 1, due_items: 1, notifications: 1, cleared: 0 });
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const {
+  createUser,
+  createVehicle,
+  createFuelRecord,
+  createServiceRecord
+} = require('../helpers/fixtures');
+
+describe('GET /api/reports/costs', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  it('sums fuel and maintenance per period, with zero periods in between', async () => {
+    const vehicle = await createVehicle(user);
+    await createFuelRecord(vehicle, { fill_date: '2024-01-10', price_per_liter: 10000, liters_filled: 4 });
+    await createServiceRecord(vehicle, { service_date: '2024-03-05' });
+
+    const res = await request(app)
+      .get('/api/reports/costs')
+      .query({ from: '2024-01-01', to: '2024-03-31' })
+      .set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.series.map((period) => [period.period, period.total_spend])).toEqual([
+      ['2024-01', 40000],
+      ['2024-02', 0],
+      ['2024-03', 200000]
+    ]);
+    expect(res.body.data.vehicles).toHaveLength(1);
+    expect(res.body.data.vehicles[0].totals.total_spend).toBe(240000);
+  });
+
+  it('lists zero periods for a user without vehicles', async () => {
+    const res = await request(app)
+      .get('/api/reports/costs')
+      .query({ group_by: 'year', from: '2022-01-01', to: '2024-12-31' })
+      .set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.series.map((period) => [period.period, period.total_spend])).toEqual([
+      ['2022', 0],
+      ['2023', 0],
+      ['2024', 0]
+    ]);
+    expect(res.body.data.vehicles).toEqual([]);
+  });
+
+  it('rejects a range that is too long for its grouping', async () => {
+    const ancient = await request(app)
+      .get('/api/reports/costs')
+      .query({ from: '0001-01-01' })
+      .set(user.auth);
+    expect(ancient.status).toBe(400);
+
+    const months = await request(app)
+      .get('/api/reports/costs')
+      .query({ from: '2000-01-01', to: '2024-12-31' })
+      .set(user.auth);
+    expect(months.status).toBe(400);
+
+    const years = await request(app)
+      .get('/api/reports/costs')
+      .query({ group_by: 'year', from: '2000-01-01', to: '2024-12-31' })
+      .set(user.auth);
+    expect(years.status).toBe(200);
+    expect(years.body.data.series).toHaveLength(25);
+  });
+
+  it('rejects dates that are not a whole day', async () => {
+    for (const to of ['2024-05', '2024-05-01T10:00:00Z', '2024-02-30']) {
+      const res = await request(app)
+        .get('/api/reports/costs')
+        .query({ to })
+        .set(user.auth);
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].path).toBe('to');
+    }
+
+    const from = await request(app)
+      .get('/api/reports/costs')
+      .query({ from: '2024-05' })
+      .set(user.auth);
+    expect(from.status).toBe(400);
+  });
+
+  it('starts at most 10 years before the end when the first record is older', async () => {
+    const vehicle = await createVehicle(user);
+    await createFuelRecord(vehicle, { fill_date: '1990-05-01' });
+
+    const res = await request(app)
+      .get('/api/reports/costs')
+      .query({ to: '2024-06-30' })
+      .set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.from).toBe('2014-06-30');
+    expect(res.body.data.series).toHaveLength(121);
+  });
+});
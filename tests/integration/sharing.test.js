@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { getTransport } = require('../../src/services/mail');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+// Token of the accept link in the last invitation email
+const lastInvitationToken = () => {
+  const { messages } = getTransport();
+  return new URL(messages[messages.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('vehicle roles', () => {
+  let owner;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner);
+  });
+
+  it('lets a rider log fuel but not oil changes or services', async () => {
+    const rider = await createUser();
+    await addMember(vehicle, rider, 'rider');
+
+    const list = await request(app).get('/api/vehicles').set(rider.auth);
+    expect(list.body.data.map((item) => [item.id, item.role])).toEqual([[vehicle.id, 'rider']]);
+
+    const fuel = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(rider.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 3 });
+    expect(fuel.status).toBe(201);
+
+    const oil = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .set(rider.auth)
+      .send({ change_date: '2024-02-01', mileage: 1000 });
+    expect(oil.status).toBe(403);
+    expect(oil.body.message).toMatch(/rider/);
+
+    const service = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/services`)
+      .set(rider.auth)
+      .send({ service_type: 'brake_pads', service_date: '2024-02-01' });
+    expect(service.status).toBe(403);
+
+    const update = await request(app)
+      .patch(`/api/vehicles/${vehicle.id}`)
+      .set(rider.auth)
+      .send({ name: 'Mine now' });
+    expect(update.status).toBe(403);
+
+    expect(await countRows('oil_changes')).toBe(0);
+    expect(await countRows('service_records')).toBe(0);
+  });
+
+  it('lets a mechanic maintain the vehicle but not delete it', async () => {
+    const mechanic = await createUser();
+    await addMember(vehicle, mechanic, 'mechanic');
+
+    const oil = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .set(mechanic.auth)
+      .send({ change_date: '2024-02-01', mileage: 1000 });
+    expect(oil.status).toBe(201);
+
+    const service = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/services`)
+      .set(mechanic.auth)
+      .send({ service_type: 'brake_pads', service_date: '2024-02-01', parts_cost: 100 });
+    expect(service.status).toBe(201);
+
+    const fuel = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(mechanic.auth)
+      .send({ fill_date: '2024-02-01', price_per_liter: 10000, liters_filled: 3 });
+    expect(fuel.status).toBe(403);
+
+    const remove = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(mechanic.auth);
+    expect(remove.status).toBe(403);
+    expect(await countRows('vehicles')).toBe(1);
+  });
+
+  it('checks the role on existing records', async () => {
+    const rider = await createUser();
+    await addMember(vehicle, rider, 'rider');
+    const oilChange = await createOilChange(vehicle);
+
+    const update = await request(app)
+      .patch(`/api/oil-changes/${oilChange.id}`)
+      .set(rider.auth)
+      .send({ change_date: '2024-02-01', mileage: 1 });
+    expect(update.status).toBe(403);
+
+    const remove = await request(app).delete(`/api/oil-changes/${oilChange.id}`).set(rider.auth);
+    expect(remove.status).toBe(403);
+
+    expect(await countRows('oil_changes', 'id = $1 AND mileage = $2', [oilChange.id, oilChange.mileage])).toBe(1);
+  });
+});
+
+describe('vehicle invitations', () => {
+  let owner;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner);
+  });
+
+  it('adds the invited user as a member with the role of the invitation', async () => {
+    const invite = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/invitations`)
+      .set(owner.auth)
+      .send({ email: 'Mechanic@Example.com', role: 'mechanic' });
+    expect(invite.status).toBe(201);
+    expect(invite.body.data.email).toBe('mechanic@example.com');
+
+    const mechanic = await createUser({ email: 'mechanic@example.com' });
+    const accept = await request(app)
+      .post('/api/invitations/accept')
+      .set(mechanic.auth)
+      .send({ token: lastInvitationToken() });
+    expect(accept.status).toBe(200);
+    expect(accept.body.data).toEqual({ vehicle_id: vehicle.id, vehicle_name: vehicle.name, role: 'mechanic' });
+
+    const members = await request(app).get(`/api/vehicles/${vehicle.id}/members`).set(mechanic.auth);
+    expect(members.body.data.map((member) => [member.email, member.role])).toEqual([
+      [owner.email, 'owner'],
+      ['mechanic@example.com', 'mechanic']
+    ]);
+
+    // The token is single-use
+    const again = await request(app)
+      .post('/api/invitations/accept')
+      .set(mechanic.auth)
+      .send({ token: lastInvitationToken() });
+    expect(again.status).toBe(400);
+  });
+
+  it('only accepts the invitation for the invited address', async () => {
+    await request(app)
+      .post(`/api/vehicles/${vehicle.id}/invitations`)
+      .set(owner.auth)
+      .send({ email: 'rider@example.com', role: 'rider' });
+
+    const other = await createUser();
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .set(other.auth)
+      .send({ token: lastInvitationToken() });
+
+    expect(res.status).toBe(403);
+    expect(await countRows('vehicle_members', 'vehicle_id = $1', [vehicle.id])).toBe(1);
+  });
+
+  it('does not let other members invite', async () => {
+    const rider = await createUser();
+    await addMember(vehicle, rider, 'rider');
+
+    const res = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/invitations`)
+      .set(rider.auth)
+      .send({ email: 'friend@example.com', role: 'owner' });
+
+    expect(res.status).toBe(403);
+    expect(getTransport().messages).toHaveLength(0);
+  });
+});
+
+describe('vehicle members', () => {
+  it('keeps at least one owner', async () => {
+    const owner = await createUser();
+    const vehicle = await createVehicle(owner);
+
+    const demote = await request(app)
+      .patch(`/api/vehicles/${vehicle.id}/members/${owner.id}`)
+      .set(owner.auth)
+      .send({ role: 'rider' });
+    expect(demote.status).toBe(400);
+    expect(demote.body.message).toBe('A vehicle needs at least one owner');
+
+    const leave = await request(app).delete(`/api/vehicles/${vehicle.id}/members/${owner.id}`).set(owner.auth);
+    expect(leave.status).toBe(400);
+  });
+
+  it('lets a member leave and an owner remove members', async () => {
+    const owner = await createUser();
+    const rider = await createUser();
+    const mechanic = await createUser();
+    const vehicle = await createVehicle(owner);
+    await addMember(vehicle, rider, 'rider');
+    await addMember(vehicle, mechanic, 'mechanic');
+
+    const kick = await request(app).delete(`/api/vehicles/${vehicle.id}/members/${mechanic.id}`).set(rider.auth);
+    expect(kick.status).toBe(403);
+
+    const leave = await request(app).delete(`/api/vehicles/${vehicle.id}/members/${rider.id}`).set(rider.auth);
+    expect(leave.status).toBe(200);
+
+    const remove = await request(app).delete(`/api/vehicles/${vehicle.id}/members/${mechanic.id}`).set(owner.auth);
+    expect(remove.status).toBe(200);
+
+    expect(await countRows('vehicle_members', 'vehicle_id = $1', [vehicle.id])).toBe(1);
+  });
+
+  it('hands shared vehicles over when an owner deletes their account', async () => {
+    const owner = await createUser();
+    const coOwner = await createUser();
+    const shared = await createVehicle(owner);
+    await createVehicle(owner);
+    await addMember(shared, coOwner, 'owner');
+
+    const res = await request(app)
+      .delete('/api/auth/me')
+      .set(owner.auth)
+      .send({ password: owner.password });
+    expect(res.status).toBe(200);
+
+    expect(await countRows('vehicles')).toBe(1);
+    expect(await countRows('vehicles', 'id = $1 AND user_id = $2', [shared.id, coOwner.id])).toBe(1);
+  });
+});
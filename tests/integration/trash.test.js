@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { query } = require('../../src/config/db');
+const { purgeTrash } = require('../../src/services/trashService');
+const {
+  createUser,
+  createVehicle,
+  addMember,
+  createFuelRecord,
+  createOilChange,
+  countRows
+} = require('../helpers/fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Pretend an item was moved to the trash a number of days ago
+const deletedDaysAgo = (table, id, days) => query(
+  `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP - make_interval(days => $2) WHERE id = $1`,
+  [id, days]
+);
+
+describe('soft delete', () => {
+  let owner;
+  let vehicle;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    vehicle = await createVehicle(owner);
+  });
+
+  it('hides a deleted fuel record and its reading until it is restored', async () => {
+    const record = await createFuelRecord(vehicle, { odometer: 1200 });
+
+    const removed = await request(app).delete(`/api/fuel-records/${record.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect(removed.body.data.message).toBe('Fuel record moved to the trash');
+
+    const list = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(owner.auth);
+    expect(list.body.data).toEqual([]);
+    const single = await request(app).get(`/api/fuel-records/${record.id}`).set(owner.auth);
+    expect(single.status).toBe(404);
+    expect(await countRows('odometer_readings', 'vehicle_id = $1', [vehicle.id])).toBe(0);
+
+    const restored = await request(app).post(`/api/fuel-records/${record.id}/restore`).set(owner.auth);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data).toMatchObject({ id: record.id, deleted_at: null });
+
+    const again = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(owner.auth);
+    expect(again.body.data.map((item) => item.id)).toEqual([record.id]);
+    expect(await countRows('odometer_readings', 'vehicle_id = $1 AND mileage = 1200', [vehicle.id])).toBe(1);
+
+    const twice = await request(app).post(`/api/fuel-records/${record.id}/restore`).set(owner.auth);
+    expect(twice.status).toBe(404);
+  });
+
+  it('flags the reading of a restored oil change that no longer fits the timeline', async () => {
+    const oilChange = await createOilChange(vehicle, { mileage: 5000, change_date: '2024-02-01' });
+    await request(app).delete(`/api/oil-changes/${oilChange.id}`).set(owner.auth);
+    await createFuelRecord(vehicle, { odometer: 4000, fill_date: '2024-03-01' });
+
+    const restored = await request(app).post(`/api/oil-changes/${oilChange.id}/restore`).set(owner.auth);
+    expect(restored.status).toBe(200);
+    expect(await countRows('odometer_readings', "source = 'oil_change' AND source_id = $1 AND is_flagged", [oilChange.id])).toBe(1);
+  });
+
+  it('hides a deleted vehicle and brings it back with its records', async () => {
+    const rider = await createUser();
+    await addMember(vehicle, rider, 'rider');
+    const record = await createFuelRecord(vehicle, { odometer: 1200 });
+
+    const denied = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(rider.auth);
+    expect(denied.status).toBe(403);
+
+    const removed = await request(app).delete(`/api/vehicles/${vehicle.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+
+    const list = await request(app).get('/api/vehicles').set(owner.auth);
+    expect(list.body.data).toEqual([]);
+    expect((await request(app).get(`/api/vehicles/${vehicle.id}`).set(rider.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/fuel-records/${record.id}`).set(owner.auth)).status).toBe(404);
+    const dashboard = await request(app).get('/api/dashboard').set(owner.auth);
+    expect(dashboard.body.data.vehicles).toEqual([]);
+
+    const riderRestore = await request(app).post(`/api/vehicles/${vehicle.id}/restore`).set(rider.auth);
+    expect(riderRestore.status).toBe(403);
+
+    const restored = await request(app).post(`/api/vehicles/${vehicle.id}/restore`).set(owner.auth);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data).toMatchObject({ id: vehicle.id, deleted_at: null, role: 'owner' });
+
+    const records = await request(app).get(`/api/vehicles/${vehicle.id}/fuel-records`).set(rider.auth);
+    expect(records.body.data.map((item) => item.id)).toEqual([record.id]);
+  });
+
+  it('records deletes and restores in the vehicle history', async () => {
+    const record = await createFuelRecord(vehicle);
+
+    await request(app).delete(`/api/fuel-records/${record.id}`).set(owner.auth);
+    await request(app).post(`/api/fuel-records/${record.id}/restore`).set(owner.auth);
+
+    const res = await request(app).get(`/api/vehicles/${vehicle.id}/history`).set(owner.auth);
+    expect(res.body.data.map((entry) => entry.action)).toEqual(['restore', 'delete']);
+    expect(res.body.data[0].changed_fields).toEqual(['deleted_at']);
+  });
+});
+
+describe('GET /api/trash', () => {
+  it('lists what the user can restore, most recently deleted first', async () => {
+    const owner = await createUser();
+    const rider = await createUser();
+    const vehicle = await createVehicle(owner);
+    const deletedVehicle = await createVehicle(owner);
+    await addMember(vehicle, rider, 'rider');
+    await addMember(deletedVehicle, rider, 'rider');
+    const record = await createFuelRecord(vehicle);
+    const oilChange = await createOilChange(vehicle);
+    const recordOfDeletedVehicle = await createFuelRecord(deletedVehicle);
+
+    await request(app).delete(`/api/fuel-records/${recordOfDeletedVehicle.id}`).set(owner.auth);
+    await request(app).delete(`/api/oil-changes/${oilChange.id}`).set(owner.auth);
+    await request(app).delete(`/api/fuel-records/${record.id}`).set(owner.auth);
+    await request(app).delete(`/api/vehicles/${deletedVehicle.id}`).set(owner.auth);
+    await deletedDaysAgo('oil_changes', oilChange.id, 3);
+    await deletedDaysAgo('fuel_records', record.id, 2);
+
+    const res = await request(app).get('/api/trash').set(owner.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ currentPage: 1, totalItems: 3 });
+    expect(res.body.data.map((item) => [item.type, item.id])).toEqual([
+      ['vehicle', deletedVehicle.id],
+      ['fuel_record', record.id],
+      ['oil_change', oilChange.id]
+    ]);
+    expect(res.body.data[1]).toMatchObject({ vehicle_id: vehicle.id, vehicle_name: vehicle.name });
+    expect(res.body.data[1].record).toMatchObject({ id: record.id, liters_filled: 4 });
+    expect(new Date(res.body.data[1].purge_after) - new Date(res.body.data[1].deleted_at)).toBe(30 * DAY);
+
+    // Riders can restore fill-ups only
+    const riderTrash = await request(app).get('/api/trash').set(rider.auth);
+    expect(riderTrash.body.data.map((item) => [item.type, item.id])).toEqual([['fuel_record', record.id]]);
+
+    const filtered = await request(app).get('/api/trash').query({ type: 'oil_change' }).set(owner.auth);
+    expect(filtered.body.data.map((item) => item.id)).toEqual([oilChange.id]);
+
+    const invalid = await request(app).get('/api/trash').query({ type: 'service_record' }).set(owner.auth);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('purgeTrash', () => {
+  it('permanently deletes what was deleted before the retention period', async () => {
+    const owner = await createUser();
+    const vehicle = await createVehicle(owner);
+    const oldVehicle = await createVehicle(owner);
+    const oldRecord = await createFuelRecord(vehicle, { odometer: 1200 });
+    const recentRecord = await createFuelRecord(vehicle, { odometer: 1500, fill_date: '2024-02-01' });
+    const activeRecord = await createFuelRecord(vehicle, { odometer: 1800, fill_date: '2024-03-01' });
+    await createOilChange(oldVehicle);
+
+    await request(app).delete(`/api/fuel-records/${oldRecord.id}`).set(owner.auth);
+    await request(app).delete(`/api/fuel-records/${recentRecord.id}`).set(owner.auth);
+    await request(app).delete(`/api/vehicles/${oldVehicle.id}`).set(owner.auth);
+    await deletedDaysAgo('fuel_records', oldRecord.id, 31);
+    await deletedDaysAgo('fuel_records', recentRecord.id, 29);
+    await deletedDaysAgo('vehicles', oldVehicle.id, 40);
+
+    const purged = await purgeTrash({ retentionDays: 30 });
+    expect(purged).toMatchObject({ vehicles: 1, fuel_records: 1, oil_changes: 0 });
+
+    expect(await countRows('fuel_records', 'id = $1', [oldRecord.id])).toBe(0);
+    expect(await countRows('fuel_records', 'id IN ($1, $2)', [recentRecord.id, activeRecord.id])).toBe(2);
+    expect(await countRows('vehicles', 'id = $1', [oldVehicle.id])).toBe(0);
+    expect(await countRows('oil_changes', 'vehicle_id = $1', [oldVehicle.id])).toBe(0);
+
+    const entries = await query("SELECT * FROM audit_log WHERE action = 'purge' ORDER BY id ASC");
+    expect(entries.rows.map((entry) => [entry.entity_type, entry.entity_id, entry.actor_id])).toEqual([
+      ['fuel_record', oldRecord.id, null],
+      ['vehicle', oldVehicle.id, null]
+    ]);
+  });
+
+});
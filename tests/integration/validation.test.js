@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createUser, createVehicle, countRows } = require('../helpers/fixtures');
+
+// Field names of the validation errors in a response
+const errorPaths = (res) => res.body.errors.map((error) => error.path);
+
+describe('request validation', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  it('requires a vehicle name', async () => {
+    const res = await request(app).post('/api/vehicles').set(user.auth).send({ make: 'Honda' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ status: 'error', message: 'Validation failed' });
+    expect(errorPaths(res)).toContain('name');
+    expect(await countRows('vehicles')).toBe(0);
+  });
+
+  it('rejects invalid vehicle details', async () => {
+    const res = await request(app)
+      .post('/api/vehicles')
+      .set(user.auth)
+      .send({ name: 'Beat', year: 1700, fuel_type: 'steam' });
+
+    expect(res.status).toBe(400);
+    expect(errorPaths(res)).toEqual(expect.arrayContaining(['year', 'fuel_type']));
+  });
+
+  it('rejects a non-numeric vehicle id', async () => {
+    const res = await request(app).get('/api/vehicles/abc/fuel-records').set(user.auth);
+
+    expect(res.status).toBe(400);
+    expect(errorPaths(res)).toEqual(['vehicleId']);
+  });
+
+  it.each([
+    ['get', '/api/vehicles/abc'],
+    ['delete', '/api/vehicles/abc'],
+    ['delete', '/api/fuel-records/0'],
+    ['delete', '/api/oil-changes/-1'],
+    ['delete', '/api/services/abc'],
+    ['delete', '/api/odometer-readings/abc']
+  ])('rejects an invalid id on %s %s', async (method, path) => {
+    const res = await request(app)[method](path).set(user.auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  it('rejects out of range pagination parameters', async () => {
+    const res = await request(app).get('/api/vehicles').query({ page: 0, limit: 500 }).set(user.auth);
+
+    expect(res.status).toBe(400);
+    expect(errorPaths(res)).toEqual(expect.arrayContaining(['page', 'limit']));
+  });
+
+  it('rejects an invalid fuel record', async () => {
+    const vehicle = await createVehicle(user);
+
+    const res = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/fuel-records`)
+      .set(user.auth)
+      .send({ fill_date: 'yesterday', price_per_liter: 0, liters_filled: -2, odometer: -1 });
+
+    expect(res.status).toBe(400);
+    expect(errorPaths(res)).toEqual(expect.arrayContaining(['fill_date', 'price_per_liter', 'liters_filled', 'odometer']));
+    expect(await countRows('fuel_records')).toBe(0);
+  });
+
+  it('rejects an oil change without a mileage', async () => {
+    const vehicle = await createVehicle(user);
+
+    const res = await request(app)
+      .post(`/api/vehicles/${vehicle.id}/oil-changes`)
+      .set(user.auth)
+      .send({ change_date: '2024-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(errorPaths(res)).toEqual(['mileage']);
+  });
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pool } = require('../../src/config/db');
+const { setTransport } = require('../../src/services/mail');
+const { createOutboxTransport } = require('../../src/services/mail/outboxTransport');
+const { setStore } = require('../../src/services/rateLimit');
+const { createMemoryStore } = require('../../src/services/rateLimit/memoryStore');
+const { setStorage } = require('../../src/services/storage');
+const { createLocalStorage } = require('../../src/services/storage/localStorage');
+
+// Tables that hold migration state or seed data and survive between tests
+const PRESERVED_TABLES = ['schema_migrations', 'service_types'];
+
+let tables = null;
+
+// Uploaded files go to a temporary directory per test file
+const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'vehicle-maintenance-uploads-'));
+
+// Empty every table so each test starts from a clean database
+const resetDatabase = async () => {
+  if (!tables) {
+    const result = await pool.query("SELECT tablename FROM pg_tables WHERE schemaname = 'public'");
+    tables = result.rows
+      .map((row) => row.tablename)
+      .filter((table) => !PRESERVED_TABLES.includes(table));
+  }
+
+  await pool.query(`TRUNCATE ${tables.map((table) => `"${table}"`).join(', ')} RESTART IDENTITY CASCADE`);
+};
+
+beforeEach(async () => {
+  await resetDatabase();
+  // Keep sent mail in memory instead of writing it to disk
+  setTransport(createOutboxTransport());
+  // Fresh rate limit counters, so limits hit by one test do not leak into the next
+  setStore(createMemoryStore());
+  setStorage(createLocalStorage({ directory: uploadDirectory }));
+});
+
+afterAll(async () => {
+  await pool.end();
+  fs.rmSync(uploadDirectory, { recursive: true, force: true });
+});
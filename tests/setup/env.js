@@ -0,0 +1,4 @@
+const { useTestDatabase } = require('./testDatabase');
+
+// Runs in every test file before the app is loaded
+useTestDatabase();
@@ -0,0 +1,36 @@
+const { Client } = require('pg');
+const { migrateUp } = require('../../src/config/migrator');
+const { useTestDatabase, clientConfig } = require('./testDatabase');
+
+// Create the test database when it does not exist yet
+const createDatabase = async (name) => {
+  const client = new Client(clientConfig(process.env.TEST_DB_MAINTENANCE_DB || 'postgres'));
+  await client.connect();
+
+  try {
+    const result = await client.query('SELECT 1 FROM pg_database WHERE datname = $1', [name]);
+    if (result.rows.length === 0) {
+      await client.query(`CREATE DATABASE ${client.escapeIdentifier(name)}`);
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+// Runs once before the whole suite: bring the test database up to the latest migration
+module.exports = async () => {
+  const name = useTestDatabase();
+
+  if (!process.env.TEST_DB_URL) {
+    await createDatabase(name);
+  }
+
+  const client = new Client(clientConfig());
+  await client.connect();
+
+  try {
+    await migrateUp(client, { log: () => {} });
+  } finally {
+    await client.end();
+  }
+};
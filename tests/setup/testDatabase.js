@@ -0,0 +1,60 @@
+require('dotenv').config();
+
+// The tests never run against the development database. They use TEST_DB_URL, or
+// TEST_DB_NAME on the server configured by DB_HOST/DB_PORT/DB_USER/DB_PASSWORD.
+const DEFAULT_TEST_DB_NAME = 'vehicle_maintenance_test';
+
+const getTestDatabaseName = () => {
+  if (process.env.TEST_DB_URL) {
+    return decodeURIComponent(new URL(process.env.TEST_DB_URL).pathname.slice(1));
+  }
+  return process.env.TEST_DB_NAME || DEFAULT_TEST_DB_NAME;
+};
+
+// Every table is emptied before each test, so refuse a database that is not clearly a test database
+const assertTestDatabase = (name) => {
+  if (!/test/i.test(name)) {
+    throw new Error(`Refusing to run the tests against "${name}": the test database name must contain "test"`);
+  }
+};
+
+// Point the app's connection settings at the test database.
+// Must run before src/config/db is loaded.
+const useTestDatabase = () => {
+  const name = getTestDatabaseName();
+  assertTestDatabase(name);
+
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+  process.env.MAIL_TRANSPORT = 'outbox';
+
+  if (process.env.TEST_DB_URL) {
+    process.env.DB_URL = process.env.TEST_DB_URL;
+  } else {
+    // An empty value also keeps dotenv from loading DB_URL from .env later on
+    process.env.DB_URL = '';
+    process.env.DB_NAME = name;
+  }
+  return name;
+};
+
+// pg client settings for the test database, or for another database on the same server
+const clientConfig = (database = getTestDatabaseName()) => {
+  if (process.env.TEST_DB_URL) {
+    return { connectionString: process.env.TEST_DB_URL, ssl: { rejectUnauthorized: false } };
+  }
+  return {
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 5432,
+    database,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    connectionTimeoutMillis: 5000
+  };
+};
+
+module.exports = {
+  getTestDatabaseName,
+  useTestDatabase,
+  clientConfig
+};